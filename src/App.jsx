@@ -1,52 +1,53 @@
 import React, { useState, useEffect } from 'react';
 import Dashboard from './components/Dashboard';
 import ConfigFormNew from './components/ConfigFormNew';
-import { Settings, Info, X, AlertTriangle } from 'lucide-react';
+import ReportsPanel from './components/ReportsPanel';
+import WorkspaceSwitcher, { adoptWorkspaceFromUrl } from './components/WorkspaceSwitcher';
+import { hasRole } from './utils/access';
+import { Settings, Info, X, AlertTriangle, FileText, User } from 'lucide-react';
 
 function App() {
   const [isConfigured, setIsConfigured] = useState(false);
   const [configLoading, setConfigLoading] = useState(true);
   const [showConfig, setShowConfig] = useState(false);
   const [showAbout, setShowAbout] = useState(false);
+  const [showReports, setShowReports] = useState(false);
   const [config, setConfig] = useState(null);
   const [zones, setZones] = useState(null); // Shared zones state
   const [refreshTrigger, setRefreshTrigger] = useState(0); // Trigger for forcing Dashboard refresh
+  const [session, setSession] = useState(null); // Cloudflare Access identity and dashboard role
+  const role = session?.role || 'viewer';
+  const canEdit = hasRole(role, 'editor');
 
   useEffect(() => {
+    // Notification links name the workspace; pick it before loading its configuration
+    adoptWorkspaceFromUrl();
     // Load saved configuration
     loadConfig();
+    loadSession();
   }, []);
 
+  const loadSession = async () => {
+    try {
+      const response = await fetch('/api/me');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load session');
+      }
+      setSession(data);
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      setSession({ error: error.message });
+    }
+  };
+
   const loadConfig = async () => {
     try {
       const response = await fetch('/api/config?userId=default');
       const data = await response.json();
       
-      // Migrate old single accountId to accountIds array
-      if (data && data.accountId && !data.accountIds) {
-        data.accountIds = [data.accountId];
-        delete data.accountId;  // Remove old format
-        
-        // Save migrated config
-        try {
-          await fetch('/api/config', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              userId: 'default',
-              config: data,
-            }),
-          });
-        } catch (migrationError) {
-          console.error('Failed to save migrated config:', migrationError);
-        }
-      }
-      
-      // Check if account IDs are configured (support both formats)
-      const hasAccountIds = data?.accountIds && Array.isArray(data.accountIds) && data.accountIds.length > 0;
-      const hasLegacyAccountId = data?.accountId;
-      
-      if (data && (hasAccountIds || hasLegacyAccountId)) {
+      // Configs saved by older releases come back migrated to the current schema
+      if (data?.accountIds?.length > 0) {
         setConfig(data);
         setIsConfigured(true);
       }
@@ -68,29 +69,41 @@ function App() {
         }),
       });
 
+      const data = await response.json().catch(() => ({}));
+      // Field-level schema errors are shown next to the form fields
+      if (response.status === 400 && data.errors) {
+        return { errors: data.errors };
+      }
       if (!response.ok) {
-        throw new Error('Failed to save configuration');
+        throw new Error(data.error || 'Failed to save configuration');
       }
 
-      // Update config state immediately to trigger Dashboard re-render
-      setConfig(newConfig);
-      setIsConfigured(true);
-      setShowConfig(false);
-      
-      // Scroll to top of page
-      window.scrollTo({ top: 0, behavior: 'smooth' });
-      
-      // Trigger Dashboard refresh to pick up new config (including disabled SKUs)
-      setRefreshTrigger(prev => prev + 1);
-      
-      // Note: Dashboard will show prewarming state automatically
-      // The Dashboard component will handle the cache prewarm on mount/config change
+      applyConfig(data.config || newConfig);
+      return null;
     } catch (error) {
       console.error('Failed to save config:', error);
       alert('Failed to save configuration. Please try again.');
+      return null;
     }
   };
 
+  // Show a saved or restored configuration and refresh the dashboard for it
+  const applyConfig = (newConfig) => {
+    // Update config state immediately to trigger Dashboard re-render
+    setConfig(newConfig);
+    setIsConfigured(true);
+    setShowConfig(false);
+    
+    // Scroll to top of page
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    
+    // Trigger Dashboard refresh to pick up new config (including disabled SKUs)
+    setRefreshTrigger(prev => prev + 1);
+    
+    // Note: Dashboard will show prewarming state automatically
+    // The Dashboard component will handle the cache prewarm on mount/config change
+  };
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -101,9 +114,18 @@ function App() {
               <h1 className="text-2xl font-bold text-white">Cloudflare</h1>
               <p className="text-xs text-white font-medium tracking-wide">Enterprise Usage Dashboard</p>
             </div>
+            <WorkspaceSwitcher canManage={hasRole(role, 'admin')} />
           </div>
           
           <div className="flex items-center space-x-3">
+            {session?.accessEnabled && (
+              <div className="flex items-center space-x-2 text-white text-sm" title={session.email}>
+                <User className="w-4 h-4" />
+                <span className="max-w-[14rem] truncate">{session.email}</span>
+                <span className="text-xs font-medium px-2 py-0.5 rounded bg-slate-600 capitalize">{session.role}</span>
+              </div>
+            )}
+
             <button
               onClick={() => setShowAbout(true)}
               className="flex items-center space-x-2 px-5 py-2.5 bg-white text-slate-700 rounded-lg hover:bg-slate-50 transition-colors shadow-sm font-medium"
@@ -112,23 +134,50 @@ function App() {
               <span>About</span>
             </button>
             
-            <button
-              onClick={() => setShowConfig(!showConfig)}
-              className="flex items-center space-x-2 px-5 py-2.5 bg-white text-slate-700 rounded-lg hover:bg-slate-50 transition-colors shadow-sm font-medium"
-            >
-              <Settings className="w-4 h-4" />
-              <span>Settings</span>
-            </button>
+            {isConfigured && (
+              <button
+                onClick={() => { setShowReports(!showReports); setShowConfig(false); }}
+                className="flex items-center space-x-2 px-5 py-2.5 bg-white text-slate-700 rounded-lg hover:bg-slate-50 transition-colors shadow-sm font-medium"
+              >
+                <FileText className="w-4 h-4" />
+                <span>Reports</span>
+              </button>
+            )}
+            
+            {canEdit && (
+              <button
+                onClick={() => { setShowConfig(!showConfig); setShowReports(false); }}
+                className="flex items-center space-x-2 px-5 py-2.5 bg-white text-slate-700 rounded-lg hover:bg-slate-50 transition-colors shadow-sm font-medium"
+              >
+                <Settings className="w-4 h-4" />
+                <span>Settings</span>
+              </button>
+            )}
           </div>
         </div>
       </header>
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {configLoading ? null : !isConfigured || showConfig ? (
+        {configLoading || !session ? null : session.error ? (
+          <div className="max-w-2xl mx-auto bg-red-50 border border-red-200 rounded-xl p-6 text-center">
+            <h2 className="text-xl font-semibold text-red-800">Access denied</h2>
+            <p className="text-sm text-red-700 mt-2">{session.error}</p>
+          </div>
+        ) : !canEdit ? (
+          !isConfigured && (
+            <div className="max-w-2xl mx-auto bg-white rounded-xl border-2 border-gray-200 shadow-sm p-6 text-center">
+              <h2 className="text-xl font-semibold text-gray-900">Not configured yet</h2>
+              <p className="text-sm text-gray-500 mt-2">
+                This workspace has no accounts configured. Ask an editor or admin to set it up in Settings.
+              </p>
+            </div>
+          )
+        ) : !isConfigured || showConfig ? (
           <div className="max-w-6xl mx-auto">
             <ConfigFormNew 
               onSave={handleConfigSave} 
+              onRollback={applyConfig}
               initialConfig={config}
               onCancel={isConfigured ? () => setShowConfig(false) : null}
               cachedZones={zones}
@@ -136,14 +185,21 @@ function App() {
           </div>
         ) : null}
         
-        {/* Keep Dashboard mounted but hidden when showing config */}
+        {isConfigured && showReports && !showConfig && (
+          <div className="max-w-6xl mx-auto">
+            <ReportsPanel canGenerate={canEdit} />
+          </div>
+        )}
+        
+        {/* Keep Dashboard mounted but hidden when showing config or reports */}
         {isConfigured && (
-          <div className={showConfig ? 'hidden' : ''}>
+          <div className={showConfig || showReports ? 'hidden' : ''}>
             <Dashboard 
               config={config}
               zones={zones}
               setZones={setZones}
               refreshTrigger={refreshTrigger}
+              role={role}
             />
           </div>
         )}
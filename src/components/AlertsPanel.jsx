@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, BellOff, Check, Clock, AlertCircle, X } from 'lucide-react';
+
+const STATE_LABELS = {
+  acknowledged: 'Acknowledged',
+  snoozed: 'Snoozed',
+  muted: 'Muted',
+};
+
+const SEVERITY_STYLES = {
+  info: 'bg-blue-100 text-blue-700',
+  warning: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-700',
+  critical: 'bg-red-600 text-white',
+};
+
+/**
+ * Alerts currently at or above a tier, with acknowledge / snooze / mute controls (/api/alerts/state).
+ * Acknowledged alerts notify again only if they escalate to a higher tier; snoozed and muted
+ * alerts stay silent until their date or the end of the billing period.
+ */
+function AlertsPanel({ alerts, accountIds, canEdit = true }) {
+  const [states, setStates] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [reason, setReason] = useState('');
+  const [snoozeUntil, setSnoozeUntil] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const accountsParam = [...accountIds].sort().join(',');
+
+  const loadStates = async () => {
+    if (!accountsParam) return;
+    try {
+      const response = await fetch(`/api/alerts/state?accountIds=${encodeURIComponent(accountsParam)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load alert states');
+      }
+      setStates(Object.fromEntries((data.states || []).map(state => [state.key, state])));
+    } catch (err) {
+      console.error('Failed to load alert states:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStates();
+  }, [accountsParam]);
+
+  const openEditor = (key) => {
+    setEditing(editing === key ? null : key);
+    setReason('');
+    setSnoozeUntil('');
+    setError(null);
+  };
+
+  const updateState = async (alert, action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/alerts/state', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accountIds, key: alert.key, action, tier: alert.tier, reason, until: snoozeUntil || undefined }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update alert');
+      }
+      setStates(prev => {
+        const next = { ...prev };
+        if (data.state) next[alert.key] = data.state;
+        else delete next[alert.key];
+        return next;
+      });
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // States for alerts that are no longer firing are still listed so they can be cleared
+  const firingKeys = new Set(alerts.map(a => a.key));
+  const rows = [
+    ...alerts,
+    ...Object.values(states).filter(state => !firingKeys.has(state.key)).map(state => ({ key: state.key, name: state.key, stale: true })),
+  ];
+
+  if (rows.length === 0) return null;
+
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+
+  return (
+    <div className="bg-white rounded-xl border-2 border-gray-200 shadow-sm">
+      <div className="p-6">
+        <div className="flex items-start space-x-3">
+          <div className="p-2 rounded-lg bg-amber-50 text-amber-600">
+            <Bell className="w-5 h-5" />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Active Alerts</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Acknowledge an alert to silence it until it reaches a higher tier, snooze it until a date, or mute it for
+              the rest of the billing period.
+            </p>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
+            <p className="text-xs text-red-700 flex items-center space-x-1">
+              <AlertCircle className="w-3 h-3" />
+              <span>{error}</span>
+            </p>
+          </div>
+        )}
+
+        <div className="mt-6 divide-y divide-gray-100">
+          {rows.map(alert => {
+            const state = states[alert.key];
+            return (
+              <div key={alert.key} className="py-3">
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <span className="text-sm font-medium text-gray-900 truncate">{alert.name}</span>
+                      {alert.severity && (
+                        <span className={`text-[10px] font-semibold uppercase px-1.5 py-0.5 rounded ${SEVERITY_STYLES[alert.severity]}`}>
+                          {alert.tier ? `${alert.tier}% · ` : ''}{alert.severity}
+                        </span>
+                      )}
+                      {alert.forecast && (
+                        <span className="text-[10px] font-semibold uppercase px-1.5 py-0.5 rounded bg-purple-100 text-purple-700">projected</span>
+                      )}
+                      {alert.anomaly && (
+                        <span className="text-[10px] font-semibold uppercase px-1.5 py-0.5 rounded bg-orange-100 text-orange-700">daily {alert.anomaly.direction}</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {alert.stale
+                        ? 'No longer above an alert tier'
+                        : `${alert.formatted} of ${alert.thresholdFormatted} (${alert.percentage.toFixed(1)}%)`}
+                    </p>
+                    {state && (
+                      <p className="text-xs text-gray-600 mt-1 flex items-center space-x-1">
+                        <BellOff className="w-3 h-3" />
+                        <span>
+                          {STATE_LABELS[state.status]}
+                          {state.status === 'acknowledged' && state.tier ? ` at ${state.tier}%` : ''} until {new Date(state.until).toLocaleDateString()}
+                          {state.reason ? ` — ${state.reason}` : ''}
+                        </span>
+                      </p>
+                    )}
+                  </div>
+                  {canEdit && (
+                    <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                      {state && (
+                        <button
+                          onClick={() => updateState(alert, 'clear')}
+                          disabled={saving}
+                          className="px-3 py-1.5 text-xs font-medium bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+                        >
+                          Clear
+                        </button>
+                      )}
+                      {!alert.stale && (
+                        <button
+                          onClick={() => openEditor(alert.key)}
+                          className="px-3 py-1.5 text-xs font-medium bg-amber-100 text-amber-700 rounded-md hover:bg-amber-200 transition-colors"
+                        >
+                          {editing === alert.key ? 'Cancel' : state ? 'Change' : 'Silence…'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {editing === alert.key && (
+                  <div className="mt-3 bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-3">
+                    <input
+                      type="text"
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      placeholder="Reason (optional)"
+                      maxLength={500}
+                      className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <div className="flex flex-wrap items-center gap-2">
+                      <button
+                        onClick={() => updateState(alert, 'acknowledge')}
+                        disabled={saving}
+                        className="px-3 py-1.5 text-xs font-medium bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center space-x-1"
+                      >
+                        <Check className="w-3 h-3" />
+                        <span>Acknowledge</span>
+                      </button>
+                      <div className="flex items-center space-x-1">
+                        <input
+                          type="date"
+                          value={snoozeUntil}
+                          min={tomorrow}
+                          onChange={(e) => setSnoozeUntil(e.target.value)}
+                          className="px-2 py-1 text-xs border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        <button
+                          onClick={() => updateState(alert, 'snooze')}
+                          disabled={saving || !snoozeUntil}
+                          className="px-3 py-1.5 text-xs font-medium bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50 flex items-center space-x-1"
+                        >
+                          <Clock className="w-3 h-3" />
+                          <span>Snooze</span>
+                        </button>
+                      </div>
+                      <button
+                        onClick={() => updateState(alert, 'mute')}
+                        disabled={saving}
+                        className="px-3 py-1.5 text-xs font-medium bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50 flex items-center space-x-1"
+                      >
+                        <X className="w-3 h-3" />
+                        <span>Mute for billing period</span>
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { History, RefreshCw, CheckCircle, AlertTriangle, X } from 'lucide-react';
+
+const STATUS_STYLES = {
+  completed: 'text-green-600',
+  partial: 'text-orange-600',
+  failed: 'text-red-600',
+};
+
+/**
+ * Admin panel for the historical backfill job (/api/backfill).
+ * Polls the job while it runs and lists per-month results.
+ */
+function BackfillPanel() {
+  const [job, setJob] = useState(null);
+  const [months, setMonths] = useState(12);
+  const [overwrite, setOverwrite] = useState(false);
+  const [error, setError] = useState(null);
+  const [starting, setStarting] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await fetch('/api/backfill');
+      if (response.ok) {
+        setJob(await response.json());
+      }
+    } catch (err) {
+      console.error('Failed to load backfill status:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  useEffect(() => {
+    if (job?.status !== 'running') return undefined;
+    const interval = setInterval(loadStatus, 5000);
+    return () => clearInterval(interval);
+  }, [job?.status]);
+
+  const startBackfill = async () => {
+    setStarting(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/backfill', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ months, overwrite }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start backfill');
+      }
+      setJob(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const cancelBackfill = async () => {
+    const response = await fetch('/api/backfill/cancel', { method: 'POST' });
+    if (response.ok) {
+      setJob(await response.json());
+    }
+  };
+
+  const isRunning = job?.status === 'running';
+  const processed = job?.results?.length || 0;
+  const total = job?.months?.length || 0;
+
+  return (
+    <div className="space-y-4 pt-6 border-t border-gray-200">
+      <div className="flex items-start space-x-3">
+        <History className="w-5 h-5 text-blue-600 mt-0.5" />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Backfill History</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Rebuild monthly snapshots for months before the dashboard was deployed, from whatever the Cloudflare analytics
+            datasets still retain. Uses the saved configuration; one month is processed per minute.
+          </p>
+        </div>
+      </div>
+
+      <div className="ml-8 space-y-4">
+        <div className="flex items-end space-x-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Months</label>
+            <input
+              type="number"
+              value={months}
+              onChange={(e) => setMonths(e.target.value)}
+              className="w-24 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              min="1"
+              max="24"
+              disabled={isRunning}
+            />
+          </div>
+          <label className="flex items-center space-x-2 cursor-pointer pb-2">
+            <input
+              type="checkbox"
+              checked={overwrite}
+              onChange={(e) => setOverwrite(e.target.checked)}
+              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              disabled={isRunning}
+            />
+            <span className="text-sm text-gray-700">Overwrite existing snapshots</span>
+          </label>
+          {isRunning ? (
+            <button
+              type="button"
+              onClick={cancelBackfill}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center space-x-2"
+            >
+              <X className="w-4 h-4" />
+              <span>Cancel</span>
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={startBackfill}
+              disabled={starting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center space-x-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${starting ? 'animate-spin' : ''}`} />
+              <span>Start Backfill</span>
+            </button>
+          )}
+        </div>
+
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+
+        {job && job.status !== 'idle' && (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span className="font-medium text-gray-700">
+                {isRunning ? 'Running' : job.status.charAt(0).toUpperCase() + job.status.slice(1)} · {processed} of {total} months
+              </span>
+              <span className="text-xs text-gray-500">Started {new Date(job.startedAt).toLocaleString()}</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+              <div className="h-2 rounded-full bg-blue-600 transition-all" style={{ width: `${total ? (processed / total) * 100 : 0}%` }} />
+            </div>
+            {job.unsupported?.length > 0 && (
+              <div className="mb-3 text-xs text-gray-600 space-y-0.5">
+                <p className="font-medium text-gray-700">Not backfilled</p>
+                {job.unsupported.map(u => (
+                  <p key={u.product}>
+                    {u.label}{u.partial ? ' (partly)' : ''}: {u.reason}
+                  </p>
+                ))}
+              </div>
+            )}
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {job.results.map(result => {
+                const written = result.products.filter(p => p.status === 'written').length;
+                const skipped = result.products.filter(p => p.status === 'skipped').length;
+                const failures = result.products.filter(p => p.status === 'failed');
+                return (
+                  <div key={result.month} className="text-xs">
+                    <div className="flex items-center space-x-2">
+                      {result.status === 'completed' ? (
+                        <CheckCircle className="w-3 h-3 text-green-600" />
+                      ) : (
+                        <AlertTriangle className={`w-3 h-3 ${STATUS_STYLES[result.status]}`} />
+                      )}
+                      <span className="font-medium text-gray-900 w-16">{result.month}</span>
+                      <span className={STATUS_STYLES[result.status]}>{result.status}</span>
+                      <span className="text-gray-500">
+                        {written} written, {skipped} already stored
+                      </span>
+                    </div>
+                    {failures.map(f => (
+                      <p key={`${f.product}-${f.scope}`} className="ml-5 text-red-600 truncate" title={f.error}>
+                        {f.product}{f.scope ? ` (${f.scope})` : ''}: {f.error}
+                      </p>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BackfillPanel;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { TrendingUp, AlertCircle } from 'lucide-react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+} from 'recharts';
+import { format } from 'date-fns';
+import { formatNumber } from '../utils/formatters';
+
+/**
+ * Cumulative day-by-day usage for the current month against each metric's threshold.
+ * `metrics` is a list of { dataKey, label, threshold, color, formatter } for fields returned
+ * by /api/metrics/daily for `product`.
+ */
+function BurnUpChart({ product, accountId = null, metrics, refreshKey = null }) {
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchDaily = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch('/api/metrics/daily', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ product, accountId }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch daily usage');
+        }
+        if (!cancelled) setSeries(data);
+      } catch (err) {
+        console.error('Error fetching daily usage:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchDaily();
+    return () => {
+      cancelled = true;
+    };
+  }, [product, accountId, refreshKey]);
+
+  const visibleMetrics = (metrics || []).filter(m => !series || series.fields.includes(m.dataKey));
+  if (visibleMetrics.length === 0) return null;
+
+  const [year, month] = (series?.month || format(new Date(), 'yyyy-MM')).split('-').map(n => parseInt(n, 10));
+  const daysInMonth = new Date(year, month, 0).getDate();
+
+  // One point per day of the month; days after today have no actual value
+  const buildChartData = ({ dataKey, threshold }) => {
+    let running = 0;
+    return Array.from({ length: daysInMonth }, (_, i) => {
+      const day = series?.days?.[i];
+      if (day) running += day[dataKey] || 0;
+      return {
+        day: i + 1,
+        actual: day ? running : null,
+        daily: day ? day[dataKey] || 0 : null,
+        proRata: threshold ? (threshold * (i + 1)) / daysInMonth : null,
+      };
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl border-2 border-gray-200 shadow-sm">
+      <div className="p-6">
+        <div className="flex items-center space-x-3 mb-1">
+          <div className="p-2 rounded-lg bg-blue-50 text-blue-600">
+            <TrendingUp className="w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Daily Burn-up</h3>
+            <p className="text-sm text-gray-500">
+              Cumulative usage for {format(new Date(year, month - 1, 1), 'MMMM yyyy')} against the monthly threshold
+            </p>
+          </div>
+        </div>
+
+        {loading && !series && <p className="text-sm text-gray-500 mt-4">Loading daily usage...</p>}
+
+        {error && (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
+            <p className="text-xs text-red-700 flex items-center space-x-1">
+              <AlertCircle className="w-3 h-3" />
+              <span>{error}</span>
+            </p>
+          </div>
+        )}
+
+        {series?.failedAccounts?.length > 0 && (
+          <p className="text-xs text-orange-600 mt-2">
+            Daily data unavailable for {series.failedAccounts.length} account(s); totals may be incomplete.
+          </p>
+        )}
+
+        {series &&
+          visibleMetrics.map(metric => {
+            const chartData = buildChartData(metric);
+            const formatValue = metric.formatter || formatNumber;
+            const today = chartData.filter(d => d.actual !== null).pop();
+            const expected = today && metric.threshold ? today.proRata : null;
+            const isAhead = expected !== null && today.actual > expected;
+            const maxValue = Math.max(metric.threshold || 0, today?.actual || 0) * 1.1;
+
+            const CustomTooltip = ({ active, payload }) => {
+              if (!active || !payload || !payload.length) return null;
+              const point = payload[0].payload;
+              return (
+                <div className="bg-white border border-gray-200 rounded-lg shadow-lg p-3">
+                  <p className="text-sm font-medium text-gray-900 mb-1">
+                    {format(new Date(year, month - 1, point.day), 'MMM dd, yyyy')}
+                  </p>
+                  {point.actual !== null && (
+                    <>
+                      <p className="text-sm text-gray-600">Month to date: {formatValue(point.actual)}</p>
+                      <p className="text-xs text-gray-500">That day: {formatValue(point.daily)}</p>
+                    </>
+                  )}
+                  {point.proRata !== null && (
+                    <p className="text-xs text-gray-500">Pro-rata threshold: {formatValue(point.proRata)}</p>
+                  )}
+                </div>
+              );
+            };
+
+            return (
+              <div key={metric.dataKey} className="mt-4 pt-4 border-t border-gray-100">
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="text-sm font-medium text-gray-700">{metric.label}</h4>
+                  {expected !== null && (
+                    <span className={`text-xs font-medium ${isAhead ? 'text-orange-600' : 'text-green-600'}`}>
+                      {isAhead ? 'Ahead of' : 'Within'} pro-rata pace (day {today.day} of {daysInMonth})
+                    </span>
+                  )}
+                </div>
+                <ResponsiveContainer width="100%" height={220}>
+                  <ComposedChart data={chartData}>
+                    <defs>
+                      <linearGradient id={`burnup-${product}-${metric.dataKey}`} x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="5%" stopColor={metric.color} stopOpacity={0.3} />
+                        <stop offset="95%" stopColor={metric.color} stopOpacity={0} />
+                      </linearGradient>
+                    </defs>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="day" stroke="#6b7280" style={{ fontSize: '11px' }} />
+                    <YAxis
+                      domain={[0, maxValue || 'auto']}
+                      tickFormatter={formatValue}
+                      stroke="#6b7280"
+                      style={{ fontSize: '11px' }}
+                    />
+                    <Tooltip content={<CustomTooltip />} />
+                    {metric.threshold && (
+                      <ReferenceLine y={metric.threshold} stroke="#4b5563" strokeDasharray="5 5" strokeWidth={2} />
+                    )}
+                    {metric.threshold && (
+                      <Line
+                        type="linear"
+                        dataKey="proRata"
+                        stroke="#9ca3af"
+                        strokeWidth={1}
+                        strokeDasharray="2 4"
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    )}
+                    <Area
+                      type="monotone"
+                      dataKey="actual"
+                      stroke={metric.color}
+                      strokeWidth={2}
+                      fill={`url(#burnup-${product}-${metric.dataKey})`}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+                {metric.threshold && (
+                  <div className="mt-2 flex items-center justify-center space-x-4">
+                    <div className="flex items-center space-x-2">
+                      <div className="w-6 border-t-2 border-dashed border-gray-600"></div>
+                      <span className="text-xs text-gray-600">Threshold</span>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <div className="w-6 border-t border-dotted border-gray-400"></div>
+                      <span className="text-xs text-gray-600">Pro-rata pace</span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+      </div>
+    </div>
+  );
+}
+
+export default BurnUpChart;
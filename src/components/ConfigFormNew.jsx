@@ -2,8 +2,57 @@ import React, { useState, useEffect } from 'react';
 import { Save, X, TrendingUp, Key, AlertTriangle, Plus, Trash2, RefreshCw, CheckCircle, ChevronRight, ChevronLeft, Bell } from 'lucide-react';
 import { MessageSquare } from 'lucide-react';
 import { SERVICE_CATEGORIES, SERVICE_METADATA, APPLICATION_SERVICES_SKUS } from '../constants/services';
+import { PRODUCT_SECTIONS, getServiceProducts, getProductConfig, isCoreSectionEnabled } from '../constants/skus';
+import BackfillPanel from './BackfillPanel';
+import ConfigHistoryPanel from './ConfigHistoryPanel';
+import TokenDiagnosticsPanel from './TokenDiagnosticsPanel';
+import { CHANNEL_TYPES, EMAIL_RECIPIENT_TYPES, getNotificationChannels, validateChannel, parseRecipients } from '../utils/notifications';
+import { DEFAULT_PAGERDUTY_TIERS, PAGERDUTY_SEVERITIES } from '../utils/pagerduty';
+import { DEFAULT_ALERT_TIERS, SUGGESTED_ALERT_TIERS, PRODUCT_ALERT_SKUS, parseAlertTiers } from '../utils/alerts';
+import { DIGEST_FREQUENCIES, WEEKDAYS, DEFAULT_DIGEST_WEEKDAY } from '../utils/digest';
+import { ACCOUNT_TOKEN_SECRET_PREFIX, CONFIG_SCHEMA_VERSION, validateConfig } from '../utils/schema';
+
+/**
+ * Form error key for a schema error path, so it also shows next to the field it is about
+ */
+function getFormErrorKey(path) {
+  if (path.startsWith('accountIds') || path.startsWith('accountTokens')) return 'accountIds';
+  if (path.startsWith('contract')) return 'contract';
+  if (path.startsWith('alertTiers.')) return path;
+  if (/^applicationServices\.core\.(primary|secondary)Zones$/.test(path)) return 'zoneBreakdown';
+  const channel = path.match(/^notificationChannels\[(.+)\]/);
+  return channel ? `channel.${channel[1]}` : null;
+}
+
+/**
+ * Form value of a stored threshold, in the unit the form asks for (the registry's `input`)
+ */
+function toInputValue(stored, value) {
+  if (!stored) return '';
+  return value.input ? parseFloat((stored / value.input).toFixed(6)) : stored;
+}
+
+/**
+ * Stored threshold of a form value, or null when left empty
+ */
+function toStoredValue(input, value) {
+  if (!input) return null;
+  const stored = Number(input) * (value.input || 1);
+  return value.input || value.format === 'count' ? Math.round(stored) : stored;
+}
 
-function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
+/**
+ * Settings of every registry product section (PRODUCT_SECTIONS), nested by config path
+ */
+function buildProductSections(getSettings) {
+  return PRODUCT_SECTIONS.reduce((result, section) => {
+    const parent = section.configPath.slice(0, -1).reduce((node, key) => (node[key] ||= {}), result);
+    parent[section.configPath[section.configPath.length - 1]] = getSettings(section);
+    return result;
+  }, {});
+}
+
+function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones, onRollback }) {
   // Configuration step: 1 = Account IDs, 2 = Notifications, 3 = Service Thresholds
   const [configStep, setConfigStep] = useState(initialConfig?.accountIds?.length > 0 ? 3 : 1);
   
@@ -44,202 +93,60 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
     return `Account ${accountId.substring(0, 8)}...`;
   };
 
-  // Migrate old single accountId to accountIds array
   const getInitialAccountIds = () => {
-    if (initialConfig?.accountIds && Array.isArray(initialConfig.accountIds)) {
-      return initialConfig.accountIds;
-    }
-    if (initialConfig?.accountId) {
-      return [initialConfig.accountId];
-    }
-    return [''];
+    return initialConfig?.accountIds?.length ? initialConfig.accountIds : [''];
   };
 
   const [formData, setFormData] = useState({
     accountIds: getInitialAccountIds(),
+    accountTokens: initialConfig?.accountTokens || {},
     
-    // Application Services thresholds
-    applicationServices: {
-      // Core SKUs
-      core: {
-        enabled: initialConfig?.applicationServices?.core?.enabled !== false,
-        trafficEnabled: initialConfig?.applicationServices?.core?.trafficEnabled !== undefined ? initialConfig.applicationServices.core.trafficEnabled : (initialConfig?.applicationServices?.core?.enabled !== false),
-        dnsEnabled: initialConfig?.applicationServices?.core?.dnsEnabled !== undefined ? initialConfig.applicationServices.core.dnsEnabled : (initialConfig?.applicationServices?.core?.enabled !== false),
-        thresholdZones: initialConfig?.thresholdZones || initialConfig?.applicationServices?.core?.thresholdZones || '',
-        primaryZones: initialConfig?.primaryZones || initialConfig?.applicationServices?.core?.primaryZones || '',
-        secondaryZones: initialConfig?.secondaryZones || initialConfig?.applicationServices?.core?.secondaryZones || '',
-        thresholdRequests: initialConfig?.thresholdRequests 
-          ? (initialConfig.thresholdRequests / 1e6) 
-          : (initialConfig?.applicationServices?.core?.thresholdRequests ? (initialConfig.applicationServices.core.thresholdRequests / 1e6) : ''),
-        thresholdBandwidth: initialConfig?.thresholdBandwidth 
-          ? parseFloat((initialConfig.thresholdBandwidth / (1000 ** 4)).toFixed(6))
-          : (initialConfig?.applicationServices?.core?.thresholdBandwidth ? parseFloat((initialConfig.applicationServices.core.thresholdBandwidth / (1000 ** 4)).toFixed(6)) : ''),
-        thresholdDnsQueries: initialConfig?.thresholdDnsQueries 
-          ? (initialConfig.thresholdDnsQueries / 1e6) 
-          : (initialConfig?.applicationServices?.core?.thresholdDnsQueries ? (initialConfig.applicationServices.core.thresholdDnsQueries / 1e6) : ''),
-      },
-      
-      // Add-on SKUs
-      botManagement: {
-        enabled: initialConfig?.applicationServices?.botManagement?.enabled || false,
-        threshold: initialConfig?.applicationServices?.botManagement?.threshold ? (initialConfig.applicationServices.botManagement.threshold / 1e6) : '',
-        zones: initialConfig?.applicationServices?.botManagement?.zones || [],
-      },
-      apiShield: {
-        enabled: initialConfig?.applicationServices?.apiShield?.enabled || false,
-        threshold: initialConfig?.applicationServices?.apiShield?.threshold ? (initialConfig.applicationServices.apiShield.threshold / 1e6) : '',
-        zones: initialConfig?.applicationServices?.apiShield?.zones || [],
-      },
-      pageShield: {
-        enabled: initialConfig?.applicationServices?.pageShield?.enabled || false,
-        threshold: initialConfig?.applicationServices?.pageShield?.threshold ? (initialConfig.applicationServices.pageShield.threshold / 1e6) : '',
-        zones: initialConfig?.applicationServices?.pageShield?.zones || [],
-      },
-      advancedRateLimiting: {
-        enabled: initialConfig?.applicationServices?.advancedRateLimiting?.enabled || false,
-        threshold: initialConfig?.applicationServices?.advancedRateLimiting?.threshold ? (initialConfig.applicationServices.advancedRateLimiting.threshold / 1e6) : '',
-        zones: initialConfig?.applicationServices?.advancedRateLimiting?.zones || [],
-      },
-      argo: {
-        enabled: initialConfig?.applicationServices?.argo?.enabled || false,
-        threshold: initialConfig?.applicationServices?.argo?.threshold ? (initialConfig.applicationServices.argo.threshold / 1e12) : '',
-        zones: initialConfig?.applicationServices?.argo?.zones || [],
-      },
-      loadBalancing: {
-        enabled: initialConfig?.applicationServices?.loadBalancing?.enabled || false,
-        threshold: initialConfig?.applicationServices?.loadBalancing?.threshold || '',
-        accountIds: initialConfig?.applicationServices?.loadBalancing?.accountIds || [],
-      },
-      customHostnames: {
-        enabled: initialConfig?.applicationServices?.customHostnames?.enabled || false,
-        threshold: initialConfig?.applicationServices?.customHostnames?.threshold || '',
-        accountIds: initialConfig?.applicationServices?.customHostnames?.accountIds || [],
-      },
-      logExplorer: {
-        enabled: initialConfig?.applicationServices?.logExplorer?.enabled || false,
-        threshold: initialConfig?.applicationServices?.logExplorer?.threshold || '',
-        accountIds: initialConfig?.applicationServices?.logExplorer?.accountIds || [],
-      },
-      cacheReserve: {
-        enabled: initialConfig?.applicationServices?.cacheReserve?.enabled || false,
-        storageThreshold: initialConfig?.applicationServices?.cacheReserve?.storageThreshold || '',
-        classAOpsThreshold: initialConfig?.applicationServices?.cacheReserve?.classAOpsThreshold ? initialConfig.applicationServices.cacheReserve.classAOpsThreshold / 1e6 : '',
-        classBOpsThreshold: initialConfig?.applicationServices?.cacheReserve?.classBOpsThreshold ? initialConfig.applicationServices.cacheReserve.classBOpsThreshold / 1e6 : '',
-        zones: initialConfig?.applicationServices?.cacheReserve?.zones || [],
-      },
-    },
-    
-    // Zero Trust thresholds
-    zeroTrust: {
-      seats: {
-        enabled: initialConfig?.zeroTrust?.seats?.enabled || false,
-        threshold: initialConfig?.zeroTrust?.seats?.threshold || '',
-        accountIds: initialConfig?.zeroTrust?.seats?.accountIds || [],
-      },
-    },
-    
-    // Network Services thresholds
-    networkServices: {
-      magicTransit: {
-        enabled: initialConfig?.networkServices?.magicTransit?.enabled || false,
-        egressEnabled: initialConfig?.networkServices?.magicTransit?.egressEnabled || false,
-        threshold: initialConfig?.networkServices?.magicTransit?.threshold || '',
-        egressThreshold: initialConfig?.networkServices?.magicTransit?.egressThreshold || '',
-        accountIds: initialConfig?.networkServices?.magicTransit?.accountIds || [],
-      },
-      magicWan: {
-        enabled: initialConfig?.networkServices?.magicWan?.enabled || false,
-        threshold: initialConfig?.networkServices?.magicWan?.threshold || '',
-        accountIds: initialConfig?.networkServices?.magicWan?.accountIds || [],
-      },
-      spectrum: {
-        enabled: initialConfig?.networkServices?.spectrum?.enabled || false,
-        dataTransferThreshold: initialConfig?.networkServices?.spectrum?.dataTransferThreshold || '',
-        connectionsThreshold: initialConfig?.networkServices?.spectrum?.connectionsThreshold || '',
-        zones: initialConfig?.networkServices?.spectrum?.zones || [],
-      },
-    },
-    
-    // Developer Services thresholds
-    developerServices: {
-      workersPages: {
-        enabled: initialConfig?.developerServices?.workersPages?.enabled || false,
-        requestsThreshold: initialConfig?.developerServices?.workersPages?.requestsThreshold || '',
-        cpuTimeThreshold: initialConfig?.developerServices?.workersPages?.cpuTimeThreshold || '',
-        accountIds: initialConfig?.developerServices?.workersPages?.accountIds || [],
-      },
-      r2Storage: {
-        enabled: initialConfig?.developerServices?.r2Storage?.enabled || false,
-        classAOpsThreshold: initialConfig?.developerServices?.r2Storage?.classAOpsThreshold || '',
-        classBOpsThreshold: initialConfig?.developerServices?.r2Storage?.classBOpsThreshold || '',
-        storageThreshold: initialConfig?.developerServices?.r2Storage?.storageThreshold || '',
-        accountIds: initialConfig?.developerServices?.r2Storage?.accountIds || [],
-      },
-      d1: {
-        enabled: initialConfig?.developerServices?.d1?.enabled || false,
-        rowsReadThreshold: initialConfig?.developerServices?.d1?.rowsReadThreshold || '',
-        rowsWrittenThreshold: initialConfig?.developerServices?.d1?.rowsWrittenThreshold || '',
-        storageThreshold: initialConfig?.developerServices?.d1?.storageThreshold || '',
-        accountIds: initialConfig?.developerServices?.d1?.accountIds || [],
-      },
-      kv: {
-        enabled: initialConfig?.developerServices?.kv?.enabled || false,
-        readsThreshold: initialConfig?.developerServices?.kv?.readsThreshold || '',
-        writesThreshold: initialConfig?.developerServices?.kv?.writesThreshold || '',
-        deletesThreshold: initialConfig?.developerServices?.kv?.deletesThreshold || '',
-        listsThreshold: initialConfig?.developerServices?.kv?.listsThreshold || '',
-        storageThreshold: initialConfig?.developerServices?.kv?.storageThreshold || '',
-        accountIds: initialConfig?.developerServices?.kv?.accountIds || [],
-      },
-      stream: {
-        enabled: initialConfig?.developerServices?.stream?.enabled || false,
-        minutesStoredThreshold: initialConfig?.developerServices?.stream?.minutesStoredThreshold || '',
-        minutesDeliveredThreshold: initialConfig?.developerServices?.stream?.minutesDeliveredThreshold || '',
-        accountIds: initialConfig?.developerServices?.stream?.accountIds || [],
-      },
-      images: {
-        enabled: initialConfig?.developerServices?.images?.enabled || false,
-        imagesStoredThreshold: initialConfig?.developerServices?.images?.imagesStoredThreshold || '',
-        imagesDeliveredThreshold: initialConfig?.developerServices?.images?.imagesDeliveredThreshold || '',
-        accountIds: initialConfig?.developerServices?.images?.accountIds || [],
-      },
-      workersAI: {
-        enabled: initialConfig?.developerServices?.workersAI?.enabled || false,
-        neuronsThreshold: initialConfig?.developerServices?.workersAI?.neuronsThreshold || '',
-        accountIds: initialConfig?.developerServices?.workersAI?.accountIds || [],
-      },
-      queues: {
-        enabled: initialConfig?.developerServices?.queues?.enabled || false,
-        operationsThreshold: initialConfig?.developerServices?.queues?.operationsThreshold || '',
-        accountIds: initialConfig?.developerServices?.queues?.accountIds || [],
-      },
-      workersLogsTraces: {
-        enabled: initialConfig?.developerServices?.workersLogsTraces?.enabled || false,
-        eventsThreshold: initialConfig?.developerServices?.workersLogsTraces?.eventsThreshold || '',
-        accountIds: initialConfig?.developerServices?.workersLogsTraces?.accountIds || [],
-      },
-      durableObjects: {
-        enabled: initialConfig?.developerServices?.durableObjects?.enabled || false,
-        sqliteEnabled: initialConfig?.developerServices?.durableObjects?.sqliteEnabled || false,
-        kvStorageEnabled: initialConfig?.developerServices?.durableObjects?.kvStorageEnabled || false,
-        requestsThreshold: initialConfig?.developerServices?.durableObjects?.requestsThreshold || '',
-        durationThreshold: initialConfig?.developerServices?.durableObjects?.durationThreshold || '',
-        sqliteRowsReadThreshold: initialConfig?.developerServices?.durableObjects?.sqliteRowsReadThreshold || '',
-        sqliteRowsWrittenThreshold: initialConfig?.developerServices?.durableObjects?.sqliteRowsWrittenThreshold || '',
-        kvReadUnitsThreshold: initialConfig?.developerServices?.durableObjects?.kvReadUnitsThreshold || '',
-        kvWriteUnitsThreshold: initialConfig?.developerServices?.durableObjects?.kvWriteUnitsThreshold || '',
-        kvDeletesThreshold: initialConfig?.developerServices?.durableObjects?.kvDeletesThreshold || '',
-        storageThreshold: initialConfig?.developerServices?.durableObjects?.storageThreshold || '',
-        accountIds: initialConfig?.developerServices?.durableObjects?.accountIds || [],
-      },
+    // Product sections from the registry, thresholds in the units the form asks for
+    ...buildProductSections(section => {
+      const settings = getProductConfig(initialConfig, section);
+      return {
+        ...Object.fromEntries(section.flags.map(flag => [flag, section.core ? isCoreSectionEnabled(initialConfig, flag) : !!settings[flag]])),
+        ...Object.fromEntries(section.settings.map(field => [field, settings[field] || ''])),
+        ...Object.fromEntries(section.thresholds.map(value => [value.threshold, toInputValue(settings[value.threshold], value)])),
+        ...(section.list ? { [section.list]: settings[section.list] || [] } : {}),
+      };
+    }),
+
+    // Contract period (annual commit tracking)
+    contract: {
+      enabled: initialConfig?.contract?.enabled || false,
+      startDate: initialConfig?.contract?.startDate?.slice(0, 7) || '',
+      termMonths: initialConfig?.contract?.termMonths || 12,
+      entitlementMode: initialConfig?.contract?.entitlementMode || 'monthly',
+      rollover: initialConfig?.contract?.rollover || false,
     },
-    
-    slackEnabled: !!initialConfig?.slackWebhook,
-    slackWebhook: initialConfig?.slackWebhook || '',
+
+    notificationChannels: getNotificationChannels(initialConfig, { enabledOnly: false }),
     alertFrequency: initialConfig?.alertFrequency || 'monthly',
+    forecastAlertsEnabled: initialConfig?.forecastAlertsEnabled || false,
+    anomalyAlertsEnabled: initialConfig?.anomalyAlertsEnabled || false,
+    digest: {
+      enabled: initialConfig?.digest?.enabled || false,
+      frequency: initialConfig?.digest?.frequency || 'weekly',
+      weekday: initialConfig?.digest?.weekday ?? DEFAULT_DIGEST_WEEKDAY,
+      channelIds: initialConfig?.digest?.channelIds || [],
+    },
+    alertTiers: initialConfig?.alertTiers || {},
   });
 
   const [errors, setErrors] = useState({});
+  const [schemaErrors, setSchemaErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [testingChannel, setTestingChannel] = useState(null);
+  const [tokenInfo, setTokenInfo] = useState(null);
+
+  // Named token secrets accounts can be bound to (names only, never values)
+  useEffect(() => {
+    fetch('/api/tokens')
+      .then(response => (response.ok ? response.json() : null))
+      .then(setTokenInfo)
+      .catch(() => setTokenInfo(null));
+  }, []);
 
   // Load zones on mount if account IDs are already configured (only if not cached)
   useEffect(() => {
@@ -258,6 +165,7 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
             body: JSON.stringify({
               accountIds: validAccountIds,
               accountId: validAccountIds[0],
+              accountTokens: formData.accountTokens,
             }),
           });
 
@@ -302,16 +210,94 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
   };
 
   const removeAccountId = (index) => {
+    setFormData(prev => {
+      const { [prev.accountIds[index]]: removed, ...accountTokens } = prev.accountTokens;
+      return {
+        ...prev,
+        accountIds: prev.accountIds.filter((_, i) => i !== index),
+        accountTokens,
+      };
+    });
+  };
+
+  const updateAccountId = (index, value) => {
+    setFormData(prev => {
+      // The token binding follows the account while its ID is edited
+      const { [prev.accountIds[index]]: token, ...accountTokens } = prev.accountTokens;
+      return {
+        ...prev,
+        accountIds: prev.accountIds.map((id, i) => i === index ? value : id),
+        accountTokens: token ? { ...accountTokens, [value]: token } : accountTokens,
+      };
+    });
+  };
+
+  const updateAccountToken = (accountId, name) => {
+    setFormData(prev => {
+      const { [accountId]: previous, ...accountTokens } = prev.accountTokens;
+      return { ...prev, accountTokens: name ? { ...accountTokens, [accountId]: name } : accountTokens };
+    });
+  };
+
+  const addChannel = () => {
     setFormData(prev => ({
       ...prev,
-      accountIds: prev.accountIds.filter((_, i) => i !== index)
+      notificationChannels: [
+        ...prev.notificationChannels,
+        { id: `ch-${Date.now().toString(36)}`, name: '', type: 'slack', url: '', enabled: true },
+      ],
     }));
   };
 
-  const updateAccountId = (index, value) => {
+  const updateDigest = (changes) => {
+    setFormData(prev => ({ ...prev, digest: { ...prev.digest, ...changes } }));
+  };
+
+  const toggleDigestChannel = (channelId, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      digest: {
+        ...prev.digest,
+        channelIds: checked ? [...prev.digest.channelIds, channelId] : prev.digest.channelIds.filter(id => id !== channelId),
+      },
+    }));
+  };
+
+  const removeChannel = (index) => {
     setFormData(prev => ({
       ...prev,
-      accountIds: prev.accountIds.map((id, i) => i === index ? value : id)
+      notificationChannels: prev.notificationChannels.filter((_, i) => i !== index),
+    }));
+  };
+
+  const updateChannel = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      notificationChannels: prev.notificationChannels.map((channel, i) => (i === index ? { ...channel, ...changes } : channel)),
+    }));
+  };
+
+  const testChannel = async (channel) => {
+    setTestingChannel(channel.id);
+    try {
+      const response = await fetch('/api/notifications/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channel }),
+      });
+      const result = await response.json();
+      alert(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+    } catch (error) {
+      alert('❌ Failed to send test notification. Please try again.');
+    } finally {
+      setTestingChannel(null);
+    }
+  };
+
+  const updateAlertTier = (skuKey, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      alertTiers: { ...prev.alertTiers, [skuKey]: { enabled: true, tiers: DEFAULT_ALERT_TIERS, ...prev.alertTiers[skuKey], ...changes } },
     }));
   };
 
@@ -554,6 +540,7 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
         body: JSON.stringify({
           accountIds: validAccountIds,
           accountId: validAccountIds[0], // Legacy fallback
+          accountTokens: formData.accountTokens,
         }),
       });
 
@@ -598,194 +585,127 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
       }
     }
 
-    // Validate Slack webhook
-    if (formData.slackEnabled && formData.slackWebhook && !formData.slackWebhook.startsWith('https://hooks.slack.com/')) {
-      newErrors.slackWebhook = 'Invalid Slack webhook URL';
+    // Validate contract period
+    if (formData.contract.enabled) {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(formData.contract.startDate)) {
+        newErrors.contract = 'Contract start month is required';
+      } else if (!(parseInt(formData.contract.termMonths, 10) >= 1)) {
+        newErrors.contract = 'Contract term must be at least 1 month';
+      }
     }
 
+    // Validate alert tiers
+    Object.entries(formData.alertTiers).forEach(([skuKey, entry]) => {
+      if (entry.enabled !== false && String(entry.tiers ?? '').trim() && parseAlertTiers(entry.tiers).length === 0) {
+        newErrors[`alertTiers.${skuKey}`] = 'Enter percentages between 1 and 1000, e.g. 50, 75, 90';
+      }
+    });
+
+    // Validate notification channels
+    formData.notificationChannels.forEach(channel => {
+      const channelError = validateChannel(channel);
+      if (channelError) {
+        newErrors[`channel.${channel.id}`] = channelError;
+      }
+    });
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = (e) => {
+  // Schema errors are keyed by config path; the ones the form has a field for show there too
+  const showSchemaErrors = (pathErrors) => {
+    const formErrors = {};
+    Object.entries(pathErrors).forEach(([path, message]) => {
+      const key = getFormErrorKey(path);
+      if (key && !formErrors[key]) formErrors[key] = message;
+    });
+    setErrors(prev => ({ ...prev, ...formErrors }));
+    setSchemaErrors(pathErrors);
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    setSchemaErrors({});
     
     if (validate()) {
       const validAccountIds = formData.accountIds.filter(id => id.trim());
       
       const config = {
+        schemaVersion: CONFIG_SCHEMA_VERSION,
         accountIds: validAccountIds,
+        accountTokens: Object.fromEntries(
+          Object.entries(formData.accountTokens).filter(([accountId, name]) => name && validAccountIds.includes(accountId))
+        ),
         
-        // Application Services (new structured format)
-        applicationServices: {
-          core: {
-            enabled: formData.applicationServices.core.enabled,
-            trafficEnabled: formData.applicationServices.core.trafficEnabled,
-            dnsEnabled: formData.applicationServices.core.dnsEnabled,
-            thresholdZones: formData.applicationServices.core.thresholdZones ? parseInt(formData.applicationServices.core.thresholdZones, 10) : null,
-            primaryZones: formData.applicationServices.core.primaryZones ? parseInt(formData.applicationServices.core.primaryZones, 10) : null,
-            secondaryZones: formData.applicationServices.core.secondaryZones ? parseInt(formData.applicationServices.core.secondaryZones, 10) : null,
-            thresholdRequests: formData.applicationServices.core.thresholdRequests ? Math.round(parseFloat(formData.applicationServices.core.thresholdRequests) * 1e6) : null,
-            thresholdBandwidth: formData.applicationServices.core.thresholdBandwidth ? Math.round(parseFloat(formData.applicationServices.core.thresholdBandwidth) * (1000 ** 4)) : null,
-            thresholdDnsQueries: formData.applicationServices.core.thresholdDnsQueries ? Math.round(parseFloat(formData.applicationServices.core.thresholdDnsQueries) * 1e6) : null,
-          },
-          botManagement: {
-            enabled: formData.applicationServices.botManagement.enabled,
-            threshold: formData.applicationServices.botManagement.threshold ? Math.round(parseFloat(formData.applicationServices.botManagement.threshold) * 1e6) : null,
-            zones: formData.applicationServices.botManagement.zones,
-          },
-          apiShield: {
-            enabled: formData.applicationServices.apiShield.enabled,
-            threshold: formData.applicationServices.apiShield.threshold ? Math.round(parseFloat(formData.applicationServices.apiShield.threshold) * 1e6) : null,
-            zones: formData.applicationServices.apiShield.zones,
-          },
-          pageShield: {
-            enabled: formData.applicationServices.pageShield.enabled,
-            threshold: formData.applicationServices.pageShield.threshold ? Math.round(parseFloat(formData.applicationServices.pageShield.threshold) * 1e6) : null,
-            zones: formData.applicationServices.pageShield.zones,
-          },
-          advancedRateLimiting: {
-            enabled: formData.applicationServices.advancedRateLimiting.enabled,
-            threshold: formData.applicationServices.advancedRateLimiting.threshold ? Math.round(parseFloat(formData.applicationServices.advancedRateLimiting.threshold) * 1e6) : null,
-            zones: formData.applicationServices.advancedRateLimiting.zones,
-          },
-          argo: {
-            enabled: formData.applicationServices.argo.enabled,
-            threshold: formData.applicationServices.argo.threshold ? parseFloat(formData.applicationServices.argo.threshold) * 1e12 : null,
-            zones: formData.applicationServices.argo.zones,
-          },
-          loadBalancing: {
-            enabled: formData.applicationServices.loadBalancing.enabled,
-            threshold: formData.applicationServices.loadBalancing.threshold ? parseInt(formData.applicationServices.loadBalancing.threshold, 10) : null,
-            accountIds: formData.applicationServices.loadBalancing.accountIds || [],
-          },
-          customHostnames: {
-            enabled: formData.applicationServices.customHostnames.enabled,
-            threshold: formData.applicationServices.customHostnames.threshold ? parseInt(formData.applicationServices.customHostnames.threshold, 10) : null,
-            accountIds: formData.applicationServices.customHostnames.accountIds || [],
-          },
-          logExplorer: {
-            enabled: formData.applicationServices.logExplorer.enabled,
-            threshold: formData.applicationServices.logExplorer.threshold ? parseFloat(formData.applicationServices.logExplorer.threshold) : null,
-            accountIds: formData.applicationServices.logExplorer.accountIds || [],
-          },
-          cacheReserve: {
-            enabled: formData.applicationServices.cacheReserve.enabled,
-            storageThreshold: formData.applicationServices.cacheReserve.storageThreshold ? parseFloat(formData.applicationServices.cacheReserve.storageThreshold) : null,
-            classAOpsThreshold: formData.applicationServices.cacheReserve.classAOpsThreshold ? parseFloat(formData.applicationServices.cacheReserve.classAOpsThreshold) * 1e6 : null,
-            classBOpsThreshold: formData.applicationServices.cacheReserve.classBOpsThreshold ? parseFloat(formData.applicationServices.cacheReserve.classBOpsThreshold) * 1e6 : null,
-            zones: formData.applicationServices.cacheReserve.zones,
-          },
-        },
-        
-        // Zero Trust
-        zeroTrust: {
-          seats: {
-            enabled: formData.zeroTrust.seats.enabled,
-            threshold: formData.zeroTrust.seats.threshold ? parseInt(formData.zeroTrust.seats.threshold, 10) : null,
-            accountIds: formData.zeroTrust.seats.accountIds || [],
-          },
-        },
-        // Network Services
-        networkServices: {
-          magicTransit: {
-            enabled: formData.networkServices.magicTransit.enabled,
-            egressEnabled: formData.networkServices.magicTransit.egressEnabled || false,
-            threshold: formData.networkServices.magicTransit.threshold ? parseInt(formData.networkServices.magicTransit.threshold, 10) : null,
-            egressThreshold: formData.networkServices.magicTransit.egressThreshold ? parseInt(formData.networkServices.magicTransit.egressThreshold, 10) : null,
-            accountIds: formData.networkServices.magicTransit.accountIds || [],
-          },
-          magicWan: {
-            enabled: formData.networkServices.magicWan.enabled,
-            threshold: formData.networkServices.magicWan.threshold ? parseInt(formData.networkServices.magicWan.threshold, 10) : null,
-            accountIds: formData.networkServices.magicWan.accountIds || [],
-          },
-          spectrum: {
-            enabled: formData.networkServices.spectrum.enabled,
-            dataTransferThreshold: formData.networkServices.spectrum.dataTransferThreshold ? Number(formData.networkServices.spectrum.dataTransferThreshold) : null,
-            connectionsThreshold: formData.networkServices.spectrum.connectionsThreshold ? Number(formData.networkServices.spectrum.connectionsThreshold) : null,
-            zones: formData.networkServices.spectrum.zones || [],
-          },
-        },
-        developerServices: {
-          workersPages: {
-            enabled: formData.developerServices.workersPages.enabled,
-            requestsThreshold: formData.developerServices.workersPages.requestsThreshold ? Number(formData.developerServices.workersPages.requestsThreshold) : null,
-            cpuTimeThreshold: formData.developerServices.workersPages.cpuTimeThreshold ? Number(formData.developerServices.workersPages.cpuTimeThreshold) : null,
-            accountIds: formData.developerServices.workersPages.accountIds || [],
-          },
-          r2Storage: {
-            enabled: formData.developerServices.r2Storage.enabled,
-            classAOpsThreshold: formData.developerServices.r2Storage.classAOpsThreshold ? Number(formData.developerServices.r2Storage.classAOpsThreshold) : null,
-            classBOpsThreshold: formData.developerServices.r2Storage.classBOpsThreshold ? Number(formData.developerServices.r2Storage.classBOpsThreshold) : null,
-            storageThreshold: formData.developerServices.r2Storage.storageThreshold ? Number(formData.developerServices.r2Storage.storageThreshold) : null,
-            accountIds: formData.developerServices.r2Storage.accountIds || [],
-          },
-          d1: {
-            enabled: formData.developerServices.d1.enabled,
-            rowsReadThreshold: formData.developerServices.d1.rowsReadThreshold ? Number(formData.developerServices.d1.rowsReadThreshold) : null,
-            rowsWrittenThreshold: formData.developerServices.d1.rowsWrittenThreshold ? Number(formData.developerServices.d1.rowsWrittenThreshold) : null,
-            storageThreshold: formData.developerServices.d1.storageThreshold ? Number(formData.developerServices.d1.storageThreshold) : null,
-            accountIds: formData.developerServices.d1.accountIds || [],
-          },
-          kv: {
-            enabled: formData.developerServices.kv.enabled,
-            readsThreshold: formData.developerServices.kv.readsThreshold ? Number(formData.developerServices.kv.readsThreshold) : null,
-            writesThreshold: formData.developerServices.kv.writesThreshold ? Number(formData.developerServices.kv.writesThreshold) : null,
-            deletesThreshold: formData.developerServices.kv.deletesThreshold ? Number(formData.developerServices.kv.deletesThreshold) : null,
-            listsThreshold: formData.developerServices.kv.listsThreshold ? Number(formData.developerServices.kv.listsThreshold) : null,
-            storageThreshold: formData.developerServices.kv.storageThreshold ? Number(formData.developerServices.kv.storageThreshold) : null,
-            accountIds: formData.developerServices.kv.accountIds || [],
-          },
-          stream: {
-            enabled: formData.developerServices.stream.enabled,
-            minutesStoredThreshold: formData.developerServices.stream.minutesStoredThreshold ? Number(formData.developerServices.stream.minutesStoredThreshold) : null,
-            minutesDeliveredThreshold: formData.developerServices.stream.minutesDeliveredThreshold ? Number(formData.developerServices.stream.minutesDeliveredThreshold) : null,
-            accountIds: formData.developerServices.stream.accountIds || [],
-          },
-          images: {
-            enabled: formData.developerServices.images.enabled,
-            imagesStoredThreshold: formData.developerServices.images.imagesStoredThreshold ? Number(formData.developerServices.images.imagesStoredThreshold) : null,
-            imagesDeliveredThreshold: formData.developerServices.images.imagesDeliveredThreshold ? Number(formData.developerServices.images.imagesDeliveredThreshold) : null,
-            accountIds: formData.developerServices.images.accountIds || [],
-          },
-          workersAI: {
-            enabled: formData.developerServices.workersAI.enabled,
-            neuronsThreshold: formData.developerServices.workersAI.neuronsThreshold ? Number(formData.developerServices.workersAI.neuronsThreshold) : null,
-            accountIds: formData.developerServices.workersAI.accountIds || [],
-          },
-          queues: {
-            enabled: formData.developerServices.queues.enabled,
-            operationsThreshold: formData.developerServices.queues.operationsThreshold ? Number(formData.developerServices.queues.operationsThreshold) : null,
-            accountIds: formData.developerServices.queues.accountIds || [],
-          },
-          workersLogsTraces: {
-            enabled: formData.developerServices.workersLogsTraces.enabled,
-            eventsThreshold: formData.developerServices.workersLogsTraces.eventsThreshold ? Number(formData.developerServices.workersLogsTraces.eventsThreshold) : null,
-            accountIds: formData.developerServices.workersLogsTraces.accountIds || [],
-          },
-          durableObjects: {
-            enabled: formData.developerServices.durableObjects.enabled,
-            sqliteEnabled: formData.developerServices.durableObjects.sqliteEnabled,
-            kvStorageEnabled: formData.developerServices.durableObjects.kvStorageEnabled,
-            requestsThreshold: formData.developerServices.durableObjects.requestsThreshold ? Number(formData.developerServices.durableObjects.requestsThreshold) : null,
-            durationThreshold: formData.developerServices.durableObjects.durationThreshold ? Number(formData.developerServices.durableObjects.durationThreshold) : null,
-            sqliteRowsReadThreshold: formData.developerServices.durableObjects.sqliteRowsReadThreshold ? Number(formData.developerServices.durableObjects.sqliteRowsReadThreshold) : null,
-            sqliteRowsWrittenThreshold: formData.developerServices.durableObjects.sqliteRowsWrittenThreshold ? Number(formData.developerServices.durableObjects.sqliteRowsWrittenThreshold) : null,
-            kvReadUnitsThreshold: formData.developerServices.durableObjects.kvReadUnitsThreshold ? Number(formData.developerServices.durableObjects.kvReadUnitsThreshold) : null,
-            kvWriteUnitsThreshold: formData.developerServices.durableObjects.kvWriteUnitsThreshold ? Number(formData.developerServices.durableObjects.kvWriteUnitsThreshold) : null,
-            kvDeletesThreshold: formData.developerServices.durableObjects.kvDeletesThreshold ? Number(formData.developerServices.durableObjects.kvDeletesThreshold) : null,
-            storageThreshold: formData.developerServices.durableObjects.storageThreshold ? Number(formData.developerServices.durableObjects.storageThreshold) : null,
-            accountIds: formData.developerServices.durableObjects.accountIds || [],
-          },
+        ...buildProductSections(section => {
+          const settings = getProductConfig(formData, section);
+          return {
+            ...Object.fromEntries(section.flags.map(flag => [flag, !!settings[flag]])),
+            ...Object.fromEntries(section.settings.map(field => [field, settings[field] ? parseInt(settings[field], 10) : null])),
+            ...Object.fromEntries(section.thresholds.map(value => [value.threshold, toStoredValue(settings[value.threshold], value)])),
+            ...(section.list ? { [section.list]: settings[section.list] || [] } : {}),
+          };
+        }),
+
+        contract: {
+          enabled: formData.contract.enabled,
+          startDate: formData.contract.startDate || null,
+          termMonths: parseInt(formData.contract.termMonths, 10) || 12,
+          entitlementMode: formData.contract.entitlementMode || 'monthly',
+          rollover: formData.contract.entitlementMode === 'monthly' && formData.contract.rollover,
         },
-        
-        slackWebhook: formData.slackWebhook || '',
+
+        notificationChannels: formData.notificationChannels.map(channel => ({
+          id: channel.id,
+          name: channel.name.trim(),
+          type: channel.type,
+          ...(channel.type === 'email'
+            ? {
+              from: channel.from.trim(),
+              recipients: Object.fromEntries(Object.keys(EMAIL_RECIPIENT_TYPES).map(t => [t, parseRecipients(channel.recipients?.[t])])),
+            }
+            : channel.type === 'pagerduty'
+              ? {
+                routingKey: channel.routingKey.trim(),
+                tiers: (channel.tiers || DEFAULT_PAGERDUTY_TIERS).map(t => ({ percentage: Number(t.percentage), severity: t.severity })),
+              }
+              : { url: channel.url.trim() }),
+          ...(channel.type === 'webhook' && channel.secret ? { secret: channel.secret } : {}),
+          enabled: channel.enabled !== false,
+        })),
         alertFrequency: formData.alertFrequency || 'monthly',
+        forecastAlertsEnabled: formData.forecastAlertsEnabled || false,
+        anomalyAlertsEnabled: formData.anomalyAlertsEnabled || false,
+        digest: {
+          ...formData.digest,
+          weekday: Number(formData.digest.weekday),
+          channelIds: formData.digest.channelIds.filter(id => formData.notificationChannels.some(c => c.id === id)),
+        },
+        alertTiers: Object.fromEntries(
+          Object.entries(formData.alertTiers)
+            .map(([skuKey, entry]) => [skuKey, { enabled: entry.enabled !== false, tiers: parseAlertTiers(entry.tiers) }])
+            .filter(([, entry]) => !entry.enabled || (entry.tiers.length > 0 && entry.tiers.join() !== DEFAULT_ALERT_TIERS.join()))
+        ),
         alertsEnabled: initialConfig?.alertsEnabled !== undefined ? initialConfig.alertsEnabled : false,
       };
-      
-      onSave(config);
+
+      // The Worker validates against the same schema; checking here saves a round trip
+      const localErrors = validateConfig(config);
+      if (Object.keys(localErrors).length > 0) {
+        showSchemaErrors(localErrors);
+        return;
+      }
+
+      setSaving(true);
+      try {
+        const result = await onSave(config);
+        if (result?.errors) {
+          showSchemaErrors(result.errors);
+        }
+      } finally {
+        setSaving(false);
+      }
     }
   };
 
@@ -837,27 +757,66 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
             </label>
             
             <div className="space-y-2">
-              {formData.accountIds.map((accountId, index) => (
-                <div key={index} className="flex items-center space-x-2">
-                  <input
-                    type="text"
-                    value={accountId}
-                    onChange={(e) => updateAccountId(index, e.target.value)}
-                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    placeholder="Account ID"
-                  />
-                  {formData.accountIds.length > 1 && (
-                    <button
-                      type="button"
-                      onClick={() => removeAccountId(index)}
-                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                      title="Remove account"
-                    >
-                      <Trash2 className="w-5 h-5" />
-                    </button>
-                  )}
-                </div>
-              ))}
+              {formData.accountIds.map((accountId, index) => {
+                const boundToken = formData.accountTokens[accountId] || '';
+                const tokenMissing = boundToken && tokenInfo && !tokenInfo.tokens.includes(boundToken);
+                const noToken = accountId.trim() && tokenInfo && !tokenInfo.defaultConfigured && (!boundToken || tokenMissing);
+                return (
+                  <div key={index}>
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        value={accountId}
+                        onChange={(e) => updateAccountId(index, e.target.value)}
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Account ID"
+                      />
+                      {(tokenInfo?.tokens.length > 0 || boundToken) && (
+                        <select
+                          value={boundToken}
+                          onChange={(e) => updateAccountToken(accountId, e.target.value)}
+                          disabled={!accountId.trim()}
+                          className="w-64 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+                          title="API token secret used for this account"
+                        >
+                          <option value="">CLOUDFLARE_API_TOKEN (default)</option>
+                          {(tokenInfo?.tokens || []).map(name => (
+                            <option key={name} value={name}>{ACCOUNT_TOKEN_SECRET_PREFIX}{name}</option>
+                          ))}
+                          {tokenMissing && (
+                            <option value={boundToken}>{ACCOUNT_TOKEN_SECRET_PREFIX}{boundToken} (not set)</option>
+                          )}
+                        </select>
+                      )}
+                      {formData.accountIds.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeAccountId(index)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Remove account"
+                        >
+                          <Trash2 className="w-5 h-5" />
+                        </button>
+                      )}
+                    </div>
+                    {noToken ? (
+                      <p className="text-red-600 text-xs mt-1 flex items-center space-x-1">
+                        <AlertTriangle className="w-3 h-3" />
+                        <span>
+                          No API token for this account: bind it to a {ACCOUNT_TOKEN_SECRET_PREFIX}&lt;NAME&gt; secret or set CLOUDFLARE_API_TOKEN.
+                        </span>
+                      </p>
+                    ) : tokenMissing && (
+                      <p className="text-amber-700 text-xs mt-1 flex items-center space-x-1">
+                        <AlertTriangle className="w-3 h-3" />
+                        <span>
+                          Secret {ACCOUNT_TOKEN_SECRET_PREFIX}{boundToken} is not set, so this account uses the default token.
+                        </span>
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
             </div>
 
             <button
@@ -878,7 +837,8 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
                 Find in your Cloudflare dashboard URL or account settings
               </p>
               <p className="text-blue-600 text-xs font-medium">
-                💡 You can add multiple accounts. Your API token must have access to all accounts.
+                💡 You can add multiple accounts. Accounts the default token can't read can use their own token secret,
+                named {ACCOUNT_TOKEN_SECRET_PREFIX}&lt;NAME&gt;.
               </p>
             </div>
           </div>
@@ -902,6 +862,97 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
           </div>
         </div>
 
+        {/* Contract Period */}
+        <div className="space-y-4 pt-6 border-t border-gray-200">
+          <div className="flex items-start space-x-3">
+            <input
+              type="checkbox"
+              checked={formData.contract.enabled}
+              onChange={(e) => setFormData(prev => ({ ...prev, contract: { ...prev.contract, enabled: e.target.checked } }))}
+              className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500 mt-0.5"
+            />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Contract Period</h3>
+              <p className="text-sm text-gray-500 mt-1">
+                Track contract-to-date consumption against your commit. Thresholds stay monthly; an annual commit pools them across the term.
+              </p>
+            </div>
+          </div>
+
+          {formData.contract.enabled && (
+            <div className="ml-8 space-y-4">
+              <div className="grid grid-cols-2 gap-4 max-w-md">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Start Month</label>
+                  <input
+                    type="month"
+                    placeholder="YYYY-MM"
+                    value={formData.contract.startDate}
+                    onChange={(e) => setFormData(prev => ({ ...prev, contract: { ...prev.contract, startDate: e.target.value } }))}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Term (months)</label>
+                  <input
+                    type="number"
+                    value={formData.contract.termMonths}
+                    onChange={(e) => setFormData(prev => ({ ...prev, contract: { ...prev.contract, termMonths: e.target.value } }))}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    min="1"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Entitlement</label>
+                <div className="flex space-x-4">
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input type="radio" name="entitlementMode" value="monthly" checked={formData.contract.entitlementMode === 'monthly'}
+                      onChange={() => setFormData(prev => ({ ...prev, contract: { ...prev.contract, entitlementMode: 'monthly' } }))}
+                      className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500" />
+                    <span className="text-sm text-gray-700">Monthly allowance</span>
+                  </label>
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input type="radio" name="entitlementMode" value="annual" checked={formData.contract.entitlementMode === 'annual'}
+                      onChange={() => setFormData(prev => ({ ...prev, contract: { ...prev.contract, entitlementMode: 'annual' } }))}
+                      className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500" />
+                    <span className="text-sm text-gray-700">Annual pooled commit</span>
+                  </label>
+                </div>
+              </div>
+
+              {formData.contract.entitlementMode === 'monthly' && (
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.contract.rollover}
+                    onChange={(e) => setFormData(prev => ({ ...prev, contract: { ...prev.contract, rollover: e.target.checked } }))}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span className="text-sm text-gray-700">Roll unused monthly allowance over to later months</span>
+                </label>
+              )}
+
+              <p className="text-xs text-gray-500">
+                Usage is recorded per calendar month, so the term starts with the month of the start date.
+              </p>
+              {errors.contract && (
+                <p className="text-red-600 text-sm">{errors.contract}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Historical Backfill (runs against the saved configuration) */}
+        {initialConfig && <BackfillPanel />}
+
+        {/* What the API token can read, per product and account */}
+        {initialConfig && <TokenDiagnosticsPanel />}
+
+        {/* Saved versions with field-level diffs and rollback */}
+        {initialConfig && <ConfigHistoryPanel onRollback={onRollback} />}
+
         {/* Action Buttons */}
         <div className="flex items-center justify-between pt-6 border-t border-gray-200">
           <div>
@@ -941,48 +992,193 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
     <div className="p-6">
       <div className="max-w-2xl mx-auto space-y-6">
         <div className="space-y-4">
-          <div className="flex items-start space-x-3">
-            <input
-              type="checkbox"
-              checked={formData.slackEnabled}
-              onChange={(e) => setFormData(prev => ({ ...prev, slackEnabled: e.target.checked, slackWebhook: e.target.checked ? prev.slackWebhook : '' }))}
-              className="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500 mt-0.5"
-            />
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
-                <Bell className="w-5 h-5" />
-                <span>Slack Notifications</span>
-              </h3>
-              <p className="text-sm text-gray-500 mt-1">
-                Receive alerts when usage reaches 90% of contracted thresholds
-              </p>
-            </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+              <Bell className="w-5 h-5" />
+              <span>Notification Channels</span>
+            </h3>
+            <p className="text-sm text-gray-500 mt-1">
+              Alerts when usage reaches 90% of contracted thresholds, and usage reports, are sent to every enabled channel
+            </p>
           </div>
 
-          {formData.slackEnabled && (
-            <div className="ml-8 space-y-4 pt-2">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  <MessageSquare className="inline w-4 h-4 mr-1" />
-                  Slack Webhook URL
-                </label>
+          {formData.notificationChannels.map((channel, index) => (
+            <div key={channel.id} className="border border-gray-200 rounded-lg p-4 space-y-3">
+              <div className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={channel.enabled !== false}
+                  onChange={(e) => updateChannel(index, { enabled: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  title="Enabled"
+                />
                 <input
                   type="text"
-                  value={formData.slackWebhook}
-                  onChange={(e) => setFormData(prev => ({ ...prev, slackWebhook: e.target.value }))}
-                  className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.slackWebhook ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="https://hooks.slack.com/services/YOUR/WEBHOOK/URL"
+                  value={channel.name}
+                  onChange={(e) => updateChannel(index, { name: e.target.value })}
+                  className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Channel name"
                 />
-                {errors.slackWebhook && (
-                  <p className="text-red-600 text-sm mt-1">{errors.slackWebhook}</p>
-                )}
-                <p className="text-xs text-gray-500 mt-1">
-                  Get your webhook URL from Slack: Workspace Settings → Apps → Incoming Webhooks
-                </p>
+                <select
+                  value={channel.type}
+                  onChange={(e) => updateChannel(index, { type: e.target.value })}
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {Object.entries(CHANNEL_TYPES).map(([type, meta]) => (
+                    <option key={type} value={type}>{meta.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => testChannel(channel)}
+                  disabled={testingChannel === channel.id || !(channel.type === 'email' ? channel.from : channel.type === 'pagerduty' ? channel.routingKey : channel.url)}
+                  className="px-3 py-2 text-sm font-medium bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50 flex items-center space-x-1"
+                  title="Send a test notification"
+                >
+                  <MessageSquare className="w-4 h-4" />
+                  <span>{testingChannel === channel.id ? 'Sending...' : 'Test'}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeChannel(index)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  title="Remove channel"
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
               </div>
+              {channel.type === 'email' ? (
+                <div className="space-y-2">
+                  <input
+                    type="email"
+                    value={channel.from || ''}
+                    onChange={(e) => updateChannel(index, { from: e.target.value })}
+                    className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      errors[`channel.${channel.id}`] ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder={`Sender address, e.g. ${CHANNEL_TYPES.email.placeholder}`}
+                  />
+                  {Object.entries(EMAIL_RECIPIENT_TYPES).map(([alertType, label]) => (
+                    <div key={alertType} className="flex items-center space-x-2">
+                      <label className="w-36 flex-shrink-0 text-xs font-medium text-gray-600">{label}</label>
+                      <input
+                        type="text"
+                        value={Array.isArray(channel.recipients?.[alertType]) ? channel.recipients[alertType].join(', ') : channel.recipients?.[alertType] || ''}
+                        onChange={(e) => updateChannel(index, { recipients: { ...channel.recipients, [alertType]: e.target.value } })}
+                        className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="finance@example.com, ops@example.com"
+                      />
+                    </div>
+                  ))}
+                  <p className="text-xs text-gray-500">
+                    Sent through the Worker's <code>SEND_EMAIL</code> binding; recipients must be verified Email Routing destinations
+                  </p>
+                </div>
+              ) : channel.type === 'pagerduty' ? (
+                <div className="space-y-2">
+                  <input
+                    type="password"
+                    value={channel.routingKey || ''}
+                    onChange={(e) => updateChannel(index, { routingKey: e.target.value })}
+                    className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      errors[`channel.${channel.id}`] ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder={CHANNEL_TYPES.pagerduty.placeholder}
+                    autoComplete="new-password"
+                  />
+                  {(channel.tiers || DEFAULT_PAGERDUTY_TIERS).map((tier, tierIndex, tiers) => (
+                    <div key={tierIndex} className="flex items-center space-x-2">
+                      <span className="text-xs font-medium text-gray-600">At</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={tier.percentage}
+                        onChange={(e) => updateChannel(index, { tiers: tiers.map((t, i) => (i === tierIndex ? { ...t, percentage: e.target.value } : t)) })}
+                        className="w-24 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <span className="text-xs font-medium text-gray-600">% of threshold, open a</span>
+                      <select
+                        value={tier.severity}
+                        onChange={(e) => updateChannel(index, { tiers: tiers.map((t, i) => (i === tierIndex ? { ...t, severity: e.target.value } : t)) })}
+                        className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {PAGERDUTY_SEVERITIES.map(severity => (
+                          <option key={severity} value={severity}>{severity}</option>
+                        ))}
+                      </select>
+                      <span className="text-xs font-medium text-gray-600">incident</span>
+                      {tiers.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => updateChannel(index, { tiers: tiers.filter((_, i) => i !== tierIndex) })}
+                          className="p-1 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Remove tier"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => {
+                      const tiers = channel.tiers || DEFAULT_PAGERDUTY_TIERS;
+                      const highest = Math.max(...tiers.map(t => Number(t.percentage) || 0));
+                      updateChannel(index, { tiers: [...tiers, { percentage: highest + 20, severity: 'critical' }] });
+                    }}
+                    className="text-xs font-medium text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+                  >
+                    <Plus className="w-3 h-3" />
+                    <span>Add tier</span>
+                  </button>
+                  <p className="text-xs text-gray-500">
+                    Checked every 6 hours: incidents escalate with the highest tier reached and resolve automatically once usage
+                    drops below every tier (e.g. at month rollover). Test opens and immediately resolves a test incident.
+                  </p>
+                </div>
+              ) : (
+                <input
+                  type="text"
+                  value={channel.url}
+                  onChange={(e) => updateChannel(index, { url: e.target.value })}
+                  className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors[`channel.${channel.id}`] ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                  placeholder={CHANNEL_TYPES[channel.type]?.placeholder}
+                />
+              )}
+              {channel.type === 'webhook' && (
+                <div>
+                  <input
+                    type="password"
+                    value={channel.secret || ''}
+                    onChange={(e) => updateChannel(index, { secret: e.target.value })}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Signing secret (optional)"
+                    autoComplete="new-password"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Signed requests carry <code>X-Usage-Signature: t=&lt;timestamp&gt;,v1=&lt;HMAC-SHA256 of "timestamp.body"&gt;</code>
+                  </p>
+                </div>
+              )}
+              {errors[`channel.${channel.id}`] && (
+                <p className="text-red-600 text-sm">{errors[`channel.${channel.id}`]}</p>
+              )}
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={addChannel}
+            className="flex items-center space-x-2 px-4 py-2 text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Channel</span>
+          </button>
 
+          {formData.notificationChannels.length > 0 && (
+            <div className="space-y-4 pt-2">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">Alert Frequency</label>
                 <p className="text-xs text-gray-500 mb-2">How often threshold alerts (≥90%) can be sent per product</p>
@@ -1001,6 +1197,92 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
                   </label>
                 </div>
               </div>
+
+              <div>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.forecastAlertsEnabled}
+                    onChange={(e) => setFormData(prev => ({ ...prev, forecastAlertsEnabled: e.target.checked }))}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span className="text-sm font-medium text-gray-700">Alert on projected breaches</span>
+                </label>
+                <p className="text-xs text-gray-500 mt-1 ml-6">Also alert when the end-of-month (or end-of-contract) projection will exceed a threshold</p>
+              </div>
+
+              <div>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.anomalyAlertsEnabled}
+                    onChange={(e) => setFormData(prev => ({ ...prev, anomalyAlertsEnabled: e.target.checked }))}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span className="text-sm font-medium text-gray-700">Alert on unusual daily usage</span>
+                </label>
+                <p className="text-xs text-gray-500 mt-1 ml-6">Also alert when yesterday's usage of a SKU spiked or dropped sharply against the previous 28 days</p>
+              </div>
+
+              <div className="border-t border-gray-200 pt-4">
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.digest.enabled}
+                    onChange={(e) => updateDigest({ enabled: e.target.checked })}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span className="text-sm font-medium text-gray-700">Send a recurring usage digest</span>
+                </label>
+                <p className="text-xs text-gray-500 mt-1 ml-6">The full usage report with month-over-month changes and top movers, sent automatically</p>
+
+                {formData.digest.enabled && (
+                  <div className="ml-6 mt-3 space-y-3">
+                    <div className="flex items-center gap-3">
+                      <select
+                        value={formData.digest.frequency}
+                        onChange={(e) => updateDigest({ frequency: e.target.value })}
+                        className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {Object.entries(DIGEST_FREQUENCIES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      {formData.digest.frequency === 'weekly' && (
+                        <select
+                          value={formData.digest.weekday}
+                          onChange={(e) => updateDigest({ weekday: Number(e.target.value) })}
+                          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          {WEEKDAYS.map((day, i) => (
+                            <option key={day} value={i}>on {day}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                    <div>
+                      <p className="text-xs font-medium text-gray-700 mb-1">Send to</p>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {formData.notificationChannels.filter(c => c.type !== 'pagerduty').map(channel => (
+                          <label key={channel.id} className="flex items-center space-x-2 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={formData.digest.channelIds.includes(channel.id)}
+                              onChange={(e) => toggleDigestChannel(channel.id, e.target.checked)}
+                              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                            />
+                            <span className="text-sm text-gray-700">{channel.name || CHANNEL_TYPES[channel.type]?.label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      {formData.digest.channelIds.length === 0 && (
+                        <p className="text-xs text-amber-600 mt-1">Select at least one channel to receive the digest</p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-1">Sent with the first scheduled check of the day (00:00 UTC); email channels use their report recipients</p>
+                    </div>
+                  </div>
+                )}
+              </div>
             </div>
           )}
         </div>
@@ -1070,6 +1352,24 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
           {activeServiceTab === SERVICE_CATEGORIES.DEVELOPER_PLATFORM && renderDevPlatformWithSidebar()}
         </div>
 
+        {Object.keys(schemaErrors).length > 0 && (
+          <div className="mx-6 mt-4 bg-red-50 border-l-4 border-red-400 p-4">
+            <div className="flex items-start">
+              <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 mr-3 flex-shrink-0" />
+              <div>
+                <h3 className="text-sm font-semibold text-red-800">The configuration could not be saved</h3>
+                <ul className="text-sm text-red-700 mt-1 space-y-1">
+                  {Object.entries(schemaErrors).map(([path, message]) => (
+                    <li key={path}>
+                      <span className="font-mono text-xs">{path}</span>: {message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="flex items-center justify-between px-6 pt-6 pb-4 border-t border-gray-200">
           <button
@@ -1092,10 +1392,11 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
             )}
             <button
               type="submit"
-              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 shadow-sm"
+              disabled={saving}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 shadow-sm disabled:opacity-50"
             >
               <Save className="w-4 h-4" />
-              <span>Save Configuration</span>
+              <span>{saving ? 'Saving...' : 'Save Configuration'}</span>
             </button>
           </div>
         </div>
@@ -1140,30 +1441,86 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
         </div>
         <div className="flex-1 p-6 overflow-auto">
           {renderContent(activeProduct)}
+          {renderAlertTiersConfig(activeProduct)}
         </div>
       </div>
     );
   };
 
+  // Per-SKU alert tiers, shown under each product's contracted values
+  const renderAlertTiersConfig = (productId) => {
+    const skus = PRODUCT_ALERT_SKUS[productId];
+    if (!skus) return null;
+    return (
+      <div className="mt-4 bg-white border border-gray-200 rounded-lg p-5">
+        <h5 className="text-sm font-semibold text-gray-900 flex items-center space-x-2">
+          <Bell className="w-4 h-4" />
+          <span>Alert Tiers</span>
+        </h5>
+        <p className="text-xs text-gray-500 mt-1">
+          Percentages of the contracted threshold that send an alert. Each tier fires once per {formData.alertFrequency === 'weekly' ? 'week' : 'month'},
+          and severity escalates with the tier (≥90% warning, ≥100% error, ≥120% critical).
+        </p>
+        <div className="space-y-3 mt-4">
+          {skus.map(([skuKey, label]) => {
+            const entry = formData.alertTiers[skuKey];
+            const enabled = entry?.enabled !== false;
+            const tiersText = entry ? (Array.isArray(entry.tiers) ? entry.tiers.join(', ') : entry.tiers ?? '') : DEFAULT_ALERT_TIERS.join(', ');
+            return (
+              <div key={skuKey}>
+                <div className="flex items-center space-x-3">
+                  <label className="flex items-center space-x-2 w-44 flex-shrink-0 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={enabled}
+                      onChange={(e) => updateAlertTier(skuKey, { enabled: e.target.checked })}
+                      className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    <span className="text-sm text-gray-700">{label}</span>
+                  </label>
+                  <input
+                    type="text"
+                    value={tiersText}
+                    disabled={!enabled}
+                    onChange={(e) => updateAlertTier(skuKey, { tiers: e.target.value })}
+                    className={`flex-1 px-3 py-1.5 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:text-gray-400 ${
+                      errors[`alertTiers.${skuKey}`] ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder={DEFAULT_ALERT_TIERS.join(', ')}
+                  />
+                  <span className="text-xs text-gray-500">%</span>
+                  <button
+                    type="button"
+                    disabled={!enabled}
+                    onClick={() => updateAlertTier(skuKey, { tiers: SUGGESTED_ALERT_TIERS })}
+                    className="text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50 whitespace-nowrap"
+                  >
+                    Use {SUGGESTED_ALERT_TIERS.join('/')}
+                  </button>
+                </div>
+                {errors[`alertTiers.${skuKey}`] && (
+                  <p className="text-red-600 text-xs mt-1 ml-44 pl-3">{errors[`alertTiers.${skuKey}`]}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  // Every registry product of a service tab, with a header per product group
+  const getConfigSidebarItems = (service) => {
+    const items = [];
+    getServiceProducts(service).forEach((product, index, products) => {
+      if (product.group && product.group !== products[index - 1]?.group) items.push({ type: 'header', label: product.group });
+      items.push({ id: product.id, label: product.label });
+    });
+    return items;
+  };
+
   const renderAppServicesWithSidebar = () => {
-    const items = [
-      { type: 'header', label: 'Zones & Traffic' },
-      { id: 'enterpriseZones', label: 'Enterprise Zones' },
-      { id: 'core', label: 'Traffic' },
-      { id: 'dns', label: 'DNS' },
-      { type: 'header', label: 'Application Security' },
-      { id: 'botManagement', label: 'Bot Management' },
-      { id: 'apiShield', label: 'API Shield' },
-      { id: 'pageShield', label: 'Page Shield' },
-      { id: 'advancedRateLimiting', label: 'Adv. Rate Limiting' },
-      { type: 'header', label: 'Delivery & Performance' },
-      { id: 'argo', label: 'Argo Smart Routing' },
-      { id: 'loadBalancing', label: 'Load Balancing' },
-      { id: 'customHostnames', label: 'Custom Hostnames' },
-      { id: 'cacheReserve', label: 'Cache Reserve' },
-      { type: 'header', label: 'Logs & Analytics' },
-      { id: 'logExplorer', label: 'Log Explorer' },
-    ];
+    const items = getConfigSidebarItems(SERVICE_CATEGORIES.APPLICATION_SERVICES);
     return renderConfigSidebar(items, (active) => {
       switch (active) {
         case 'enterpriseZones': return renderEnterpriseZonesConfig();
@@ -1184,10 +1541,7 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
   };
 
   const renderNetworkServicesWithSidebar = () => {
-    const items = [
-      { id: 'magicTransit', label: 'Magic Transit' },
-      { id: 'spectrum', label: 'Spectrum' },
-    ];
+    const items = getConfigSidebarItems(SERVICE_CATEGORIES.NETWORK_SERVICES);
     return renderConfigSidebar(items, (active) => {
       switch (active) {
         case 'magicTransit': return renderMagicTransitConfig();
@@ -1198,10 +1552,7 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
   };
 
   const renderCloudflareOneWithSidebar = () => {
-    const items = [
-      { id: 'zeroTrustSeats', label: 'Zero Trust Seats' },
-      { id: 'wan', label: 'WAN' },
-    ];
+    const items = getConfigSidebarItems(SERVICE_CATEGORIES.CLOUDFLARE_ONE);
     return renderConfigSidebar(items, (active) => {
       switch (active) {
         case 'zeroTrustSeats': return renderZeroTrustSeatsConfig();
@@ -1212,22 +1563,7 @@ function ConfigFormNew({ onSave, initialConfig, onCancel, cachedZones }) {
   };
 
   const renderDevPlatformWithSidebar = () => {
-    const items = [
-      { type: 'header', label: 'Compute' },
-      { id: 'workersPages', label: 'Workers & Pages' },
-      { id: 'queues', label: 'Queues' },
-      { id: 'durableObjects', label: 'Durable Objects' },
-      { id: 'workersLogsTraces', label: 'Workers Observability' },
-      { type: 'header', label: 'AI' },
-      { id: 'workersAI', label: 'Workers AI' },
-      { type: 'header', label: 'Storage & Databases' },
-      { id: 'r2Storage', label: 'R2 Storage' },
-      { id: 'd1', label: 'D1 Database' },
-      { id: 'kv', label: 'Workers KV' },
-      { type: 'header', label: 'Media' },
-      { id: 'stream', label: 'Stream' },
-      { id: 'images', label: 'Images' },
-    ];
+    const items = getConfigSidebarItems(SERVICE_CATEGORIES.DEVELOPER_PLATFORM);
     return renderConfigSidebar(items, (active) => {
       switch (active) {
         case 'workersPages': return renderWorkersPagesConfig();
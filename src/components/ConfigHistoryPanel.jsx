@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, ChevronRight, ChevronDown, RotateCcw, AlertCircle } from 'lucide-react';
+import { formatDiffValue } from '../utils/versions';
+
+const CHANGE_STYLES = {
+  added: 'text-green-700',
+  removed: 'text-red-700',
+  changed: 'text-gray-800',
+};
+
+/**
+ * Saved configuration versions (/api/config/history) with who changed what,
+ * and rollback to any earlier version (/api/config/rollback).
+ */
+function ConfigHistoryPanel({ onRollback }) {
+  const [versions, setVersions] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHistory = async () => {
+    try {
+      const response = await fetch('/api/config/history?userId=default');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load configuration history');
+      }
+      setVersions(data.versions || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, []);
+
+  const restoreVersion = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current configuration stays in the history.`)) return;
+    setRestoring(version);
+    setError(null);
+    try {
+      const response = await fetch('/api/config/rollback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId: 'default', version }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to restore configuration');
+      }
+      onRollback?.(data.config);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4 pt-6 border-t border-gray-200">
+      <div className="flex items-start space-x-3">
+        <Clock className="w-5 h-5 text-blue-600 mt-0.5" />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Configuration History</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Every saved configuration is kept as a version with who saved it and what changed. Restoring a version
+            saves it again as the newest one.
+          </p>
+        </div>
+      </div>
+
+      <div className="ml-8 space-y-2">
+        {error && (
+          <p className="text-red-600 text-sm flex items-center space-x-1">
+            <AlertCircle className="w-4 h-4" />
+            <span>{error}</span>
+          </p>
+        )}
+
+        {!error && versions.length === 0 && (
+          <p className="text-sm text-gray-500">No versions yet. The next save starts the history.</p>
+        )}
+
+        <div className="max-h-96 overflow-y-auto space-y-2">
+          {versions.map((entry, i) => {
+            const isOpen = expanded === entry.version;
+            return (
+              <div key={entry.version} className="bg-gray-50 border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between px-3 py-2">
+                  <button
+                    type="button"
+                    onClick={() => setExpanded(isOpen ? null : entry.version)}
+                    className="flex items-center space-x-2 text-sm text-left"
+                  >
+                    {isOpen ? <ChevronDown className="w-4 h-4 text-gray-500" /> : <ChevronRight className="w-4 h-4 text-gray-500" />}
+                    <span className="font-medium text-gray-900">v{entry.version}</span>
+                    <span className="text-gray-500">
+                      {entry.baseline ? 'Configuration before history was kept' : new Date(entry.timestamp).toLocaleString()}
+                    </span>
+                    {entry.author && <span className="text-gray-700">· {entry.author}</span>}
+                    {!entry.baseline && (
+                      <span className="text-xs text-gray-500">
+                        · {entry.changes.length} {entry.changes.length === 1 ? 'change' : 'changes'}
+                      </span>
+                    )}
+                    {entry.rollbackOf && (
+                      <span className="text-xs font-medium px-2 py-0.5 rounded bg-amber-100 text-amber-700">Restored v{entry.rollbackOf}</span>
+                    )}
+                    {entry.migratedFrom && (
+                      <span className="text-xs font-medium px-2 py-0.5 rounded bg-gray-200 text-gray-700">Migrated from schema v{entry.migratedFrom}</span>
+                    )}
+                    {i === 0 && (
+                      <span className="text-xs font-medium px-2 py-0.5 rounded bg-blue-100 text-blue-700">Current</span>
+                    )}
+                  </button>
+                  {i > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => restoreVersion(entry.version)}
+                      disabled={restoring !== null}
+                      className="flex items-center space-x-1 px-3 py-1 text-xs font-medium bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 transition-colors disabled:opacity-50"
+                    >
+                      <RotateCcw className={`w-3 h-3 ${restoring === entry.version ? 'animate-spin' : ''}`} />
+                      <span>Restore</span>
+                    </button>
+                  )}
+                </div>
+
+                {isOpen && entry.changes.length > 0 && (
+                  <div className="px-3 pb-3 overflow-x-auto">
+                    <table className="min-w-full text-xs">
+                      <thead>
+                        <tr className="text-left font-medium text-gray-500 uppercase border-b border-gray-200">
+                          <th className="py-1 pr-4">Field</th>
+                          <th className="py-1 pr-4">Before</th>
+                          <th className="py-1">After</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {entry.changes.map(change => (
+                          <tr key={change.path} className={`align-top ${CHANGE_STYLES[change.type]}`}>
+                            <td className="py-1 pr-4 font-mono whitespace-nowrap">{change.path}</td>
+                            <td className="py-1 pr-4 break-all">{formatDiffValue(change.before)}</td>
+                            <td className="py-1 break-all">{formatDiffValue(change.after)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConfigHistoryPanel;
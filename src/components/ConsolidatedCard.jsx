@@ -13,6 +13,8 @@ import {
 } from 'recharts';
 import { format } from 'date-fns';
 import { formatNumber } from '../utils/formatters';
+import { evaluateContractUsage, ENTITLEMENT_MODES } from '../utils/contract';
+import { forecastMonth, getMonthProgress } from '../utils/forecast';
 
 function ConsolidatedCard({
   title,
@@ -27,6 +29,7 @@ function ConsolidatedCard({
   timeSeries,
   dataKey,
   chartFormatter,
+  thresholdFormatter = null,
   yAxisLabel,
   confidence = null,
   isZoneFiltered = false,
@@ -35,6 +38,9 @@ function ConsolidatedCard({
   zoneBreakdown = null,
   primaryZones = null,
   secondaryZones = null,
+  contractPeriod = null,
+  showForecast = false,
+  anomaly = null,
 }) {
   const getIcon = () => {
     switch (icon) {
@@ -62,6 +68,7 @@ function ConsolidatedCard({
 
   const formatThreshold = (value) => {
     if (!value) return '0';
+    if (thresholdFormatter) return thresholdFormatter(value);
     const cleanNumber = (num) => {
       const rounded = Math.round(num * 100) / 100;
       return parseFloat(rounded.toFixed(2)).toString();
@@ -130,6 +137,26 @@ function ConsolidatedCard({
   const isOverThreshold = threshold && numPercentage > 100;
   const isWarning = threshold && numPercentage >= 90 && numPercentage <= 100;
 
+  // Contract-to-date vs. pooled commit (only passed for cumulative metrics)
+  const contractUsage = contractPeriod && dataKey ? evaluateContractUsage(timeSeries, dataKey, threshold, contractPeriod) : null;
+  const contractPct = contractUsage ? contractUsage.percentage : 0;
+  const contractOver = contractUsage?.alertable && contractPct > 100;
+  const contractWarning = contractUsage?.alertable && contractPct >= 90 && contractPct <= 100;
+
+  // End-of-month projection (only for cumulative metrics with history)
+  const forecast = showForecast && dataKey && value > 0 ? forecastMonth({ current: value, threshold, timeSeries, field: dataKey }) : null;
+  const currentMonthKey = getMonthProgress().monthKey;
+  const chartData = forecast && timeSeries
+    ? timeSeries.map((entry, i) => {
+        if (entry.month === currentMonthKey) return { ...entry, projected: forecast.projected, projectedBand: [forecast.lower, forecast.upper] };
+        if (timeSeries[i + 1]?.month === currentMonthKey) {
+          const v = entry[dataKey] || 0;
+          return { ...entry, projected: v, projectedBand: [v, v] };
+        }
+        return entry;
+      })
+    : timeSeries;
+
   const gradientId = `gradient-${color.replace('#', '')}-${dataKey || 'default'}`;
 
   const MONTH_ABBREVS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
@@ -158,10 +185,14 @@ function ConsolidatedCard({
       } else {
         monthLabel = format(new Date(label), 'MMM dd, yyyy');
       }
+      const actual = payload.find(p => p.dataKey === dataKey) || payload[0];
       return (
         <div className="bg-white border border-gray-200 rounded-lg shadow-lg p-3">
           <p className="text-sm font-medium text-gray-900 mb-1">{monthLabel}</p>
-          <p className="text-sm text-gray-600">{formatTooltipValue(payload[0].value)}</p>
+          <p className="text-sm text-gray-600">{formatTooltipValue(actual.value)}</p>
+          {dataPoint.month === currentMonthKey && dataPoint.projectedBand && (
+            <p className="text-xs text-gray-500 mt-1">Projected: {formatTooltipValue(dataPoint.projected)}</p>
+          )}
         </div>
       );
     }
@@ -170,7 +201,7 @@ function ConsolidatedCard({
 
   const getYAxisDomain = () => {
     if (!threshold || !timeSeries || timeSeries.length === 0) return ['auto', 'auto'];
-    const maxDataValue = Math.max(...timeSeries.map(d => d[dataKey] || 0));
+    const maxDataValue = Math.max(...timeSeries.map(d => d[dataKey] || 0), forecast ? forecast.upper : 0);
     const maxValue = Math.max(maxDataValue, threshold) * 1.1;
     return [0, maxValue];
   };
@@ -191,6 +222,20 @@ function ConsolidatedCard({
               <div className="flex items-center space-x-2">
                 <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
                 {isOverThreshold && <AlertCircle className="w-4 h-4 text-red-600" />}
+                {anomaly && (
+                  <span
+                    className={`inline-flex items-center space-x-1 text-xs font-medium px-2 py-0.5 rounded-full ${
+                      anomaly.direction === 'spike' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+                    }`}
+                    title={`${anomaly.formatted} on ${anomaly.date}, typical day ${anomaly.baselineFormatted}`}
+                  >
+                    {anomaly.direction === 'spike' ? <TrendingUp className="w-3 h-3" /> : <TrendingDown className="w-3 h-3" />}
+                    <span>
+                      {anomaly.direction === 'spike' ? 'Spike' : 'Drop'}
+                      {anomaly.changePercent !== null && ` ${anomaly.changePercent > 0 ? '+' : ''}${anomaly.changePercent.toFixed(0)}%`}
+                    </span>
+                  </span>
+                )}
                 {confidence && (
                   <ConfidenceBadge
                     confidence={confidence}
@@ -255,6 +300,50 @@ function ConsolidatedCard({
           </div>
         )}
 
+        {forecast && (
+          <div className="mb-4 flex items-center justify-between text-xs text-gray-600">
+            <span>
+              Projected month end: <span className={`font-medium ${forecast.willBreach ? 'text-red-600' : 'text-gray-900'}`}>{formatTooltipValue(forecast.projected)}</span>
+              <span className="text-gray-400"> ({formatTooltipValue(forecast.lower)} – {formatTooltipValue(forecast.upper)})</span>
+            </span>
+            {forecast.pace && (
+              <span className={`font-medium ${forecast.pace.status === 'ahead' ? 'text-orange-700' : forecast.pace.status === 'behind' ? 'text-green-700' : 'text-gray-700'}`}>
+                {forecast.pace.status === 'on-track'
+                  ? 'On pro-rata pace'
+                  : `${Math.abs(forecast.pace.deltaPercent).toFixed(0)}% ${forecast.pace.status} of pace`}
+              </span>
+            )}
+          </div>
+        )}
+
+        {contractUsage && (
+          <div className="mb-4 bg-gray-50 border border-gray-200 rounded-lg px-3 py-2">
+            <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+              <span>
+                {contractPeriod.mode === ENTITLEMENT_MODES.ANNUAL ? 'Contract to date' : contractPeriod.rollover ? 'This month incl. rollover' : 'Contract to date (reference)'}
+                <span className="text-gray-400"> · month {contractPeriod.monthsElapsed} of {contractPeriod.termMonths}</span>
+              </span>
+              <span className={`font-medium ${contractOver ? 'text-red-600' : contractWarning ? 'text-orange-700' : 'text-gray-900'}`}>
+                {contractPct < 0.1 && contractPct > 0 ? '<0.1' : contractPct.toFixed(1)}%
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-1.5 overflow-hidden">
+              <div
+                className={`h-full rounded-full ${contractOver ? 'bg-red-500' : contractWarning ? 'bg-orange-500' : 'bg-slate-500'}`}
+                style={{ width: `${Math.min(contractPct, 100)}%` }}
+              />
+            </div>
+            <div className="flex items-center justify-between text-xs text-gray-500 mt-1">
+              <span className="font-medium text-gray-700">{formatTooltipValue(contractUsage.used)}</span>
+              <span>
+                {contractPeriod.rollover
+                  ? `Allowance: ${formatThreshold(contractUsage.allowance)} (${formatThreshold(contractUsage.carriedOver)} carried over)`
+                  : `Pooled commit: ${formatThreshold(contractUsage.pooledCommit)}`}
+              </span>
+            </div>
+          </div>
+        )}
+
         {isOverThreshold && (
           <div className="mb-4 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
             <p className="text-xs text-red-700 font-medium flex items-center space-x-1">
@@ -268,7 +357,7 @@ function ConsolidatedCard({
           <div className="mt-4 pt-4 border-t border-gray-100">
             <h4 className="text-sm font-medium text-gray-700 mb-3">Monthly Usage</h4>
             <ResponsiveContainer width="100%" height={220}>
-              <AreaChart data={timeSeries}>
+              <AreaChart data={chartData}>
                 <defs>
                   <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
                     <stop offset="5%" stopColor={color} stopOpacity={0.3} />
@@ -314,14 +403,44 @@ function ConsolidatedCard({
                   strokeWidth={2}
                   fill={`url(#${gradientId})`}
                 />
+                {forecast && (
+                  <Area
+                    type="monotone"
+                    dataKey="projectedBand"
+                    stroke="none"
+                    fill={color}
+                    fillOpacity={0.12}
+                    isAnimationActive={false}
+                  />
+                )}
+                {forecast && (
+                  <Area
+                    type="monotone"
+                    dataKey="projected"
+                    stroke={color}
+                    strokeWidth={2}
+                    strokeDasharray="4 4"
+                    fill="none"
+                    connectNulls
+                    isAnimationActive={false}
+                  />
+                )}
               </AreaChart>
             </ResponsiveContainer>
-            {threshold && (
-              <div className="mt-2 flex items-center justify-center">
-                <div className="flex items-center space-x-2">
-                  <div className="w-6 border-t-2 border-dashed border-gray-600"></div>
-                  <span className="text-xs text-gray-600">Threshold</span>
-                </div>
+            {(threshold || forecast) && (
+              <div className="mt-2 flex items-center justify-center space-x-4">
+                {threshold && (
+                  <div className="flex items-center space-x-2">
+                    <div className="w-6 border-t-2 border-dashed border-gray-600"></div>
+                    <span className="text-xs text-gray-600">Threshold</span>
+                  </div>
+                )}
+                {forecast && (
+                  <div className="flex items-center space-x-2">
+                    <div className="w-6 border-t-2 border-dashed" style={{ borderColor: color }}></div>
+                    <span className="text-xs text-gray-600">Projection</span>
+                  </div>
+                )}
               </div>
             )}
           </div>
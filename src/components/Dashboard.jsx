@@ -1,11 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import ConsolidatedCard from './ConsolidatedCard';
 import ZonesList from './ZonesList';
-import { RefreshCw, AlertCircle, Bell, BellOff, Filter, ChevronRight, Info } from 'lucide-react';
-import { formatNumber, formatRequests, formatBandwidthTB, formatBytes, formatStorageMB } from '../utils/formatters';
+import BurnUpChart from './BurnUpChart';
+import AlertsPanel from './AlertsPanel';
+import NotificationCenter from './NotificationCenter';
+import { RefreshCw, AlertCircle, Bell, BellOff, Filter, ChevronRight, Info, Download } from 'lucide-react';
+import { formatNumber, formatRequests, formatBandwidthTB, formatBytes } from '../utils/formatters';
 import { SERVICE_CATEGORIES, SERVICE_METADATA } from '../constants/services';
-
-function Dashboard({ config, zones, setZones, refreshTrigger }) {
+import { getContractPeriod, buildContractSkus } from '../utils/contract';
+import { PRODUCTS, getProduct, getServiceProducts, getProductConfig, getProductMetrics, getTrackedValues, getSkuThreshold, formatSkuValue, isCoreSectionEnabled, buildSkuMetrics as buildRegistrySkuMetrics } from '../constants/skus';
+import { forecastSkus, buildForecastAlerts } from '../utils/forecast';
+import { evaluateAlertTiers } from '../utils/alerts';
+import { buildAnomalyAlerts } from '../utils/anomaly';
+import { hasRole } from '../utils/access';
+
+function Dashboard({ config, zones, setZones, refreshTrigger, role = 'admin' }) {
+  // Viewers see the data; refreshing, alert checks and alert state changes need an editor
+  const canEdit = hasRole(role, 'editor');
   const [loading, setLoading] = useState(true);
   const [loadingPhase, setLoadingPhase] = useState(null); // null, 1, 2, 3, or 'cached'
   const [error, setError] = useState(null);
@@ -20,6 +31,13 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
   const [prewarming, setPrewarming] = useState(false);
   const [isInitialSetup, setIsInitialSetup] = useState(false);
   const [showAlertPopover, setShowAlertPopover] = useState(false);
+  const [alertsToggleError, setAlertsToggleError] = useState(null);
+  const [showExportPopover, setShowExportPopover] = useState(false);
+  const [exporting, setExporting] = useState(null); // null, 'csv' or 'xlsx'
+  const [anomalies, setAnomalies] = useState({}); // SKU key → yesterday's spike or drop
+
+  const contractPeriod = getContractPeriod(config?.contract);
+  const burnUpAccountId = selectedAccount === 'all' ? null : selectedAccount;
 
   useEffect(() => {
     // Load alerts state from config
@@ -35,6 +53,10 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
     return () => clearInterval(interval);
   }, [config]);
 
+  useEffect(() => {
+    fetchAnomalies();
+  }, [config]);
+
   // Handle refreshTrigger changes (from config save)
   useEffect(() => {
     if (refreshTrigger > 0) {
@@ -44,8 +66,7 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
   }, [refreshTrigger]);
 
   const fetchData = async () => {
-    // Support both old accountId and new accountIds format
-    const accountIds = config?.accountIds || (config?.accountId ? [config.accountId] : []);
+    const accountIds = config?.accountIds || [];
     
     // Don't fetch if config is missing or incomplete
     if (!config || accountIds.length === 0) {
@@ -178,184 +199,49 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
     }
   };
 
-  const buildSkuMetrics = (metricsData, zonesData) => {
-    const skus = [];
-    const fmtNum = (v) => { if (v >= 1e9) return `${(v/1e9).toFixed(2)}B`; if (v >= 1e6) return `${(v/1e6).toFixed(2)}M`; if (v >= 1e3) return `${(v/1e3).toFixed(1)}K`; return String(Math.round(v)); };
-    const fmtBytes = (b) => { if (b >= 1e12) return `${(b/1e12).toFixed(2)} TB`; if (b >= 1e9) return `${(b/1e9).toFixed(2)} GB`; if (b >= 1e6) return `${(b/1e6).toFixed(2)} MB`; return `${b} B`; };
-    const fmtGB = (gb) => gb >= 1000 ? `${(gb/1000).toFixed(2)} TB` : `${gb.toFixed(2)} GB`;
-    const fmtMB = (mb) => mb >= 1000 ? fmtGB(mb / 1000) : `${mb.toFixed(2)} MB`;
-    const fmtMin = (m) => m >= 1e6 ? `${(m/1e6).toFixed(2)}M min` : m >= 1e3 ? `${(m/1e3).toFixed(1)}K min` : `${Math.round(m)} min`;
-    const fmtBw = (m) => m >= 1000 ? `${(m/1000).toFixed(2)} Gbps` : `${m.toFixed(2)} Mbps`;
-    const pct = (cur, thr) => thr ? (cur / thr) * 100 : 0;
-    const add = (key, name, category, current, threshold, formatted, thresholdFormatted) => {
-      if (current !== undefined && current !== null) {
-        skus.push({ key, name, category, current, threshold: threshold || null, formatted, thresholdFormatted: thresholdFormatted || '', percentage: threshold ? pct(current, threshold) : 0 });
-      }
-    };
-
-    const appCfg = config?.applicationServices || {};
-    const zc = zonesData?.enterprise || 0;
-    const zt = appCfg.core?.thresholdZones || config?.thresholdZones;
-    add('zones', 'Enterprise Zones', 'Zones & Traffic', zc, zt, `${zc} zones`, zt ? `${zt} zones` : '');
-    const rc = metricsData?.current?.requests || 0;
-    const rt = appCfg.core?.thresholdRequests || config?.thresholdRequests;
-    add('requests', 'HTTP Requests', 'Zones & Traffic', rc, rt, fmtNum(rc), rt ? fmtNum(rt) : '');
-    const bc = metricsData?.current?.bytes || 0;
-    const bt = appCfg.core?.thresholdBandwidth || config?.thresholdBandwidth;
-    add('bandwidth', 'Data Transfer', 'Zones & Traffic', bc, bt, fmtBytes(bc), bt ? fmtBytes(bt) : '');
-    const dc = metricsData?.current?.dnsQueries || 0;
-    const dt = appCfg.core?.thresholdDnsQueries || config?.thresholdDnsQueries;
-    add('dnsQueries', 'DNS Queries', 'Zones & Traffic', dc, dt, fmtNum(dc), dt ? fmtNum(dt) : '');
-
-    if (metricsData?.botManagement?.enabled) {
-      const c = metricsData.botManagement.current?.likelyHuman || 0, t = appCfg.botManagement?.threshold;
-      add('botManagement', 'Bot Management', 'Application Security', c, t, fmtNum(c), t ? fmtNum(t) : '');
-    }
-    if (metricsData?.apiShield?.enabled) {
-      const c = metricsData.apiShield.current?.requests || 0, t = appCfg.apiShield?.threshold;
-      add('apiShield', 'API Shield', 'Application Security', c, t, fmtNum(c), t ? fmtNum(t) : '');
-    }
-    if (metricsData?.pageShield?.enabled) {
-      const c = metricsData.pageShield.current?.requests || 0, t = appCfg.pageShield?.threshold;
-      add('pageShield', 'Page Shield', 'Application Security', c, t, fmtNum(c), t ? fmtNum(t) : '');
-    }
-    if (metricsData?.advancedRateLimiting?.enabled) {
-      const c = metricsData.advancedRateLimiting.current?.requests || 0, t = appCfg.advancedRateLimiting?.threshold;
-      add('advancedRateLimiting', 'Adv. Rate Limiting', 'Application Security', c, t, fmtNum(c), t ? fmtNum(t) : '');
-    }
-    if (metricsData?.argo?.enabled) {
-      const c = metricsData.argo.current?.bytes || 0, t = appCfg.argo?.threshold;
-      add('argo', 'Argo Smart Routing', 'Delivery & Performance', c, t, fmtBytes(c), t ? fmtBytes(t) : '');
-    }
-    if (metricsData?.cacheReserve?.enabled) {
-      const cr = metricsData.cacheReserve, cfg = appCfg.cacheReserve || {};
-      const crGB = cr.current?.storageGBDays || 0;
-      const crThr = cfg.storageThreshold ? cfg.storageThreshold * 1000 : null;
-      add('cacheReserve-storage', 'Cache Reserve — Storage', 'Delivery & Performance', crGB, crThr, crGB >= 1000 ? `${(crGB/1000).toFixed(2)} TB` : `${crGB.toFixed(2)} GB`, crThr ? (crThr >= 1000 ? `${(crThr/1000).toFixed(2)} TB` : `${crThr.toFixed(2)} GB`) : '');
-      add('cacheReserve-classA', 'Cache Reserve — Class A Ops', 'Delivery & Performance', cr.current?.classAOps || 0, cfg.classAOpsThreshold, fmtNum(cr.current?.classAOps || 0), cfg.classAOpsThreshold ? fmtNum(cfg.classAOpsThreshold) : '');
-      add('cacheReserve-classB', 'Cache Reserve — Class B Ops', 'Delivery & Performance', cr.current?.classBOps || 0, cfg.classBOpsThreshold, fmtNum(cr.current?.classBOps || 0), cfg.classBOpsThreshold ? fmtNum(cfg.classBOpsThreshold) : '');
-    }
-    if (metricsData?.loadBalancing?.enabled) {
-      const c = metricsData.loadBalancing.current?.endpoints || 0, t = appCfg.loadBalancing?.threshold;
-      add('loadBalancing', 'Load Balancing', 'Delivery & Performance', c, t, `${c} endpoints`, t ? `${t} endpoints` : '');
-    }
-    if (metricsData?.customHostnames?.enabled) {
-      const c = metricsData.customHostnames.current?.hostnames || 0, t = appCfg.customHostnames?.threshold;
-      add('customHostnames', 'Custom Hostnames', 'Delivery & Performance', c, t, `${c} hostnames`, t ? `${t} hostnames` : '');
-    }
-    if (metricsData?.logExplorer?.enabled) {
-      const c = metricsData.logExplorer.current?.billableGB || 0, t = appCfg.logExplorer?.threshold;
-      add('logExplorer', 'Log Explorer', 'Logs & Analytics', c, t, fmtGB(c), t ? fmtGB(t) : '');
+  // Daily snapshots are recorded by the 6-hourly pre-warm, so anomalies only need loading with the config
+  const fetchAnomalies = async () => {
+    const accountIds = config?.accountIds || [];
+    if (accountIds.length === 0) return;
+    try {
+      const response = await fetch('/api/anomalies', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accountIds }),
+      });
+      if (!response.ok) return;
+      const data = await response.json();
+      setAnomalies(Object.fromEntries((data.anomalies || []).map(a => [a.key, a])));
+    } catch (err) {
+      console.error('Failed to load usage anomalies:', err);
     }
+  };
 
-    const ztCfg = config?.zeroTrust || {};
-    if (metricsData?.zeroTrustSeats?.enabled) {
-      const c = metricsData.zeroTrustSeats.current?.seats || 0, t = ztCfg.seats?.threshold;
-      add('zeroTrustSeats', 'Zero Trust Seats', 'Cloudflare One', c, t, `${c} seats`, t ? `${t} seats` : '');
-    }
+  // Anomalies cover all accounts, so they are hidden while a single account is selected
+  const getAnomaly = (skuKey) => (selectedAccount === 'all' ? anomalies[skuKey] || null : null);
 
-    const netCfg = config?.networkServices || {};
-    if (metricsData?.magicTransit?.enabled) {
-      const c = metricsData.magicTransit.current?.ingressP95Mbps || 0, t = netCfg.magicTransit?.threshold;
-      add('magicTransit', 'Magic Transit — Ingress', 'Network Services', c, t, fmtBw(c), t ? fmtBw(t) : '');
-      if (netCfg.magicTransit?.egressEnabled) {
-        const ec = metricsData.magicTransit.current?.egressP95Mbps || 0, et = netCfg.magicTransit?.egressThreshold;
-        add('magicTransit-egress', 'Magic Transit — Egress', 'Network Services', ec, et, fmtBw(ec), et ? fmtBw(et) : '');
-      }
-    }
-    if (metricsData?.magicWan?.enabled) {
-      const c = metricsData.magicWan.current?.p95Mbps || 0, t = netCfg.magicWan?.threshold;
-      add('magicWan', 'Magic WAN', 'Cloudflare One', c, t, fmtBw(c), t ? fmtBw(t) : '');
-    }
-    if (metricsData?.spectrum?.enabled) {
-      const sp = metricsData.spectrum, cfg = netCfg.spectrum || {};
-      const spdt = cfg.dataTransferThreshold ? cfg.dataTransferThreshold * 1e12 : null;
-      add('spectrum-transfer', 'Spectrum — Data Transfer', 'Network Services', sp.current?.dataTransfer || 0, spdt, fmtBytes(sp.current?.dataTransfer || 0), spdt ? fmtBytes(spdt) : '');
-      add('spectrum-conns', 'Spectrum — Connections', 'Network Services', sp.current?.p95Concurrent || 0, cfg.connectionsThreshold, fmtNum(sp.current?.p95Concurrent || 0), cfg.connectionsThreshold ? fmtNum(cfg.connectionsThreshold) : '');
-    }
+  const buildSkuMetrics = (metricsData, zonesData) => {
+    const skus = buildRegistrySkuMetrics({ ...metricsData, zonesCount: zonesData?.enterprise || 0 }, config || {});
+    skus.push(...buildContractSkus(skus, key => getProductMetrics(metricsData, key)?.timeSeries, contractPeriod));
+    return skus;
+  };
 
-    const devCfg = config?.developerServices || {};
-    if (metricsData?.workersPages?.enabled) {
-      const wp = metricsData.workersPages, cfg = devCfg.workersPages || {};
-      const wpt = cfg.requestsThreshold ? cfg.requestsThreshold * 1e6 : null;
-      const wpct = cfg.cpuTimeThreshold ? cfg.cpuTimeThreshold * 1e6 : null;
-      add('workersPages-req', 'Workers & Pages — Requests', 'Developer Platform', wp.current?.requests || 0, wpt, fmtNum(wp.current?.requests || 0), wpt ? fmtNum(wpt) : '');
-      add('workersPages-cpu', 'Workers & Pages — CPU Time', 'Developer Platform', wp.current?.cpuTimeMs || 0, wpct, fmtNum(wp.current?.cpuTimeMs || 0) + ' ms', wpct ? fmtNum(wpct) + ' ms' : '');
-    }
-    if (metricsData?.r2Storage?.enabled) {
-      const r2 = metricsData.r2Storage, cfg = devCfg.r2Storage || {};
-      const r2at = cfg.classAOpsThreshold ? cfg.classAOpsThreshold * 1e6 : null;
-      const r2bt = cfg.classBOpsThreshold ? cfg.classBOpsThreshold * 1e6 : null;
-      const r2st = cfg.storageThreshold ? cfg.storageThreshold * 1000 : null;
-      add('r2-storage', 'R2 — Storage', 'Developer Platform', r2.current?.storageGB || 0, r2st, fmtGB(r2.current?.storageGB || 0), r2st ? fmtGB(r2st) : '');
-      add('r2-classA', 'R2 — Class A Ops', 'Developer Platform', r2.current?.classAOps || 0, r2at, fmtNum(r2.current?.classAOps || 0), r2at ? fmtNum(r2at) : '');
-      add('r2-classB', 'R2 — Class B Ops', 'Developer Platform', r2.current?.classBOps || 0, r2bt, fmtNum(r2.current?.classBOps || 0), r2bt ? fmtNum(r2bt) : '');
-    }
-    if (metricsData?.d1?.enabled) {
-      const d = metricsData.d1, cfg = devCfg.d1 || {};
-      const d1rr = cfg.rowsReadThreshold ? cfg.rowsReadThreshold * 1e6 : null;
-      const d1rw = cfg.rowsWrittenThreshold ? cfg.rowsWrittenThreshold * 1e6 : null;
-      const d1mb = d.current?.storageMB || 0;
-      const d1st = cfg.storageThreshold ? cfg.storageThreshold * 1000 : null;
-      add('d1-storage', 'D1 — Storage', 'Developer Platform', d1mb, d1st, fmtMB(d1mb), d1st ? fmtMB(d1st) : '');
-      add('d1-rowsRead', 'D1 — Rows Read', 'Developer Platform', d.current?.rowsRead || 0, d1rr, fmtNum(d.current?.rowsRead || 0), d1rr ? fmtNum(d1rr) : '');
-      add('d1-rowsWritten', 'D1 — Rows Written', 'Developer Platform', d.current?.rowsWritten || 0, d1rw, fmtNum(d.current?.rowsWritten || 0), d1rw ? fmtNum(d1rw) : '');
-    }
-    if (metricsData?.kv?.enabled) {
-      const k = metricsData.kv, cfg = devCfg.kv || {};
-      const kvr = cfg.readsThreshold ? cfg.readsThreshold * 1e6 : null;
-      const kvw = cfg.writesThreshold ? cfg.writesThreshold * 1e6 : null;
-      const kvd = cfg.deletesThreshold ? cfg.deletesThreshold * 1e6 : null;
-      const kvl = cfg.listsThreshold ? cfg.listsThreshold * 1e6 : null;
-      add('kv-reads', 'KV — Reads', 'Developer Platform', k.current?.reads || 0, kvr, fmtNum(k.current?.reads || 0), kvr ? fmtNum(kvr) : '');
-      add('kv-writes', 'KV — Writes', 'Developer Platform', k.current?.writes || 0, kvw, fmtNum(k.current?.writes || 0), kvw ? fmtNum(kvw) : '');
-      add('kv-deletes', 'KV — Deletes', 'Developer Platform', k.current?.deletes || 0, kvd, fmtNum(k.current?.deletes || 0), kvd ? fmtNum(kvd) : '');
-      add('kv-lists', 'KV — Lists', 'Developer Platform', k.current?.lists || 0, kvl, fmtNum(k.current?.lists || 0), kvl ? fmtNum(kvl) : '');
-      const kvst = cfg.storageThreshold ? cfg.storageThreshold * 1000 : null;
-      add('kv-storage', 'KV — Storage', 'Developer Platform', k.current?.storageMB || 0, kvst, fmtMB(k.current?.storageMB || 0), kvst ? fmtMB(kvst) : '');
-    }
-    if (metricsData?.stream?.enabled) {
-      const s = metricsData.stream, cfg = devCfg.stream || {};
-      const sst = cfg.minutesStoredThreshold ? cfg.minutesStoredThreshold * 1e3 : null;
-      const sdt = cfg.minutesDeliveredThreshold ? cfg.minutesDeliveredThreshold * 1e3 : null;
-      add('stream-stored', 'Stream — Minutes Stored', 'Developer Platform', s.current?.minutesStored || 0, sst, fmtMin(s.current?.minutesStored || 0), sst ? fmtMin(sst) : '');
-      add('stream-delivered', 'Stream — Minutes Delivered', 'Developer Platform', s.current?.minutesDelivered || 0, sdt, fmtMin(s.current?.minutesDelivered || 0), sdt ? fmtMin(sdt) : '');
-    }
-    if (metricsData?.images?.enabled) {
-      const im = metricsData.images, cfg = devCfg.images || {};
-      const ist = cfg.imagesStoredThreshold ? cfg.imagesStoredThreshold * 1e3 : null;
-      const idt = cfg.imagesDeliveredThreshold ? cfg.imagesDeliveredThreshold * 1e3 : null;
-      add('images-stored', 'Images — Stored', 'Developer Platform', im.current?.imagesStored || 0, ist, fmtNum(im.current?.imagesStored || 0), ist ? fmtNum(ist) : '');
-      add('images-delivered', 'Images — Delivered', 'Developer Platform', im.current?.imagesDelivered || 0, idt, fmtNum(im.current?.imagesDelivered || 0), idt ? fmtNum(idt) : '');
-    }
-    if (metricsData?.workersAI?.enabled) {
-      const c = metricsData.workersAI.current?.neurons || 0, t = devCfg.workersAI?.neuronsThreshold ? devCfg.workersAI.neuronsThreshold * 1e6 : null;
-      add('workersAI', 'Workers AI', 'Developer Platform', c, t, fmtNum(c) + ' neurons', t ? fmtNum(t) + ' neurons' : '');
-    }
-    if (metricsData?.queues?.enabled) {
-      const c = metricsData.queues.current?.operations || 0, t = devCfg.queues?.operationsThreshold ? devCfg.queues.operationsThreshold * 1e6 : null;
-      add('queues', 'Queues', 'Developer Platform', c, t, fmtNum(c) + ' ops', t ? fmtNum(t) + ' ops' : '');
-    }
-    if (metricsData?.workersLogsTraces?.enabled) {
-      const c = metricsData.workersLogsTraces.current?.events || 0, t = devCfg.workersLogsTraces?.eventsThreshold ? devCfg.workersLogsTraces.eventsThreshold * 1e6 : null;
-      add('workersLogsTraces', 'Workers Observability', 'Developer Platform', c, t, fmtNum(c) + ' events', t ? fmtNum(t) + ' events' : '');
+  // SKU values sent for alert checks, plus projected breaches when forecast alerts are on
+  const buildAlertSkuMetrics = (metricsData, zonesData) => {
+    const skuMetrics = buildSkuMetrics(metricsData, zonesData);
+    if (config.forecastAlertsEnabled) {
+      const forecasts = forecastSkus(skuMetrics, key => (key === 'core' ? metricsData?.timeSeries : metricsData?.[key]?.timeSeries), contractPeriod);
+      skuMetrics.push(...buildForecastAlerts(forecasts, skuMetrics));
     }
-    if (metricsData?.durableObjects?.enabled) {
-      const d = metricsData.durableObjects, cfg = devCfg.durableObjects || {};
-      const dort = cfg.requestsThreshold ? cfg.requestsThreshold * 1e6 : null;
-      const fmtGBs = (v) => v >= 1e6 ? `${(v/1e6).toFixed(2)}M GB-s` : v >= 1e3 ? `${(v/1e3).toFixed(2)}K GB-s` : `${v.toFixed(2)} GB-s`;
-      add('do-requests', 'Durable Objects — Requests', 'Developer Platform', d.current?.requests || 0, dort, fmtNum(d.current?.requests || 0), dort ? fmtNum(dort) : '');
-      add('do-duration', 'Durable Objects — Duration', 'Developer Platform', d.current?.durationGBs || 0, cfg.durationThreshold, fmtGBs(d.current?.durationGBs || 0), cfg.durationThreshold ? fmtGBs(cfg.durationThreshold) : '');
-      const domb = d.current?.storageMB || 0;
-      const dost = cfg.storageThreshold ? cfg.storageThreshold * 1000 : null;
-      add('do-storage', 'Durable Objects — Storage', 'Developer Platform', domb, dost, fmtMB(domb), dost ? fmtMB(dost) : '');
+    if (config.anomalyAlertsEnabled) {
+      skuMetrics.push(...buildAnomalyAlerts(Object.values(anomalies), skuMetrics));
     }
-    return skus;
+    return skuMetrics;
   };
 
-  const sendSlackMessage = async (metricsData, zonesData, mode = 'alert') => {
-    const accountIds = config?.accountIds || (config?.accountId ? [config.accountId] : []);
-    const skuMetrics = buildSkuMetrics(metricsData, zonesData);
+  const sendNotification = async (metricsData, zonesData, mode = 'alert') => {
+    const accountIds = config?.accountIds || [];
+    const skuMetrics = mode === 'alert' ? buildAlertSkuMetrics(metricsData, zonesData) : buildSkuMetrics(metricsData, zonesData);
 
     try {
       const response = await fetch('/api/webhook/check', {
@@ -363,7 +249,6 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           skuMetrics,
-          slackWebhook: config.slackWebhook,
           accountIds,
           mode,
           alertFrequency: config.alertFrequency || 'monthly',
@@ -377,7 +262,7 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
         alert(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
       }
     } catch (error) {
-      console.error('Error sending Slack message:', error);
+      console.error('Error sending notification:', error);
       if (mode === 'report') {
         alert('❌ Failed to send report. Please try again.');
       }
@@ -387,10 +272,11 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
   const toggleAlerts = async () => {
     const newState = !alertsEnabled;
     setAlertsEnabled(newState);
+    setAlertsToggleError(null);
     
-    // Save alerts state to config
+    // Save alerts state to config; the toggle goes back if the save is refused
     try {
-      await fetch('/api/config', {
+      const response = await fetch('/api/config', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -401,8 +287,51 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
           },
         }),
       });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        // Schema errors are keyed by config path; the saved config needs fixing in Settings
+        throw new Error(data.errors ? `${data.error}: ${Object.values(data.errors).join('; ')}` : data.error || 'Failed to save alerts state');
+      }
     } catch (err) {
       console.error('Failed to save alerts state:', err);
+      setAlertsEnabled(!newState);
+      setAlertsToggleError(err.message);
+    }
+  };
+
+  // Download usage as CSV (SKU rows) or XLSX (SKU, per-zone and monthly sheets) for the selected account filter
+  const downloadExport = async (format) => {
+    setExporting(format);
+    try {
+      const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          format,
+          accountId: selectedAccount === 'all' ? null : selectedAccount,
+          includeZones: true,
+          includeMonths: true,
+        }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to export usage');
+      }
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `usage.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      setShowExportPopover(false);
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(`❌ Export failed: ${err.message}`);
+    } finally {
+      setExporting(null);
     }
   };
 
@@ -452,141 +381,33 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
     }
   };
 
-  // Get filtered data based on selected account
+  // A per-zone product narrowed to some zones: summed fields (max for maxFields), per-zone rows when zoneTotals
+  const combineZoneData = (product, zoneData) => {
+    const combine = (entries) => ({
+      ...Object.fromEntries((product.fields || []).map(f => [f, entries.reduce((s, e) => s + (e?.[f] || 0), 0)])),
+      ...Object.fromEntries((product.maxFields || []).map(f => [f, Math.max(0, ...entries.map(e => e?.[f] || 0))])),
+    });
+    const totals = (period) => ({
+      ...combine(zoneData.map(z => z[period])),
+      ...(product.zoneTotals ? { zones: zoneData.map(z => ({ zoneId: z.zoneId, zoneName: z.zoneName, ...combine([z[period]]) })) } : {}),
+    });
+    const months = new Map();
+    zoneData.forEach(z => (z.timeSeries || []).forEach(ts => months.set(ts.month, [...(months.get(ts.month) || []), ts])));
+    return {
+      enabled: true,
+      current: totals('current'),
+      previous: totals('previous'),
+      timeSeries: Array.from(months.values()).map(entries => ({ ...entries[0], ...combine(entries) })).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+      perZoneData: zoneData,
+    };
+  };
+
+  // Get filtered data based on selected account; cards read thresholds from the config, so the
+  // aggregated payload is shown as is
   const getFilteredData = () => {
     if (!metrics) return { metrics: null, zones: null };
-    
-    // If "all accounts" selected, return aggregated data
-    if (selectedAccount === 'all') {
-      return { 
-        metrics: {
-          current: metrics.current,
-          previous: metrics.previous,
-          timeSeries: metrics.timeSeries,
-          zoneBreakdown: metrics.zoneBreakdown,
-          previousMonthZoneBreakdown: metrics.previousMonthZoneBreakdown,
-          botManagement: metrics.botManagement ? {
-            ...metrics.botManagement,
-            threshold: config?.applicationServices?.botManagement?.threshold || metrics.botManagement.threshold,
-          } : null,
-          apiShield: metrics.apiShield ? {
-            ...metrics.apiShield,
-            threshold: config?.applicationServices?.apiShield?.threshold || metrics.apiShield.threshold,
-          } : null,
-          pageShield: metrics.pageShield ? {
-            ...metrics.pageShield,
-            threshold: config?.applicationServices?.pageShield?.threshold || metrics.pageShield.threshold,
-          } : null,
-          advancedRateLimiting: metrics.advancedRateLimiting ? {
-            ...metrics.advancedRateLimiting,
-            threshold: config?.applicationServices?.advancedRateLimiting?.threshold || metrics.advancedRateLimiting.threshold,
-          } : null,
-          argo: metrics.argo ? {
-            ...metrics.argo,
-            threshold: config?.applicationServices?.argo?.threshold || metrics.argo.threshold,
-          } : null,
-          cacheReserve: metrics.cacheReserve ? {
-            ...metrics.cacheReserve,
-            storageThreshold: config?.applicationServices?.cacheReserve?.storageThreshold || metrics.cacheReserve.storageThreshold,
-            classAOpsThreshold: config?.applicationServices?.cacheReserve?.classAOpsThreshold || metrics.cacheReserve.classAOpsThreshold,
-            classBOpsThreshold: config?.applicationServices?.cacheReserve?.classBOpsThreshold || metrics.cacheReserve.classBOpsThreshold,
-          } : null,
-          loadBalancing: metrics.loadBalancing ? {
-            ...metrics.loadBalancing,
-            threshold: config?.applicationServices?.loadBalancing?.threshold || metrics.loadBalancing.threshold,
-          } : null,
-          customHostnames: metrics.customHostnames ? {
-            ...metrics.customHostnames,
-            threshold: config?.applicationServices?.customHostnames?.threshold || metrics.customHostnames.threshold,
-          } : null,
-          logExplorer: metrics.logExplorer ? {
-            ...metrics.logExplorer,
-            threshold: config?.applicationServices?.logExplorer?.threshold || metrics.logExplorer.threshold,
-          } : null,
-          zeroTrustSeats: metrics.zeroTrustSeats ? {
-            ...metrics.zeroTrustSeats,
-            threshold: config?.zeroTrust?.seats?.threshold || metrics.zeroTrustSeats.threshold,
-          } : null,
-          workersPages: metrics.workersPages ? {
-            ...metrics.workersPages,
-            requestsThreshold: config?.developerServices?.workersPages?.requestsThreshold || metrics.workersPages.requestsThreshold,
-            cpuTimeThreshold: config?.developerServices?.workersPages?.cpuTimeThreshold || metrics.workersPages.cpuTimeThreshold,
-          } : null,
-          r2Storage: metrics.r2Storage ? {
-            ...metrics.r2Storage,
-            classAOpsThreshold: config?.developerServices?.r2Storage?.classAOpsThreshold || metrics.r2Storage.classAOpsThreshold,
-            classBOpsThreshold: config?.developerServices?.r2Storage?.classBOpsThreshold || metrics.r2Storage.classBOpsThreshold,
-            storageThreshold: config?.developerServices?.r2Storage?.storageThreshold || metrics.r2Storage.storageThreshold,
-          } : null,
-          d1: metrics.d1 ? {
-            ...metrics.d1,
-            rowsReadThreshold: config?.developerServices?.d1?.rowsReadThreshold || metrics.d1.rowsReadThreshold,
-            rowsWrittenThreshold: config?.developerServices?.d1?.rowsWrittenThreshold || metrics.d1.rowsWrittenThreshold,
-            storageThreshold: config?.developerServices?.d1?.storageThreshold || metrics.d1.storageThreshold,
-          } : null,
-          kv: metrics.kv ? {
-            ...metrics.kv,
-            readsThreshold: config?.developerServices?.kv?.readsThreshold || metrics.kv.readsThreshold,
-            writesThreshold: config?.developerServices?.kv?.writesThreshold || metrics.kv.writesThreshold,
-            deletesThreshold: config?.developerServices?.kv?.deletesThreshold || metrics.kv.deletesThreshold,
-            listsThreshold: config?.developerServices?.kv?.listsThreshold || metrics.kv.listsThreshold,
-            storageThreshold: config?.developerServices?.kv?.storageThreshold || metrics.kv.storageThreshold,
-          } : null,
-          stream: metrics.stream ? {
-            ...metrics.stream,
-            minutesStoredThreshold: config?.developerServices?.stream?.minutesStoredThreshold || metrics.stream.minutesStoredThreshold,
-            minutesDeliveredThreshold: config?.developerServices?.stream?.minutesDeliveredThreshold || metrics.stream.minutesDeliveredThreshold,
-          } : null,
-          images: metrics.images ? {
-            ...metrics.images,
-            imagesStoredThreshold: config?.developerServices?.images?.imagesStoredThreshold || metrics.images.imagesStoredThreshold,
-            imagesDeliveredThreshold: config?.developerServices?.images?.imagesDeliveredThreshold || metrics.images.imagesDeliveredThreshold,
-          } : null,
-          workersAI: metrics.workersAI ? {
-            ...metrics.workersAI,
-            neuronsThreshold: config?.developerServices?.workersAI?.neuronsThreshold || metrics.workersAI.neuronsThreshold,
-          } : null,
-          queues: metrics.queues ? {
-            ...metrics.queues,
-            operationsThreshold: config?.developerServices?.queues?.operationsThreshold || metrics.queues.operationsThreshold,
-          } : null,
-          workersLogsTraces: metrics.workersLogsTraces ? {
-            ...metrics.workersLogsTraces,
-            eventsThreshold: config?.developerServices?.workersLogsTraces?.eventsThreshold || metrics.workersLogsTraces.eventsThreshold,
-          } : null,
-          durableObjects: metrics.durableObjects ? {
-            ...metrics.durableObjects,
-            sqliteEnabled: config?.developerServices?.durableObjects?.sqliteEnabled || false,
-            kvStorageEnabled: config?.developerServices?.durableObjects?.kvStorageEnabled || false,
-            requestsThreshold: config?.developerServices?.durableObjects?.requestsThreshold || metrics.durableObjects.requestsThreshold,
-            durationThreshold: config?.developerServices?.durableObjects?.durationThreshold || metrics.durableObjects.durationThreshold,
-            sqliteRowsReadThreshold: config?.developerServices?.durableObjects?.sqliteRowsReadThreshold || metrics.durableObjects.sqliteRowsReadThreshold,
-            sqliteRowsWrittenThreshold: config?.developerServices?.durableObjects?.sqliteRowsWrittenThreshold || metrics.durableObjects.sqliteRowsWrittenThreshold,
-            kvReadUnitsThreshold: config?.developerServices?.durableObjects?.kvReadUnitsThreshold || metrics.durableObjects.kvReadUnitsThreshold,
-            kvWriteUnitsThreshold: config?.developerServices?.durableObjects?.kvWriteUnitsThreshold || metrics.durableObjects.kvWriteUnitsThreshold,
-            kvDeletesThreshold: config?.developerServices?.durableObjects?.kvDeletesThreshold || metrics.durableObjects.kvDeletesThreshold,
-            storageThreshold: config?.developerServices?.durableObjects?.storageThreshold || metrics.durableObjects.storageThreshold,
-          } : null,
-          magicTransit: metrics.magicTransit ? {
-            ...metrics.magicTransit,
-            egressEnabled: config?.networkServices?.magicTransit?.egressEnabled || false,
-            threshold: config?.networkServices?.magicTransit?.threshold || metrics.magicTransit.threshold,
-            egressThreshold: config?.networkServices?.magicTransit?.egressThreshold || null,
-          } : null,
-          magicWan: metrics.magicWan ? {
-            ...metrics.magicWan,
-            threshold: config?.networkServices?.magicWan?.threshold || metrics.magicWan.threshold,
-          } : null,
-          spectrum: metrics.spectrum ? {
-            ...metrics.spectrum,
-            dataTransferThreshold: config?.networkServices?.spectrum?.dataTransferThreshold || metrics.spectrum.dataTransferThreshold,
-            connectionsThreshold: config?.networkServices?.spectrum?.connectionsThreshold || metrics.spectrum.connectionsThreshold,
-          } : null,
-        }, 
-        zones 
-      };
-    }
-    
+    if (selectedAccount === 'all') return { metrics, zones };
+
     // Find data for selected account
     const accountData = metrics.perAccountData?.find(acc => acc.accountId === selectedAccount);
     if (!accountData) {
@@ -598,515 +419,28 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
       const zoneMetric = accountData.zoneBreakdown.zones.find(z => z.zoneTag === zone.id);
       return !!zoneMetric;
     });
-    
-    // Filter Bot Management data for selected account
-    let filteredBotManagement = null;
-    if (metrics.botManagement && metrics.botManagement.enabled) {
-      const accountBotData = metrics.botManagement.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountBotData) {
-        filteredBotManagement = {
-          enabled: true,
-          threshold: config?.applicationServices?.botManagement?.threshold || metrics.botManagement.threshold,
-          current: accountBotData.current,
-          previous: accountBotData.previous,
-          timeSeries: accountBotData.timeSeries,
-        };
-      }
-      // If no data for this account, set to null (product not contracted)
-    }
-    
-    // Filter API Shield data for selected account
-    let filteredApiShield = null;
-    if (metrics.apiShield && metrics.apiShield.enabled) {
-      const accountApiShieldData = metrics.apiShield.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountApiShieldData) {
-        filteredApiShield = {
-          enabled: true,
-          threshold: config?.applicationServices?.apiShield?.threshold || metrics.apiShield.threshold,
-          current: accountApiShieldData.current,
-          previous: accountApiShieldData.previous,
-          timeSeries: accountApiShieldData.timeSeries,
-        };
-      }
-      // If no data for this account, set to null (product not contracted)
-    }
-    
-    // Filter Page Shield data for selected account
-    let filteredPageShield = null;
-    if (metrics.pageShield && metrics.pageShield.enabled) {
-      const accountPageShieldData = metrics.pageShield.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountPageShieldData) {
-        filteredPageShield = {
-          enabled: true,
-          threshold: config?.applicationServices?.pageShield?.threshold || metrics.pageShield.threshold,
-          current: accountPageShieldData.current,
-          previous: accountPageShieldData.previous,
-          timeSeries: accountPageShieldData.timeSeries,
-        };
-      }
-      // If no data for this account, set to null (product not contracted)
-    }
-    
-    // Filter Advanced Rate Limiting data for selected account
-    let filteredAdvancedRateLimiting = null;
-    if (metrics.advancedRateLimiting && metrics.advancedRateLimiting.enabled) {
-      const accountRateLimitingData = metrics.advancedRateLimiting.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountRateLimitingData) {
-        filteredAdvancedRateLimiting = {
-          enabled: true,
-          threshold: config?.applicationServices?.advancedRateLimiting?.threshold || metrics.advancedRateLimiting.threshold,
-          current: accountRateLimitingData.current,
-          previous: accountRateLimitingData.previous,
-          timeSeries: accountRateLimitingData.timeSeries,
-        };
-      }
-    }
-
-    // Filter Argo data for selected account
-    let filteredArgo = null;
-    if (metrics.argo && metrics.argo.enabled) {
-      const accountArgoData = metrics.argo.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountArgoData) {
-        filteredArgo = {
-          enabled: true,
-          threshold: config?.applicationServices?.argo?.threshold || metrics.argo.threshold,
-          current: accountArgoData.current,
-          previous: accountArgoData.previous,
-          timeSeries: accountArgoData.timeSeries,
-        };
-      }
-    }
-
-    let filteredCacheReserve = null;
-    if (metrics.cacheReserve && metrics.cacheReserve.enabled) {
-      const accountZoneIds = new Set((accountZones || []).map(z => z.id));
-      const accountCRZones = metrics.cacheReserve.perZoneData?.filter(
-        z => accountZoneIds.has(z.zoneId)
-      ) || [];
-      if (accountCRZones.length > 0) {
-        const timeSeriesMap = new Map();
-        accountCRZones.forEach(z => {
-          (z.timeSeries || []).forEach(ts => {
-            const existing = timeSeriesMap.get(ts.month);
-            if (existing) {
-              existing.storageGBDays += ts.storageGBDays || 0;
-              existing.classAOps += ts.classAOps || 0;
-              existing.classBOps += ts.classBOps || 0;
-            } else {
-              timeSeriesMap.set(ts.month, { ...ts, storageGBDays: ts.storageGBDays || 0, classAOps: ts.classAOps || 0, classBOps: ts.classBOps || 0 });
-            }
-          });
-        });
-        filteredCacheReserve = {
-          enabled: true,
-          storageThreshold: config?.applicationServices?.cacheReserve?.storageThreshold || metrics.cacheReserve.storageThreshold,
-          classAOpsThreshold: config?.applicationServices?.cacheReserve?.classAOpsThreshold || metrics.cacheReserve.classAOpsThreshold,
-          classBOpsThreshold: config?.applicationServices?.cacheReserve?.classBOpsThreshold || metrics.cacheReserve.classBOpsThreshold,
-          current: {
-            storageGBDays: accountCRZones.reduce((s, z) => s + (z.current?.storageGBDays || 0), 0),
-            classAOps: accountCRZones.reduce((s, z) => s + (z.current?.classAOps || 0), 0),
-            classBOps: accountCRZones.reduce((s, z) => s + (z.current?.classBOps || 0), 0),
-            zones: accountCRZones.map(z => ({ zoneId: z.zoneId, zoneName: z.zoneName, storageGBDays: z.current?.storageGBDays || 0, classAOps: z.current?.classAOps || 0, classBOps: z.current?.classBOps || 0 })),
-          },
-          previous: {
-            storageGBDays: accountCRZones.reduce((s, z) => s + (z.previous?.storageGBDays || 0), 0),
-            classAOps: accountCRZones.reduce((s, z) => s + (z.previous?.classAOps || 0), 0),
-            classBOps: accountCRZones.reduce((s, z) => s + (z.previous?.classBOps || 0), 0),
-            zones: accountCRZones.map(z => ({ zoneId: z.zoneId, zoneName: z.zoneName, storageGBDays: z.previous?.storageGBDays || 0, classAOps: z.previous?.classAOps || 0, classBOps: z.previous?.classBOps || 0 })),
-          },
-          timeSeries: Array.from(timeSeriesMap.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
-          perZoneData: accountCRZones,
-        };
-      }
-    }
-
-    // Filter Load Balancing data for selected account
-    let filteredLoadBalancing = null;
-    if (metrics.loadBalancing && metrics.loadBalancing.enabled) {
-      const accountLbData = metrics.loadBalancing.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      if (accountLbData) {
-        filteredLoadBalancing = {
-          enabled: true,
-          threshold: config?.applicationServices?.loadBalancing?.threshold || metrics.loadBalancing.threshold,
-          current: accountLbData.current,
-          previous: accountLbData.previous,
-          timeSeries: accountLbData.timeSeries,
-        };
-      }
-    }
-    
-    // Filter Custom Hostnames data for selected account
-    let filteredCustomHostnames = null;
-    if (metrics.customHostnames && metrics.customHostnames.enabled) {
-      const accountChData = metrics.customHostnames.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      if (accountChData) {
-        filteredCustomHostnames = {
-          enabled: true,
-          threshold: config?.applicationServices?.customHostnames?.threshold || metrics.customHostnames.threshold,
-          current: accountChData.current,
-          previous: accountChData.previous,
-          timeSeries: accountChData.timeSeries,
-        };
-      }
-    }
-    
-    // Filter Log Explorer data for selected account
-    let filteredLogExplorer = null;
-    if (metrics.logExplorer && metrics.logExplorer.enabled) {
-      const accountLeData = metrics.logExplorer.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      if (accountLeData) {
-        filteredLogExplorer = {
-          enabled: true,
-          threshold: config?.applicationServices?.logExplorer?.threshold || metrics.logExplorer.threshold,
-          current: accountLeData.current,
-          previous: accountLeData.previous,
-          timeSeries: accountLeData.timeSeries,
-        };
-      }
-    }
-    
-    // Filter Zero Trust Seats data for selected account
-    let filteredZeroTrustSeats = null;
-    if (metrics.zeroTrustSeats && metrics.zeroTrustSeats.enabled) {
-      const accountSeatsData = metrics.zeroTrustSeats.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountSeatsData) {
-        filteredZeroTrustSeats = {
-          enabled: true,
-          threshold: config?.zeroTrust?.seats?.threshold || metrics.zeroTrustSeats.threshold,
-          current: accountSeatsData.current,
-          previous: accountSeatsData.previous,
-          timeSeries: accountSeatsData.timeSeries,
-        };
-      }
-    }
-    
-    // Filter Workers & Pages data for selected account
-    let filteredWorkersPages = null;
-    if (metrics.workersPages && metrics.workersPages.enabled) {
-      const accountWpData = metrics.workersPages.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountWpData) {
-        filteredWorkersPages = {
-          enabled: true,
-          requestsThreshold: config?.developerServices?.workersPages?.requestsThreshold || metrics.workersPages.requestsThreshold,
-          cpuTimeThreshold: config?.developerServices?.workersPages?.cpuTimeThreshold || metrics.workersPages.cpuTimeThreshold,
-          current: accountWpData.current,
-          previous: accountWpData.previous,
-          timeSeries: accountWpData.timeSeries,
-        };
-      }
-    }
-    
-    // Filter R2 Storage data for selected account
-    let filteredR2Storage = null;
-    if (metrics.r2Storage && metrics.r2Storage.enabled) {
-      const accountR2Data = metrics.r2Storage.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountR2Data) {
-        filteredR2Storage = {
-          enabled: true,
-          classAOpsThreshold: config?.developerServices?.r2Storage?.classAOpsThreshold || metrics.r2Storage.classAOpsThreshold,
-          classBOpsThreshold: config?.developerServices?.r2Storage?.classBOpsThreshold || metrics.r2Storage.classBOpsThreshold,
-          storageThreshold: config?.developerServices?.r2Storage?.storageThreshold || metrics.r2Storage.storageThreshold,
-          current: accountR2Data.current,
-          previous: accountR2Data.previous,
-          timeSeries: accountR2Data.timeSeries,
-        };
-      }
-    }
-
-    // Filter D1 data for selected account
-    let filteredD1 = null;
-    if (metrics.d1 && metrics.d1.enabled) {
-      const accountD1Data = metrics.d1.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountD1Data) {
-        filteredD1 = {
-          enabled: true,
-          rowsReadThreshold: config?.developerServices?.d1?.rowsReadThreshold || metrics.d1.rowsReadThreshold,
-          rowsWrittenThreshold: config?.developerServices?.d1?.rowsWrittenThreshold || metrics.d1.rowsWrittenThreshold,
-          storageThreshold: config?.developerServices?.d1?.storageThreshold || metrics.d1.storageThreshold,
-          current: accountD1Data.current,
-          previous: accountD1Data.previous,
-          timeSeries: accountD1Data.timeSeries,
-        };
-      }
-    }
-
-    // Filter Durable Objects data for selected account
-    let filteredDO = null;
-    if (metrics.durableObjects && metrics.durableObjects.enabled) {
-      const accountDOData = metrics.durableObjects.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountDOData) {
-        filteredDO = {
-          enabled: true,
-          sqliteEnabled: config?.developerServices?.durableObjects?.sqliteEnabled ?? true,
-          kvStorageEnabled: config?.developerServices?.durableObjects?.kvStorageEnabled ?? true,
-          requestsThreshold: config?.developerServices?.durableObjects?.requestsThreshold || metrics.durableObjects.requestsThreshold,
-          durationThreshold: config?.developerServices?.durableObjects?.durationThreshold || metrics.durableObjects.durationThreshold,
-          sqliteRowsReadThreshold: config?.developerServices?.durableObjects?.sqliteRowsReadThreshold || metrics.durableObjects.sqliteRowsReadThreshold,
-          sqliteRowsWrittenThreshold: config?.developerServices?.durableObjects?.sqliteRowsWrittenThreshold || metrics.durableObjects.sqliteRowsWrittenThreshold,
-          kvReadUnitsThreshold: config?.developerServices?.durableObjects?.kvReadUnitsThreshold || metrics.durableObjects.kvReadUnitsThreshold,
-          kvWriteUnitsThreshold: config?.developerServices?.durableObjects?.kvWriteUnitsThreshold || metrics.durableObjects.kvWriteUnitsThreshold,
-          kvDeletesThreshold: config?.developerServices?.durableObjects?.kvDeletesThreshold || metrics.durableObjects.kvDeletesThreshold,
-          storageThreshold: config?.developerServices?.durableObjects?.storageThreshold || metrics.durableObjects.storageThreshold,
-          current: accountDOData.current,
-          previous: accountDOData.previous,
-          timeSeries: accountDOData.timeSeries,
-        };
-      }
-    }
-
-    // Filter KV data for selected account
-    let filteredKV = null;
-    if (metrics.kv && metrics.kv.enabled) {
-      const accountKVData = metrics.kv.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountKVData) {
-        filteredKV = {
-          enabled: true,
-          readsThreshold: config?.developerServices?.kv?.readsThreshold || metrics.kv.readsThreshold,
-          writesThreshold: config?.developerServices?.kv?.writesThreshold || metrics.kv.writesThreshold,
-          deletesThreshold: config?.developerServices?.kv?.deletesThreshold || metrics.kv.deletesThreshold,
-          listsThreshold: config?.developerServices?.kv?.listsThreshold || metrics.kv.listsThreshold,
-          storageThreshold: config?.developerServices?.kv?.storageThreshold || metrics.kv.storageThreshold,
-          current: accountKVData.current,
-          previous: accountKVData.previous,
-          timeSeries: accountKVData.timeSeries,
-        };
-      }
-    }
-    
-    // Filter Workers Logs & Traces data for selected account
-    let filteredWorkersLogsTraces = null;
-    if (metrics.workersLogsTraces && metrics.workersLogsTraces.enabled) {
-      const accountWLTData = metrics.workersLogsTraces.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountWLTData) {
-        filteredWorkersLogsTraces = {
-          enabled: true,
-          eventsThreshold: config?.developerServices?.workersLogsTraces?.eventsThreshold || metrics.workersLogsTraces.eventsThreshold,
-          current: accountWLTData.current,
-          previous: accountWLTData.previous,
-          timeSeries: accountWLTData.timeSeries,
-        };
-      }
-    }
-
-    // Filter Queues data for selected account
-    let filteredQueues = null;
-    if (metrics.queues && metrics.queues.enabled) {
-      const accountQueuesData = metrics.queues.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountQueuesData) {
-        filteredQueues = {
-          enabled: true,
-          operationsThreshold: config?.developerServices?.queues?.operationsThreshold || metrics.queues.operationsThreshold,
-          current: accountQueuesData.current,
-          previous: accountQueuesData.previous,
-          timeSeries: accountQueuesData.timeSeries,
-        };
-      }
-    }
-
-    // Filter Workers AI data for selected account
-    let filteredWorkersAI = null;
-    if (metrics.workersAI && metrics.workersAI.enabled) {
-      const accountWAIData = metrics.workersAI.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountWAIData) {
-        filteredWorkersAI = {
-          enabled: true,
-          neuronsThreshold: config?.developerServices?.workersAI?.neuronsThreshold || metrics.workersAI.neuronsThreshold,
-          current: accountWAIData.current,
-          previous: accountWAIData.previous,
-          timeSeries: accountWAIData.timeSeries,
-        };
-      }
-    }
-
-    // Filter Images data for selected account
-    let filteredImages = null;
-    if (metrics.images && metrics.images.enabled) {
-      const accountImagesData = metrics.images.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountImagesData) {
-        filteredImages = {
-          enabled: true,
-          imagesStoredThreshold: config?.developerServices?.images?.imagesStoredThreshold || metrics.images.imagesStoredThreshold,
-          imagesDeliveredThreshold: config?.developerServices?.images?.imagesDeliveredThreshold || metrics.images.imagesDeliveredThreshold,
-          current: accountImagesData.current,
-          previous: accountImagesData.previous,
-          timeSeries: accountImagesData.timeSeries,
-        };
-      }
-    }
-
-    // Filter Stream data for selected account
-    let filteredStream = null;
-    if (metrics.stream && metrics.stream.enabled) {
-      const accountStreamData = metrics.stream.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-
-      if (accountStreamData) {
-        filteredStream = {
-          enabled: true,
-          minutesStoredThreshold: config?.developerServices?.stream?.minutesStoredThreshold || metrics.stream.minutesStoredThreshold,
-          minutesDeliveredThreshold: config?.developerServices?.stream?.minutesDeliveredThreshold || metrics.stream.minutesDeliveredThreshold,
-          current: accountStreamData.current,
-          previous: accountStreamData.previous,
-          timeSeries: accountStreamData.timeSeries,
-        };
-      }
-    }
-
-    // Filter Magic Transit data for selected account
-    let filteredMagicTransit = null;
-    if (metrics.magicTransit && metrics.magicTransit.enabled) {
-      const accountMtData = metrics.magicTransit.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountMtData) {
-        filteredMagicTransit = {
-          enabled: true,
-          egressEnabled: config?.networkServices?.magicTransit?.egressEnabled || false,
-          threshold: config?.networkServices?.magicTransit?.threshold || metrics.magicTransit.threshold,
-          egressThreshold: config?.networkServices?.magicTransit?.egressThreshold || null,
-          current: accountMtData.current,
-          previous: accountMtData.previous,
-          timeSeries: accountMtData.timeSeries,
-        };
-      }
-    }
-    
-    // Filter Spectrum data for selected account (zone-based)
-    let filteredSpectrum = null;
-    if (metrics.spectrum && metrics.spectrum.enabled) {
-      const accountZoneIds = new Set((accountZones || []).map(z => z.id));
-      const accountSpecZones = metrics.spectrum.perZoneData?.filter(
-        z => accountZoneIds.has(z.zoneId)
-      ) || [];
-      if (accountSpecZones.length > 0) {
-        const timeSeriesMap = new Map();
-        accountSpecZones.forEach(z => {
-          (z.timeSeries || []).forEach(ts => {
-            const existing = timeSeriesMap.get(ts.month);
-            if (existing) {
-              existing.dataTransfer += ts.dataTransfer || 0;
-              existing.p95Concurrent = Math.max(existing.p95Concurrent, ts.p95Concurrent || 0);
-            } else {
-              timeSeriesMap.set(ts.month, { ...ts, dataTransfer: ts.dataTransfer || 0, p95Concurrent: ts.p95Concurrent || 0 });
-            }
-          });
-        });
-        filteredSpectrum = {
-          enabled: true,
-          dataTransferThreshold: config?.networkServices?.spectrum?.dataTransferThreshold || metrics.spectrum.dataTransferThreshold,
-          connectionsThreshold: config?.networkServices?.spectrum?.connectionsThreshold || metrics.spectrum.connectionsThreshold,
-          current: {
-            dataTransfer: accountSpecZones.reduce((s, z) => s + (z.current?.dataTransfer || 0), 0),
-            p95Concurrent: Math.max(...accountSpecZones.map(z => z.current?.p95Concurrent || 0)),
-          },
-          previous: {
-            dataTransfer: accountSpecZones.reduce((s, z) => s + (z.previous?.dataTransfer || 0), 0),
-            p95Concurrent: Math.max(...accountSpecZones.map(z => z.previous?.p95Concurrent || 0)),
-          },
-          timeSeries: Array.from(timeSeriesMap.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
-          perZoneData: accountSpecZones,
-        };
+    const accountZoneIds = new Set((accountZones || []).map(z => z.id));
+
+    // Each registry product narrowed to the account: its per-account entry, or its zones in the
+    // account; null when the account has no data for it (product not contracted)
+    const accountProducts = {};
+    PRODUCTS.filter(product => product.metricsKey !== 'core').forEach(product => {
+      const data = metrics[product.metricsKey];
+      if (!data?.enabled) {
+        accountProducts[product.metricsKey] = null;
+      } else if (product.perZone) {
+        const zoneData = data.perZoneData?.filter(z => accountZoneIds.has(z.zoneId)) || [];
+        accountProducts[product.metricsKey] = zoneData.length > 0 ? combineZoneData(product, zoneData) : null;
+      } else {
+        const accountEntry = data.perAccountData?.find(acc => acc.accountId === selectedAccount);
+        accountProducts[product.metricsKey] = accountEntry
+          ? { enabled: true, current: accountEntry.current, previous: accountEntry.previous, timeSeries: accountEntry.timeSeries }
+          : null;
       }
-    }
+    });
 
-    // Filter Magic WAN data for selected account
-    let filteredMagicWan = null;
-    if (metrics.magicWan && metrics.magicWan.enabled) {
-      const accountMwData = metrics.magicWan.perAccountData?.find(
-        acc => acc.accountId === selectedAccount
-      );
-      
-      if (accountMwData) {
-        filteredMagicWan = {
-          enabled: true,
-          threshold: config?.networkServices?.magicWan?.threshold || metrics.magicWan.threshold,
-          current: accountMwData.current,
-          previous: accountMwData.previous,
-          timeSeries: accountMwData.timeSeries,
-        };
-      }
-    }
-    
     return {
-      metrics: {
-        ...accountData,
-        botManagement: filteredBotManagement,
-        apiShield: filteredApiShield,
-        pageShield: filteredPageShield,
-        advancedRateLimiting: filteredAdvancedRateLimiting,
-        argo: filteredArgo,
-        cacheReserve: filteredCacheReserve,
-        loadBalancing: filteredLoadBalancing,
-        customHostnames: filteredCustomHostnames,
-        logExplorer: filteredLogExplorer,
-        zeroTrustSeats: filteredZeroTrustSeats,
-        workersPages: filteredWorkersPages,
-        r2Storage: filteredR2Storage,
-        d1: filteredD1,
-        kv: filteredKV,
-        stream: filteredStream,
-        images: filteredImages,
-        workersAI: filteredWorkersAI,
-        queues: filteredQueues,
-        workersLogsTraces: filteredWorkersLogsTraces,
-        durableObjects: filteredDO,
-        magicTransit: filteredMagicTransit,
-        magicWan: filteredMagicWan,
-        spectrum: filteredSpectrum,
-      },
+      metrics: { ...accountData, ...accountProducts },
       zones: accountZones ? { ...zones, zones: accountZones, enterprise: accountZones.length } : zones
     };
   };
@@ -1195,6 +529,15 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
             <p className="text-sm text-gray-600">
               Monitor your Cloudflare Enterprise consumption
             </p>
+            {contractPeriod && (
+              <span
+                className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-700"
+                title={`Contract term ${contractPeriod.startMonth} → ${contractPeriod.endMonth}`}
+              >
+                {contractPeriod.mode === 'annual' ? 'Annual commit' : 'Monthly commit'}
+                {contractPeriod.rollover ? ' + rollover' : ''} · month {contractPeriod.monthsElapsed}/{contractPeriod.termMonths}
+              </span>
+            )}
             {cacheAge !== null && (
               <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                 {cacheAge < 60 
@@ -1240,28 +583,31 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
                 <div className="absolute right-0 top-full mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 p-4 z-20">
                   <div className="flex items-center justify-between mb-3">
                     <h4 className="text-sm font-semibold text-gray-900">Threshold Alerts</h4>
-                    <button
-                      onClick={toggleAlerts}
-                      className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors ${
-                        alertsEnabled ? 'bg-blue-600' : 'bg-gray-300'
-                      }`}
-                    >
-                      <span className={`inline-block h-3.5 w-3.5 transform rounded-full bg-white transition-transform ${
-                        alertsEnabled ? 'translate-x-[18px]' : 'translate-x-[3px]'
-                      }`} />
-                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={toggleAlerts}
+                        className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors ${
+                          alertsEnabled ? 'bg-blue-600' : 'bg-gray-300'
+                        }`}
+                      >
+                        <span className={`inline-block h-3.5 w-3.5 transform rounded-full bg-white transition-transform ${
+                          alertsEnabled ? 'translate-x-[18px]' : 'translate-x-[3px]'
+                        }`} />
+                      </button>
+                    )}
                   </div>
-                  <p className="text-xs text-gray-500 mb-3">Notify when usage reaches 90% of contracted limits ({config.alertFrequency === 'weekly' ? 'weekly' : 'monthly'})</p>
-                  {alertsEnabled && metrics && zones && (
+                  {alertsToggleError && <p className="text-xs text-red-600 mb-2">{alertsToggleError}</p>}
+                  <p className="text-xs text-gray-500 mb-3">Notify when usage reaches each product's alert tiers, 90% of contracted limits by default ({config.alertFrequency === 'weekly' ? 'weekly' : 'monthly'})</p>
+                  {canEdit && alertsEnabled && metrics && zones && (
                     <div className="space-y-2">
                       <button
-                        onClick={() => { sendSlackMessage(metrics, zones, 'alert'); setShowAlertPopover(false); }}
+                        onClick={() => { sendNotification(metrics, zones, 'alert'); setShowAlertPopover(false); }}
                         className="w-full px-3 py-1.5 text-xs font-medium bg-amber-100 text-amber-700 rounded-md hover:bg-amber-200 transition-colors"
                       >
                         Check Alerts Now
                       </button>
                       <button
-                        onClick={() => { sendSlackMessage(metrics, zones, 'report'); setShowAlertPopover(false); }}
+                        onClick={() => { sendNotification(metrics, zones, 'report'); setShowAlertPopover(false); }}
                         className="w-full px-3 py-1.5 text-xs font-medium bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors"
                       >
                         Send Full Report
@@ -1275,23 +621,83 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
               </>
             )}
           </div>
-          <div className="flex flex-col items-end flex-shrink-0">
+          <div className="relative">
             <button
-              onClick={prewarmCache}
-              disabled={loading || prewarming}
-              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm text-sm font-medium whitespace-nowrap"
-              title="Fetch fresh data and cache for instant future loads"
+              onClick={() => setShowExportPopover(!showExportPopover)}
+              className="p-2 rounded-lg border border-gray-300 bg-white text-gray-600 hover:bg-gray-50 transition-colors"
+              title="Export Usage"
             >
-              <RefreshCw className={`w-4 h-4 ${prewarming ? 'animate-spin' : ''}`} />
-              <span>{prewarming ? 'Refreshing...' : 'Refresh'}</span>
+              <Download className="w-4 h-4" />
             </button>
-            {prewarming && (
-              <p className="text-[11px] text-gray-400 mt-1.5 max-w-[200px] text-right leading-tight">Hold tight — this typically takes 30s to a couple of minutes.</p>
+            {showExportPopover && (
+              <>
+                <div className="fixed inset-0 z-10" onClick={() => setShowExportPopover(false)} />
+                <div className="absolute right-0 top-full mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 p-4 z-20">
+                  <h4 className="text-sm font-semibold text-gray-900 mb-1">Export Usage</h4>
+                  <p className="text-xs text-gray-500 mb-3">
+                    {selectedAccount === 'all'
+                      ? 'All accounts, with a column per account.'
+                      : `Only ${accountsWithNames.find(a => a.id === selectedAccount)?.name || selectedAccount}.`}
+                  </p>
+                  <div className="space-y-2">
+                    <button
+                      onClick={() => downloadExport('csv')}
+                      disabled={!!exporting}
+                      className="w-full px-3 py-1.5 text-xs font-medium bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors disabled:opacity-50"
+                    >
+                      {exporting === 'csv' ? 'Preparing…' : 'Download CSV (SKUs)'}
+                    </button>
+                    <button
+                      onClick={() => downloadExport('xlsx')}
+                      disabled={!!exporting}
+                      className="w-full px-3 py-1.5 text-xs font-medium bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors disabled:opacity-50"
+                    >
+                      {exporting === 'xlsx' ? 'Preparing…' : 'Download Excel (SKUs, zones, monthly)'}
+                    </button>
+                  </div>
+                </div>
+              </>
             )}
           </div>
+          {canEdit && (
+            <div className="flex flex-col items-end flex-shrink-0">
+              <button
+                onClick={prewarmCache}
+                disabled={loading || prewarming}
+                className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm text-sm font-medium whitespace-nowrap"
+                title="Fetch fresh data and cache for instant future loads"
+              >
+                <RefreshCw className={`w-4 h-4 ${prewarming ? 'animate-spin' : ''}`} />
+                <span>{prewarming ? 'Refreshing...' : 'Refresh'}</span>
+              </button>
+              {prewarming && (
+                <p className="text-[11px] text-gray-400 mt-1.5 max-w-[200px] text-right leading-tight">Hold tight — this typically takes 30s to a couple of minutes.</p>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Products with accounts or zones whose Cloudflare API calls failed, so their totals are incomplete */}
+      {metrics?.fetchErrors && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3">
+          <div className="flex items-start space-x-3">
+            <AlertCircle className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" />
+            <div className="text-sm">
+              <p className="font-medium text-amber-900">Some usage could not be fetched, so these totals are incomplete</p>
+              <ul className="mt-1 space-y-0.5 text-amber-800">
+                {Object.entries(metrics.fetchErrors).map(([productId, failures]) => (
+                  <li key={productId}>
+                    <span className="font-medium">{getProduct(productId)?.label || productId}:</span>{' '}
+                    {failures.map(f => `${f.zoneId ? (metrics.zones?.zones?.find(z => z.id === f.zoneId)?.name || f.zoneId) : (accountsWithNames.find(a => a.id === f.accountId)?.name || f.accountId)} (${f.message})`).join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Service Tabs */}
       <div className="bg-white border border-gray-200 rounded-xl shadow-lg overflow-hidden">
         <div className="border-b border-gray-200 px-6 bg-gray-50">
@@ -1323,12 +729,21 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
 
         {/* Service Content */}
         <div className="bg-gray-50">
-          {activeServiceTab === SERVICE_CATEGORIES.APPLICATION_SERVICES && renderApplicationServices()}
-          {activeServiceTab === SERVICE_CATEGORIES.NETWORK_SERVICES && renderNetworkServices()}
-          {activeServiceTab === SERVICE_CATEGORIES.CLOUDFLARE_ONE && renderCloudflareOne()}
-          {activeServiceTab === SERVICE_CATEGORIES.DEVELOPER_PLATFORM && renderDeveloperPlatform()}
+          {renderServiceTab(activeServiceTab)}
         </div>
       </div>
+
+      {/* Acknowledge, snooze or mute alerts that are currently firing */}
+      {alertsEnabled && metrics && zones && (
+        <AlertsPanel
+          alerts={evaluateAlertTiers(buildAlertSkuMetrics(metrics, zones), config)}
+          accountIds={config?.accountIds || []}
+          canEdit={canEdit}
+        />
+      )}
+
+      {/* Alert ledger with per-channel delivery results */}
+      {alertsEnabled && <NotificationCenter />}
     </div>
   );
 
@@ -1373,568 +788,220 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
     );
   }
 
-  function renderApplicationServices() {
-    const sidebarItems = [];
-
-    const coreEnabled = config?.applicationServices?.core?.enabled !== false;
-    const trafficEnabled = config?.applicationServices?.core?.trafficEnabled !== undefined ? config.applicationServices.core.trafficEnabled : coreEnabled;
-    const dnsEnabled = config?.applicationServices?.core?.dnsEnabled !== undefined ? config.applicationServices.core.dnsEnabled : coreEnabled;
-    const coreItems = [];
-    if (coreEnabled && metrics?.current) coreItems.push({ id: 'enterpriseZones', label: 'Enterprise Zones' });
-    if (trafficEnabled && metrics?.current) coreItems.push({ id: 'appServices', label: 'Traffic' });
-    if (dnsEnabled && metrics?.current) coreItems.push({ id: 'dns', label: 'DNS' });
-    if (coreItems.length > 0) sidebarItems.push({ type: 'header', label: 'Zones & Traffic' }, ...coreItems);
-
-    const securityItems = [];
-    if (displayMetrics?.botManagement?.enabled) securityItems.push({ id: 'botManagement', label: 'Bot Management' });
-    if (displayMetrics?.apiShield?.enabled) securityItems.push({ id: 'apiShield', label: 'API Shield' });
-    if (displayMetrics?.pageShield?.enabled) securityItems.push({ id: 'pageShield', label: 'Page Shield' });
-    if (displayMetrics?.advancedRateLimiting?.enabled) securityItems.push({ id: 'advancedRateLimiting', label: 'Advanced Rate Limiting' });
-    if (securityItems.length > 0) sidebarItems.push({ type: 'header', label: 'Application Security' }, ...securityItems);
-
-    const deliveryItems = [];
-    if (displayMetrics?.argo?.enabled) deliveryItems.push({ id: 'argo', label: 'Argo Smart Routing' });
-    if (displayMetrics?.cacheReserve?.enabled) deliveryItems.push({ id: 'cacheReserve', label: 'Cache Reserve' });
-    if (displayMetrics?.loadBalancing?.enabled) deliveryItems.push({ id: 'loadBalancing', label: 'Load Balancing' });
-    if (displayMetrics?.customHostnames?.enabled) deliveryItems.push({ id: 'customHostnames', label: 'Custom Hostnames' });
-    if (deliveryItems.length > 0) sidebarItems.push({ type: 'header', label: 'Delivery & Performance' }, ...deliveryItems);
-
-    const logsItems = [];
-    if (displayMetrics?.logExplorer?.enabled) logsItems.push({ id: 'logExplorer', label: 'Log Explorer' });
-    if (logsItems.length > 0) sidebarItems.push({ type: 'header', label: 'Logs & Analytics' }, ...logsItems);
-
-    if (sidebarItems.length === 0) {
-      return (
-        <div className="text-center py-20">
-          <AlertCircle className="w-16 h-16 mx-auto text-gray-400 mb-4" />
-          <h3 className="text-xl font-semibold text-gray-700 mb-2">Application Services</h3>
-          <p className="text-sm text-gray-500">No Application Services configured. Go to Settings to enable them.</p>
-        </div>
-      );
-    }
-
-    return renderSidebarLayout(sidebarItems, (activeProduct) => {
-      switch (activeProduct) {
-        case 'enterpriseZones':
-          return renderEnterpriseZones();
-        case 'appServices':
-          return renderAppServicesCore();
-        case 'dns':
-          return renderDNS();
-        case 'botManagement':
-          return renderBotManagement();
-        case 'apiShield':
-          return renderAddonProduct('apiShield', 'API Shield', 'HTTP Requests', 'requests', 'requests', '#8b5cf6');
-        case 'pageShield':
-          return renderAddonProduct('pageShield', 'Page Shield', 'HTTP Requests', 'requests', 'requests', '#ec4899');
-        case 'advancedRateLimiting':
-          return renderAddonProduct('advancedRateLimiting', 'Advanced Rate Limiting', 'HTTP Requests', 'requests', 'requests', '#14b8a6');
-        case 'argo':
-          return renderArgo();
-        case 'cacheReserve':
-          return renderCacheReserve();
-        case 'loadBalancing':
-          return renderLoadBalancing();
-        case 'customHostnames':
-          return renderCustomHostnames();
-        case 'logExplorer':
-          return renderLogExplorer();
-        default:
-          return null;
-      }
+  // Sidebar entries for a service tab, from the SKU registry, with a header per product group
+  function getServiceSidebarItems(service) {
+    const items = [];
+    let group = null;
+    getServiceProducts(service).forEach(product => {
+      const visible = product.coreToggle
+        ? isCoreSectionEnabled(config, product.coreToggle) && !!metrics?.current
+        : !!getProductMetrics(displayMetrics, product.metricsKey)?.enabled;
+      if (!visible) return;
+      if (product.group && product.group !== group) items.push({ type: 'header', label: product.group });
+      group = product.group;
+      items.push({ id: product.id, label: product.label });
     });
+    return items;
   }
 
-  function renderNetworkServices() {
-    const sidebarItems = [];
-
-    if (displayMetrics?.magicTransit?.enabled) {
-      sidebarItems.push({ id: 'magicTransit', label: 'Magic Transit' });
-    }
-    if (displayMetrics?.spectrum?.enabled) {
-      sidebarItems.push({ id: 'spectrum', label: 'Spectrum' });
-    }
+  function renderServiceTab(service) {
+    const sidebarItems = getServiceSidebarItems(service);
 
     if (sidebarItems.length === 0) {
+      const { name } = SERVICE_METADATA[service];
       return (
         <div className="text-center py-20">
           <AlertCircle className="w-16 h-16 mx-auto text-gray-400 mb-4" />
-          <h3 className="text-xl font-semibold text-gray-700 mb-2">Network Services</h3>
-          <p className="text-sm text-gray-500">No Network Services configured. Go to Settings to enable them.</p>
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">{name}</h3>
+          <p className="text-sm text-gray-500">No {name} products configured. Go to Settings to enable them.</p>
         </div>
       );
     }
 
-    return renderSidebarLayout(sidebarItems, (activeProduct) => {
-      switch (activeProduct) {
-        case 'magicTransit':
-          return renderMagicTransit();
-        case 'spectrum':
-          return renderSpectrum();
-        default:
-          return null;
-      }
-    });
+    return renderSidebarLayout(sidebarItems, renderProduct);
   }
 
-  function renderEnterpriseZones() {
-    const zonesThreshold = config?.applicationServices?.core?.thresholdZones || config.thresholdZones;
-    const zonesCount = displayZones?.enterprise || 0;
+  // Product view from the registry: a card per tracked value (under its section header), the
+  // burn-up chart of the product's daily series, then its breakdown by zone
+  function renderProduct(productId) {
+    const product = getProduct(productId);
+    const data = product && getProductMetrics(displayMetrics, product.metricsKey);
+    if (!data || (!product.coreToggle && !data.enabled)) return null;
 
+    const settings = getProductConfig(config, product);
+    const values = getTrackedValues(product).filter(value => !value.requires || settings[value.requires]);
     return (
       <div className="space-y-6">
-        <ConsolidatedCard
-          title="Enterprise Zones"
-          subtitle="Active enterprise zones across accounts"
-          value={zonesCount}
-          formatted={formatNumber(zonesCount)}
-          threshold={zonesThreshold}
-          percentage={calculatePercentage(zonesCount, zonesThreshold)}
-          icon="zones"
-          unit="zones"
-          color="#3b82f6"
-          timeSeries={displayZones?.zonesTimeSeries}
-          dataKey="zones"
-          chartFormatter={formatNumber}
-          yAxisLabel="Zones"
-          zoneBreakdown={displayMetrics?.previousMonthZoneBreakdown}
-          primaryZones={config?.applicationServices?.core?.primaryZones || config.primaryZones}
-          secondaryZones={config?.applicationServices?.core?.secondaryZones || config.secondaryZones}
-        />
+        {values.map((value, index) => (
+          <React.Fragment key={value.key || value.field}>
+            {value.card.section && value.card.section !== values[index - 1]?.card.section && (
+              <h4 className={`text-sm font-semibold text-gray-500 uppercase tracking-wider${index > 0 ? ' pt-2' : ''}`}>{value.card.section}</h4>
+            )}
+            {renderValueCard(value, data)}
+          </React.Fragment>
+        ))}
+        {product.daily && renderBurnUpChart(product, values)}
+        {renderProductBreakdown(product)}
       </div>
     );
   }
 
-  function renderAppServicesCore() {
-    const reqThreshold = config?.applicationServices?.core?.thresholdRequests || config.thresholdRequests;
-    const bwThreshold = config?.applicationServices?.core?.thresholdBandwidth || config.thresholdBandwidth;
-    const currentRequests = displayMetrics?.current?.requests || 0;
-    const currentBytes = displayMetrics?.current?.bytes || 0;
+  function renderValueCard(value, data) {
+    const current = data.current?.[value.field] || 0;
+    const threshold = getSkuThreshold(config, value);
+    const format = (v) => formatSkuValue(value, v);
+    return (
+      <ConsolidatedCard
+        title={value.card.title}
+        subtitle={value.card.subtitle}
+        value={current}
+        formatted={format(current)}
+        threshold={threshold}
+        percentage={calculatePercentage(current, threshold)}
+        icon={value.card.icon}
+        color={value.card.color}
+        timeSeries={data.timeSeries}
+        dataKey={value.field}
+        contractPeriod={value.pooled ? contractPeriod : null}
+        showForecast={!!value.pooled}
+        anomaly={value.key ? getAnomaly(value.key) : null}
+        chartFormatter={format}
+        thresholdFormatter={format}
+        yAxisLabel={value.card.axis}
+        {...getCardExtras(value, data)}
+      />
+    );
+  }
 
+  function renderBurnUpChart(product, values) {
     return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="HTTP Requests"
-          subtitle="Billable HTTP requests (excluding blocked)"
-          value={currentRequests}
-          formatted={formatRequests(currentRequests)}
-          threshold={reqThreshold}
-          percentage={calculatePercentage(currentRequests, reqThreshold)}
-          icon="requests"
-          unit="M"
-          color="#3b82f6"
-          timeSeries={displayMetrics?.timeSeries}
-          dataKey="requests"
-          chartFormatter={formatRequests}
-          yAxisLabel="Requests"
-          confidence={displayMetrics?.current?.confidence?.requests}
-          summaryBadge={displayMetrics?.current?.totalRequests != null ? (() => {
-            const http = displayMetrics.current;
-            return (
-              <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 text-xs">
-                <div className="flex items-center justify-between space-x-2 mb-1">
-                  <span className="text-gray-600">Total:</span>
-                  <span className="font-semibold text-gray-900">{formatRequests(http.totalRequests)}</span>
-                </div>
-                <div className="flex items-center justify-between space-x-2">
-                  <span className="text-gray-600">Blocked:</span>
-                  <span className="font-semibold text-gray-900">{formatRequests(http.blockedRequests || 0)}</span>
-                </div>
-              </div>
-            );
-          })() : null}
-        />
-        <ConsolidatedCard
-          title="Data Transfer"
-          subtitle="Billable bandwidth served"
-          value={currentBytes}
-          formatted={formatBandwidthTB(currentBytes)}
-          threshold={bwThreshold}
-          percentage={calculatePercentage(currentBytes, bwThreshold)}
-          icon="bandwidth"
-          unit="TB"
-          color="#6366f1"
-          timeSeries={displayMetrics?.timeSeries}
-          dataKey="bytes"
-          chartFormatter={formatBandwidthTB}
-          yAxisLabel="Bandwidth"
-          confidence={displayMetrics?.current?.confidence?.bytes}
-          confidenceMetricType="HTTP Requests (measuring bytes)"
-          summaryBadge={displayMetrics?.current?.totalBytes != null ? (() => {
-            const httpBytes = displayMetrics.current;
-            return (
-              <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 text-xs">
-                <div className="flex items-center justify-between space-x-2 mb-1">
-                  <span className="text-gray-600">Total:</span>
-                  <span className="font-semibold text-gray-900">{formatBandwidthTB(httpBytes.totalBytes)}</span>
-                </div>
-                <div className="flex items-center justify-between space-x-2">
-                  <span className="text-gray-600">Blocked:</span>
-                  <span className="font-semibold text-gray-900">{formatBandwidthTB(httpBytes.blockedBytes || 0)}</span>
-                </div>
-              </div>
-            );
-          })() : null}
-        />
-        {renderZoneBreakdown('appServices')}
-      </div>
+      <BurnUpChart
+        product={product.id}
+        accountId={burnUpAccountId}
+        refreshKey={lastChecked}
+        metrics={values.filter(value => product.daily.includes(value.field)).map(value => ({
+          dataKey: value.field,
+          label: value.card.title,
+          threshold: getSkuThreshold(config, value),
+          color: value.card.color,
+          formatter: (v) => formatSkuValue(value, v),
+        }))}
+      />
     );
   }
 
-  function renderDNS() {
-    const dnsThreshold = config?.applicationServices?.core?.thresholdDnsQueries || config.thresholdDnsQueries;
-    const currentDns = displayMetrics?.current?.dnsQueries || 0;
-
+  // Title with an info tooltip
+  function renderInfoTitle(title, info) {
     return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="DNS Queries"
-          subtitle="Authoritative DNS query volume"
-          value={currentDns}
-          formatted={formatRequests(currentDns)}
-          threshold={dnsThreshold}
-          percentage={calculatePercentage(currentDns, dnsThreshold)}
-          icon="dns"
-          unit="M"
-          color="#0ea5e9"
-          timeSeries={displayMetrics?.timeSeries}
-          dataKey="dnsQueries"
-          chartFormatter={formatRequests}
-          yAxisLabel="Queries"
-          confidence={displayMetrics?.current?.confidence?.dnsQueries}
-          confidenceMetricType="DNS Queries"
-        />
-        {renderZoneBreakdown('dns')}
-      </div>
+      <span className="inline-flex items-center gap-1.5">
+        {title}
+        <span className="group relative">
+          <Info className="w-3.5 h-3.5 text-gray-400 cursor-help" />
+          <span className="invisible group-hover:visible absolute top-full left-0 mt-2 w-72 p-2.5 bg-gray-900 text-white text-xs rounded-lg shadow-lg z-50 leading-relaxed">
+            {info}
+          </span>
+        </span>
+      </span>
     );
   }
 
-  function renderMagicTransit() {
-    const formatBandwidth = (mbps) => {
-      if (mbps >= 1000) return `${(mbps / 1000).toFixed(2)} Gbps`;
-      if (mbps >= 1) return `${mbps.toFixed(2)} Mbps`;
-      if (mbps >= 0.001) return `${(mbps * 1000).toFixed(2)} Kbps`;
-      if (mbps > 0) return `${(mbps * 1000000).toFixed(2)} bps`;
-      return '0 Mbps';
-    };
-
-    const mt = displayMetrics?.magicTransit;
-    if (!mt?.enabled) return null;
-
-    const showEgress = mt.egressEnabled;
-
+  function renderTotalsBadge(rows) {
     return (
-      <div className="space-y-6">
-        {showEgress ? (
-          <>
-            <ConsolidatedCard
-              title={
-                <span className="inline-flex items-center gap-1.5">
-                  Magic Transit (Ingress)
-                  <span className="group relative">
-                    <Info className="w-3.5 h-3.5 text-gray-400 cursor-help" />
-                    <span className="invisible group-hover:visible absolute top-full left-0 mt-2 w-64 p-2.5 bg-gray-900 text-white text-xs rounded-lg shadow-lg z-50 leading-relaxed">
-                      Bandwidth data is cached for up to 6 hours to optimize refresh performance.
-                    </span>
-                  </span>
-                </span>
-              }
-              subtitle="P95th Bandwidth"
-              value={mt.current?.ingressP95Mbps || 0}
-              formatted={formatBandwidth(mt.current?.ingressP95Mbps || 0)}
-              threshold={mt.threshold}
-              percentage={calculatePercentage(mt.current?.ingressP95Mbps || 0, mt.threshold)}
-              icon="bandwidth"
-              unit="Mbps"
-              color="#0ea5e9"
-              timeSeries={mt.timeSeries}
-              dataKey="ingressP95Mbps"
-              yAxisLabel="Mbps"
-            />
-            <ConsolidatedCard
-              title={
-                <span className="inline-flex items-center gap-1.5">
-                  Magic Transit (Egress)
-                  <span className="group relative">
-                    <Info className="w-3.5 h-3.5 text-gray-400 cursor-help" />
-                    <span className="invisible group-hover:visible absolute top-full left-0 mt-2 w-64 p-2.5 bg-gray-900 text-white text-xs rounded-lg shadow-lg z-50 leading-relaxed">
-                      Bandwidth data is cached for up to 6 hours to optimize refresh performance.
-                    </span>
-                  </span>
-                </span>
-              }
-              subtitle="P95th Bandwidth"
-              value={mt.current?.egressP95Mbps || 0}
-              formatted={formatBandwidth(mt.current?.egressP95Mbps || 0)}
-              threshold={mt.egressThreshold}
-              percentage={calculatePercentage(mt.current?.egressP95Mbps || 0, mt.egressThreshold)}
-              icon="bandwidth"
-              unit="Mbps"
-              color="#06b6d4"
-              timeSeries={mt.timeSeries}
-              dataKey="egressP95Mbps"
-              yAxisLabel="Mbps"
-            />
-          </>
-        ) : (
-          <ConsolidatedCard
-            title={
-              <span className="inline-flex items-center gap-1.5">
-                Magic Transit
-                <span className="group relative">
-                  <Info className="w-3.5 h-3.5 text-gray-400 cursor-help" />
-                  <span className="invisible group-hover:visible absolute top-full left-0 mt-2 w-64 p-2.5 bg-gray-900 text-white text-xs rounded-lg shadow-lg z-50 leading-relaxed">
-                    Bandwidth data is cached for up to 6 hours to optimize refresh performance.
-                  </span>
-                </span>
-              </span>
-            }
-            subtitle="P95th Bandwidth"
-            value={mt.current?.p95Mbps || 0}
-            formatted={formatBandwidth(mt.current?.p95Mbps || 0)}
-            threshold={mt.threshold}
-            percentage={calculatePercentage(mt.current?.p95Mbps || 0, mt.threshold)}
-            icon="bandwidth"
-            unit="Mbps"
-            color="#0ea5e9"
-            timeSeries={mt.timeSeries}
-            dataKey="p95Mbps"
-            yAxisLabel="Mbps"
-          />
-        )}
+      <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 text-xs">
+        {rows.map(([label, formatted, className], index) => (
+          <div key={label} className={`flex items-center justify-between space-x-2${index < rows.length - 1 ? ' mb-1' : ''}`}>
+            <span className="text-gray-600">{label}:</span>
+            <span className={`font-semibold ${className || 'text-gray-900'}`}>{formatted}</span>
+          </div>
+        ))}
       </div>
     );
   }
 
-  function renderSpectrum() {
-    const spec = displayMetrics?.spectrum;
-    if (!spec?.enabled) return null;
-
-    const formatDataTransfer = (bytes) => {
-      if (bytes >= 1e12) return `${(bytes / 1e12).toFixed(2)} TB`;
-      if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(2)} GB`;
-      if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(2)} MB`;
-      if (bytes >= 1e3) return `${(bytes / 1e3).toFixed(2)} KB`;
-      return `${bytes} B`;
-    };
-
-    const formatConnections = (val) => {
-      if (val >= 1000000) return `${(val / 1000000).toFixed(2)}M`;
-      if (val >= 1000) return `${(val / 1000).toFixed(2)}K`;
-      return Math.round(val).toLocaleString();
-    };
-
-    const dataTransferThresholdBytes = spec.dataTransferThreshold ? spec.dataTransferThreshold * 1e12 : null;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title={
-            <span className="inline-flex items-center gap-1.5">
-              Data Transfer
-              <span className="group relative">
-                <Info className="w-3.5 h-3.5 text-gray-400 cursor-help" />
-                <span className="invisible group-hover:visible absolute top-full left-0 mt-2 w-72 p-2.5 bg-gray-900 text-white text-xs rounded-lg shadow-lg z-50 leading-relaxed">
-                  Data transfer is cached for up to 6 hours to optimize refresh performance. Includes all Spectrum ingress + egress bytes. HTTP traffic on Spectrum hostnames is processed by Cloudflare's CDN unless explicitly blocked, so it may be counted both here and in your HTTP Data Transfer.
-                </span>
-              </span>
-            </span>
+  // Card props beyond the registry: confidence, totals badges, tooltips and the zone count details
+  function getCardExtras(value, data) {
+    const current = data.current || {};
+    switch (value.product.id) {
+      case 'enterpriseZones':
+        return {
+          value: displayZones?.enterprise || 0,
+          formatted: formatSkuValue(value, displayZones?.enterprise || 0),
+          percentage: calculatePercentage(displayZones?.enterprise || 0, getSkuThreshold(config, value)),
+          timeSeries: displayZones?.zonesTimeSeries,
+          dataKey: 'zones',
+          zoneBreakdown: displayMetrics?.previousMonthZoneBreakdown,
+          primaryZones: config?.applicationServices?.core?.primaryZones,
+          secondaryZones: config?.applicationServices?.core?.secondaryZones,
+        };
+      case 'core':
+        return value.field === 'requests'
+          ? {
+            confidence: current.confidence?.requests,
+            summaryBadge: current.totalRequests != null
+              ? renderTotalsBadge([['Total', formatRequests(current.totalRequests)], ['Blocked', formatRequests(current.blockedRequests || 0)]])
+              : null,
           }
-          subtitle="Spectrum ingress + egress bytes"
-          value={spec.current?.dataTransfer || 0}
-          formatted={formatDataTransfer(spec.current?.dataTransfer || 0)}
-          threshold={dataTransferThresholdBytes}
-          percentage={calculatePercentage(spec.current?.dataTransfer || 0, dataTransferThresholdBytes)}
-          icon="bandwidth"
-          unit=""
-          color="#8b5cf6"
-          timeSeries={spec.timeSeries}
-          dataKey="dataTransfer"
-          chartFormatter={formatDataTransfer}
-          yAxisLabel="Transfer"
-        />
-        <div className="relative">
-          <ConsolidatedCard
-            title={
-              <span className="inline-flex items-center gap-1.5">
-                Concurrent Connections (P95)
-                <span className="group relative">
-                  <Info className="w-3.5 h-3.5 text-gray-400 cursor-help" />
-                  <span className="invisible group-hover:visible absolute bottom-full left-1/2 -translate-x-1/2 mb-2 w-72 p-2.5 bg-gray-900 text-white text-xs rounded-lg shadow-lg z-50 leading-relaxed">
-                    P95 is calculated from per-minute samples, zero-filled from the start of the month. For accurate results, ensure Spectrum is configured from the 1st of the month.
-                  </span>
-                </span>
-              </span>
-            }
-            subtitle="P95 of per-minute concurrent client samples"
-            value={spec.current?.p95Concurrent || 0}
-            formatted={formatConnections(spec.current?.p95Concurrent || 0)}
-            threshold={spec.connectionsThreshold}
-            percentage={calculatePercentage(spec.current?.p95Concurrent || 0, spec.connectionsThreshold)}
-            icon="connections"
-            unit=""
-            color="#06b6d4"
-            timeSeries={spec.timeSeries}
-            dataKey="p95Concurrent"
-            chartFormatter={formatConnections}
-            yAxisLabel="P95 Concurrent"
-          />
-        </div>
-      </div>
-    );
-  }
-
-  function renderCacheReserve() {
-    const cr = displayMetrics?.cacheReserve;
-    if (!cr?.enabled) return null;
-
-    const formatStorageTB = (bytes) => {
-      if (bytes >= 1e12) return `${(bytes / 1e12).toFixed(2)} TB`;
-      if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(2)} GB`;
-      if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(2)} MB`;
-      return `${(bytes / 1e3).toFixed(2)} KB`;
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Storage"
-          subtitle="Aggregate storage usage"
-          value={cr.current?.storageGBDays || 0}
-          formatted={(() => {
-            const gb = cr.current?.storageGBDays || 0;
-            if (gb >= 1000) return `${(gb / 1000).toFixed(2)} TB`;
-            if (gb >= 1) return `${gb.toFixed(2)} GB`;
-            return `${(gb * 1000).toFixed(2)} MB`;
-          })()}
-          threshold={cr.storageThreshold ? cr.storageThreshold * 1000 : null}
-          percentage={cr.storageThreshold ? (cr.current?.storageGBDays || 0) / (cr.storageThreshold * 1000) * 100 : null}
-          icon="cr-storage"
-          unit=""
-          color="#10b981"
-          timeSeries={cr.timeSeries}
-          dataKey="storageGBDays"
-          chartFormatter={(v) => v >= 1 ? `${v.toFixed(1)} GB` : `${(v * 1000).toFixed(0)} MB`}
-          yAxisLabel="Storage"
-          isZoneFiltered={true}
-        />
-        <ConsolidatedCard
-          title="Class A Operations"
-          subtitle="Write operations"
-          value={cr.current?.classAOps || 0}
-          formatted={formatNumber(cr.current?.classAOps || 0)}
-          threshold={cr.classAOpsThreshold || null}
-          percentage={calculatePercentage(cr.current?.classAOps || 0, cr.classAOpsThreshold || null)}
-          icon="upload"
-          unit=""
-          color="#3b82f6"
-          timeSeries={cr.timeSeries}
-          dataKey="classAOps"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-          isZoneFiltered={true}
-        />
-        <ConsolidatedCard
-          title="Class B Operations"
-          subtitle="Read operations"
-          value={cr.current?.classBOps || 0}
-          formatted={formatNumber(cr.current?.classBOps || 0)}
-          threshold={cr.classBOpsThreshold || null}
-          percentage={calculatePercentage(cr.current?.classBOps || 0, cr.classBOpsThreshold || null)}
-          icon="download"
-          unit=""
-          color="#6366f1"
-          timeSeries={cr.timeSeries}
-          dataKey="classBOps"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-          isZoneFiltered={true}
-        />
-        {renderCacheReserveZoneBreakdown()}
-      </div>
-    );
-  }
-
-  function renderLoadBalancing() {
-    const lb = displayMetrics?.loadBalancing;
-    if (!lb?.enabled) return null;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Endpoints"
-          subtitle="Load balancer origins"
-          value={lb.current?.endpoints || 0}
-          formatted={(lb.current?.endpoints || 0).toLocaleString()}
-          threshold={lb.threshold || null}
-          percentage={calculatePercentage(lb.current?.endpoints || 0, lb.threshold || null)}
-          icon="endpoints"
-          unit=""
-          color="#f59e0b"
-          timeSeries={lb.timeSeries}
-          dataKey="endpoints"
-          chartFormatter={(v) => v.toLocaleString()}
-          yAxisLabel="Endpoints"
-        />
-      </div>
-    );
-  }
-
-  function renderLogExplorer() {
-    const le = displayMetrics?.logExplorer;
-    if (!le?.enabled) return null;
-
-    const formatGB = (gb) => {
-      if (gb >= 1000) return `${(gb / 1000).toFixed(2)} TB`;
-      if (gb >= 1) return `${gb.toFixed(2)} GB`;
-      if (gb >= 0.001) return `${(gb * 1000).toFixed(2)} MB`;
-      return '0 GB';
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Data Retention"
-          subtitle="Billable data ingested this month"
-          value={le.current?.billableGB || 0}
-          formatted={formatGB(le.current?.billableGB || 0)}
-          threshold={le.threshold || null}
-          percentage={calculatePercentage(le.current?.billableGB || 0, le.threshold || null)}
-          icon="database"
-          unit="GB"
-          color="#6366f1"
-          timeSeries={le.timeSeries}
-          dataKey="billableGB"
-          chartFormatter={formatGB}
-          yAxisLabel="GB"
-        />
-      </div>
-    );
+          : {
+            confidence: current.confidence?.bytes,
+            confidenceMetricType: 'HTTP Requests (measuring bytes)',
+            summaryBadge: current.totalBytes != null
+              ? renderTotalsBadge([['Total', formatBandwidthTB(current.totalBytes)], ['Blocked', formatBandwidthTB(current.blockedBytes || 0)]])
+              : null,
+          };
+      case 'dns':
+        return { confidence: current.confidence?.dnsQueries, confidenceMetricType: 'DNS Queries' };
+      case 'botManagement':
+        return {
+          confidence: current.confidence,
+          confidenceMetricType: 'Likely Human Requests',
+          isZoneFiltered: true,
+          summaryBadge: current.totalTraffic > 0
+            ? renderTotalsBadge([['Total Traffic', formatRequests(current.totalTraffic)], ['Bot Traffic', formatRequests(current.botTraffic || 0), 'text-red-600']])
+            : null,
+        };
+      case 'apiShield':
+      case 'pageShield':
+      case 'advancedRateLimiting':
+        return { confidence: current.confidence, confidenceMetricType: 'HTTP Requests', isZoneFiltered: true };
+      case 'argo':
+        return { confidence: current.confidence, confidenceMetricType: 'Data Transfer', isZoneFiltered: true };
+      case 'cacheReserve':
+        return { isZoneFiltered: true };
+      case 'magicTransit':
+      case 'wan':
+        return { title: renderInfoTitle(value.card.title, 'Bandwidth data is cached for up to 6 hours to optimize refresh performance.') };
+      case 'spectrum':
+        return {
+          title: renderInfoTitle(value.card.title, value.field === 'dataTransfer'
+            ? "Data transfer is cached for up to 6 hours to optimize refresh performance. Includes all Spectrum ingress + egress bytes. HTTP traffic on Spectrum hostnames is processed by Cloudflare's CDN unless explicitly blocked, so it may be counted both here and in your HTTP Data Transfer."
+            : 'P95 is calculated from per-minute samples, zero-filled from the start of the month. For accurate results, ensure Spectrum is configured from the 1st of the month.'),
+        };
+      case 'workersPages':
+        return value.field === 'requests' ? { confidence: current.confidence, confidenceMetricType: 'Worker Invocations' } : {};
+      default:
+        return {};
+    }
   }
 
-  function renderCustomHostnames() {
-    const ch = displayMetrics?.customHostnames;
-    if (!ch?.enabled) return null;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Custom Hostnames"
-          subtitle="Active custom hostnames"
-          value={ch.current?.hostnames || 0}
-          formatted={(ch.current?.hostnames || 0).toLocaleString()}
-          threshold={ch.threshold || null}
-          percentage={calculatePercentage(ch.current?.hostnames || 0, ch.threshold || null)}
-          icon="hostnames"
-          unit=""
-          color="#6366f1"
-          timeSeries={ch.timeSeries}
-          dataKey="hostnames"
-          chartFormatter={(v) => v.toLocaleString()}
-          yAxisLabel="Hostnames"
-        />
-      </div>
-    );
+  function renderProductBreakdown(product) {
+    switch (product.id) {
+      case 'core':
+        return renderZoneBreakdown('appServices');
+      case 'dns':
+        return renderZoneBreakdown('dns');
+      case 'botManagement':
+        return renderBotManagementZoneBreakdown();
+      case 'apiShield':
+      case 'pageShield':
+      case 'advancedRateLimiting':
+        return renderAddonZoneBreakdown(product.id, product.label, product.skus[0].field);
+      case 'argo':
+        return renderArgoZoneBreakdown();
+      case 'cacheReserve':
+        return renderCacheReserveZoneBreakdown();
+      default:
+        return null;
+    }
   }
 
   function renderCacheReserveZoneBreakdown() {
@@ -2010,37 +1077,6 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
     );
   }
 
-  function renderArgo() {
-    const argo = displayMetrics?.argo;
-    if (!argo?.enabled) return null;
-
-    const currentBytes = argo.current?.bytes || 0;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Argo Smart Routing"
-          subtitle="Data Transfer (ingress + egress)"
-          value={currentBytes}
-          formatted={formatBytes(currentBytes)}
-          threshold={argo.threshold}
-          percentage={calculatePercentage(currentBytes, argo.threshold)}
-          icon="bandwidth"
-          unit=""
-          color="#f97316"
-          timeSeries={argo.timeSeries}
-          dataKey="bytes"
-          chartFormatter={formatBytes}
-          yAxisLabel="Transfer"
-          confidence={argo.current?.confidence}
-          confidenceMetricType="Data Transfer"
-          isZoneFiltered={true}
-        />
-        {renderArgoZoneBreakdown()}
-      </div>
-    );
-  }
-
   function renderArgoZoneBreakdown() {
     const argo = displayMetrics?.argo;
     const zoneData = zonesViewMode === 'current' ? argo?.current?.zones : argo?.previous?.zones;
@@ -2115,51 +1151,6 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
     );
   }
 
-  function renderBotManagement() {
-    const product = displayMetrics?.botManagement;
-    if (!product?.enabled) return null;
-
-    const currentVal = product.current?.likelyHuman || 0;
-    const totalTraffic = product.current?.totalTraffic || 0;
-    const botTraffic = product.current?.botTraffic || 0;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Bot Management"
-          subtitle="Billable Human Requests (Bot Score ≥ 30)"
-          value={currentVal}
-          formatted={formatRequests(currentVal)}
-          threshold={product.threshold}
-          percentage={calculatePercentage(currentVal, product.threshold)}
-          icon="traffic"
-          unit="M"
-          color="#f59e0b"
-          timeSeries={product.timeSeries}
-          dataKey="likelyHuman"
-          chartFormatter={formatRequests}
-          yAxisLabel="Likely Human Requests"
-          confidence={product.current?.confidence}
-          confidenceMetricType="Likely Human Requests"
-          isZoneFiltered={true}
-          summaryBadge={totalTraffic > 0 ? (
-            <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 text-xs">
-              <div className="flex items-center justify-between space-x-2 mb-1">
-                <span className="text-gray-600">Total Traffic:</span>
-                <span className="font-semibold text-gray-900">{formatRequests(totalTraffic)}</span>
-              </div>
-              <div className="flex items-center justify-between space-x-2">
-                <span className="text-gray-600">Bot Traffic:</span>
-                <span className="font-semibold text-red-600">{formatRequests(botTraffic)}</span>
-              </div>
-            </div>
-          ) : null}
-        />
-        {renderBotManagementZoneBreakdown()}
-      </div>
-    );
-  }
-
   function renderBotManagementZoneBreakdown() {
     const product = displayMetrics?.botManagement;
     const zoneData = zonesViewMode === 'current' ? product?.current?.zones : product?.previous?.zones;
@@ -2239,37 +1230,6 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
     );
   }
 
-  function renderAddonProduct(productKey, title, subtitle, dataField, iconType, color) {
-    const product = displayMetrics?.[productKey];
-    if (!product?.enabled) return null;
-
-    const currentVal = product.current?.[dataField] || 0;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title={title}
-          subtitle={subtitle}
-          value={currentVal}
-          formatted={formatRequests(currentVal)}
-          threshold={product.threshold}
-          percentage={calculatePercentage(currentVal, product.threshold)}
-          icon={iconType}
-          unit="M"
-          color={color}
-          timeSeries={product.timeSeries}
-          dataKey={dataField}
-          chartFormatter={formatRequests}
-          yAxisLabel={subtitle}
-          confidence={product.current?.confidence}
-          confidenceMetricType={subtitle}
-          isZoneFiltered={true}
-        />
-        {renderAddonZoneBreakdown(productKey, title, dataField)}
-      </div>
-    );
-  }
-
   function renderZoneBreakdown(type) {
     if (!displayZones?.zones || displayZones.zones.length === 0) return null;
 
@@ -2403,755 +1363,6 @@ function Dashboard({ config, zones, setZones, refreshTrigger }) {
       </div>
     );
   }
-
-  function renderCloudflareOne() {
-    const sidebarItems = [];
-
-    if (displayMetrics?.zeroTrustSeats?.enabled) {
-      sidebarItems.push({ id: 'zeroTrustSeats', label: 'Zero Trust' });
-    }
-    if (displayMetrics?.magicWan?.enabled) {
-      sidebarItems.push({ id: 'wan', label: 'WAN' });
-    }
-
-    if (sidebarItems.length === 0) {
-      return (
-        <div className="text-center py-20">
-          <AlertCircle className="w-16 h-16 mx-auto text-gray-400 mb-4" />
-          <h3 className="text-xl font-semibold text-gray-700 mb-2">Cloudflare One</h3>
-          <p className="text-sm text-gray-500">No Cloudflare One services configured. Go to Settings to enable Zero Trust or WAN.</p>
-        </div>
-      );
-    }
-
-    return renderSidebarLayout(sidebarItems, (activeProduct) => {
-      switch (activeProduct) {
-        case 'zeroTrustSeats':
-          return renderZeroTrustSeats();
-        case 'wan':
-          return renderWAN();
-        default:
-          return null;
-      }
-    });
-  }
-
-  function renderZeroTrustSeats() {
-    const zt = displayMetrics?.zeroTrustSeats;
-    if (!zt?.enabled) return null;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Zero Trust Seats"
-          subtitle="Active users consuming Access or Gateway seats"
-          value={zt.current?.seats || 0}
-          formatted={formatNumber(zt.current?.seats || 0)}
-          threshold={zt.threshold}
-          percentage={calculatePercentage(zt.current?.seats || 0, zt.threshold)}
-          icon="users"
-          unit=""
-          color="#8b5cf6"
-          timeSeries={zt.timeSeries}
-          dataKey="seats"
-          yAxisLabel="Seats"
-        />
-      </div>
-    );
-  }
-
-  function renderWAN() {
-    const formatBandwidth = (mbps) => {
-      if (mbps >= 1000) return `${(mbps / 1000).toFixed(2)} Gbps`;
-      if (mbps >= 1) return `${mbps.toFixed(2)} Mbps`;
-      if (mbps >= 0.001) return `${(mbps * 1000).toFixed(2)} Kbps`;
-      if (mbps > 0) return `${(mbps * 1000000).toFixed(2)} bps`;
-      return '0 Mbps';
-    };
-
-    const wan = displayMetrics?.magicWan;
-    if (!wan?.enabled) return null;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title={
-            <span className="inline-flex items-center gap-1.5">
-              WAN
-              <span className="group relative">
-                <Info className="w-3.5 h-3.5 text-gray-400 cursor-help" />
-                <span className="invisible group-hover:visible absolute top-full left-0 mt-2 w-64 p-2.5 bg-gray-900 text-white text-xs rounded-lg shadow-lg z-50 leading-relaxed">
-                  Bandwidth data is cached for up to 6 hours to optimize refresh performance.
-                </span>
-              </span>
-            </span>
-          }
-          subtitle="P95th Bandwidth"
-          value={wan.current?.p95Mbps || 0}
-          formatted={formatBandwidth(wan.current?.p95Mbps || 0)}
-          threshold={wan.threshold}
-          percentage={calculatePercentage(wan.current?.p95Mbps || 0, wan.threshold)}
-          icon="bandwidth"
-          unit="Mbps"
-          color="#14b8a6"
-          timeSeries={wan.timeSeries}
-          dataKey="p95Mbps"
-          yAxisLabel="Mbps"
-        />
-      </div>
-    );
-  }
-
-  function renderDeveloperPlatform() {
-    const sidebarItems = [];
-
-    const computeItems = [];
-    if (displayMetrics?.workersPages?.enabled) computeItems.push({ id: 'workersPages', label: 'Workers & Pages' });
-    if (displayMetrics?.queues?.enabled) computeItems.push({ id: 'queues', label: 'Queues' });
-    if (displayMetrics?.durableObjects?.enabled) computeItems.push({ id: 'durableObjects', label: 'Durable Objects' });
-    if (displayMetrics?.workersLogsTraces?.enabled) computeItems.push({ id: 'workersLogsTraces', label: 'Workers Observability' });
-    if (computeItems.length > 0) sidebarItems.push({ type: 'header', label: 'Compute' }, ...computeItems);
-
-    const aiItems = [];
-    if (displayMetrics?.workersAI?.enabled) aiItems.push({ id: 'workersAI', label: 'Workers AI' });
-    if (aiItems.length > 0) sidebarItems.push({ type: 'header', label: 'AI' }, ...aiItems);
-
-    const storageItems = [];
-    if (displayMetrics?.r2Storage?.enabled) storageItems.push({ id: 'r2Storage', label: 'R2 Storage' });
-    if (displayMetrics?.d1?.enabled) storageItems.push({ id: 'd1', label: 'D1 Database' });
-    if (displayMetrics?.kv?.enabled) storageItems.push({ id: 'kv', label: 'Workers KV' });
-    if (storageItems.length > 0) sidebarItems.push({ type: 'header', label: 'Storage & Databases' }, ...storageItems);
-
-    const mediaItems = [];
-    if (displayMetrics?.stream?.enabled) mediaItems.push({ id: 'stream', label: 'Stream' });
-    if (displayMetrics?.images?.enabled) mediaItems.push({ id: 'images', label: 'Images' });
-    if (mediaItems.length > 0) sidebarItems.push({ type: 'header', label: 'Media' }, ...mediaItems);
-
-    if (sidebarItems.length === 0) {
-      return (
-        <div className="text-center py-20">
-          <AlertCircle className="w-16 h-16 mx-auto text-gray-400 mb-4" />
-          <h3 className="text-xl font-semibold text-gray-700 mb-2">Developer Platform</h3>
-          <p className="text-sm text-gray-500">No Developer Platform services configured. Go to Settings to enable them.</p>
-        </div>
-      );
-    }
-
-    return renderSidebarLayout(sidebarItems, (activeProduct) => {
-      switch (activeProduct) {
-        case 'workersPages':
-          return renderWorkersPages();
-        case 'r2Storage':
-          return renderR2Storage();
-        case 'd1':
-          return renderD1();
-        case 'kv':
-          return renderKV();
-        case 'stream':
-          return renderStream();
-        case 'images':
-          return renderImages();
-        case 'workersAI':
-          return renderWorkersAI();
-        case 'queues':
-          return renderQueues();
-        case 'workersLogsTraces':
-          return renderWorkersLogsTraces();
-        case 'durableObjects':
-          return renderDurableObjects();
-        default:
-          return null;
-      }
-    });
-  }
-
-  function renderWorkersPages() {
-    const wp = displayMetrics?.workersPages;
-    if (!wp?.enabled) return null;
-
-    const formatCpuTime = (ms) => {
-      if (ms >= 1000000000) return `${(ms / 1000000000).toFixed(2)}B ms`;
-      if (ms >= 1000000) return `${(ms / 1000000).toFixed(2)}M ms`;
-      if (ms >= 1000) return `${(ms / 1000).toFixed(1)}K ms`;
-      return `${ms.toLocaleString()} ms`;
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Workers & Pages Requests"
-          subtitle="Total invocations"
-          value={wp.current?.requests || 0}
-          formatted={formatNumber(wp.current?.requests || 0)}
-          threshold={wp.requestsThreshold ? wp.requestsThreshold * 1000000 : null}
-          percentage={calculatePercentage(wp.current?.requests || 0, wp.requestsThreshold ? wp.requestsThreshold * 1000000 : null)}
-          icon="activity"
-          unit=""
-          color="#3b82f6"
-          timeSeries={wp.timeSeries}
-          dataKey="requests"
-          chartFormatter={formatNumber}
-          yAxisLabel="Requests"
-          confidence={wp.current?.confidence}
-          confidenceMetricType="Worker Invocations"
-        />
-        <ConsolidatedCard
-          title="CPU Time"
-          subtitle="Total compute time"
-          value={wp.current?.cpuTimeMs || 0}
-          formatted={formatCpuTime(wp.current?.cpuTimeMs || 0)}
-          threshold={wp.cpuTimeThreshold ? wp.cpuTimeThreshold * 1000000 : null}
-          percentage={calculatePercentage(wp.current?.cpuTimeMs || 0, wp.cpuTimeThreshold ? wp.cpuTimeThreshold * 1000000 : null)}
-          icon="cpu"
-          unit=""
-          color="#6366f1"
-          timeSeries={wp.timeSeries}
-          dataKey="cpuTimeMs"
-          chartFormatter={formatCpuTime}
-          yAxisLabel="CPU Time (ms)"
-        />
-      </div>
-    );
-  }
-
-  function renderR2Storage() {
-    const r2 = displayMetrics?.r2Storage;
-    if (!r2?.enabled) return null;
-
-    const formatStorageGB = (gb) => {
-      if (gb >= 1000) return `${(gb / 1000).toFixed(2)} TB`;
-      if (gb >= 1) return `${gb.toFixed(2)} GB`;
-      if (gb >= 0.001) return `${(gb * 1000).toFixed(2)} MB`;
-      return `${(gb * 1000000).toFixed(2)} KB`;
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Total Storage"
-          subtitle="Capacity used"
-          value={r2.current?.storageGB || 0}
-          formatted={formatStorageGB(r2.current?.storageGB || 0)}
-          threshold={r2.storageThreshold ? r2.storageThreshold * 1000 : null}
-          percentage={calculatePercentage(r2.current?.storageGB || 0, r2.storageThreshold ? r2.storageThreshold * 1000 : null)}
-          icon="database"
-          unit=""
-          color="#10b981"
-          timeSeries={r2.timeSeries}
-          dataKey="storageGB"
-          chartFormatter={formatStorageGB}
-          yAxisLabel="Storage (GB)"
-        />
-        <ConsolidatedCard
-          title="Class A Operations"
-          subtitle="Write/List/Delete"
-          value={r2.current?.classAOps || 0}
-          formatted={formatNumber(r2.current?.classAOps || 0)}
-          threshold={r2.classAOpsThreshold ? r2.classAOpsThreshold * 1000000 : null}
-          percentage={calculatePercentage(r2.current?.classAOps || 0, r2.classAOpsThreshold ? r2.classAOpsThreshold * 1000000 : null)}
-          icon="upload"
-          unit=""
-          color="#3b82f6"
-          timeSeries={r2.timeSeries}
-          dataKey="classAOps"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-        />
-        <ConsolidatedCard
-          title="Class B Operations"
-          subtitle="Read"
-          value={r2.current?.classBOps || 0}
-          formatted={formatNumber(r2.current?.classBOps || 0)}
-          threshold={r2.classBOpsThreshold ? r2.classBOpsThreshold * 1000000 : null}
-          percentage={calculatePercentage(r2.current?.classBOps || 0, r2.classBOpsThreshold ? r2.classBOpsThreshold * 1000000 : null)}
-          icon="download"
-          unit=""
-          color="#6366f1"
-          timeSeries={r2.timeSeries}
-          dataKey="classBOps"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-        />
-      </div>
-    );
-  }
-
-  function renderD1() {
-    const d1 = displayMetrics?.d1;
-    if (!d1?.enabled) return null;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Rows Read"
-          subtitle="Database queries"
-          value={d1.current?.rowsRead || 0}
-          formatted={formatNumber(d1.current?.rowsRead || 0)}
-          threshold={d1.rowsReadThreshold ? d1.rowsReadThreshold * 1000000 : null}
-          percentage={calculatePercentage(d1.current?.rowsRead || 0, d1.rowsReadThreshold ? d1.rowsReadThreshold * 1000000 : null)}
-          icon="table"
-          unit=""
-          color="#3b82f6"
-          timeSeries={d1.timeSeries}
-          dataKey="rowsRead"
-          chartFormatter={formatNumber}
-          yAxisLabel="Rows"
-        />
-        <ConsolidatedCard
-          title="Rows Written"
-          subtitle="Database mutations"
-          value={d1.current?.rowsWritten || 0}
-          formatted={formatNumber(d1.current?.rowsWritten || 0)}
-          threshold={d1.rowsWrittenThreshold ? d1.rowsWrittenThreshold * 1000000 : null}
-          percentage={calculatePercentage(d1.current?.rowsWritten || 0, d1.rowsWrittenThreshold ? d1.rowsWrittenThreshold * 1000000 : null)}
-          icon="table"
-          unit=""
-          color="#6366f1"
-          timeSeries={d1.timeSeries}
-          dataKey="rowsWritten"
-          chartFormatter={formatNumber}
-          yAxisLabel="Rows"
-        />
-        <ConsolidatedCard
-          title="Total Storage"
-          subtitle="Database size"
-          value={d1.current?.storageMB || 0}
-          formatted={formatStorageMB(d1.current?.storageMB || 0)}
-          threshold={d1.storageThreshold ? d1.storageThreshold * 1000 : null}
-          percentage={calculatePercentage(d1.current?.storageMB || 0, d1.storageThreshold ? d1.storageThreshold * 1000 : null)}
-          icon="storage-mb"
-          unit=""
-          color="#10b981"
-          timeSeries={d1.timeSeries}
-          dataKey="storageMB"
-          chartFormatter={formatStorageMB}
-          yAxisLabel="Storage (MB)"
-        />
-      </div>
-    );
-  }
-
-  function renderKV() {
-    const kv = displayMetrics?.kv;
-    if (!kv?.enabled) return null;
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Keys Read"
-          subtitle="Read operations"
-          value={kv.current?.reads || 0}
-          formatted={formatNumber(kv.current?.reads || 0)}
-          threshold={kv.readsThreshold ? kv.readsThreshold * 1000000 : null}
-          percentage={calculatePercentage(kv.current?.reads || 0, kv.readsThreshold ? kv.readsThreshold * 1000000 : null)}
-          icon="table"
-          unit=""
-          color="#3b82f6"
-          timeSeries={kv.timeSeries}
-          dataKey="reads"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-        />
-        <ConsolidatedCard
-          title="Keys Written"
-          subtitle="Write operations"
-          value={kv.current?.writes || 0}
-          formatted={formatNumber(kv.current?.writes || 0)}
-          threshold={kv.writesThreshold ? kv.writesThreshold * 1000000 : null}
-          percentage={calculatePercentage(kv.current?.writes || 0, kv.writesThreshold ? kv.writesThreshold * 1000000 : null)}
-          icon="table"
-          unit=""
-          color="#6366f1"
-          timeSeries={kv.timeSeries}
-          dataKey="writes"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-        />
-        <ConsolidatedCard
-          title="Keys Deleted"
-          subtitle="Delete operations"
-          value={kv.current?.deletes || 0}
-          formatted={formatNumber(kv.current?.deletes || 0)}
-          threshold={kv.deletesThreshold ? kv.deletesThreshold * 1000000 : null}
-          percentage={calculatePercentage(kv.current?.deletes || 0, kv.deletesThreshold ? kv.deletesThreshold * 1000000 : null)}
-          icon="table"
-          unit=""
-          color="#f59e0b"
-          timeSeries={kv.timeSeries}
-          dataKey="deletes"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-        />
-        <ConsolidatedCard
-          title="List Requests"
-          subtitle="List operations"
-          value={kv.current?.lists || 0}
-          formatted={formatNumber(kv.current?.lists || 0)}
-          threshold={kv.listsThreshold ? kv.listsThreshold * 1000000 : null}
-          percentage={calculatePercentage(kv.current?.lists || 0, kv.listsThreshold ? kv.listsThreshold * 1000000 : null)}
-          icon="table"
-          unit=""
-          color="#8b5cf6"
-          timeSeries={kv.timeSeries}
-          dataKey="lists"
-          chartFormatter={formatNumber}
-          yAxisLabel="Operations"
-        />
-        <ConsolidatedCard
-          title="Stored Data"
-          subtitle="Total storage"
-          value={kv.current?.storageMB || 0}
-          formatted={formatStorageMB(kv.current?.storageMB || 0)}
-          threshold={kv.storageThreshold ? kv.storageThreshold * 1000 : null}
-          percentage={calculatePercentage(kv.current?.storageMB || 0, kv.storageThreshold ? kv.storageThreshold * 1000 : null)}
-          icon="storage-mb"
-          unit=""
-          color="#10b981"
-          timeSeries={kv.timeSeries}
-          dataKey="storageMB"
-          chartFormatter={formatStorageMB}
-          yAxisLabel="Storage (MB)"
-        />
-      </div>
-    );
-  }
-
-  function renderStream() {
-    const streamData = displayMetrics?.stream;
-    if (!streamData?.enabled) return null;
-
-    const formatMinutes = (val) => {
-      if (val >= 1000000) return `${(val / 1000000).toFixed(2)}M min`;
-      if (val >= 1000) return `${(val / 1000).toFixed(2)}K min`;
-      return `${Math.round(val).toLocaleString()} min`;
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Minutes Stored"
-          subtitle="Total video duration stored"
-          value={streamData.current?.minutesStored || 0}
-          formatted={formatMinutes(streamData.current?.minutesStored || 0)}
-          threshold={streamData.minutesStoredThreshold ? streamData.minutesStoredThreshold * 1000 : null}
-          percentage={calculatePercentage(streamData.current?.minutesStored || 0, streamData.minutesStoredThreshold ? streamData.minutesStoredThreshold * 1000 : null)}
-          icon="minutes"
-          unit=""
-          color="#f59e0b"
-          timeSeries={streamData.timeSeries}
-          dataKey="minutesStored"
-          chartFormatter={formatMinutes}
-          yAxisLabel="Minutes"
-        />
-        <ConsolidatedCard
-          title="Minutes Delivered"
-          subtitle="Video delivered to viewers"
-          value={streamData.current?.minutesDelivered || 0}
-          formatted={formatMinutes(streamData.current?.minutesDelivered || 0)}
-          threshold={streamData.minutesDeliveredThreshold ? streamData.minutesDeliveredThreshold * 1000 : null}
-          percentage={calculatePercentage(streamData.current?.minutesDelivered || 0, streamData.minutesDeliveredThreshold ? streamData.minutesDeliveredThreshold * 1000 : null)}
-          icon="minutes"
-          unit=""
-          color="#3b82f6"
-          timeSeries={streamData.timeSeries}
-          dataKey="minutesDelivered"
-          chartFormatter={formatMinutes}
-          yAxisLabel="Minutes"
-        />
-      </div>
-    );
-  }
-
-  function renderImages() {
-    const imgData = displayMetrics?.images;
-    if (!imgData?.enabled) return null;
-
-    const formatCount = (val) => {
-      if (val >= 1000000) return `${(val / 1000000).toFixed(2)}M`;
-      if (val >= 1000) return `${(val / 1000).toFixed(2)}K`;
-      return Math.round(val).toLocaleString();
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Images Stored"
-          subtitle="Total images in storage"
-          value={imgData.current?.imagesStored || 0}
-          formatted={formatCount(imgData.current?.imagesStored || 0)}
-          threshold={imgData.imagesStoredThreshold ? imgData.imagesStoredThreshold * 1000 : null}
-          percentage={calculatePercentage(imgData.current?.imagesStored || 0, imgData.imagesStoredThreshold ? imgData.imagesStoredThreshold * 1000 : null)}
-          icon="images"
-          unit=""
-          color="#f59e0b"
-          timeSeries={imgData.timeSeries}
-          dataKey="imagesStored"
-          chartFormatter={formatCount}
-          yAxisLabel="Images"
-        />
-        <ConsolidatedCard
-          title="Images Delivered"
-          subtitle="Images served to viewers"
-          value={imgData.current?.imagesDelivered || 0}
-          formatted={formatCount(imgData.current?.imagesDelivered || 0)}
-          threshold={imgData.imagesDeliveredThreshold ? imgData.imagesDeliveredThreshold * 1000 : null}
-          percentage={calculatePercentage(imgData.current?.imagesDelivered || 0, imgData.imagesDeliveredThreshold ? imgData.imagesDeliveredThreshold * 1000 : null)}
-          icon="images"
-          unit=""
-          color="#3b82f6"
-          timeSeries={imgData.timeSeries}
-          dataKey="imagesDelivered"
-          chartFormatter={formatCount}
-          yAxisLabel="Requests"
-        />
-      </div>
-    );
-  }
-
-  function renderWorkersAI() {
-    const waiData = displayMetrics?.workersAI;
-    if (!waiData?.enabled) return null;
-
-    const formatNeurons = (val) => {
-      if (val >= 1000000) return `${(val / 1000000).toFixed(2)}M`;
-      if (val >= 1000) return `${(val / 1000).toFixed(2)}K`;
-      return val.toFixed(2);
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Neurons"
-          subtitle="AI inference usage"
-          value={waiData.current?.neurons || 0}
-          formatted={formatNeurons(waiData.current?.neurons || 0)}
-          threshold={waiData.neuronsThreshold ? waiData.neuronsThreshold * 1000000 : null}
-          percentage={calculatePercentage(waiData.current?.neurons || 0, waiData.neuronsThreshold ? waiData.neuronsThreshold * 1000000 : null)}
-          icon="neurons"
-          unit=""
-          color="#8b5cf6"
-          timeSeries={waiData.timeSeries}
-          dataKey="neurons"
-          chartFormatter={formatNeurons}
-          yAxisLabel="Neurons"
-        />
-      </div>
-    );
-  }
-
-  function renderWorkersLogsTraces() {
-    const wltData = displayMetrics?.workersLogsTraces;
-    if (!wltData?.enabled) return null;
-
-    const formatEvents = (val) => {
-      if (val >= 1000000) return `${(val / 1000000).toFixed(2)}M`;
-      if (val >= 1000) return `${(val / 1000).toFixed(2)}K`;
-      return Math.round(val).toLocaleString();
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Events"
-          subtitle="Workers Logs & Traces observability events"
-          value={wltData.current?.events || 0}
-          formatted={formatEvents(wltData.current?.events || 0)}
-          threshold={wltData.eventsThreshold ? wltData.eventsThreshold * 1000000 : null}
-          percentage={calculatePercentage(wltData.current?.events || 0, wltData.eventsThreshold ? wltData.eventsThreshold * 1000000 : null)}
-          icon="events"
-          unit=""
-          color="#f97316"
-          timeSeries={wltData.timeSeries}
-          dataKey="events"
-          chartFormatter={formatEvents}
-          yAxisLabel="Events"
-        />
-      </div>
-    );
-  }
-
-  function renderQueues() {
-    const qData = displayMetrics?.queues;
-    if (!qData?.enabled) return null;
-
-    const formatOps = (val) => {
-      if (val >= 1000000) return `${(val / 1000000).toFixed(2)}M`;
-      if (val >= 1000) return `${(val / 1000).toFixed(2)}K`;
-      return Math.round(val).toLocaleString();
-    };
-
-    return (
-      <div className="space-y-6">
-        <ConsolidatedCard
-          title="Operations"
-          subtitle="Billable message operations"
-          value={qData.current?.operations || 0}
-          formatted={formatOps(qData.current?.operations || 0)}
-          threshold={qData.operationsThreshold ? qData.operationsThreshold * 1000000 : null}
-          percentage={calculatePercentage(qData.current?.operations || 0, qData.operationsThreshold ? qData.operationsThreshold * 1000000 : null)}
-          icon="operations"
-          unit=""
-          color="#10b981"
-          timeSeries={qData.timeSeries}
-          dataKey="operations"
-          chartFormatter={formatOps}
-          yAxisLabel="Operations"
-        />
-      </div>
-    );
-  }
-
-  function renderDurableObjects() {
-    const doData = displayMetrics?.durableObjects;
-    if (!doData?.enabled) return null;
-
-    const formatGBs = (val) => {
-      if (val >= 1000000) return `${(val / 1000000).toFixed(2)}M GB-s`;
-      if (val >= 1000) return `${(val / 1000).toFixed(2)}K GB-s`;
-      return `${val.toFixed(2)} GB-s`;
-    };
-
-    return (
-      <div className="space-y-6">
-        <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">Compute</h4>
-        <ConsolidatedCard
-          title="Requests"
-          subtitle="Invocations"
-          value={doData.current?.requests || 0}
-          formatted={formatNumber(doData.current?.requests || 0)}
-          threshold={doData.requestsThreshold ? doData.requestsThreshold * 1000000 : null}
-          percentage={calculatePercentage(doData.current?.requests || 0, doData.requestsThreshold ? doData.requestsThreshold * 1000000 : null)}
-          icon="table"
-          unit=""
-          color="#3b82f6"
-          timeSeries={doData.timeSeries}
-          dataKey="requests"
-          chartFormatter={formatNumber}
-          yAxisLabel="Requests"
-        />
-        <ConsolidatedCard
-          title="Duration"
-          subtitle="Wall-clock time (GB-s)"
-          value={doData.current?.durationGBs || 0}
-          formatted={formatGBs(doData.current?.durationGBs || 0)}
-          threshold={doData.durationThreshold ? Number(doData.durationThreshold) : null}
-          percentage={calculatePercentage(doData.current?.durationGBs || 0, doData.durationThreshold ? Number(doData.durationThreshold) : null)}
-          icon="table"
-          unit=""
-          color="#6366f1"
-          timeSeries={doData.timeSeries}
-          dataKey="durationGBs"
-          chartFormatter={formatGBs}
-          yAxisLabel="GB-s"
-        />
-        {doData.sqliteEnabled && (
-          <>
-            <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider pt-2">SQLite Storage Backend</h4>
-            <ConsolidatedCard
-              title="Rows Read"
-              subtitle="SQLite read operations"
-              value={doData.current?.sqliteRowsRead || 0}
-              formatted={formatNumber(doData.current?.sqliteRowsRead || 0)}
-              threshold={doData.sqliteRowsReadThreshold ? doData.sqliteRowsReadThreshold * 1000000 : null}
-              percentage={calculatePercentage(doData.current?.sqliteRowsRead || 0, doData.sqliteRowsReadThreshold ? doData.sqliteRowsReadThreshold * 1000000 : null)}
-              icon="table"
-              unit=""
-              color="#3b82f6"
-              timeSeries={doData.timeSeries}
-              dataKey="sqliteRowsRead"
-              chartFormatter={formatNumber}
-              yAxisLabel="Rows"
-            />
-            <ConsolidatedCard
-              title="Rows Written"
-              subtitle="SQLite write operations"
-              value={doData.current?.sqliteRowsWritten || 0}
-              formatted={formatNumber(doData.current?.sqliteRowsWritten || 0)}
-              threshold={doData.sqliteRowsWrittenThreshold ? doData.sqliteRowsWrittenThreshold * 1000000 : null}
-              percentage={calculatePercentage(doData.current?.sqliteRowsWritten || 0, doData.sqliteRowsWrittenThreshold ? doData.sqliteRowsWrittenThreshold * 1000000 : null)}
-              icon="table"
-              unit=""
-              color="#6366f1"
-              timeSeries={doData.timeSeries}
-              dataKey="sqliteRowsWritten"
-              chartFormatter={formatNumber}
-              yAxisLabel="Rows"
-            />
-          </>
-        )}
-        {doData.kvStorageEnabled && (
-          <>
-            <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider pt-2">KV Storage Backend</h4>
-            <ConsolidatedCard
-              title="Read Request Units"
-              subtitle="KV read units"
-              value={doData.current?.kvReadUnits || 0}
-              formatted={formatNumber(doData.current?.kvReadUnits || 0)}
-              threshold={doData.kvReadUnitsThreshold ? doData.kvReadUnitsThreshold * 1000000 : null}
-              percentage={calculatePercentage(doData.current?.kvReadUnits || 0, doData.kvReadUnitsThreshold ? doData.kvReadUnitsThreshold * 1000000 : null)}
-              icon="table"
-              unit=""
-              color="#3b82f6"
-              timeSeries={doData.timeSeries}
-              dataKey="kvReadUnits"
-              chartFormatter={formatNumber}
-              yAxisLabel="Units"
-            />
-            <ConsolidatedCard
-              title="Write Request Units"
-              subtitle="KV write units"
-              value={doData.current?.kvWriteUnits || 0}
-              formatted={formatNumber(doData.current?.kvWriteUnits || 0)}
-              threshold={doData.kvWriteUnitsThreshold ? doData.kvWriteUnitsThreshold * 1000000 : null}
-              percentage={calculatePercentage(doData.current?.kvWriteUnits || 0, doData.kvWriteUnitsThreshold ? doData.kvWriteUnitsThreshold * 1000000 : null)}
-              icon="table"
-              unit=""
-              color="#6366f1"
-              timeSeries={doData.timeSeries}
-              dataKey="kvWriteUnits"
-              chartFormatter={formatNumber}
-              yAxisLabel="Units"
-            />
-            <ConsolidatedCard
-              title="Delete Requests"
-              subtitle="KV delete operations"
-              value={doData.current?.kvDeletes || 0}
-              formatted={formatNumber(doData.current?.kvDeletes || 0)}
-              threshold={doData.kvDeletesThreshold ? doData.kvDeletesThreshold * 1000000 : null}
-              percentage={calculatePercentage(doData.current?.kvDeletes || 0, doData.kvDeletesThreshold ? doData.kvDeletesThreshold * 1000000 : null)}
-              icon="table"
-              unit=""
-              color="#f59e0b"
-              timeSeries={doData.timeSeries}
-              dataKey="kvDeletes"
-              chartFormatter={formatNumber}
-              yAxisLabel="Requests"
-            />
-          </>
-        )}
-        {(doData.sqliteEnabled || doData.kvStorageEnabled) && (
-          <>
-            <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider pt-2">Storage</h4>
-            <ConsolidatedCard
-              title="Stored Data"
-              subtitle="All backends"
-              value={doData.current?.storageMB || 0}
-              formatted={formatStorageMB(doData.current?.storageMB || 0)}
-              threshold={doData.storageThreshold ? doData.storageThreshold * 1000 : null}
-              percentage={calculatePercentage(doData.current?.storageMB || 0, doData.storageThreshold ? doData.storageThreshold * 1000 : null)}
-              icon="storage-mb"
-              unit=""
-              color="#10b981"
-              timeSeries={doData.timeSeries}
-              dataKey="storageMB"
-              chartFormatter={formatStorageMB}
-              yAxisLabel="Storage (MB)"
-            />
-          </>
-        )}
-      </div>
-    );
-  }
 }
 
 export default Dashboard;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Inbox, AlertCircle, RefreshCw, CheckCircle, XCircle } from 'lucide-react';
+import { PRODUCTS } from '../constants/skus';
+
+const STATUS_STYLES = {
+  sent: { label: 'Sent', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700' },
+  'already-sent': { label: 'Already sent', className: 'bg-gray-100 text-gray-600' },
+  suppressed: { label: 'Silenced', className: 'bg-amber-100 text-amber-700' },
+};
+
+const SEVERITY_STYLES = {
+  info: 'text-blue-700',
+  warning: 'text-yellow-700',
+  error: 'text-red-700',
+  critical: 'text-red-800 font-semibold',
+};
+
+function formatMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return new Date(year, m - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Alert ledger (/api/alerts/history): every check that found a SKU at or above a tier,
+ * with the channels notified and any delivery errors, filterable by month and product.
+ */
+function NotificationCenter() {
+  const [month, setMonth] = useState('');
+  const [product, setProduct] = useState('');
+  const [months, setMonths] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (month) params.set('month', month);
+      if (product) params.set('product', product);
+      const response = await fetch(`/api/alerts/history?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load alert history');
+      }
+      setEntries(data.entries || []);
+      setMonths(data.months?.includes(data.month) ? data.months : [data.month, ...(data.months || [])]);
+      if (!month) setMonth(data.month);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, [month, product]);
+
+  return (
+    <div className="bg-white rounded-xl border-2 border-gray-200 shadow-sm">
+      <div className="p-6">
+        <div className="flex items-start justify-between">
+          <div className="flex items-start space-x-3">
+            <div className="p-2 rounded-lg bg-blue-50 text-blue-600">
+              <Inbox className="w-5 h-5" />
+            </div>
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Notification Center</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                Every alert check that found a SKU at or above a tier, and what was delivered to each channel.
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={product}
+              onChange={(e) => setProduct(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+            >
+              <option value="">All products</option>
+              {PRODUCTS.map(p => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+            <select
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+            >
+              {months.map(m => (
+                <option key={m} value={m}>{formatMonth(m)}</option>
+              ))}
+            </select>
+            <button
+              onClick={loadHistory}
+              disabled={loading}
+              className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
+            <p className="text-xs text-red-700 flex items-center space-x-1">
+              <AlertCircle className="w-3 h-3" />
+              <span>{error}</span>
+            </p>
+          </div>
+        )}
+
+        {!error && entries.length === 0 && !loading && (
+          <p className="mt-6 text-sm text-gray-500">No alerts recorded for this month.</p>
+        )}
+
+        {entries.length > 0 && (
+          <div className="mt-6 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase border-b border-gray-200">
+                  <th className="py-2 pr-4">Time</th>
+                  <th className="py-2 pr-4">SKU</th>
+                  <th className="py-2 pr-4">Value</th>
+                  <th className="py-2 pr-4">Tier</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2">Channels</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {entries.map((entry, i) => {
+                  const status = STATUS_STYLES[entry.status] || STATUS_STYLES.sent;
+                  return (
+                    <tr key={`${entry.timestamp}-${entry.key}-${i}`} className="align-top">
+                      <td className="py-2 pr-4 text-gray-500 whitespace-nowrap">
+                        {new Date(entry.timestamp).toLocaleString()}
+                        <div className="text-xs text-gray-400">{entry.trigger}</div>
+                      </td>
+                      <td className="py-2 pr-4 text-gray-900">{entry.name}</td>
+                      <td className="py-2 pr-4 text-gray-700 whitespace-nowrap">
+                        {entry.formatted} / {entry.thresholdFormatted}
+                        <div className="text-xs text-gray-400">{entry.percentage?.toFixed(1)}%</div>
+                      </td>
+                      <td className={`py-2 pr-4 whitespace-nowrap ${SEVERITY_STYLES[entry.severity] || 'text-gray-700'}`}>
+                        {entry.forecast ? 'Projected' : entry.anomaly ? `Daily ${entry.anomaly}` : entry.tier ? `${entry.tier}% ${entry.severity}` : '—'}
+                      </td>
+                      <td className="py-2 pr-4 whitespace-nowrap">
+                        <span className={`text-xs font-medium px-2 py-0.5 rounded ${status.className}`}>
+                          {status.label}{entry.suppression ? ` (${entry.suppression})` : ''}
+                        </span>
+                      </td>
+                      <td className="py-2">
+                        {(entry.deliveries || []).map(d => (
+                          <div key={d.channelId || d.name} className="flex items-start space-x-1 text-xs">
+                            {d.ok
+                              ? <CheckCircle className="w-3 h-3 text-green-600 mt-0.5 flex-shrink-0" />
+                              : <XCircle className="w-3 h-3 text-red-600 mt-0.5 flex-shrink-0" />}
+                            <span className={d.ok ? 'text-gray-700' : 'text-red-700'}>
+                              {d.name}{d.error ? `: ${d.error}` : ''}
+                            </span>
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NotificationCenter;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Download, RefreshCw, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+/**
+ * Stored monthly usage reports (/api/reports).
+ * Reports are generated by the cron after each month closes; past months can be
+ * (re)generated on demand while their data is still in the monthly history.
+ */
+function ReportsPanel({ canGenerate = true }) {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const now = new Date();
+  const lastClosedMonth = format(new Date(now.getFullYear(), now.getMonth() - 1, 1), 'yyyy-MM');
+  const [month, setMonth] = useState(lastClosedMonth);
+
+  const loadReports = async () => {
+    try {
+      const response = await fetch('/api/reports');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load reports');
+      }
+      setReports(data.reports || []);
+    } catch (err) {
+      console.error('Failed to load reports:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReports();
+  }, []);
+
+  const generateReport = async () => {
+    setGenerating(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/reports', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ month }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to generate report');
+      }
+      await loadReports();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const monthLabel = (key) => {
+    const [year, monthNum] = key.split('-').map(n => parseInt(n, 10));
+    return format(new Date(year, monthNum - 1, 1), 'MMMM yyyy');
+  };
+
+  return (
+    <div className="bg-white rounded-xl border-2 border-gray-200 shadow-sm">
+      <div className="p-6">
+        <div className="flex items-start justify-between">
+          <div className="flex items-start space-x-3">
+            <div className="p-2 rounded-lg bg-blue-50 text-blue-600">
+              <FileText className="w-5 h-5" />
+            </div>
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Monthly Reports</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                Executive usage reports are generated automatically after each month closes. Open the HTML version to
+                print, or download the PDF.
+              </p>
+            </div>
+          </div>
+          {canGenerate && (
+            <div className="flex items-center space-x-2 flex-shrink-0">
+              <input
+                type="month"
+                value={month}
+                max={lastClosedMonth}
+                onChange={(e) => setMonth(e.target.value)}
+                className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={generateReport}
+                disabled={generating || !month}
+                className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center space-x-2"
+              >
+                <RefreshCw className={`w-4 h-4 ${generating ? 'animate-spin' : ''}`} />
+                <span>{reports.some(r => r.month === month) ? 'Regenerate' : 'Generate'}</span>
+              </button>
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
+            <p className="text-xs text-red-700 flex items-center space-x-1">
+              <AlertCircle className="w-3 h-3" />
+              <span>{error}</span>
+            </p>
+          </div>
+        )}
+
+        <div className="mt-6">
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading reports...</p>
+          ) : reports.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No reports yet. The first one is generated automatically after the current month closes.
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 font-medium">Month</th>
+                  <th className="py-2 font-medium">Products</th>
+                  <th className="py-2 font-medium">Over Threshold</th>
+                  <th className="py-2 font-medium">Generated</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {reports.map(report => (
+                  <tr key={report.month} className="border-b border-gray-100">
+                    <td className="py-3 font-medium text-gray-900">{monthLabel(report.month)}</td>
+                    <td className="py-3 text-gray-700">{report.summary?.skuCount ?? '-'}</td>
+                    <td className="py-3">
+                      <span className={report.summary?.overThreshold > 0 ? 'text-red-600 font-medium' : 'text-gray-700'}>
+                        {report.summary?.overThreshold ?? '-'}
+                      </span>
+                      {report.summary?.nearThreshold > 0 && (
+                        <span className="text-xs text-orange-600 ml-2">+{report.summary.nearThreshold} at ≥90%</span>
+                      )}
+                    </td>
+                    <td className="py-3 text-gray-500 text-xs">
+                      {new Date(report.generatedAt).toLocaleString()}
+                      {report.trigger === 'manual' && <span className="ml-1">(manual)</span>}
+                    </td>
+                    <td className="py-3">
+                      <div className="flex items-center justify-end space-x-2">
+                        <a
+                          href={`/api/reports/${report.month}.html`}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="px-3 py-1.5 text-xs font-medium bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                        >
+                          View HTML
+                        </a>
+                        <a
+                          href={`/api/reports/${report.month}.pdf`}
+                          className="px-3 py-1.5 text-xs font-medium bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors flex items-center space-x-1"
+                        >
+                          <Download className="w-3 h-3" />
+                          <span>PDF</span>
+                        </a>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReportsPanel;
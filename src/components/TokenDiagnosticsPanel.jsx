@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Stethoscope, ChevronRight, ChevronDown, RefreshCw, AlertCircle } from 'lucide-react';
+import { PROBE_STATUSES, getWorstStatus } from '../utils/diagnostics';
+import { ACCOUNT_TOKEN_SECRET_PREFIX } from '../utils/schema';
+
+const STATUS_STYLES = {
+  ok: 'bg-green-100 text-green-700',
+  entitlement: 'bg-gray-200 text-gray-700',
+  permission: 'bg-amber-100 text-amber-800',
+  error: 'bg-red-100 text-red-700',
+};
+
+function StatusBadge({ status }) {
+  if (!status) return <span className="text-gray-400">—</span>;
+  return (
+    <span className={`text-xs font-medium px-2 py-0.5 rounded whitespace-nowrap ${STATUS_STYLES[status]}`}>
+      {PROBE_STATUSES[status].label}
+    </span>
+  );
+}
+
+/**
+ * Checks whether each account's API token can read every dataset and endpoint each product
+ * uses (/api/diagnostics), per configured account, with the error text of failed calls.
+ */
+function TokenDiagnosticsPanel() {
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runDiagnostics = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/diagnostics', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to run diagnostics');
+      }
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const accountIds = Object.keys(result?.accounts || {});
+  const getTargetName = (check) => (
+    check.scope === 'zone' ? result.zones[check.targetId] || check.targetId : result.accounts[check.targetId] || check.targetId
+  );
+
+  return (
+    <div className="space-y-4 pt-6 border-t border-gray-200">
+      <div className="flex items-start justify-between">
+        <div className="flex items-start space-x-3">
+          <Stethoscope className="w-5 h-5 text-blue-600 mt-0.5" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Token Diagnostics</h3>
+            <p className="text-sm text-gray-500 mt-1">
+              Checks that the API token can read what each product needs, so an empty card can be told apart from a
+              missing permission. Products without a zone list are checked on a few Enterprise zones per account.
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={runDiagnostics}
+          disabled={running}
+          className="flex items-center space-x-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex-shrink-0"
+        >
+          <RefreshCw className={`w-4 h-4 ${running ? 'animate-spin' : ''}`} />
+          <span>{running ? 'Checking...' : result ? 'Run Again' : 'Run Diagnostics'}</span>
+        </button>
+      </div>
+
+      <div className="ml-8 space-y-2">
+        {error && (
+          <p className="text-red-600 text-sm flex items-center space-x-1">
+            <AlertCircle className="w-4 h-4" />
+            <span>{error}</span>
+          </p>
+        )}
+
+        {result && (
+          <>
+            <p className="text-xs text-gray-500">
+              {result.calls} calls at {new Date(result.checkedAt).toLocaleString()}
+            </p>
+            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                    <th className="px-3 py-2">Product</th>
+                    {accountIds.map(id => (
+                      <th key={id} className="px-3 py-2 whitespace-nowrap">
+                        <div>{result.accounts[id]}</div>
+                        <div className="font-mono normal-case font-normal text-gray-400">
+                          {result.accountTokens?.[id] ? `${ACCOUNT_TOKEN_SECRET_PREFIX}${result.accountTokens[id]}` : 'Default token'}
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {result.products.map(product => {
+                    const isOpen = expanded === product.id;
+                    return (
+                      <React.Fragment key={product.id}>
+                        <tr className="align-top">
+                          <td className="px-3 py-2">
+                            <button
+                              type="button"
+                              onClick={() => setExpanded(isOpen ? null : product.id)}
+                              className="flex items-center space-x-1 text-left text-gray-900"
+                            >
+                              {isOpen ? <ChevronDown className="w-4 h-4 text-gray-500" /> : <ChevronRight className="w-4 h-4 text-gray-500" />}
+                              <span className="font-medium">{product.label}</span>
+                              {!product.enabled && <span className="text-xs text-gray-400">(disabled)</span>}
+                            </button>
+                          </td>
+                          {accountIds.map(id => (
+                            <td key={id} className="px-3 py-2">
+                              <StatusBadge status={getWorstStatus(product.checks.filter(check => check.accountId === id))} />
+                            </td>
+                          ))}
+                        </tr>
+                        {isOpen && (
+                          <tr>
+                            <td colSpan={accountIds.length + 1} className="px-3 pb-3">
+                              {product.checks.length === 0 ? (
+                                <p className="text-xs text-gray-500 ml-5">No accounts or zones to check.</p>
+                              ) : (
+                                <table className="min-w-full text-xs ml-5">
+                                  <tbody className="divide-y divide-gray-100">
+                                    {product.checks.map(check => (
+                                      <tr key={`${check.probe}:${check.targetId}`} className="align-top">
+                                        <td className="py-1 pr-4 font-mono whitespace-nowrap">{check.probe}</td>
+                                        <td className="py-1 pr-4 whitespace-nowrap text-gray-700">{getTargetName(check)}</td>
+                                        <td className="py-1 pr-4"><StatusBadge status={check.status} /></td>
+                                        <td className="py-1 text-gray-600 break-all">
+                                          {check.status === 'permission' && <span className="font-medium">Needs {check.permission}. </span>}
+                                          {check.message}
+                                        </td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TokenDiagnosticsPanel;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Building2, ChevronDown, Check, Plus, Pencil, Trash2, AlertCircle } from 'lucide-react';
+
+const WORKSPACE_COOKIE = 'workspace';
+const DEFAULT_WORKSPACE_ID = 'default';
+
+/**
+ * The selected workspace lives in a cookie, so every /api request (and report download)
+ * is scoped to it without each fetch having to pass it along
+ */
+export function getCurrentWorkspaceId() {
+  const cookie = document.cookie.split(';').map(part => part.trim().split('=')).find(([name]) => name === WORKSPACE_COOKIE);
+  return cookie ? decodeURIComponent(cookie[1] || '') || DEFAULT_WORKSPACE_ID : DEFAULT_WORKSPACE_ID;
+}
+
+function setCurrentWorkspaceId(id) {
+  document.cookie = `${WORKSPACE_COOKIE}=${encodeURIComponent(id)}; path=/; max-age=31536000; SameSite=Lax`;
+}
+
+/**
+ * Select the workspace named in ?workspace= (the link in scheduled notifications), then drop the parameter
+ */
+export function adoptWorkspaceFromUrl() {
+  const url = new URL(window.location.href);
+  const id = url.searchParams.get('workspace');
+  if (!id) return;
+  setCurrentWorkspaceId(id);
+  url.searchParams.delete('workspace');
+  window.history.replaceState(null, '', url);
+}
+
+function switchWorkspace(id) {
+  setCurrentWorkspaceId(id);
+  // Config, caches and every panel belong to the workspace, so start afresh
+  window.location.reload();
+}
+
+/**
+ * Header dropdown to switch workspaces (one per subsidiary / contract); admins can also
+ * create, rename and delete them
+ */
+function WorkspaceSwitcher({ canManage = true }) {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(false);
+  const [renameValue, setRenameValue] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+  const currentId = getCurrentWorkspaceId();
+  const current = workspaces.find(w => w.id === currentId);
+
+  useEffect(() => {
+    const loadWorkspaces = async () => {
+      try {
+        const response = await fetch('/api/workspaces');
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load workspaces');
+        }
+        setWorkspaces(data.workspaces || []);
+        // The selected workspace was deleted elsewhere
+        if (!data.workspaces?.some(w => w.id === currentId)) {
+          switchWorkspace(DEFAULT_WORKSPACE_ID);
+        }
+      } catch (err) {
+        console.error('Failed to load workspaces:', err);
+      }
+    };
+    loadWorkspaces();
+  }, []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const saveWorkspace = async (payload) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/workspaces', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save workspace');
+      }
+      setWorkspaces(data.workspaces);
+      return data.workspace;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const workspace = await saveWorkspace({ name: newName });
+    if (workspace) switchWorkspace(workspace.id);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (await saveWorkspace({ id: currentId, name: renameValue })) setRenaming(false);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${current.name}" workspace? Its configuration, history, alerts and reports are removed.`)) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/workspaces?id=${encodeURIComponent(currentId)}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete workspace');
+      }
+      switchWorkspace(DEFAULT_WORKSPACE_ID);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-2 px-4 py-2.5 bg-slate-600 text-white rounded-lg hover:bg-slate-500 transition-colors shadow-sm font-medium"
+      >
+        <Building2 className="w-4 h-4" />
+        <span className="max-w-[12rem] truncate">{current?.name || 'Default'}</span>
+        <ChevronDown className="w-4 h-4" />
+      </button>
+
+      {open && (
+        <div className="absolute left-0 mt-2 w-72 bg-white rounded-xl border-2 border-gray-200 shadow-lg z-40">
+          <div className="p-2 max-h-64 overflow-y-auto">
+            <p className="px-3 py-1 text-xs font-medium text-gray-500 uppercase">Workspaces</p>
+            {workspaces.map(w => (
+              <button
+                key={w.id}
+                onClick={() => w.id !== currentId && switchWorkspace(w.id)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm text-gray-800 rounded-lg hover:bg-gray-100"
+              >
+                <span className="truncate">{w.name}</span>
+                {w.id === currentId && <Check className="w-4 h-4 text-blue-600 flex-shrink-0" />}
+              </button>
+            ))}
+          </div>
+
+          {canManage && (
+            <div className="border-t border-gray-200 p-3 space-y-3">
+              {current && (renaming ? (
+                <form onSubmit={handleRename} className="flex items-center gap-2">
+                  <input
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    maxLength={64}
+                    autoFocus
+                    className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button type="submit" disabled={saving || !renameValue.trim()} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                    Save
+                  </button>
+                </form>
+              ) : (
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => { setRenaming(true); setRenameValue(current.name); }}
+                    className="flex items-center space-x-1 text-xs text-gray-600 hover:text-gray-900"
+                  >
+                    <Pencil className="w-3 h-3" />
+                    <span>Rename</span>
+                  </button>
+                  {currentId !== DEFAULT_WORKSPACE_ID && (
+                    <button
+                      onClick={handleDelete}
+                      disabled={saving}
+                      className="flex items-center space-x-1 text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                      <span>Delete</span>
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              <form onSubmit={handleCreate} className="flex items-center gap-2">
+                <input
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  placeholder="New workspace name"
+                  maxLength={64}
+                  className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  type="submit"
+                  disabled={saving || !newName.trim()}
+                  className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  title="Create workspace"
+                >
+                  <Plus className="w-4 h-4" />
+                </button>
+              </form>
+
+              {error && (
+                <p className="text-xs text-red-700 flex items-center space-x-1">
+                  <AlertCircle className="w-3 h-3" />
+                  <span>{error}</span>
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,554 @@
+/**
+ * Product and SKU registry (shared by the Worker, alerts and the dashboard)
+ *
+ * Every billable product is declared once here: where its settings live in the
+ * config, how the Worker fetches and aggregates it, and the SKUs it is billed on.
+ * Adding a product means adding an entry below and a function under its `fetcher`
+ * name in the Worker's PRODUCT_FETCHERS; the fetch, aggregation, SKU list, alert
+ * tiers, contract pooling, daily series, backfill and dashboard pick it up from here.
+ *
+ * Product fields:
+ *   id            - sidebar id in the dashboard and configuration form
+ *   metricsKey    - key of the product in the fetchAllMetrics payload ('core' is the payload root)
+ *   configPath    - path of the product settings in the config
+ *   service       - SERVICE_CATEGORIES tab, group - sidebar header within it
+ *   category      - category shown on alerts and reports
+ *   coreToggle    - App Services Core section flag (core products are fetched with the zones, not by a fetcher)
+ *   fetcher       - Worker fetcher name
+ *   targets       - what the fetcher runs for: 'accounts' (dashboard accounts), 'configAccounts'
+ *                   (the product's own accountIds), 'zones' (the product's zones) or 'coreAccounts'
+ *                   (App Services Core results, for zone add-ons)
+ *   afterCore     - wait for App Services Core (implied by 'coreAccounts')
+ *   fields        - per-target values summed into current/previous ('maxFields' take the max instead)
+ *   seriesFields  - monthly time series fields (defaults to the summed fields)
+ *   zoneLists     - concatenate current/previous.zones; confidence - 'first' or 'combined'
+ *   perZone       - keep perZoneData instead of perAccountData; zoneTotals - per-zone rows in current/previous.zones
+ *   meters        - tracked values without an alert SKU (SKU fields minus key and name): shown on the
+ *                   dashboard, thresholds carried into the payload, pooled ones draw down a contract commit
+ *   settings      - other numeric settings of the product's config section
+ *   daily         - fields of the product's day-by-day series for the current month (/api/metrics/daily)
+ *   backfill      - Worker backfill step (BACKFILL_STEPS) that rebuilds past months of the product;
+ *                   'accountQuery' also needs the product's query in BACKFILL_ACCOUNT_QUERIES
+ *   backfillGap   - what the backfill can't rebuild, listed with the backfill job
+ *
+ * SKU fields:
+ *   key, name     - alert SKU key and display name
+ *   field         - value in the product's `current` (`root` reads it from the payload root)
+ *   threshold     - config field of the contracted value, multiplied by `scale` (e.g. millions → units)
+ *   input         - configuration form unit of the threshold as a multiple of the stored value (e.g. 1e6)
+ *   format, unit  - SKU_FORMATTERS entry and optional unit label appended to it
+ *   pooled        - cumulative value that draws down a pooled contract commit
+ *   requires      - config flag that must be set for the SKU to be tracked
+ *   card          - dashboard card: title, subtitle, icon, color, chart axis label and optional section header
+ */
+
+import { SERVICE_CATEGORIES } from './services';
+
+const formatCount = (v) => {
+  if (v >= 1e9) return `${(v / 1e9).toFixed(2)}B`;
+  if (v >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(1)}K`;
+  return String(Math.round(v));
+};
+
+const formatGB = (gb) => (gb >= 1000 ? `${(gb / 1000).toFixed(2)} TB` : `${gb.toFixed(2)} GB`);
+
+export const SKU_FORMATTERS = {
+  number: formatCount,
+  count: (v) => String(v),
+  bytes: (b) => {
+    if (b >= 1e12) return `${(b / 1e12).toFixed(2)} TB`;
+    if (b >= 1e9) return `${(b / 1e9).toFixed(2)} GB`;
+    if (b >= 1e6) return `${(b / 1e6).toFixed(2)} MB`;
+    return `${b} B`;
+  },
+  gb: formatGB,
+  mb: (mb) => (mb >= 1000 ? formatGB(mb / 1000) : `${mb.toFixed(2)} MB`),
+  ms: (v) => `${formatCount(v)} ms`,
+  minutes: (v) => (v >= 1e6 ? `${(v / 1e6).toFixed(2)}M min` : v >= 1e3 ? `${(v / 1e3).toFixed(1)}K min` : `${Math.round(v)} min`),
+  mbps: (v) => (v >= 1000 ? `${(v / 1000).toFixed(2)} Gbps` : `${v.toFixed(2)} Mbps`),
+  gbs: (v) => (v >= 1e6 ? `${(v / 1e6).toFixed(2)}M GB-s` : v >= 1e3 ? `${(v / 1e3).toFixed(2)}K GB-s` : `${v.toFixed(2)} GB-s`),
+};
+
+const { APPLICATION_SERVICES, NETWORK_SERVICES, CLOUDFLARE_ONE, DEVELOPER_PLATFORM } = SERVICE_CATEGORIES;
+
+const MAGIC_BANDWIDTH_FIELDS = ['p95Mbps', 'ingressP95Mbps', 'egressP95Mbps'];
+
+export const PRODUCTS = [
+  // Application Services
+  {
+    id: 'enterpriseZones', label: 'Enterprise Zones', metricsKey: 'core', configPath: ['applicationServices', 'core'], coreToggle: 'enabled',
+    service: APPLICATION_SERVICES, group: 'Zones & Traffic', category: 'Zones & Traffic',
+    settings: ['primaryZones', 'secondaryZones'],
+    backfillGap: 'The Enterprise zone count is only known for the current month',
+    skus: [
+      { key: 'zones', name: 'Enterprise Zones', field: 'zonesCount', root: true, threshold: 'thresholdZones', format: 'count', unit: 'zones',
+        card: { title: 'Enterprise Zones', subtitle: 'Active enterprise zones across accounts', icon: 'zones', color: '#3b82f6', axis: 'Zones' } },
+    ],
+  },
+  {
+    id: 'core', label: 'Traffic', metricsKey: 'core', configPath: ['applicationServices', 'core'], coreToggle: 'trafficEnabled',
+    service: APPLICATION_SERVICES, group: 'Zones & Traffic', category: 'Zones & Traffic',
+    daily: ['requests', 'bytes'], backfill: 'zoneTraffic',
+    skus: [
+      { key: 'requests', name: 'HTTP Requests', field: 'requests', threshold: 'thresholdRequests', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'HTTP Requests', subtitle: 'Billable HTTP requests (excluding blocked)', icon: 'requests', color: '#3b82f6', axis: 'Requests' } },
+      { key: 'bandwidth', name: 'Data Transfer', field: 'bytes', threshold: 'thresholdBandwidth', input: 1e12, format: 'bytes', pooled: true,
+        card: { title: 'Data Transfer', subtitle: 'Billable bandwidth served', icon: 'bandwidth', color: '#6366f1', axis: 'Bandwidth' } },
+    ],
+  },
+  {
+    id: 'dns', label: 'DNS', metricsKey: 'core', configPath: ['applicationServices', 'core'], coreToggle: 'dnsEnabled',
+    service: APPLICATION_SERVICES, group: 'Zones & Traffic', category: 'Zones & Traffic',
+    daily: ['dnsQueries'], backfill: 'zoneTraffic',
+    skus: [
+      { key: 'dnsQueries', name: 'DNS Queries', field: 'dnsQueries', threshold: 'thresholdDnsQueries', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'DNS Queries', subtitle: 'Authoritative DNS query volume', icon: 'dns', color: '#0ea5e9', axis: 'Queries' } },
+    ],
+  },
+  {
+    id: 'botManagement', label: 'Bot Management', metricsKey: 'botManagement', configPath: ['applicationServices', 'botManagement'],
+    service: APPLICATION_SERVICES, group: 'Application Security', category: 'Application Security',
+    fetcher: 'botManagement', targets: 'accounts',
+    fields: ['likelyHuman', 'botTraffic', 'totalTraffic'], seriesFields: ['likelyHuman'], zoneLists: true, confidence: 'first',
+    daily: ['likelyHuman'], backfill: 'botManagement',
+    skus: [
+      { key: 'botManagement', name: 'Bot Management', field: 'likelyHuman', threshold: 'threshold', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'Bot Management', subtitle: 'Billable Human Requests (Bot Score ≥ 30)', icon: 'traffic', color: '#f59e0b', axis: 'Likely Human Requests' } },
+    ],
+  },
+  {
+    id: 'apiShield', label: 'API Shield', metricsKey: 'apiShield', configPath: ['applicationServices', 'apiShield'],
+    service: APPLICATION_SERVICES, group: 'Application Security', category: 'Application Security',
+    fetcher: 'apiShield', targets: 'coreAccounts',
+    fields: ['requests'], zoneLists: true, confidence: 'first',
+    daily: ['requests'], backfill: 'zoneTraffic',
+    skus: [
+      { key: 'apiShield', name: 'API Shield', field: 'requests', threshold: 'threshold', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'API Shield', subtitle: 'HTTP Requests', icon: 'requests', color: '#8b5cf6', axis: 'HTTP Requests' } },
+    ],
+  },
+  {
+    id: 'pageShield', label: 'Page Shield', metricsKey: 'pageShield', configPath: ['applicationServices', 'pageShield'],
+    service: APPLICATION_SERVICES, group: 'Application Security', category: 'Application Security',
+    fetcher: 'pageShield', targets: 'coreAccounts',
+    fields: ['requests'], zoneLists: true, confidence: 'first',
+    daily: ['requests'], backfill: 'zoneTraffic',
+    skus: [
+      { key: 'pageShield', name: 'Page Shield', field: 'requests', threshold: 'threshold', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'Page Shield', subtitle: 'HTTP Requests', icon: 'requests', color: '#ec4899', axis: 'HTTP Requests' } },
+    ],
+  },
+  {
+    id: 'advancedRateLimiting', label: 'Advanced Rate Limiting', metricsKey: 'advancedRateLimiting', configPath: ['applicationServices', 'advancedRateLimiting'],
+    service: APPLICATION_SERVICES, group: 'Application Security', category: 'Application Security',
+    fetcher: 'advancedRateLimiting', targets: 'coreAccounts',
+    fields: ['requests'], zoneLists: true, confidence: 'first',
+    daily: ['requests'], backfill: 'zoneTraffic',
+    skus: [
+      { key: 'advancedRateLimiting', name: 'Adv. Rate Limiting', field: 'requests', threshold: 'threshold', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'Advanced Rate Limiting', subtitle: 'HTTP Requests', icon: 'requests', color: '#14b8a6', axis: 'HTTP Requests' } },
+    ],
+  },
+  {
+    id: 'argo', label: 'Argo Smart Routing', metricsKey: 'argo', configPath: ['applicationServices', 'argo'],
+    service: APPLICATION_SERVICES, group: 'Delivery & Performance', category: 'Delivery & Performance',
+    fetcher: 'argo', targets: 'coreAccounts',
+    fields: ['bytes'], zoneLists: true, confidence: 'first',
+    daily: ['bytes'], backfill: 'zoneTraffic',
+    skus: [
+      { key: 'argo', name: 'Argo Smart Routing', field: 'bytes', threshold: 'threshold', input: 1e12, format: 'bytes', pooled: true,
+        card: { title: 'Argo Smart Routing', subtitle: 'Data Transfer (ingress + egress)', icon: 'bandwidth', color: '#f97316', axis: 'Transfer' } },
+    ],
+  },
+  {
+    id: 'cacheReserve', label: 'Cache Reserve', metricsKey: 'cacheReserve', configPath: ['applicationServices', 'cacheReserve'],
+    service: APPLICATION_SERVICES, group: 'Delivery & Performance', category: 'Delivery & Performance',
+    fetcher: 'cacheReserve', targets: 'zones', afterCore: true,
+    fields: ['storageGBDays', 'classAOps', 'classBOps'], perZone: true, zoneTotals: true,
+    daily: ['classAOps', 'classBOps'], backfill: 'cacheReserve',
+    skus: [
+      { key: 'cacheReserve-storage', name: 'Cache Reserve — Storage', field: 'storageGBDays', threshold: 'storageThreshold', scale: 1000, format: 'gb',
+        card: { title: 'Storage', subtitle: 'Aggregate storage usage', icon: 'cr-storage', color: '#10b981', axis: 'Storage' } },
+      { key: 'cacheReserve-classA', name: 'Cache Reserve — Class A Ops', field: 'classAOps', threshold: 'classAOpsThreshold', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'Class A Operations', subtitle: 'Write operations', icon: 'upload', color: '#3b82f6', axis: 'Operations' } },
+      { key: 'cacheReserve-classB', name: 'Cache Reserve — Class B Ops', field: 'classBOps', threshold: 'classBOpsThreshold', input: 1e6, format: 'number', pooled: true,
+        card: { title: 'Class B Operations', subtitle: 'Read operations', icon: 'download', color: '#6366f1', axis: 'Operations' } },
+    ],
+  },
+  {
+    id: 'loadBalancing', label: 'Load Balancing', metricsKey: 'loadBalancing', configPath: ['applicationServices', 'loadBalancing'],
+    service: APPLICATION_SERVICES, group: 'Delivery & Performance', category: 'Delivery & Performance',
+    fetcher: 'loadBalancing', targets: 'configAccounts',
+    fields: ['endpoints'],
+    backfillGap: 'Endpoint counts come from the current load balancer configuration',
+    skus: [
+      { key: 'loadBalancing', name: 'Load Balancing', field: 'endpoints', threshold: 'threshold', format: 'count', unit: 'endpoints',
+        card: { title: 'Endpoints', subtitle: 'Load balancer origins', icon: 'endpoints', color: '#f59e0b', axis: 'Endpoints' } },
+    ],
+  },
+  {
+    id: 'customHostnames', label: 'Custom Hostnames', metricsKey: 'customHostnames', configPath: ['applicationServices', 'customHostnames'],
+    service: APPLICATION_SERVICES, group: 'Delivery & Performance', category: 'Delivery & Performance',
+    fetcher: 'customHostnames', targets: 'configAccounts',
+    fields: ['hostnames'],
+    backfillGap: 'Hostname counts come from the current custom hostname list',
+    skus: [
+      { key: 'customHostnames', name: 'Custom Hostnames', field: 'hostnames', threshold: 'threshold', format: 'count', unit: 'hostnames',
+        card: { title: 'Custom Hostnames', subtitle: 'Active custom hostnames', icon: 'hostnames', color: '#6366f1', axis: 'Hostnames' } },
+    ],
+  },
+  {
+    id: 'logExplorer', label: 'Log Explorer', metricsKey: 'logExplorer', configPath: ['applicationServices', 'logExplorer'],
+    service: APPLICATION_SERVICES, group: 'Logs & Analytics', category: 'Logs & Analytics',
+    fetcher: 'logExplorer', targets: 'configAccounts',
+    fields: ['billableGB'],
+    backfill: 'accountQuery',
+    skus: [
+      { key: 'logExplorer', name: 'Log Explorer', field: 'billableGB', threshold: 'threshold', format: 'gb', pooled: true,
+        card: { title: 'Data Retention', subtitle: 'Billable data ingested this month', icon: 'database', color: '#6366f1', axis: 'GB' } },
+    ],
+  },
+
+  // Network Services
+  {
+    id: 'magicTransit', label: 'Magic Transit', metricsKey: 'magicTransit', configPath: ['networkServices', 'magicTransit'],
+    service: NETWORK_SERVICES, category: 'Network Services',
+    fetcher: 'magicTransit', targets: 'configAccounts',
+    fields: MAGIC_BANDWIDTH_FIELDS,
+    backfill: 'magicBandwidth',
+    skus: [
+      { key: 'magicTransit', name: 'Magic Transit — Ingress', field: 'ingressP95Mbps', threshold: 'threshold', format: 'mbps',
+        card: { title: 'Magic Transit (Ingress)', subtitle: 'P95th Bandwidth', icon: 'bandwidth', color: '#0ea5e9', axis: 'Mbps' } },
+      { key: 'magicTransit-egress', name: 'Magic Transit — Egress', field: 'egressP95Mbps', threshold: 'egressThreshold', format: 'mbps', requires: 'egressEnabled',
+        card: { title: 'Magic Transit (Egress)', subtitle: 'P95th Bandwidth', icon: 'bandwidth', color: '#06b6d4', axis: 'Mbps' } },
+    ],
+  },
+  {
+    id: 'spectrum', label: 'Spectrum', metricsKey: 'spectrum', configPath: ['networkServices', 'spectrum'],
+    service: NETWORK_SERVICES, category: 'Network Services',
+    fetcher: 'spectrum', targets: 'zones',
+    fields: ['dataTransfer'], maxFields: ['p95Concurrent'], perZone: true,
+    backfill: 'spectrum', backfillGap: "Connection P95 comes from the Worker's own per-minute samples; only data transfer is rebuilt",
+    skus: [
+      { key: 'spectrum-transfer', name: 'Spectrum — Data Transfer', field: 'dataTransfer', threshold: 'dataTransferThreshold', scale: 1e12, format: 'bytes', pooled: true,
+        card: { title: 'Data Transfer', subtitle: 'Spectrum ingress + egress bytes', icon: 'bandwidth', color: '#8b5cf6', axis: 'Transfer' } },
+      { key: 'spectrum-conns', name: 'Spectrum — Connections', field: 'p95Concurrent', threshold: 'connectionsThreshold', format: 'number',
+        card: { title: 'Concurrent Connections (P95)', subtitle: 'P95 of per-minute concurrent client samples', icon: 'connections', color: '#06b6d4', axis: 'P95 Concurrent' } },
+    ],
+  },
+
+  // Cloudflare One
+  {
+    id: 'zeroTrustSeats', label: 'Zero Trust Seats', metricsKey: 'zeroTrustSeats', configPath: ['zeroTrust', 'seats'],
+    service: CLOUDFLARE_ONE, category: 'Cloudflare One',
+    fetcher: 'zeroTrustSeats', targets: 'configAccounts',
+    fields: ['seats'],
+    backfillGap: 'Seat counts come from the current Zero Trust user list',
+    skus: [
+      { key: 'zeroTrustSeats', name: 'Zero Trust Seats', field: 'seats', threshold: 'threshold', format: 'count', unit: 'seats',
+        card: { title: 'Zero Trust Seats', subtitle: 'Active users consuming Access or Gateway seats', icon: 'users', color: '#8b5cf6', axis: 'Seats' } },
+    ],
+  },
+  {
+    id: 'wan', label: 'WAN', metricsKey: 'magicWan', configPath: ['networkServices', 'magicWan'],
+    service: CLOUDFLARE_ONE, category: 'Cloudflare One',
+    fetcher: 'magicWan', targets: 'configAccounts',
+    fields: MAGIC_BANDWIDTH_FIELDS,
+    backfill: 'magicBandwidth',
+    skus: [
+      { key: 'magicWan', name: 'Magic WAN', field: 'p95Mbps', threshold: 'threshold', format: 'mbps',
+        card: { title: 'WAN', subtitle: 'P95th Bandwidth', icon: 'bandwidth', color: '#14b8a6', axis: 'Mbps' } },
+    ],
+  },
+
+  // Developer Platform
+  {
+    id: 'workersPages', label: 'Workers & Pages', metricsKey: 'workersPages', configPath: ['developerServices', 'workersPages'],
+    service: DEVELOPER_PLATFORM, group: 'Compute', category: 'Developer Platform',
+    fetcher: 'workersPages', targets: 'configAccounts',
+    fields: ['requests', 'cpuTimeMs'], confidence: 'combined',
+    daily: ['requests', 'cpuTimeMs'], backfill: 'accountQuery',
+    skus: [
+      { key: 'workersPages-req', name: 'Workers & Pages — Requests', field: 'requests', threshold: 'requestsThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Workers & Pages Requests', subtitle: 'Total invocations', icon: 'activity', color: '#3b82f6', axis: 'Requests' } },
+      { key: 'workersPages-cpu', name: 'Workers & Pages — CPU Time', field: 'cpuTimeMs', threshold: 'cpuTimeThreshold', scale: 1e6, format: 'ms', pooled: true,
+        card: { title: 'CPU Time', subtitle: 'Total compute time', icon: 'cpu', color: '#6366f1', axis: 'CPU Time (ms)' } },
+    ],
+  },
+  {
+    id: 'queues', label: 'Queues', metricsKey: 'queues', configPath: ['developerServices', 'queues'],
+    service: DEVELOPER_PLATFORM, group: 'Compute', category: 'Developer Platform',
+    fetcher: 'queues', targets: 'configAccounts',
+    fields: ['operations'],
+    backfill: 'accountQuery',
+    skus: [
+      { key: 'queues', name: 'Queues', field: 'operations', threshold: 'operationsThreshold', scale: 1e6, format: 'number', unit: 'ops', pooled: true,
+        card: { title: 'Operations', subtitle: 'Billable message operations', icon: 'operations', color: '#10b981', axis: 'Operations' } },
+    ],
+  },
+  {
+    id: 'durableObjects', label: 'Durable Objects', metricsKey: 'durableObjects', configPath: ['developerServices', 'durableObjects'],
+    service: DEVELOPER_PLATFORM, group: 'Compute', category: 'Developer Platform',
+    fetcher: 'durableObjects', targets: 'configAccounts',
+    fields: ['requests', 'durationGBs', 'sqliteRowsRead', 'sqliteRowsWritten', 'kvReadUnits', 'kvWriteUnits', 'kvDeletes', 'storageMB'],
+    backfill: 'accountQuery',
+    skus: [
+      { key: 'do-requests', name: 'Durable Objects — Requests', field: 'requests', threshold: 'requestsThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Requests', subtitle: 'Invocations', icon: 'table', color: '#3b82f6', axis: 'Requests', section: 'Compute' } },
+      { key: 'do-duration', name: 'Durable Objects — Duration', field: 'durationGBs', threshold: 'durationThreshold', format: 'gbs', pooled: true,
+        card: { title: 'Duration', subtitle: 'Wall-clock time (GB-s)', icon: 'table', color: '#6366f1', axis: 'GB-s', section: 'Compute' } },
+      { key: 'do-storage', name: 'Durable Objects — Storage', field: 'storageMB', threshold: 'storageThreshold', scale: 1000, format: 'mb',
+        card: { title: 'Stored Data', subtitle: 'All backends', icon: 'storage-mb', color: '#10b981', axis: 'Storage (MB)', section: 'Storage' } },
+    ],
+    meters: [
+      { field: 'sqliteRowsRead', threshold: 'sqliteRowsReadThreshold', scale: 1e6, format: 'number', pooled: true, requires: 'sqliteEnabled',
+        card: { title: 'Rows Read', subtitle: 'SQLite read operations', icon: 'table', color: '#3b82f6', axis: 'Rows', section: 'SQLite Storage Backend' } },
+      { field: 'sqliteRowsWritten', threshold: 'sqliteRowsWrittenThreshold', scale: 1e6, format: 'number', pooled: true, requires: 'sqliteEnabled',
+        card: { title: 'Rows Written', subtitle: 'SQLite write operations', icon: 'table', color: '#6366f1', axis: 'Rows', section: 'SQLite Storage Backend' } },
+      { field: 'kvReadUnits', threshold: 'kvReadUnitsThreshold', scale: 1e6, format: 'number', pooled: true, requires: 'kvStorageEnabled',
+        card: { title: 'Read Request Units', subtitle: 'KV read units', icon: 'table', color: '#3b82f6', axis: 'Units', section: 'KV Storage Backend' } },
+      { field: 'kvWriteUnits', threshold: 'kvWriteUnitsThreshold', scale: 1e6, format: 'number', pooled: true, requires: 'kvStorageEnabled',
+        card: { title: 'Write Request Units', subtitle: 'KV write units', icon: 'table', color: '#6366f1', axis: 'Units', section: 'KV Storage Backend' } },
+      { field: 'kvDeletes', threshold: 'kvDeletesThreshold', scale: 1e6, format: 'number', pooled: true, requires: 'kvStorageEnabled',
+        card: { title: 'Delete Requests', subtitle: 'KV delete operations', icon: 'table', color: '#f59e0b', axis: 'Requests', section: 'KV Storage Backend' } },
+    ],
+  },
+  {
+    id: 'workersLogsTraces', label: 'Workers Observability', metricsKey: 'workersLogsTraces', configPath: ['developerServices', 'workersLogsTraces'],
+    service: DEVELOPER_PLATFORM, group: 'Compute', category: 'Developer Platform',
+    fetcher: 'workersLogsTraces', targets: 'configAccounts',
+    fields: ['events'],
+    backfillGap: 'Event usage is only reported for the current month',
+    skus: [
+      { key: 'workersLogsTraces', name: 'Workers Observability', field: 'events', threshold: 'eventsThreshold', scale: 1e6, format: 'number', unit: 'events', pooled: true,
+        card: { title: 'Events', subtitle: 'Workers Logs & Traces observability events', icon: 'events', color: '#f97316', axis: 'Events' } },
+    ],
+  },
+  {
+    id: 'workersAI', label: 'Workers AI', metricsKey: 'workersAI', configPath: ['developerServices', 'workersAI'],
+    service: DEVELOPER_PLATFORM, group: 'AI', category: 'Developer Platform',
+    fetcher: 'workersAI', targets: 'configAccounts',
+    fields: ['neurons'],
+    backfill: 'accountQuery',
+    skus: [
+      { key: 'workersAI', name: 'Workers AI', field: 'neurons', threshold: 'neuronsThreshold', scale: 1e6, format: 'number', unit: 'neurons', pooled: true,
+        card: { title: 'Neurons', subtitle: 'AI inference usage', icon: 'neurons', color: '#8b5cf6', axis: 'Neurons' } },
+    ],
+  },
+  {
+    id: 'r2Storage', label: 'R2 Storage', metricsKey: 'r2Storage', configPath: ['developerServices', 'r2Storage'],
+    service: DEVELOPER_PLATFORM, group: 'Storage & Databases', category: 'Developer Platform',
+    fetcher: 'r2Storage', targets: 'configAccounts',
+    fields: ['classAOps', 'classBOps', 'storageGB'],
+    daily: ['classAOps', 'classBOps'], backfill: 'accountQuery',
+    skus: [
+      { key: 'r2-storage', name: 'R2 — Storage', field: 'storageGB', threshold: 'storageThreshold', scale: 1000, format: 'gb',
+        card: { title: 'Total Storage', subtitle: 'Capacity used', icon: 'database', color: '#10b981', axis: 'Storage (GB)' } },
+      { key: 'r2-classA', name: 'R2 — Class A Ops', field: 'classAOps', threshold: 'classAOpsThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Class A Operations', subtitle: 'Write/List/Delete', icon: 'upload', color: '#3b82f6', axis: 'Operations' } },
+      { key: 'r2-classB', name: 'R2 — Class B Ops', field: 'classBOps', threshold: 'classBOpsThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Class B Operations', subtitle: 'Read', icon: 'download', color: '#6366f1', axis: 'Operations' } },
+    ],
+  },
+  {
+    id: 'd1', label: 'D1 Database', metricsKey: 'd1', configPath: ['developerServices', 'd1'],
+    service: DEVELOPER_PLATFORM, group: 'Storage & Databases', category: 'Developer Platform',
+    fetcher: 'd1', targets: 'configAccounts',
+    fields: ['rowsRead', 'rowsWritten', 'storageMB'],
+    daily: ['rowsRead', 'rowsWritten'], backfill: 'accountQuery',
+    skus: [
+      { key: 'd1-storage', name: 'D1 — Storage', field: 'storageMB', threshold: 'storageThreshold', scale: 1000, format: 'mb',
+        card: { title: 'Total Storage', subtitle: 'Database size', icon: 'storage-mb', color: '#10b981', axis: 'Storage (MB)' } },
+      { key: 'd1-rowsRead', name: 'D1 — Rows Read', field: 'rowsRead', threshold: 'rowsReadThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Rows Read', subtitle: 'Database queries', icon: 'table', color: '#3b82f6', axis: 'Rows' } },
+      { key: 'd1-rowsWritten', name: 'D1 — Rows Written', field: 'rowsWritten', threshold: 'rowsWrittenThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Rows Written', subtitle: 'Database mutations', icon: 'table', color: '#6366f1', axis: 'Rows' } },
+    ],
+  },
+  {
+    id: 'kv', label: 'Workers KV', metricsKey: 'kv', configPath: ['developerServices', 'kv'],
+    service: DEVELOPER_PLATFORM, group: 'Storage & Databases', category: 'Developer Platform',
+    fetcher: 'kv', targets: 'configAccounts',
+    fields: ['reads', 'writes', 'deletes', 'lists', 'storageMB'],
+    daily: ['reads', 'writes', 'deletes', 'lists'], backfill: 'accountQuery',
+    skus: [
+      { key: 'kv-reads', name: 'KV — Reads', field: 'reads', threshold: 'readsThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Keys Read', subtitle: 'Read operations', icon: 'table', color: '#3b82f6', axis: 'Operations' } },
+      { key: 'kv-writes', name: 'KV — Writes', field: 'writes', threshold: 'writesThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Keys Written', subtitle: 'Write operations', icon: 'table', color: '#6366f1', axis: 'Operations' } },
+      { key: 'kv-deletes', name: 'KV — Deletes', field: 'deletes', threshold: 'deletesThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'Keys Deleted', subtitle: 'Delete operations', icon: 'table', color: '#f59e0b', axis: 'Operations' } },
+      { key: 'kv-lists', name: 'KV — Lists', field: 'lists', threshold: 'listsThreshold', scale: 1e6, format: 'number', pooled: true,
+        card: { title: 'List Requests', subtitle: 'List operations', icon: 'table', color: '#8b5cf6', axis: 'Operations' } },
+      { key: 'kv-storage', name: 'KV — Storage', field: 'storageMB', threshold: 'storageThreshold', scale: 1000, format: 'mb',
+        card: { title: 'Stored Data', subtitle: 'Total storage', icon: 'storage-mb', color: '#10b981', axis: 'Storage (MB)' } },
+    ],
+  },
+  {
+    id: 'stream', label: 'Stream', metricsKey: 'stream', configPath: ['developerServices', 'stream'],
+    service: DEVELOPER_PLATFORM, group: 'Media', category: 'Developer Platform',
+    fetcher: 'stream', targets: 'configAccounts',
+    fields: ['minutesStored', 'minutesDelivered'],
+    backfill: 'accountQuery', backfillGap: 'Minutes stored are a point-in-time value; only minutes delivered are rebuilt',
+    skus: [
+      { key: 'stream-stored', name: 'Stream — Minutes Stored', field: 'minutesStored', threshold: 'minutesStoredThreshold', scale: 1e3, format: 'minutes',
+        card: { title: 'Minutes Stored', subtitle: 'Total video duration stored', icon: 'minutes', color: '#f59e0b', axis: 'Minutes' } },
+      { key: 'stream-delivered', name: 'Stream — Minutes Delivered', field: 'minutesDelivered', threshold: 'minutesDeliveredThreshold', scale: 1e3, format: 'minutes', pooled: true,
+        card: { title: 'Minutes Delivered', subtitle: 'Video delivered to viewers', icon: 'minutes', color: '#3b82f6', axis: 'Minutes' } },
+    ],
+  },
+  {
+    id: 'images', label: 'Images', metricsKey: 'images', configPath: ['developerServices', 'images'],
+    service: DEVELOPER_PLATFORM, group: 'Media', category: 'Developer Platform',
+    fetcher: 'images', targets: 'configAccounts',
+    fields: ['imagesStored', 'imagesDelivered'],
+    backfill: 'accountQuery', backfillGap: 'Images stored are a point-in-time value; only images delivered are rebuilt',
+    skus: [
+      { key: 'images-stored', name: 'Images — Stored', field: 'imagesStored', threshold: 'imagesStoredThreshold', scale: 1e3, format: 'number',
+        card: { title: 'Images Stored', subtitle: 'Total images in storage', icon: 'images', color: '#f59e0b', axis: 'Images' } },
+      { key: 'images-delivered', name: 'Images — Delivered', field: 'imagesDelivered', threshold: 'imagesDeliveredThreshold', scale: 1e3, format: 'number', pooled: true,
+        card: { title: 'Images Delivered', subtitle: 'Images served to viewers', icon: 'images', color: '#3b82f6', axis: 'Requests' } },
+    ],
+  },
+];
+
+/**
+ * Every SKU with its product, in registry order
+ */
+export const SKU_REGISTRY = PRODUCTS.flatMap(product => product.skus.map(sku => ({ ...sku, product })));
+
+export function getProduct(id) {
+  return PRODUCTS.find(product => product.id === id) || null;
+}
+
+// Product for a SKU key, including contract (`:contract`), projected (`:forecast`) and anomaly (`:anomaly`) keys
+export function getSkuProduct(key) {
+  const baseKey = key.replace(/:(forecast|anomaly)$/, '').replace(/:contract$/, '');
+  return SKU_REGISTRY.find(sku => sku.key === baseKey)?.product || null;
+}
+
+export function getServiceProducts(service) {
+  return PRODUCTS.filter(product => product.service === service);
+}
+
+export function getProductConfig(config, product) {
+  return product.configPath.reduce((value, key) => value?.[key], config) || {};
+}
+
+/**
+ * Product data in the fetchAllMetrics payload; core metrics live at the payload root
+ */
+export function getProductMetrics(m, metricsKey) {
+  return metricsKey === 'core' ? m : m?.[metricsKey];
+}
+
+/**
+ * Whether a product is tracked: its App Services Core section or its own `enabled` flag
+ */
+export function isProductEnabled(config, product) {
+  return product.coreToggle ? isCoreSectionEnabled(config, product.coreToggle) : !!getProductConfig(config, product).enabled;
+}
+
+/**
+ * App Services Core sections fall back to the master `enabled` flag when not set individually
+ */
+export function isCoreSectionEnabled(config, toggle) {
+  const core = config?.applicationServices?.core;
+  const coreEnabled = core?.enabled !== false;
+  if (toggle === 'enabled' || core?.[toggle] === undefined) return coreEnabled;
+  return !!core[toggle];
+}
+
+/**
+ * A product's SKUs followed by its meters, each with its product (see SKU_REGISTRY)
+ */
+export function getTrackedValues(product) {
+  return [...SKU_REGISTRY.filter(sku => sku.product === product), ...(product.meters || []).map(meter => ({ ...meter, product }))];
+}
+
+/**
+ * Config fields carried from the product settings into its payload entry
+ */
+export function getProductThresholdFields(product) {
+  return [...new Set(getTrackedValues(product).map(value => value.threshold))];
+}
+
+/**
+ * Contracted value for a SKU in the SKU's own units, or null when not configured
+ */
+export function getSkuThreshold(config, sku) {
+  const value = getProductConfig(config, sku.product)[sku.threshold];
+  return value ? value * (sku.scale || 1) : null;
+}
+
+export function formatSkuValue(sku, value) {
+  const formatted = (SKU_FORMATTERS[sku.format] || SKU_FORMATTERS.number)(value);
+  return sku.unit ? `${formatted} ${sku.unit}` : formatted;
+}
+
+/**
+ * Build the flat SKU list used for alerts, reports, forecasts and exports from a
+ * fetchAllMetrics payload. Contract SKUs are appended by the caller.
+ */
+export function buildSkuMetrics(m, config) {
+  const skuMetrics = [];
+  SKU_REGISTRY.forEach(sku => {
+    const { product } = sku;
+    const data = getProductMetrics(m, product.metricsKey);
+    if (!product.coreToggle && !data?.enabled) return;
+    if (sku.requires && !getProductConfig(config, product)[sku.requires]) return;
+
+    const current = (sku.root ? m?.[sku.field] : data?.current?.[sku.field]) || 0;
+    const threshold = getSkuThreshold(config, sku);
+    skuMetrics.push({
+      key: sku.key,
+      name: sku.name,
+      category: product.category,
+      current,
+      threshold,
+      formatted: formatSkuValue(sku, current),
+      thresholdFormatted: threshold ? formatSkuValue(sku, threshold) : '',
+      percentage: threshold ? (current / threshold) * 100 : 0,
+    });
+  });
+  return skuMetrics;
+}
+
+/**
+ * SKU key → [product key, field, value format] (see POOLED_SKUS / SKU_SOURCES).
+ * Payload-root SKUs (zone count) are left out.
+ */
+export function getSkuSources(filter = () => true) {
+  return Object.fromEntries(
+    SKU_REGISTRY
+      .filter(sku => !sku.root && filter(sku))
+      .map(sku => [sku.key, [sku.product.metricsKey, sku.field, sku.format === 'count' ? 'number' : sku.format]])
+  );
+}
+
+/**
+ * Config sections of the registry, one per configPath (the core products share App Services Core)
+ * → [{ configPath, label, core, flags, thresholds, settings, list }]. `thresholds` are the tracked
+ * values, `flags` the on/off settings and `list` the zones or accounts list field.
+ */
+export const PRODUCT_SECTIONS = Object.values(PRODUCTS.reduce((sections, product) => {
+  const path = product.configPath.join('.');
+  const section = sections[path] ||= {
+    configPath: product.configPath,
+    label: product.coreToggle ? 'Zones & Traffic' : product.label,
+    core: !!product.coreToggle,
+    flags: ['enabled'],
+    thresholds: [],
+    settings: [],
+    list: null,
+  };
+  if (product.coreToggle && product.coreToggle !== 'enabled') section.flags.push(product.coreToggle);
+  getTrackedValues(product).forEach(value => {
+    if (value.requires && !section.flags.includes(value.requires)) section.flags.push(value.requires);
+    section.thresholds.push(value);
+  });
+  section.settings.push(...(product.settings || []));
+  if (!product.coreToggle) section.list = product.targets === 'configAccounts' ? 'accountIds' : 'zones';
+  return sections;
+}, {}));
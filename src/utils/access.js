@@ -0,0 +1,116 @@
+/**
+ * Role-based access from Cloudflare Access identities (shared by the Worker and the dashboard)
+ *
+ * When `ACCESS_TEAM_DOMAIN` and `ACCESS_AUD` are set, every API request must carry a valid
+ * `Cf-Access-Jwt-Assertion` header, verified against the team's JWKS. `ACCESS_ROLES` maps
+ * identities to roles, e.g. `{ "admin": ["alice@example.com"], "editor": ["group:FinOps"], "viewer": ["*@example.com"] }`:
+ *   alice@example.com - that email (or Access service token client ID)
+ *   *@example.com     - anyone at the domain
+ *   group:FinOps      - members of the group (the `groups` claim of the token)
+ *   *                 - any authenticated identity
+ * The highest matching role wins. Without `ACCESS_ROLES` every authenticated identity is an admin.
+ */
+
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+const JWKS_CACHE_MS = 3600000;
+let jwksCache = null;
+
+/**
+ * Whether `role` grants at least `required`
+ */
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function decodeJson(value) {
+  return JSON.parse(new TextDecoder().decode(decodeBase64Url(value)));
+}
+
+/**
+ * Signing keys: `jwks` when given (local development), otherwise the team's certs endpoint
+ */
+async function getSigningKeys(teamDomain, jwks) {
+  if (jwks) return (typeof jwks === 'string' ? JSON.parse(jwks) : jwks).keys || [];
+  if (jwksCache?.teamDomain === teamDomain && Date.now() - jwksCache.fetchedAt < JWKS_CACHE_MS) {
+    return jwksCache.keys;
+  }
+  const response = await fetch(`https://${teamDomain}/cdn-cgi/access/certs`, { signal: AbortSignal.timeout(10000) });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Access signing keys: ${response.status}`);
+  }
+  const { keys = [] } = await response.json();
+  jwksCache = { teamDomain, keys, fetchedAt: Date.now() };
+  return keys;
+}
+
+/**
+ * Verify an Access JWT (RS256) and return its claims; throws when it isn't valid for the application
+ */
+export async function verifyAccessJwt(token, { teamDomain, audience, jwks, now = Date.now() }) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) throw new Error('Malformed Access token');
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = decodeJson(headerPart);
+  const payload = decodeJson(payloadPart);
+  if (header.alg !== 'RS256') throw new Error(`Unsupported Access token algorithm ${header.alg}`);
+
+  const jwk = (await getSigningKeys(teamDomain, jwks)).find(key => key.kid === header.kid);
+  if (!jwk) throw new Error('Access token signed with an unknown key');
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    decodeBase64Url(signaturePart),
+    new TextEncoder().encode(`${headerPart}.${payloadPart}`)
+  );
+  if (!valid) throw new Error('Invalid Access token signature');
+
+  const seconds = now / 1000;
+  if (payload.exp && payload.exp < seconds) throw new Error('Access token expired');
+  if (payload.nbf && payload.nbf > seconds + 60) throw new Error('Access token not yet valid');
+  if (payload.iss !== `https://${teamDomain}`) throw new Error('Access token issued by another team');
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(audience)) throw new Error('Access token issued for another application');
+  return payload;
+}
+
+/**
+ * Identity from verified claims: the user's email, or the client ID of an Access service token
+ */
+export function getAccessIdentity(payload) {
+  const groups = payload.groups || payload.custom?.groups || [];
+  return {
+    email: payload.email || payload.common_name || '',
+    groups: groups.map(group => (typeof group === 'object' ? group.name || group.id : group)),
+  };
+}
+
+function matchesRule(rule, email, groups) {
+  const value = String(rule).trim().toLowerCase();
+  if (value === '*') return true;
+  if (value.startsWith('group:')) return groups.includes(value.slice(6));
+  if (value.startsWith('*@')) return email.endsWith(value.slice(1));
+  return email === value;
+}
+
+/**
+ * Role of an identity (`{ email, groups }`) under the role map, or null when no rule matches
+ */
+export function resolveRole({ email, groups = [] }, roleMap) {
+  if (!roleMap) return 'admin';
+  const normalizedEmail = (email || '').toLowerCase();
+  const normalizedGroups = groups.map(group => String(group).toLowerCase());
+  return [...ROLES].reverse().find(role => (roleMap[role] || []).some(rule => matchesRule(rule, normalizedEmail, normalizedGroups))) || null;
+}
@@ -0,0 +1,74 @@
+/**
+ * Per-SKU alert tiers (shared by the Worker and the configuration UI)
+ *
+ * `config.alertTiers` maps a SKU key to `{ enabled, tiers }`, where tiers are
+ * percentages of the contracted threshold (e.g. [50, 75, 90, 100, 120]). SKUs
+ * without an entry alert once at 90%. Each tier fires at most once per alert
+ * period; when several tiers are crossed at once only the highest is sent.
+ * Contract SKUs (`<key>:contract`), projected breaches (`<key>:forecast`) and daily
+ * usage anomalies (`<key>:anomaly`) share the settings of their monthly SKU.
+ */
+
+import { PRODUCTS } from '../constants/skus';
+
+export const DEFAULT_ALERT_TIERS = [90];
+
+export const SUGGESTED_ALERT_TIERS = [50, 75, 90, 100, 120];
+
+// Configuration sidebar product → [[skuKey, label]] for the SKUs it sets thresholds for
+export const PRODUCT_ALERT_SKUS = Object.fromEntries(PRODUCTS.map(product => [
+  product.id,
+  product.skus.map(sku => [sku.key, product.skus.length > 1 ? sku.name.split(' — ').pop() : sku.name]),
+]));
+
+/**
+ * Parse a tier list (array, or comma separated text from the form) into sorted unique percentages.
+ */
+export function parseAlertTiers(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[,\s/]+/);
+  const tiers = items.map(Number).filter(t => Number.isFinite(t) && t > 0 && t <= 1000);
+  return [...new Set(tiers)].sort((a, b) => a - b);
+}
+
+export function getSkuAlertSettings(config, skuKey) {
+  const entry = config?.alertTiers?.[skuKey.replace(/:(forecast|anomaly)$/, '').replace(/:contract$/, '')];
+  const tiers = entry ? parseAlertTiers(entry.tiers) : [];
+  return {
+    enabled: entry?.enabled !== false,
+    tiers: tiers.length > 0 ? tiers : DEFAULT_ALERT_TIERS,
+  };
+}
+
+/**
+ * Severity grows with the tier: below 90% is informational, 90-99% a warning,
+ * 100-119% an error and 120% or more critical.
+ */
+export function getTierSeverity(tier) {
+  if (tier >= 120) return 'critical';
+  if (tier >= 100) return 'error';
+  if (tier >= 90) return 'warning';
+  return 'info';
+}
+
+/**
+ * Alerts for the current SKU values: one per SKU at the highest tier reached, with
+ * `tier`, `severity` and `tiersCrossed` (every tier at or below it, for dedupe).
+ * Projected-breach (`forecast`) and anomaly (`anomaly`) entries pass through for enabled SKUs.
+ */
+export function evaluateAlertTiers(skuMetrics, config) {
+  const alerts = [];
+  skuMetrics.forEach(sku => {
+    const { enabled, tiers } = getSkuAlertSettings(config, sku.key);
+    if (!enabled) return;
+    if (sku.forecast || sku.anomaly) {
+      alerts.push(sku);
+      return;
+    }
+    if (!sku.threshold) return;
+    const tiersCrossed = tiers.filter(t => sku.percentage >= t);
+    if (tiersCrossed.length === 0) return;
+    const tier = tiersCrossed[tiersCrossed.length - 1];
+    alerts.push({ ...sku, tier, severity: getTierSeverity(tier), tiersCrossed });
+  });
+  return alerts;
+}
@@ -0,0 +1,137 @@
+/**
+ * Usage anomaly detection on daily increments (shared by the Worker and the dashboard)
+ *
+ * The Worker records every cumulative SKU's month-to-date value once per day (the last
+ * pre-warm of the day wins). The difference between two snapshots, scaled to 24 hours,
+ * is that day's usage. The latest complete day is compared with a robust baseline of the
+ * previous 28 days - the median, with the median absolute deviation (MAD) as spread - so
+ * a runaway Worker or a bot attack is flagged the next day instead of at 90% of the month.
+ */
+
+import { POOLED_SKUS, formatPooledValue } from './contract';
+import { SKU_REGISTRY } from '../constants/skus';
+
+export const BASELINE_DAYS = 28;
+const MIN_BASELINE_DAYS = 7;
+const MAD_SCALE = 1.4826; // Makes the MAD comparable to a standard deviation
+const MIN_SPREAD = 0.25; // Spread floor as a share of the median, so weekday/weekend swings aren't flagged
+const MIN_SPAN_MS = 3600000;
+export const ANOMALY_SENSITIVITY = 3.5; // Robust z-score from which a day counts as a spike or drop
+
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Add today's snapshot of every cumulative SKU to the daily history
+ * (`{ 'YYYY-MM-DD': { at, values: { skuKey: monthToDate } } }`), keeping enough days for the baseline.
+ */
+export function recordDailyValues(history, skuMetrics, now = new Date()) {
+  const values = Object.fromEntries(skuMetrics.filter(sku => POOLED_SKUS[sku.key]).map(sku => [sku.key, sku.current || 0]));
+  const next = { ...history, [toDateKey(now)]: { at: now.toISOString(), values } };
+  return Object.fromEntries(Object.keys(next).sort().slice(-(BASELINE_DAYS + 3)).map(date => [date, next[date]]));
+}
+
+/**
+ * Per-day usage of one SKU from the snapshots, normalised to 24 hours. The first snapshot
+ * of a month counts from the start of the month, since month-to-date values reset.
+ */
+export function getDailyIncrements(history, key) {
+  const dates = Object.keys(history || {}).sort();
+  const increments = [];
+  dates.forEach((date, i) => {
+    const value = history[date].values?.[key];
+    if (value === undefined) return;
+    const at = new Date(history[date].at);
+    const prevDate = dates[i - 1];
+    const prevValue = prevDate?.slice(0, 7) === date.slice(0, 7) ? history[prevDate].values?.[key] : undefined;
+    const delta = prevValue === undefined ? value : value - prevValue;
+    const from = prevValue === undefined ? new Date(at.getFullYear(), at.getMonth(), 1) : new Date(history[prevDate].at);
+    const span = at - from;
+    if (delta < 0 || span < MIN_SPAN_MS) return;
+    increments.push({ date, value: (delta * 86400000) / span });
+  });
+  return increments;
+}
+
+/**
+ * Spikes and drops in yesterday's usage against the previous BASELINE_DAYS days.
+ * Today is left out because its snapshot only covers part of the day.
+ */
+export function detectAnomalies(history, { sensitivity = ANOMALY_SENSITIVITY, now = new Date() } = {}) {
+  const today = toDateKey(now);
+  const yesterday = toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+  const keys = new Set(Object.values(history || {}).flatMap(day => Object.keys(day.values || {})));
+  const anomalies = [];
+
+  keys.forEach(key => {
+    const source = POOLED_SKUS[key];
+    if (!source) return;
+    const increments = getDailyIncrements(history, key).filter(i => i.date < today);
+    const latest = increments[increments.length - 1];
+    const baseline = increments.slice(0, -1).slice(-BASELINE_DAYS).map(i => i.value);
+    if (latest?.date !== yesterday || baseline.length < MIN_BASELINE_DAYS) return;
+
+    const median = getMedian(baseline);
+    const mad = getMedian(baseline.map(v => Math.abs(v - median)));
+    const spread = Math.max(MAD_SCALE * mad, MIN_SPREAD * median);
+    if (spread === 0) return; // No usage at all in the baseline
+    const score = (latest.value - median) / spread;
+    if (Math.abs(score) < sensitivity) return;
+
+    const sku = SKU_REGISTRY.find(s => s.key === key);
+    const format = source[2];
+    anomalies.push({
+      key,
+      name: sku?.name || key,
+      category: sku?.product.category,
+      date: latest.date,
+      direction: score > 0 ? 'spike' : 'drop',
+      value: latest.value,
+      baseline: median,
+      spread,
+      score,
+      changePercent: median ? ((latest.value - median) / median) * 100 : null,
+      formatted: formatPooledValue(latest.value, format),
+      baselineFormatted: formatPooledValue(median, format),
+    });
+  });
+  return anomalies;
+}
+
+/**
+ * Turn anomalies into alert entries (same shape as SKU metrics, `anomaly` set) for the alert pipeline.
+ * Usage and threshold are the SKU's month-to-date values; `formatted` describes the day.
+ */
+export function buildAnomalyAlerts(anomalies, skuMetrics) {
+  return anomalies
+    .map(anomaly => {
+      const sku = skuMetrics.find(s => s.key === anomaly.key);
+      if (!sku) return null;
+      return {
+        key: `${anomaly.key}:anomaly`,
+        name: `${sku.name} (Daily ${anomaly.direction})`,
+        category: sku.category,
+        current: sku.current,
+        threshold: sku.threshold,
+        formatted: `${anomaly.formatted} on ${anomaly.date} vs ${anomaly.baselineFormatted} typical`,
+        thresholdFormatted: sku.thresholdFormatted,
+        percentage: sku.percentage,
+        anomaly: {
+          direction: anomaly.direction,
+          date: anomaly.date,
+          value: anomaly.value,
+          baseline: anomaly.baseline,
+          score: anomaly.score,
+          changePercent: anomaly.changePercent,
+        },
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,172 @@
+/**
+ * Cloudflare API client for the REST and GraphQL Analytics APIs
+ *
+ * Every product fetcher calls the API through one client, which caps the number of calls
+ * in flight, retries rate-limited (429, honouring Retry-After) and transient failures with
+ * exponential backoff, and turns a failed call into a typed CloudflareApiError. A GraphQL
+ * response carrying `errors` is a failure even with HTTP 200, so a call that didn't return
+ * data can't be read as zero usage.
+ */
+
+export const CLOUDFLARE_API_BASE = 'https://api.cloudflare.com/client/v4';
+
+export const API_ERROR_TYPES = {
+  auth: { label: 'Authentication failed', retryable: false },
+  permission: { label: 'Missing permission', retryable: false },
+  notEntitled: { label: 'Not entitled', retryable: false },
+  rateLimited: { label: 'Rate limited', retryable: true },
+  datasetUnavailable: { label: 'Dataset unavailable', retryable: false },
+  unavailable: { label: 'API unavailable', retryable: true },
+  request: { label: 'Request failed', retryable: false },
+};
+
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|budget depleted|exceeded .*limit/i;
+const ENTITLEMENT_PATTERN = /not entitled|entitlement|does not have access to the (path|field|dataset)|not enabled|not available (on|for) (your|this) plan|upgrade/i;
+const DATASET_PATTERN = /unknown field|cannot query field|unknown (dataset|type)|dataset .*(not available|unavailable)/i;
+const AUTH_PATTERN = /authentication error|invalid (api |access )?token|unauthenticated|unauthori[sz]ed/i;
+const PERMISSION_PATTERN = /not authorized|permission|forbidden|access denied/i;
+const TRANSIENT_PATTERN = /time(d)? ?out|temporar|try again|internal (server )?error|service unavailable|bad gateway/i;
+
+export class CloudflareApiError extends Error {
+  constructor(type, message, { status = null, errors = [], retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'CloudflareApiError';
+    this.type = type;
+    this.status = status;
+    this.errors = errors;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return API_ERROR_TYPES[this.type].retryable;
+  }
+}
+
+/**
+ * Error type of a failed call from its HTTP status and the GraphQL or REST `errors`
+ */
+export function classifyApiError(status, errors = []) {
+  const message = errors.map(e => e?.message || String(e)).join('; ');
+  if (status === 429 || RATE_LIMIT_PATTERN.test(message)) return 'rateLimited';
+  if (ENTITLEMENT_PATTERN.test(message)) return 'notEntitled';
+  if (DATASET_PATTERN.test(message)) return 'datasetUnavailable';
+  if (status === 401 || AUTH_PATTERN.test(message)) return 'auth';
+  if (status === 403 || PERMISSION_PATTERN.test(message)) return 'permission';
+  if (status >= 500 || TRANSIENT_PATTERN.test(message)) return 'unavailable';
+  return 'request';
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (delay in seconds or an HTTP date), or null
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function createLimiter(maxConcurrent) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) return;
+    active++;
+    queue.shift()();
+  };
+  return async (task) => {
+    await new Promise(resolve => {
+      queue.push(resolve);
+      next();
+    });
+    try {
+      return await task();
+    } finally {
+      active--;
+      next();
+    }
+  };
+}
+
+function describeCall(path, query) {
+  if (!query) return path.split('?')[0];
+  const name = query.match(/query\s+(\w+)/)?.[1];
+  return name ? `GraphQL ${name}` : 'GraphQL';
+}
+
+/**
+ * Client with `graphql(token, query, variables)` → the response `data`, and
+ * `rest(token, path, init)` → the response body (`result`, `result_info`, ...).
+ * Both throw a CloudflareApiError once the call has failed and its retries are used up.
+ *   maxConcurrent - calls in flight at once; the rest wait their turn
+ *   maxRetries    - retries of rate-limited and transient failures
+ *   baseDelayMs   - first backoff delay, doubled on each retry (plus jitter)
+ *   maxDelayMs    - longest wait between attempts, including Retry-After
+ *   timeoutMs     - how long one attempt may take before it is aborted and retried as `unavailable`
+ */
+export function createCloudflareClient({
+  maxConcurrent = 6,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 20000,
+  timeoutMs = 30000,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+} = {}) {
+  const limit = createLimiter(maxConcurrent);
+
+  const attempt = async (token, path, init, query) => {
+    let response;
+    let body = null;
+    try {
+      response = await fetchImpl(`${CLOUDFLARE_API_BASE}${path}`, {
+        ...init,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', ...init.headers },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      body = await response.json().catch(() => null);
+    } catch (error) {
+      // A hung call is aborted by the timeout and retried like any other network failure
+      const reason = error.name === 'TimeoutError' || error.name === 'AbortError' ? `no response after ${timeoutMs}ms` : error.message;
+      throw new CloudflareApiError('unavailable', `${API_ERROR_TYPES.unavailable.label} (${describeCall(path, query)}): ${reason}`);
+    }
+
+    const errors = Array.isArray(body?.errors) ? body.errors : [];
+    const failed = !response.ok || !body || errors.length > 0 || (!query && body.success === false);
+    if (!failed) return body;
+
+    if (errors.length === 0) errors.push({ message: body ? `HTTP ${response.status}` : `HTTP ${response.status}, invalid JSON response` });
+    const type = classifyApiError(response.status, errors);
+    throw new CloudflareApiError(type, `${API_ERROR_TYPES[type].label} (${describeCall(path, query)}): ${errors.map(e => e?.message || String(e)).join('; ')}`, {
+      status: response.status,
+      errors,
+      retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+    });
+  };
+
+  const send = async (token, path, init = {}, query = null) => {
+    // An account with no token fails on its own instead of calling the API with `Bearer undefined`
+    if (!token) throw new CloudflareApiError('auth', `${API_ERROR_TYPES.auth.label} (${describeCall(path, query)}): no API token for this account`);
+    for (let retry = 0; ; retry++) {
+      try {
+        // The slot is held only while the call is in flight, not while backing off
+        return await limit(() => attempt(token, path, init, query));
+      } catch (error) {
+        if (!error.retryable || retry >= maxRetries) throw error;
+        const backoff = baseDelayMs * 2 ** retry + Math.random() * baseDelayMs;
+        await sleep(Math.min(maxDelayMs, Math.max(error.retryAfterMs ?? 0, backoff)));
+      }
+    }
+  };
+
+  return {
+    async graphql(token, query, variables = {}) {
+      const body = await send(token, '/graphql', { method: 'POST', body: JSON.stringify({ query, variables }) }, query);
+      return body.data;
+    },
+    rest(token, path, init = {}) {
+      return send(token, path, init);
+    },
+  };
+}
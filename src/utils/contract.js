@@ -0,0 +1,200 @@
+/**
+ * Contract period helpers (shared by the Worker and the dashboard)
+ *
+ * Usage is snapshotted per calendar month (the D1 history store), so a contract
+ * is tracked as a run of whole months from its start month (`startDate`, YYYY-MM).
+ * Thresholds stay configured as monthly entitlements; the pooled commit for an
+ * annual contract is the monthly entitlement multiplied by the term length.
+ */
+
+import { formatNumber, formatBandwidthTB } from './formatters';
+import { PRODUCTS, getSkuSources, getTrackedValues } from '../constants/skus';
+
+export const ENTITLEMENT_MODES = {
+  MONTHLY: 'monthly',
+  ANNUAL: 'annual',
+};
+
+/**
+ * Cumulative fields per product key that draw down a pooled commit, from the registry:
+ * the fields of its pooled SKUs and meters.
+ * Point-in-time metrics (zones, seats, storage, P95 bandwidth) are never pooled.
+ */
+export const POOLED_FIELDS = PRODUCTS.reduce((pooled, product) => {
+  const fields = getTrackedValues(product).filter(value => value.pooled && !value.root).map(value => value.field);
+  if (fields.length > 0) pooled[product.metricsKey] = [...new Set([...(pooled[product.metricsKey] || []), ...fields])];
+  return pooled;
+}, {});
+
+/**
+ * Alert SKU key → [product key, field, value format] for the SKUs marked `pooled` in the registry
+ */
+export const POOLED_SKUS = getSkuSources(sku => sku.pooled);
+
+/**
+ * Format a pooled value using the unit declared in POOLED_SKUS
+ */
+export function formatPooledValue(value, format) {
+  const v = value || 0;
+  switch (format) {
+    case 'bytes':
+      return formatBandwidthTB(v);
+    case 'gb':
+      return v >= 1000 ? `${(v / 1000).toFixed(2)} TB` : `${v.toFixed(2)} GB`;
+    case 'ms':
+      return `${formatNumber(Math.round(v))} ms`;
+    case 'minutes':
+      return `${formatNumber(Math.round(v))} min`;
+    case 'gbs':
+      return `${formatNumber(Math.round(v))} GB-s`;
+    case 'mb':
+      return v >= 1000 ? `${(v / 1000).toFixed(2)} GB` : `${v.toFixed(2)} MB`;
+    case 'mbps':
+      return v >= 1000 ? `${(v / 1000).toFixed(2)} Gbps` : `${v.toFixed(2)} Mbps`;
+    default:
+      return formatNumber(Math.round(v));
+  }
+}
+
+/**
+ * Build a YYYY-MM key from a year and zero-based month (overflow is normalised)
+ */
+export function toMonthKey(year, month) {
+  const d = new Date(year, month, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve the active contract term for `now`.
+ * Terms auto-renew, so once the first term has ended the next one starts on the same anniversary month.
+ * Returns null when contract tracking is disabled, misconfigured or has not started yet.
+ */
+export function getContractPeriod(contract, now = new Date()) {
+  if (!contract?.enabled || !contract.startDate) return null;
+
+  // Month only: a day would suggest usage is counted from it, which monthly snapshots can't do
+  const match = String(contract.startDate).match(/^(\d{4})-(\d{2})$/);
+  if (!match) return null;
+  const [startYear, startMonthNum] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+  if (startMonthNum < 1 || startMonthNum > 12) return null;
+
+  const termMonths = Math.max(1, parseInt(contract.termMonths, 10) || 12);
+  const elapsed = (now.getFullYear() - startYear) * 12 + (now.getMonth() - (startMonthNum - 1));
+  if (elapsed < 0) return null;
+
+  const termIndex = Math.floor(elapsed / termMonths);
+  const firstMonth = startMonthNum - 1 + termIndex * termMonths;
+  const months = Array.from({ length: termMonths }, (_, i) => toMonthKey(startYear, firstMonth + i));
+  const monthIndex = elapsed - termIndex * termMonths;
+  const mode = contract.entitlementMode === ENTITLEMENT_MODES.ANNUAL ? ENTITLEMENT_MODES.ANNUAL : ENTITLEMENT_MODES.MONTHLY;
+
+  return {
+    startDate: contract.startDate,
+    termMonths,
+    mode,
+    rollover: mode === ENTITLEMENT_MODES.MONTHLY && !!contract.rollover,
+    termIndex,
+    startMonth: months[0],
+    endMonth: months[termMonths - 1],
+    currentMonth: months[monthIndex],
+    monthsElapsed: monthIndex + 1,
+    monthsRemaining: termMonths - monthIndex - 1,
+    months,
+    monthsToDate: months.slice(0, monthIndex + 1),
+  };
+}
+
+/**
+ * Sum the pooled fields of a monthly timeSeries over the contract months to date
+ */
+export function sumContractToDate(timeSeries, fields, period) {
+  if (!period || !Array.isArray(timeSeries)) return null;
+  const inPeriod = new Set(period.monthsToDate);
+  const totals = Object.fromEntries(fields.map(f => [f, 0]));
+  timeSeries.forEach(entry => {
+    if (!inPeriod.has(entry.month)) return;
+    fields.forEach(f => { totals[f] += entry[f] || 0; });
+  });
+  return totals;
+}
+
+/**
+ * Evaluate one SKU against its contract entitlement.
+ *   annual           - contract-to-date usage vs. the pooled commit (monthly threshold × term)
+ *   monthly+rollover - current-month usage vs. the threshold plus unused allowance carried from earlier months
+ *   monthly          - contract-to-date is reported for reference only (alertable = false)
+ * Months without a stored snapshot count as zero usage.
+ */
+export function evaluateContractUsage(timeSeries, field, monthlyThreshold, period) {
+  if (!period || !monthlyThreshold) return null;
+
+  const byMonth = new Map((timeSeries || []).map(e => [e.month, e[field] || 0]));
+  const usage = period.monthsToDate.map(m => byMonth.get(m) || 0);
+  const contractToDate = usage.reduce((s, v) => s + v, 0);
+  const pooledCommit = monthlyThreshold * period.termMonths;
+  const proRataCommit = monthlyThreshold * period.monthsElapsed;
+
+  if (period.mode === ENTITLEMENT_MODES.ANNUAL) {
+    return {
+      mode: period.mode,
+      contractToDate,
+      pooledCommit,
+      proRataCommit,
+      carriedOver: 0,
+      used: contractToDate,
+      allowance: pooledCommit,
+      percentage: (contractToDate / pooledCommit) * 100,
+      alertable: true,
+    };
+  }
+
+  let carriedOver = 0;
+  if (period.rollover) {
+    usage.slice(0, -1).forEach(used => {
+      carriedOver = Math.max(0, carriedOver + monthlyThreshold - used);
+    });
+  }
+  const currentUsed = usage[usage.length - 1] || 0;
+  const allowance = monthlyThreshold + carriedOver;
+
+  return {
+    mode: period.mode,
+    contractToDate,
+    pooledCommit,
+    proRataCommit,
+    carriedOver,
+    used: period.rollover ? currentUsed : contractToDate,
+    allowance: period.rollover ? allowance : pooledCommit,
+    percentage: period.rollover ? (currentUsed / allowance) * 100 : (contractToDate / pooledCommit) * 100,
+    alertable: period.rollover,
+  };
+}
+
+/**
+ * Derive contract SKU entries from the monthly SKU list (same shape as the monthly entries).
+ * `getSeries(productKey)` returns the monthly timeSeries for a product.
+ */
+export function buildContractSkus(skuMetrics, getSeries, period) {
+  if (!period) return [];
+  const out = [];
+  skuMetrics.forEach(sku => {
+    const pooled = POOLED_SKUS[sku.key];
+    if (!pooled || !sku.threshold) return;
+    const [productKey, field, format] = pooled;
+    const usage = evaluateContractUsage(getSeries(productKey), field, sku.threshold, period);
+    if (!usage?.alertable) return;
+    const label = period.mode === ENTITLEMENT_MODES.ANNUAL ? 'Contract-to-date' : 'Incl. rollover';
+    out.push({
+      key: `${sku.key}:contract`,
+      name: `${sku.name} (${label})`,
+      category: sku.category,
+      current: usage.used,
+      threshold: usage.allowance,
+      formatted: formatPooledValue(usage.used, format),
+      thresholdFormatted: formatPooledValue(usage.allowance, format),
+      percentage: usage.percentage,
+      contract: { ...usage, termStart: period.startMonth, termEnd: period.endMonth },
+    });
+  });
+  return out;
+}
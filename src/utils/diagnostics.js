@@ -0,0 +1,109 @@
+/**
+ * API token diagnostics (shared by the Worker and the Settings panel)
+ *
+ * Every product reads GraphQL Analytics datasets and REST endpoints. A probe makes the
+ * smallest possible call to one of them for one account or zone, and its outcome is
+ * classified as OK, missing permission, not entitled or error, so an empty product card
+ * can be told apart from a token that lacks a permission.
+ */
+
+export const PROBE_STATUSES = {
+  ok: { label: 'OK', rank: 0 },
+  entitlement: { label: 'Not entitled', rank: 1 },
+  permission: { label: 'Missing permission', rank: 2 },
+  error: { label: 'Error', rank: 3 },
+};
+
+/**
+ * Probes per product (PRODUCTS ids). `dataset` probes query GraphQL Analytics at the account
+ * or zone scope with a `date`, `datetime` or `datetimeMinute` filter (plus `extraFilter`, for
+ * datasets whose fields are themselves entitled); `path` probes GET a REST endpoint with
+ * `{accountId}` / `{zoneId}` filled in. `permission` is the token permission it needs.
+ */
+export const DIAGNOSTIC_PROBES = [
+  { product: 'enterpriseZones', scope: 'account', path: '/zones?account.id={accountId}&per_page=1', permission: 'Zone Read' },
+  { product: 'core', scope: 'zone', dataset: 'httpRequestsAdaptiveGroups', filter: 'datetime', permission: 'Analytics Read' },
+  { product: 'dns', scope: 'zone', dataset: 'dnsAnalyticsAdaptiveGroups', filter: 'datetime', permission: 'Analytics Read' },
+  { product: 'botManagement', scope: 'zone', dataset: 'httpRequestsAdaptiveGroups', filter: 'datetime', extraFilter: 'botManagementDecision_neq: "verified_bot"', permission: 'Analytics Read' },
+  { product: 'apiShield', scope: 'zone', dataset: 'httpRequestsAdaptiveGroups', filter: 'datetime', permission: 'Analytics Read' },
+  { product: 'pageShield', scope: 'zone', dataset: 'httpRequestsAdaptiveGroups', filter: 'datetime', permission: 'Analytics Read' },
+  { product: 'advancedRateLimiting', scope: 'zone', dataset: 'httpRequestsAdaptiveGroups', filter: 'datetime', permission: 'Analytics Read' },
+  { product: 'argo', scope: 'zone', dataset: 'httpRequestsAdaptiveGroups', filter: 'datetime', permission: 'Analytics Read' },
+  { product: 'cacheReserve', scope: 'zone', dataset: 'cacheReserveStorageAdaptiveGroups', filter: 'date', permission: 'Analytics Read' },
+  { product: 'cacheReserve', scope: 'zone', dataset: 'cacheReserveOperationsAdaptiveGroups', filter: 'date', permission: 'Analytics Read' },
+  { product: 'loadBalancing', scope: 'account', path: '/accounts/{accountId}/load_balancers/usage', permission: 'Load Balancing: Monitors and Pools Read' },
+  { product: 'customHostnames', scope: 'zone', path: '/zones/{zoneId}/custom_hostnames/quota?ui=true', permission: 'SSL and Certificates Read' },
+  { product: 'logExplorer', scope: 'account', dataset: 'logExplorerIngestionAdaptiveGroups', filter: 'datetimeMinute', permission: 'Account Analytics Read' },
+  { product: 'magicTransit', scope: 'account', dataset: 'magicTransitTunnelTrafficAdaptiveGroups', filter: 'datetime', permission: 'Account Analytics Read' },
+  { product: 'magicTransit', scope: 'account', dataset: 'magicTransitNetworkAnalyticsAdaptiveGroups', filter: 'datetime', permission: 'Account Analytics Read' },
+  { product: 'spectrum', scope: 'zone', path: '/zones/{zoneId}/spectrum/analytics/events/summary?metrics=bytesIngress', permission: 'Analytics Read' },
+  { product: 'zeroTrustSeats', scope: 'account', path: '/accounts/{accountId}/access/users?seat_type=any&per_page=1', permission: 'Access: Users Read' },
+  { product: 'wan', scope: 'account', dataset: 'magicTransitTunnelTrafficAdaptiveGroups', filter: 'datetime', permission: 'Account Analytics Read' },
+  { product: 'workersPages', scope: 'account', dataset: 'workersOverviewRequestsAdaptiveGroups', filter: 'datetime', permission: 'Account Analytics Read' },
+  { product: 'workersPages', scope: 'account', dataset: 'pagesFunctionsInvocationsAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'queues', scope: 'account', dataset: 'queueMessageOperationsAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'durableObjects', scope: 'account', dataset: 'durableObjectsInvocationsAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'durableObjects', scope: 'account', dataset: 'durableObjectsPeriodicGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'durableObjects', scope: 'account', dataset: 'durableObjectsStorageGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'workersLogsTraces', scope: 'account', path: '/accounts/{accountId}/workers/observability/usage-statuses', permission: 'Workers Observability Read' },
+  { product: 'workersAI', scope: 'account', dataset: 'aiInferenceAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'r2Storage', scope: 'account', dataset: 'r2StorageAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'r2Storage', scope: 'account', dataset: 'r2OperationsAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'd1', scope: 'account', dataset: 'd1AnalyticsAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'd1', scope: 'account', dataset: 'd1StorageAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'kv', scope: 'account', dataset: 'kvOperationsAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'kv', scope: 'account', dataset: 'kvStorageAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'stream', scope: 'account', dataset: 'streamMinutesViewedAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'stream', scope: 'account', path: '/accounts/{accountId}/stream/storage-usage', permission: 'Stream Read' },
+  { product: 'images', scope: 'account', dataset: 'imagesRequestsAdaptiveGroups', filter: 'date', permission: 'Account Analytics Read' },
+  { product: 'images', scope: 'account', path: '/accounts/{accountId}/images/v1/stats', permission: 'Images Read' },
+];
+
+/**
+ * Short name of what a probe calls, e.g. `httpRequestsAdaptiveGroups` or `GET /accounts/:id/load_balancers/usage`
+ */
+export function getProbeName(probe) {
+  if (probe.dataset) return probe.dataset;
+  return `GET ${probe.path.split('?')[0].replace('{accountId}', ':accountId').replace('{zoneId}', ':zoneId')}`;
+}
+
+/**
+ * Smallest GraphQL query that reads `probe.dataset` for the `$tag` account or zone over the last day
+ */
+export function buildProbeQuery(probe, now = new Date()) {
+  const since = new Date(now.getTime() - 86400000);
+  const bounds = {
+    date: [since.toISOString().split('T')[0], now.toISOString().split('T')[0]],
+    datetime: [since.toISOString(), now.toISOString()],
+    datetimeMinute: [since.toISOString(), now.toISOString()],
+  }[probe.filter];
+  const filter = [`${probe.filter}_geq: "${bounds[0]}"`, `${probe.filter}_leq: "${bounds[1]}"`, probe.extraFilter].filter(Boolean).join(', ');
+  const scope = probe.scope === 'zone' ? 'zones(filter: { zoneTag: $tag })' : 'accounts(filter: { accountTag: $tag })';
+  return `query Probe($tag: string!) { viewer { ${scope} { ${probe.dataset}(limit: 1, filter: { ${filter} }) { __typename } } } }`;
+}
+
+// CloudflareApiError types (src/utils/cloudflareApi.js) that aren't plain errors
+const PROBE_STATUS_BY_ERROR_TYPE = {
+  auth: 'permission',
+  permission: 'permission',
+  notEntitled: 'entitlement',
+  datasetUnavailable: 'entitlement',
+};
+
+/**
+ * Status of a probe from the CloudflareApiError its call threw, or OK when it didn't throw
+ */
+export function classifyProbe(error) {
+  if (!error) return { status: 'ok', message: null };
+  const message = error.errors?.length ? error.errors.map(e => e?.message || String(e)).join('; ') : error.message;
+  return { status: PROBE_STATUS_BY_ERROR_TYPE[error.type] || 'error', message };
+}
+
+/**
+ * Worst status among checks (error > missing permission > not entitled > OK), or null when there are none
+ */
+export function getWorstStatus(checks) {
+  return checks.reduce((worst, check) => (
+    !worst || PROBE_STATUSES[check.status].rank > PROBE_STATUSES[worst].rank ? check.status : worst
+  ), null);
+}
@@ -0,0 +1,118 @@
+/**
+ * Recurring usage digests (shared by the Worker and the configuration UI)
+ *
+ * `config.digest` is `{ enabled, frequency, weekday, channelIds }`. A digest is the usage
+ * report plus month-over-month deltas and the SKUs that moved the most:
+ *   daily / weekly - month-to-date usage against the previous month; cumulative SKUs are
+ *                    compared with the previous month pro-rated to the same point of the month
+ *   monthly        - sent on the first business day; the month that just closed against the one before
+ */
+
+import { POOLED_SKUS, formatPooledValue, toMonthKey } from './contract';
+import { getSkuPreviousValue } from './export';
+import { getMonthProgress } from './forecast';
+import { buildMonthlyReport, formatReportMonth } from './report';
+
+export const DIGEST_FREQUENCIES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly (first business day)',
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DEFAULT_DIGEST_WEEKDAY = 1;
+
+const TOP_MOVERS = 5;
+
+function toDateKey(date) {
+  return `${toMonthKey(date.getFullYear(), date.getMonth())}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+export function isFirstBusinessDay(date) {
+  const day = date.getDay();
+  if (day === 0 || day === 6) return false;
+  // Monday the 2nd or 3rd follows a weekend that started the month
+  return date.getDate() === 1 || (day === 1 && date.getDate() <= 3);
+}
+
+/**
+ * Dedupe key of the digest due on `now`, or null when none is due that day
+ */
+export function getDigestPeriodKey(digest, now = new Date()) {
+  switch (digest?.frequency) {
+    case 'daily':
+      return toDateKey(now);
+    case 'weekly':
+      return now.getDay() === Number(digest.weekday ?? DEFAULT_DIGEST_WEEKDAY) ? toDateKey(now) : null;
+    case 'monthly':
+      return isFirstBusinessDay(now) ? toMonthKey(now.getFullYear(), now.getMonth()) : null;
+    default:
+      return null;
+  }
+}
+
+function getTopMovers(skuMetrics) {
+  return skuMetrics
+    .filter(sku => sku.deltaPercent !== null && sku.deltaPercent !== undefined)
+    .sort((a, b) => Math.abs(b.deltaPercent) - Math.abs(a.deltaPercent))
+    .slice(0, TOP_MOVERS);
+}
+
+function buildMonthToDateSkus(m, skuMetrics, now) {
+  const { fraction } = getMonthProgress(now);
+  return skuMetrics.map(sku => {
+    const source = POOLED_SKUS[sku.key];
+    const previous = sku.key.endsWith(':contract') ? null : getSkuPreviousValue(m, sku.key);
+    if (!previous) return { ...sku, deltaPercent: null };
+    const expected = source ? previous * fraction : previous;
+    return {
+      ...sku,
+      previous,
+      previousFormatted: formatPooledValue(previous, source?.[2] || 'number'),
+      deltaPercent: expected ? ((sku.current - expected) / expected) * 100 : null,
+    };
+  });
+}
+
+/**
+ * The report event contents for a digest: `skuMetrics` (SKU metrics with `deltaPercent` and
+ * `previousFormatted`) and `digest` ({ frequency, title, comparison, movers }).
+ *   m          - fetchAllMetrics payload (pre-warmed cache)
+ *   skuMetrics - buildSkuMetricsFromMetrics(m, config)
+ */
+export function buildDigest(m, skuMetrics, frequency, now = new Date()) {
+  let skus;
+  let comparison;
+  if (frequency === 'monthly') {
+    const month = toMonthKey(now.getFullYear(), now.getMonth() - 1);
+    const report = buildMonthlyReport(m, skuMetrics, month, { now, trigger: 'digest' });
+    skus = report.skus.map(sku => ({
+      key: sku.key,
+      name: sku.name,
+      category: sku.category,
+      current: sku.value,
+      threshold: sku.threshold,
+      percentage: sku.percentage ?? 0,
+      formatted: sku.formatted,
+      thresholdFormatted: sku.thresholdFormatted,
+      previous: sku.prior,
+      previousFormatted: sku.priorFormatted,
+      deltaPercent: sku.deltaPercent,
+    }));
+    comparison = `${formatReportMonth(month)} vs ${formatReportMonth(report.priorMonth)}`;
+  } else {
+    skus = buildMonthToDateSkus(m, skuMetrics, now);
+    comparison = 'Month to date vs the same point last month';
+  }
+
+  return {
+    skuMetrics: skus,
+    digest: {
+      frequency,
+      title: `${frequency === 'monthly' ? 'Monthly' : frequency === 'weekly' ? 'Weekly' : 'Daily'} Usage Digest`,
+      comparison,
+      movers: getTopMovers(skus).map(sku => sku.key),
+    },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Minimal MIME writer for outgoing notification email
+ *
+ * Cloudflare's `send_email` binding takes a raw RFC 5322 message, so alerts and reports
+ * are assembled here as multipart/alternative (plain text + HTML), base64-encoded UTF-8.
+ */
+
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+export function isValidEmail(value) {
+  return EMAIL_PATTERN.test(String(value || '').trim());
+}
+
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+// RFC 2047 encoded-word for non-ASCII header values (subjects with emoji)
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${toBase64(value)}?=`;
+}
+
+// Mailbox with an optional display name: ASCII names as an escaped quoted string, others as an encoded-word
+function formatAddress(address, name) {
+  if (!name) return address;
+  const displayName = /^[\x20-\x7e]*$/.test(name)
+    ? `"${name.replace(/["\\]/g, '\\$&')}"`
+    : `=?UTF-8?B?${toBase64(name)}?=`;
+  return `${displayName} <${address}>`;
+}
+
+function encodeBody(text) {
+  return toBase64(text).replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build the raw message for one recipient.
+ *   { from, fromName?, to, toName?, subject, text, html, date? }
+ */
+export function buildMimeMessage({ from, fromName, to, toName, subject, text, html, date = new Date() }) {
+  const boundary = `usage-${crypto.randomUUID()}`;
+  const domain = from.split('@')[1];
+  const headers = [
+    `From: ${formatAddress(from, fromName)}`,
+    `To: ${formatAddress(to, toName)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+  ];
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(body),
+  ].join('\r\n');
+
+  return [...headers, '', part('text/plain', text), part('text/html', html), `--${boundary}--`, ''].join('\r\n');
+}
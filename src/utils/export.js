@@ -0,0 +1,409 @@
+/**
+ * Usage export helpers (CSV / XLSX)
+ *
+ * Flattens the fetchAllMetrics payload into sheets of plain rows: one row per SKU,
+ * plus optional per-zone and per-month sheets. The XLSX writer is dependency-free:
+ * an uncompressed ZIP of SpreadsheetML parts with inline strings, which every
+ * spreadsheet application opens.
+ */
+
+import { getSkuSources } from '../constants/skus';
+
+/**
+ * SKU key → [product key, field, value format] for reading previous, per-account and monthly values,
+ * from the SKU registry. 'zones' is handled separately (counted from the zone inventory).
+ */
+export const SKU_SOURCES = getSkuSources();
+
+// Per-zone fields that are combined with max() instead of a sum
+const MAX_FIELDS = new Set(['p95Concurrent']);
+
+// Zone add-on columns for the per-zone sheet: [product key, field, header]
+const ZONE_ADDON_COLUMNS = [
+  ['apiShield', 'requests', 'API Shield Requests'],
+  ['pageShield', 'requests', 'Page Shield Requests'],
+  ['advancedRateLimiting', 'requests', 'Adv. Rate Limiting Requests'],
+  ['argo', 'bytes', 'Argo Bytes'],
+  ['cacheReserve', 'storageGBDays', 'Cache Reserve Storage (GB-days)'],
+  ['cacheReserve', 'classAOps', 'Cache Reserve Class A Ops'],
+  ['cacheReserve', 'classBOps', 'Cache Reserve Class B Ops'],
+  ['spectrum', 'dataTransfer', 'Spectrum Bytes'],
+];
+
+function productData(m, productKey) {
+  return productKey === 'core' ? m : m[productKey];
+}
+
+function combineEntries(entries) {
+  const out = {};
+  entries.forEach(entry => {
+    Object.entries(entry || {}).forEach(([field, value]) => {
+      if (typeof value !== 'number') return;
+      out[field] = MAX_FIELDS.has(field) ? Math.max(out[field] || 0, value) : (out[field] || 0) + value;
+    });
+  });
+  return out;
+}
+
+function combineTimeSeries(seriesList) {
+  const byMonth = new Map();
+  seriesList.flat().forEach(entry => {
+    if (!entry?.month) return;
+    const existing = byMonth.get(entry.month) || [];
+    existing.push(entry);
+    byMonth.set(entry.month, existing);
+  });
+  return Array.from(byMonth.entries())
+    .map(([month, entries]) => ({ month, timestamp: entries[0].timestamp, ...combineEntries(entries) }))
+    .sort((a, b) => (a.month < b.month ? -1 : 1));
+}
+
+/**
+ * Zone ID → { name, accountId, accountName } from the zone inventory
+ */
+export function getZoneIndex(m) {
+  const index = new Map();
+  (m.zones?.zones || []).forEach(z => index.set(z.id, { name: z.name, accountId: z.account?.id, accountName: z.account?.name }));
+  return index;
+}
+
+/**
+ * Narrow a fetchAllMetrics payload to one account (same result the dashboard's account filter shows).
+ * Account-level products use their perAccountData entry; zone-level products (Cache Reserve,
+ * Spectrum) are recombined from the zones that belong to the account.
+ */
+export function filterMetricsToAccount(m, accountId) {
+  const accountData = m.perAccountData?.find(a => a.accountId === accountId);
+  const accountZones = (m.zones?.zones || []).filter(z => z.account?.id === accountId);
+  const zoneIds = new Set(accountZones.map(z => z.id));
+  const filtered = {
+    ...(accountData || { current: {}, previous: {}, timeSeries: [] }),
+    perAccountData: accountData ? [accountData] : [],
+    zonesCount: accountZones.length,
+    zones: m.zones ? { ...m.zones, zones: accountZones, zonesTimeSeries: null } : null,
+    contract: m.contract,
+  };
+
+  Object.entries(m).forEach(([key, product]) => {
+    if (!product?.enabled) return;
+    if (product.perAccountData) {
+      const entry = product.perAccountData.find(a => a.accountId === accountId);
+      if (!entry) return;
+      filtered[key] = { ...product, current: entry.current, previous: entry.previous, timeSeries: entry.timeSeries, perAccountData: [entry] };
+    } else if (product.perZoneData) {
+      const zones = product.perZoneData.filter(z => zoneIds.has(z.zoneId));
+      if (zones.length === 0) return;
+      filtered[key] = {
+        ...product,
+        current: { ...combineEntries(zones.map(z => z.current)), zones: product.current?.zones?.filter(z => zoneIds.has(z.zoneId)) },
+        previous: combineEntries(zones.map(z => z.previous)),
+        timeSeries: combineTimeSeries(zones.map(z => z.timeSeries || [])),
+        perZoneData: zones,
+      };
+    }
+  });
+
+  return filtered;
+}
+
+/**
+ * Value of one SKU field for a single account, or null when the account has no data for the product.
+ * `period` is 'current' or 'previous'.
+ */
+export function getSkuAccountValue(m, skuKey, accountId, { period = 'current', zoneIndex = getZoneIndex(m) } = {}) {
+  if (skuKey === 'zones') {
+    return period === 'current' ? (m.zones?.zones || []).filter(z => z.account?.id === accountId).length : null;
+  }
+  const source = SKU_SOURCES[skuKey];
+  if (!source) return null;
+  const [productKey, field] = source;
+  const product = productData(m, productKey);
+  if (product?.perAccountData) {
+    const entry = product.perAccountData.find(a => a.accountId === accountId);
+    return entry ? entry[period]?.[field] || 0 : null;
+  }
+  if (product?.perZoneData) {
+    const zones = product.perZoneData.filter(z => zoneIndex.get(z.zoneId)?.accountId === accountId);
+    return zones.length > 0 ? combineEntries(zones.map(z => z[period]))[field] || 0 : null;
+  }
+  return null;
+}
+
+/**
+ * Current per-zone values of a SKU as [{ zoneId, zoneName, accountId, value }], empty for account-level products
+ */
+export function getSkuZoneValues(m, skuKey, zoneIndex = getZoneIndex(m)) {
+  const source = SKU_SOURCES[skuKey];
+  if (!source) return [];
+  const [productKey, field] = source;
+  let zones = [];
+  if (productKey === 'core') {
+    zones = (m.zoneBreakdown?.zones || []).map(z => ({ zoneId: z.zoneTag, zoneName: z.zoneName, value: z[field] }));
+  } else if (m[productKey]?.perZoneData) {
+    zones = m[productKey].perZoneData.map(z => ({ zoneId: z.zoneId, zoneName: z.zoneName, value: z.current?.[field] }));
+  } else if (Array.isArray(m[productKey]?.current?.zones)) {
+    zones = m[productKey].current.zones.map(z => ({ zoneId: z.zoneId, zoneName: z.zoneName, value: z[field] }));
+  }
+  return zones
+    .filter(z => typeof z.value === 'number')
+    .map(z => ({ ...z, zoneName: z.zoneName || zoneIndex.get(z.zoneId)?.name || z.zoneId, accountId: zoneIndex.get(z.zoneId)?.accountId || null }));
+}
+
+/**
+ * Previous-month value of a SKU, or null when the product does not report one
+ */
+export function getSkuPreviousValue(m, skuKey) {
+  if (skuKey === 'zones') {
+    const series = m.zones?.zonesTimeSeries || [];
+    return series.length > 1 ? series[series.length - 2].zones : null;
+  }
+  const source = SKU_SOURCES[skuKey];
+  if (!source) return null;
+  const value = productData(m, source[0])?.previous?.[source[1]];
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Monthly history of a SKU as [{ month, value }]
+ */
+export function getSkuMonthlySeries(m, skuKey) {
+  if (skuKey === 'zones') return (m.zones?.zonesTimeSeries || []).map(e => ({ month: e.month, value: e.zones }));
+  const source = SKU_SOURCES[skuKey];
+  if (!source) return [];
+  return (productData(m, source[0])?.timeSeries || []).map(e => ({ month: e.month, value: e[source[1]] || 0 }));
+}
+
+function round(value, decimals = 2) {
+  return typeof value === 'number' ? Math.round(value * 10 ** decimals) / 10 ** decimals : value;
+}
+
+/**
+ * Build the export sheets.
+ *   m          - fetchAllMetrics payload (already narrowed with filterMetricsToAccount when filtering)
+ *   skuMetrics - buildSkuMetricsFromMetrics(m, config)
+ *   accounts   - [{ id, name }] accounts to break values out by
+ * Returns [{ name, columns, rows }] where rows are arrays aligned with columns.
+ */
+export function buildExportSheets(m, skuMetrics, { accounts = [], includeZones = false, includeMonths = false } = {}) {
+  const zoneIndex = getZoneIndex(m);
+  const accountColumns = accounts.map(a => (a.name && a.name !== a.id ? `${a.name} (${a.id})` : a.id));
+
+  const sheets = [{
+    name: 'SKUs',
+    columns: ['SKU', 'Name', 'Category', 'Current', 'Previous Month', 'Threshold', 'Percentage', 'Current (Formatted)', 'Threshold (Formatted)', ...accountColumns],
+    rows: skuMetrics.map(sku => {
+      const isContract = sku.key.endsWith(':contract');
+      return [
+        sku.key,
+        sku.name,
+        sku.category,
+        round(sku.current),
+        isContract ? null : round(getSkuPreviousValue(m, sku.key)),
+        round(sku.threshold),
+        sku.threshold ? round(sku.percentage) : null,
+        sku.formatted,
+        sku.thresholdFormatted,
+        ...accounts.map(a => (isContract ? null : round(getSkuAccountValue(m, sku.key, a.id, { zoneIndex })))),
+      ];
+    }),
+  }];
+
+  if (includeZones) {
+    const addonColumns = ZONE_ADDON_COLUMNS.filter(([productKey]) => m[productKey]?.enabled);
+    const addonValues = addonColumns.map(([productKey, field]) => {
+      const byZone = new Map();
+      const product = m[productKey];
+      (product.perZoneData || []).forEach(z => byZone.set(z.zoneId, z.current?.[field]));
+      (product.current?.zones || []).forEach(z => { if (!byZone.has(z.zoneId)) byZone.set(z.zoneId, z[field]); });
+      return byZone;
+    });
+    sheets.push({
+      name: 'Zones',
+      columns: ['Zone ID', 'Zone Name', 'Account', 'HTTP Requests', 'Data Transfer (Bytes)', 'DNS Queries', ...addonColumns.map(c => c[2])],
+      rows: (m.zoneBreakdown?.zones || []).map(z => [
+        z.zoneTag,
+        z.zoneName || zoneIndex.get(z.zoneTag)?.name || z.zoneTag,
+        zoneIndex.get(z.zoneTag)?.accountName || '',
+        z.requests || 0,
+        z.bytes || 0,
+        z.dnsQueries || 0,
+        ...addonValues.map(byZone => round(byZone.get(z.zoneTag) ?? null)),
+      ]),
+    });
+  }
+
+  if (includeMonths) {
+    const monthlySkus = skuMetrics
+      .filter(sku => !sku.key.endsWith(':contract'))
+      .map(sku => ({ sku, values: new Map(getSkuMonthlySeries(m, sku.key).map(e => [e.month, e.value])) }))
+      .filter(({ values }) => values.size > 0);
+    const months = Array.from(new Set(monthlySkus.flatMap(({ values }) => Array.from(values.keys())))).sort();
+    sheets.push({
+      name: 'Monthly',
+      columns: ['Month', ...monthlySkus.map(({ sku }) => sku.name)],
+      rows: months.map(month => [month, ...monthlySkus.map(({ values }) => round(values.get(month) ?? null))]),
+    });
+  }
+
+  return sheets;
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialize one sheet as RFC 4180 CSV
+ */
+export function toCsv(sheet) {
+  return [sheet.columns, ...sheet.rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetXml(sheet) {
+  const rows = [sheet.columns, ...sheet.rows].map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"${r === 0 ? ' s="1"' : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write an uncompressed (stored) ZIP archive from [{ name, data: Uint8Array }]
+ */
+function buildZip(files) {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, file.data.length, true);
+    central.setUint32(24, file.data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + file.data.length;
+  });
+
+  const centralSize = centralParts.reduce((s, p) => s + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+  let position = 0;
+  parts.forEach(p => { out.set(p, position); position += p.length; });
+  return out;
+}
+
+/**
+ * Serialize sheets as an .xlsx workbook (one worksheet per sheet, bold frozen header row)
+ */
+export function toXlsx(sheets) {
+  const encoder = new TextEncoder();
+  const sheetNames = sheets.map(s => escapeXml(s.name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31)));
+  const files = [
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+      + '</Types>'],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>'],
+    ['xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets>${sheetNames.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+      + '</workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+      + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+      + '</Relationships>'],
+    ['xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+      + '</styleSheet>'],
+    ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet)]),
+  ];
+  return buildZip(files.map(([name, xml]) => ({ name, data: encoder.encode(xml) })));
+}
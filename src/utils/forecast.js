@@ -0,0 +1,165 @@
+/**
+ * Usage forecasting helpers (shared by the Worker and the dashboard)
+ *
+ * End-of-month projections blend the month-to-date run rate with the average of
+ * recent full months: early in the month history dominates, late in the month
+ * the run rate does. The confidence band is derived from the month-over-month
+ * variation of that history and narrows as the month progresses.
+ */
+
+import { POOLED_SKUS, ENTITLEMENT_MODES, formatPooledValue, toMonthKey } from './contract';
+
+const HISTORY_MONTHS = 6;
+const DEFAULT_VARIATION = 0.25; // Used when there is not enough history to measure variation
+const Z_80 = 1.2816; // 80% confidence band
+const PACE_TOLERANCE = 5; // ±% around pro-rata pace still counts as on track
+
+/**
+ * Fraction of the current calendar month elapsed at `now`
+ */
+export function getMonthProgress(now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  return {
+    monthKey: toMonthKey(now.getFullYear(), now.getMonth()),
+    fraction: Math.min(1, Math.max(0, (now - start) / (end - start))),
+    daysInMonth: Math.round((end - start) / 86400000),
+  };
+}
+
+function getHistoryStats(timeSeries, field, beforeMonth) {
+  const values = (timeSeries || [])
+    .filter(e => e.month < beforeMonth)
+    .sort((a, b) => (a.month < b.month ? -1 : 1))
+    .slice(-HISTORY_MONTHS)
+    .map(e => e[field] || 0)
+    .filter(v => v > 0);
+  if (values.length === 0) return { mean: null, variation: DEFAULT_VARIATION, months: 0 };
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  if (values.length < 2) return { mean, variation: DEFAULT_VARIATION, months: values.length };
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, variation: Math.sqrt(variance) / mean, months: values.length };
+}
+
+function getPace(actual, expected) {
+  if (!expected) return null;
+  const deltaPercent = ((actual - expected) / expected) * 100;
+  let status = 'on-track';
+  if (deltaPercent > PACE_TOLERANCE) status = 'ahead';
+  else if (deltaPercent < -PACE_TOLERANCE) status = 'behind';
+  return { expected, actual, deltaPercent, status };
+}
+
+/**
+ * Project the end-of-month total for a cumulative metric.
+ * `pace` compares month-to-date usage with a linear pro-rata share of the threshold.
+ */
+export function forecastMonth({ current, threshold, timeSeries, field, now = new Date() }) {
+  const { monthKey, fraction } = getMonthProgress(now);
+  const history = getHistoryStats(timeSeries, field, monthKey);
+  const runRate = fraction > 0 ? current / fraction : current;
+  const weight = history.mean === null ? 1 : fraction;
+  const projected = Math.max(current, weight * runRate + (1 - weight) * (history.mean || 0));
+  const spread = Z_80 * history.variation * (1 - fraction);
+
+  return {
+    horizon: 'month',
+    current,
+    projected,
+    lower: Math.max(current, projected * (1 - spread)),
+    upper: projected * (1 + spread),
+    threshold: threshold || null,
+    projectedPercentage: threshold ? (projected / threshold) * 100 : null,
+    willBreach: !!threshold && projected >= threshold,
+    pace: getPace(current, threshold ? threshold * fraction : null),
+    historyMonths: history.months,
+  };
+}
+
+/**
+ * Project the end-of-contract total for a cumulative metric against the pooled commit
+ */
+export function forecastContract({ timeSeries, field, monthlyThreshold, period, now = new Date() }) {
+  const { monthKey, fraction } = getMonthProgress(now);
+  const byMonth = new Map((timeSeries || []).map(e => [e.month, e[field] || 0]));
+  const current = byMonth.get(monthKey) || 0;
+  const priorToDate = period.monthsToDate.filter(m => m !== monthKey).reduce((s, m) => s + (byMonth.get(m) || 0), 0);
+  const month = forecastMonth({ current, threshold: monthlyThreshold, timeSeries, field, now });
+  const history = getHistoryStats(timeSeries, field, monthKey);
+  const baseline = history.mean === null ? month.projected : (history.mean * history.months + month.projected) / (history.months + 1);
+  const remaining = period.monthsRemaining * baseline;
+  const projected = priorToDate + month.projected + remaining;
+  const spread = Z_80 * history.variation * Math.sqrt(period.monthsRemaining + (1 - fraction));
+  const commit = monthlyThreshold ? monthlyThreshold * period.termMonths : null;
+  const contractToDate = priorToDate + current;
+  const elapsedShare = (period.monthsElapsed - 1 + fraction) / period.termMonths;
+
+  return {
+    horizon: 'contract',
+    current: contractToDate,
+    projected,
+    lower: Math.max(contractToDate, projected - (month.projected - month.lower) - remaining * spread),
+    upper: projected + (month.upper - month.projected) + remaining * spread,
+    threshold: commit,
+    projectedPercentage: commit ? (projected / commit) * 100 : null,
+    willBreach: !!commit && projected >= commit,
+    pace: getPace(contractToDate, commit ? commit * elapsedShare : null),
+    historyMonths: history.months,
+    endMonth: period.endMonth,
+  };
+}
+
+/**
+ * Forecast every cumulative SKU in a SKU metrics list (same shape as buildSkuMetrics).
+ * Contract SKUs on an annual commit are projected to the end of the term; everything
+ * else to the end of the month. `getSeries(productKey)` returns a product's monthly timeSeries.
+ */
+export function forecastSkus(skuMetrics, getSeries, period = null, now = new Date()) {
+  const forecasts = [];
+  skuMetrics.forEach(sku => {
+    const baseKey = sku.key.replace(/:contract$/, '');
+    const pooled = POOLED_SKUS[baseKey];
+    if (!pooled) return;
+    const [productKey, field, format] = pooled;
+    const timeSeries = getSeries(productKey);
+    let forecast;
+    if (sku.contract?.mode === ENTITLEMENT_MODES.ANNUAL && period) {
+      const monthly = skuMetrics.find(s => s.key === baseKey);
+      forecast = forecastContract({ timeSeries, field, monthlyThreshold: monthly?.threshold, period, now });
+    } else {
+      forecast = forecastMonth({ current: sku.current || 0, threshold: sku.threshold, timeSeries, field, now });
+    }
+    forecasts.push({
+      key: sku.key,
+      name: sku.name,
+      category: sku.category,
+      ...forecast,
+      formatted: formatPooledValue(forecast.current, format),
+      projectedFormatted: formatPooledValue(forecast.projected, format),
+      thresholdFormatted: forecast.threshold ? formatPooledValue(forecast.threshold, format) : '',
+    });
+  });
+  return forecasts;
+}
+
+/**
+ * Turn projected breaches into alert entries (same shape as SKU metrics).
+ * SKUs already at ≥90% are skipped because the regular threshold alert covers them.
+ */
+export function buildForecastAlerts(forecasts, skuMetrics) {
+  return forecasts
+    .filter(f => f.willBreach)
+    .filter(f => !(skuMetrics.find(s => s.key === f.key)?.percentage >= 90))
+    .map(f => ({
+      key: `${f.key}:forecast`,
+      name: `${f.name} (Projected)`,
+      category: f.category,
+      current: f.projected,
+      threshold: f.threshold,
+      formatted: `${f.projectedFormatted} by ${f.horizon === 'contract' ? 'contract end' : 'month end'}`,
+      thresholdFormatted: f.thresholdFormatted,
+      percentage: f.projectedPercentage,
+      contract: skuMetrics.find(s => s.key === f.key)?.contract,
+      forecast: { horizon: f.horizon, lower: f.lower, upper: f.upper, pace: f.pace },
+    }));
+}
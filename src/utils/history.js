@@ -0,0 +1,261 @@
+/**
+ * Historical usage store (D1)
+ *
+ * Monthly snapshots (previous months, end-of-month snapshots and backfilled months) and
+ * Spectrum's per-minute concurrency samples are rows of one `usage_history` table, one row
+ * per metric, keyed by workspace, SKU (the registry product id), account, zone and period.
+ * Rows don't expire, and a product's whole history is one query instead of a KV list plus
+ * a get per month.
+ *
+ * A period is a month ('2025-01') or, for samples, a minute ('2025-01-31T23:59'). Account
+ * and zone are '' when a snapshot isn't scoped to one.
+ */
+
+export const HISTORY_SCHEMA = `CREATE TABLE IF NOT EXISTS usage_history (
+  workspace TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  account_id TEXT NOT NULL DEFAULT '',
+  zone_id TEXT NOT NULL DEFAULT '',
+  period TEXT NOT NULL,
+  metric TEXT NOT NULL,
+  value REAL NOT NULL,
+  recorded_at TEXT NOT NULL,
+  PRIMARY KEY (workspace, sku, account_id, zone_id, period, metric)
+)`;
+
+// Rows go to D1 as one JSON array per statement, so a month of samples isn't thousands of queries
+const WRITE_CHUNK_ROWS = 5000;
+
+const insertSql = (conflict) => `INSERT INTO usage_history (workspace, sku, account_id, zone_id, period, metric, value, recorded_at)
+  SELECT ?1, json_extract(r.value, '$[0]'), json_extract(r.value, '$[1]'), json_extract(r.value, '$[2]'),
+    json_extract(r.value, '$[3]'), json_extract(r.value, '$[4]'), json_extract(r.value, '$[5]'), ?2
+  FROM json_each(?3) AS r WHERE true
+  ON CONFLICT (workspace, sku, account_id, zone_id, period, metric) DO ${conflict}`;
+const UPSERT_SQL = insertSql('UPDATE SET value = excluded.value, recorded_at = excluded.recorded_at');
+const INSERT_MISSING_SQL = insertSql('NOTHING');
+
+const schemaReady = new WeakMap();
+let warnedNoDatabase = false;
+
+const isMetricValue = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * [sku, accountId, zoneId, period, metric, value] rows for a snapshot's numeric fields,
+ * plus one set per zone for `zones` entries ({ zoneId, ...values })
+ */
+function toRows({ sku, accountId = '', zoneId = '' }, period, values, zones = []) {
+  const rows = Object.entries(values)
+    .filter(([, value]) => isMetricValue(value))
+    .map(([metric, value]) => [sku, accountId || '', zoneId || '', period, metric, value]);
+  zones.forEach(({ zoneId: zone, ...zoneValues }) => {
+    if (!zone) return;
+    Object.entries(zoneValues)
+      .filter(([, value]) => isMetricValue(value))
+      .forEach(([metric, value]) => rows.push([sku, accountId || '', zone, period, metric, value]));
+  });
+  return rows;
+}
+
+function groupByPeriod(results, keyField = 'period') {
+  const groups = new Map();
+  results.forEach(row => {
+    const group = groups.get(row[keyField]) || {};
+    group[row.metric] = row.value;
+    groups.set(row[keyField], group);
+  });
+  return groups;
+}
+
+/**
+ * History for one workspace. Series are `{ sku, accountId?, zoneId? }`:
+ *   get(series, period)              → { metric: value } or null
+ *   put(series, period, values, zones?) - upserts; `zones` are [{ zoneId, ...values }] under the same account
+ *   list(series)                     → [{ period, ...values }] for every month, oldest first
+ *   getZones(series, period)         → [{ zoneId, ...values }] stored under the account for that month
+ *   addSample(series, minute, metric, value) / getSamples(series, metric, month) → values, oldest first
+ * Without a database every read is empty and writes are dropped.
+ */
+export function createHistoryStore(db, workspace) {
+  if (!db) {
+    if (!warnedNoDatabase) {
+      console.warn('HISTORY_DB is not bound; monthly history is neither read nor kept');
+      warnedNoDatabase = true;
+    }
+    return {
+      get: async () => null,
+      put: async () => {},
+      list: async () => [],
+      getZones: async () => [],
+      addSample: async () => {},
+      getSamples: async () => [],
+      writeRows: async () => 0,
+    };
+  }
+
+  const ready = () => {
+    if (!schemaReady.has(db)) schemaReady.set(db, db.prepare(HISTORY_SCHEMA).run());
+    return schemaReady.get(db);
+  };
+  const query = async (sql, ...params) => {
+    await ready();
+    const { results } = await db.prepare(sql).bind(...params).all();
+    return results || [];
+  };
+  const writeRows = async (rows, { overwrite = true } = {}) => {
+    if (rows.length === 0) return 0;
+    await ready();
+    const recordedAt = new Date().toISOString();
+    const statements = [];
+    for (let i = 0; i < rows.length; i += WRITE_CHUNK_ROWS) {
+      statements.push(db.prepare(overwrite ? UPSERT_SQL : INSERT_MISSING_SQL).bind(workspace, recordedAt, JSON.stringify(rows.slice(i, i + WRITE_CHUNK_ROWS))));
+    }
+    await db.batch(statements);
+    return rows.length;
+  };
+  const seriesParams = ({ sku, accountId = '', zoneId = '' }) => [workspace, sku, accountId || '', zoneId || ''];
+
+  return {
+    async get(series, period) {
+      const results = await query(
+        'SELECT metric, value FROM usage_history WHERE workspace = ? AND sku = ? AND account_id = ? AND zone_id = ? AND period = ?',
+        ...seriesParams(series), period
+      );
+      return results.length > 0 ? Object.fromEntries(results.map(row => [row.metric, row.value])) : null;
+    },
+
+    async put(series, period, values, zones = []) {
+      await writeRows(toRows(series, period, values, zones));
+    },
+
+    async list(series) {
+      const results = await query(
+        'SELECT period, metric, value FROM usage_history WHERE workspace = ? AND sku = ? AND account_id = ? AND zone_id = ? AND length(period) = 7 ORDER BY period',
+        ...seriesParams(series)
+      );
+      return [...groupByPeriod(results)].map(([period, values]) => ({ period, ...values }));
+    },
+
+    async getZones({ sku, accountId = '' }, period) {
+      const results = await query(
+        "SELECT zone_id, metric, value FROM usage_history WHERE workspace = ? AND sku = ? AND account_id = ? AND zone_id != '' AND period = ?",
+        workspace, sku, accountId || '', period
+      );
+      return [...groupByPeriod(results, 'zone_id')].map(([zoneId, values]) => ({ zoneId, ...values }));
+    },
+
+    async addSample(series, minute, metric, value) {
+      await writeRows(toRows(series, minute, { [metric]: value }));
+    },
+
+    async getSamples(series, metric, month) {
+      const results = await query(
+        'SELECT value FROM usage_history WHERE workspace = ? AND sku = ? AND account_id = ? AND zone_id = ? AND metric = ? AND period LIKE ? ORDER BY period',
+        ...seriesParams(series), metric, `${month}-%`
+      );
+      return results.map(row => row.value);
+    },
+
+    writeRows,
+  };
+}
+
+/**
+ * Minute period of a sample, e.g. '2025-01-31T23:59'
+ */
+export function getMinutePeriod(date) {
+  return date.toISOString().slice(0, 16);
+}
+
+/**
+ * KV layouts history was kept in before D1, newest first where a product moved prefixes:
+ * `${prefix}:${accountId | zoneId}:${month}`, or `${prefix}:${month}` for unscoped ones.
+ * `samples` layouts hold { samples: [...], lastUpdated } with one sample per minute.
+ */
+export const LEGACY_KV_HISTORY = [
+  { prefix: 'monthly-stats-v2', sku: 'core', scope: 'account' },
+  { prefix: 'monthly-stats', sku: 'core', scope: 'account' },
+  { prefix: 'monthly-zone-count', sku: 'enterpriseZones', scope: null },
+  { prefix: 'monthly-bot-stats-v2', sku: 'botManagement', scope: 'account' },
+  { prefix: 'monthly-bot-stats', sku: 'botManagement', scope: 'account' },
+  { prefix: 'monthly-api-shield-stats', sku: 'apiShield', scope: 'account' },
+  { prefix: 'monthly-page-shield-stats', sku: 'pageShield', scope: 'account' },
+  { prefix: 'monthly-advanced-rate-limiting-stats', sku: 'advancedRateLimiting', scope: 'account' },
+  { prefix: 'monthly-argo-stats', sku: 'argo', scope: 'account' },
+  { prefix: 'monthly-cache-reserve', sku: 'cacheReserve', scope: 'zone' },
+  { prefix: 'monthly-load-balancing', sku: 'loadBalancing', scope: 'account' },
+  { prefix: 'monthly-custom-hostnames', sku: 'customHostnames', scope: 'account' },
+  { prefix: 'monthly-log-explorer', sku: 'logExplorer', scope: 'account' },
+  { prefix: 'monthly-v6-magicTransit', sku: 'magicTransit', scope: 'account' },
+  { prefix: 'monthly-v5-magicTransit', sku: 'magicTransit', scope: 'account' },
+  { prefix: 'monthly-v6-magicWan', sku: 'magicWan', scope: 'account' },
+  { prefix: 'monthly-v5-magicWan', sku: 'magicWan', scope: 'account' },
+  { prefix: 'monthly-spectrum', sku: 'spectrum', scope: 'zone' },
+  { prefix: 'spectrum-concurrent-samples', sku: 'spectrum', scope: 'zone', samples: 'concurrentConnections' },
+  { prefix: 'monthly-zt-seats', sku: 'zeroTrustSeats', scope: 'account' },
+  { prefix: 'monthly-workers-pages', sku: 'workersPages', scope: 'account' },
+  { prefix: 'monthly-queues', sku: 'queues', scope: 'account' },
+  { prefix: 'monthly-do', sku: 'durableObjects', scope: 'account' },
+  { prefix: 'monthly-wlt', sku: 'workersLogsTraces', scope: 'account' },
+  { prefix: 'monthly-workersai', sku: 'workersAI', scope: 'account' },
+  { prefix: 'monthly-r2-storage', sku: 'r2Storage', scope: 'account' },
+  { prefix: 'monthly-d1', sku: 'd1', scope: 'account' },
+  { prefix: 'monthly-kv', sku: 'kv', scope: 'account' },
+  { prefix: 'monthly-stream', sku: 'stream', scope: 'account' },
+  { prefix: 'monthly-images', sku: 'images', scope: 'account' },
+];
+
+/**
+ * Rows for one legacy KV snapshot: its numeric fields, its per-zone breakdown
+ * (`zones` / `zoneMetrics`), or its samples spread over the minutes up to `lastUpdated`
+ */
+function legacySnapshotRows(layout, keyName, data) {
+  const parts = keyName.slice(layout.prefix.length + 1).split(':');
+  const period = parts[parts.length - 1];
+  if (!/^\d{4}-\d{2}$/.test(period) || !data || typeof data !== 'object') return [];
+  const series = {
+    sku: layout.sku,
+    accountId: layout.scope === 'account' ? parts[0] : '',
+    zoneId: layout.scope === 'zone' ? parts[0] : '',
+  };
+
+  if (layout.samples) {
+    const samples = (data.samples || []).filter(isMetricValue);
+    const [year, month] = period.split('-').map(Number);
+    const monthStart = Date.UTC(year, month - 1, 1);
+    const lastUpdated = Date.parse(data.lastUpdated) || Date.UTC(year, month, 1) - 60000;
+    const start = Math.max(monthStart, lastUpdated - (samples.length - 1) * 60000);
+    return samples.flatMap((value, i) => toRows(series, getMinutePeriod(new Date(start + i * 60000)), { [layout.samples]: value }));
+  }
+
+  const { cachedAt, ...values } = data;
+  const zones = (data.zoneMetrics || data.zones || [])
+    .map(zone => ({ ...zone, zoneId: zone.zoneId || zone.zoneTag }));
+  return toRows(series, period, values, zones);
+}
+
+/**
+ * One step of copying the legacy KV history into the store, resumable from `state`
+ * ({ layout, cursor, keys, rows }); reads at most `maxKeys` keys. Months already in the
+ * store are kept, so a newer prefix wins over an older one and fresh writes over copies.
+ * KV keys are left to expire on their own.
+ */
+export async function migrateKvHistoryStep(kv, store, state, maxKeys) {
+  const next = { layout: 0, cursor: null, keys: 0, rows: 0, ...state };
+  let budget = maxKeys;
+  while (budget > 0 && next.layout < LEGACY_KV_HISTORY.length) {
+    const layout = LEGACY_KV_HISTORY[next.layout];
+    const listing = await kv.list({ prefix: `${layout.prefix}:`, cursor: next.cursor || undefined, limit: budget });
+    const snapshots = await Promise.all(listing.keys.map(key => kv.get(key.name, 'json')));
+    const rows = listing.keys.flatMap((key, i) => legacySnapshotRows(layout, key.name, snapshots[i]));
+    next.rows += await store.writeRows(rows, { overwrite: false });
+    next.keys += listing.keys.length;
+    budget -= Math.max(1, listing.keys.length);
+    if (listing.list_complete) {
+      next.layout++;
+      next.cursor = null;
+    } else {
+      next.cursor = listing.cursor;
+    }
+  }
+  return { ...next, done: next.layout >= LEGACY_KV_HISTORY.length };
+}
@@ -0,0 +1,517 @@
+/**
+ * Notification channels for threshold alerts and usage reports
+ *
+ * A config holds any number of named channels (`config.notificationChannels`):
+ *   { id, name, type: 'slack' | 'teams' | 'discord' | 'webhook', url, secret?, enabled }
+ *   { id, name, type: 'email', from, recipients: { threshold, forecast, report }, enabled }
+ *   { id, name, type: 'pagerduty', routingKey, tiers: [{ percentage, severity }], enabled }
+ * Each channel type formats the same event its own way; `dispatchNotification` fans
+ * an event out to every enabled channel and returns one delivery result per channel.
+ * PagerDuty channels keep incident state and are driven by the scheduled check instead
+ * (see ./pagerduty.js).
+ * Configs saved before channels existed only carry `slackWebhook`, which is treated
+ * as a single Slack channel.
+ */
+
+import { isValidEmail } from './email';
+import { PAGERDUTY_SEVERITIES } from './pagerduty';
+
+export const CHANNEL_TYPES = {
+  slack: { label: 'Slack', urlPrefix: 'https://hooks.slack.com/', placeholder: 'https://hooks.slack.com/services/YOUR/WEBHOOK/URL' },
+  teams: { label: 'Microsoft Teams', urlPrefix: 'https://', placeholder: 'https://prod-00.westus.logic.azure.com/workflows/...' },
+  discord: { label: 'Discord', urlPrefix: 'https://discord.com/api/webhooks/', placeholder: 'https://discord.com/api/webhooks/ID/TOKEN' },
+  webhook: { label: 'JSON Webhook', urlPrefix: 'http', placeholder: 'https://example.com/hooks/cloudflare-usage' },
+  email: { label: 'Email', placeholder: 'usage-alerts@example.com' },
+  pagerduty: { label: 'PagerDuty', placeholder: 'Events API v2 integration key' },
+};
+
+// Email recipients are listed per alert type
+export const EMAIL_RECIPIENT_TYPES = {
+  threshold: 'Threshold alerts',
+  forecast: 'Projected breaches',
+  report: 'Usage reports',
+};
+
+export const LEGACY_SLACK_CHANNEL_ID = 'slack';
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Returns the validation error for a channel, or null when it can be saved.
+ */
+export function validateChannel(channel) {
+  const type = CHANNEL_TYPES[channel.type];
+  if (!type) return `Unknown channel type "${channel.type}"`;
+  if (!channel.name?.trim()) return 'Channel name is required';
+  if (channel.type === 'email') {
+    if (!isValidEmail(channel.from)) return 'A valid sender address is required';
+    const recipients = Object.keys(EMAIL_RECIPIENT_TYPES).flatMap(t => parseRecipients(channel.recipients?.[t]));
+    if (recipients.length === 0) return 'Add at least one recipient';
+    const invalid = recipients.find(r => !isValidEmail(r));
+    return invalid ? `Invalid email address "${invalid}"` : null;
+  }
+  if (channel.type === 'pagerduty') {
+    if (!/^[A-Za-z0-9]{32}$/.test(channel.routingKey?.trim() || '')) return 'A 32-character PagerDuty integration key is required';
+    const invalidTier = (channel.tiers || []).find(t => !(Number(t.percentage) > 0) || !PAGERDUTY_SEVERITIES.includes(t.severity));
+    return invalidTier ? 'Each severity tier needs a percentage above 0 and a severity' : null;
+  }
+  const url = channel.url?.trim() || '';
+  const prefixes = channel.type === 'discord' ? [type.urlPrefix, 'https://discordapp.com/api/webhooks/'] : [type.urlPrefix];
+  if (!prefixes.some(prefix => url.startsWith(prefix))) return `Invalid ${type.label} webhook URL`;
+  return null;
+}
+
+/**
+ * Channels configured for a config, including the legacy single Slack webhook.
+ */
+export function getNotificationChannels(config, { enabledOnly = true } = {}) {
+  const channels = Array.isArray(config?.notificationChannels) ? [...config.notificationChannels] : [];
+  if (config?.slackWebhook && !channels.some(c => c.type === 'slack' && c.url === config.slackWebhook)) {
+    channels.unshift({ id: LEGACY_SLACK_CHANNEL_ID, name: 'Slack', type: 'slack', url: config.slackWebhook, enabled: true });
+  }
+  return enabledOnly ? channels.filter(c => c.enabled !== false && (c.url || c.type === 'email' || c.routingKey)) : channels;
+}
+
+/**
+ * Split a recipient list (array, or comma/newline separated text from the form) into addresses.
+ */
+export function parseRecipients(list) {
+  const items = Array.isArray(list) ? list : String(list || '').split(/[,;\n]/);
+  return items.map(r => r.trim()).filter(Boolean);
+}
+
+const SEVERITY_EMOJI = { info: '🔵', warning: '🟡', error: '🔴', critical: '🚨' };
+
+function alertEmoji(alert) {
+  if (alert.forecast) return '📈';
+  if (alert.anomaly) return '⚡';
+  return SEVERITY_EMOJI[alert.severity] || (alert.percentage >= 100 ? '🔴' : '🟡');
+}
+
+// Shown after the percentage: which tier fired, that the value is a projection, or the daily change
+function alertTag(alert) {
+  if (alert.forecast) return ' (projected)';
+  if (alert.anomaly) {
+    const change = alert.anomaly.changePercent;
+    return change === null ? ` (daily ${alert.anomaly.direction})` : ` (day ${change > 0 ? '+' : ''}${change.toFixed(0)}% vs typical)`;
+  }
+  return alert.tier ? ` (${alert.tier}% tier)` : '';
+}
+
+function alertValueLabel(alert) {
+  if (alert.forecast) return 'Projected';
+  if (alert.anomaly) return 'Daily usage';
+  return 'Current';
+}
+
+function statusEmoji(sku) {
+  if (sku.percentage >= 100) return '🔴';
+  if (sku.percentage >= 90) return '🟡';
+  return '🟢';
+}
+
+function alertSummary(alerts) {
+  const projectedCount = alerts.filter(a => a.forecast).length;
+  const anomalyCount = alerts.filter(a => a.anomaly).length;
+  const tierCount = alerts.length - projectedCount - anomalyCount;
+  const tiers = [...new Set(alerts.filter(a => !a.forecast && !a.anomaly).map(a => a.tier ?? 90))];
+  const reached = tiers.length === 1 ? `at ≥${tiers[0]}% of contracted thresholds` : 'past an alert tier of their contracted thresholds';
+  const summary = projectedCount > 0
+    ? `${tierCount} product(s) ${reached}, ${projectedCount} projected to exceed`
+    : `${tierCount} product(s) ${reached}`;
+  return anomalyCount > 0 ? `${summary}, ${anomalyCount} with unusual daily usage:` : `${summary}:`;
+}
+
+// Month-over-month change, only set on digests
+function deltaText(sku) {
+  if (sku.deltaPercent === null || sku.deltaPercent === undefined) return '';
+  return ` ${sku.deltaPercent >= 0 ? '▲' : '▼'} ${Math.abs(sku.deltaPercent).toFixed(1)}%`;
+}
+
+function reportLine(sku) {
+  return sku.threshold
+    ? `${sku.formatted} (${sku.percentage.toFixed(1)}% of ${sku.thresholdFormatted})${deltaText(sku)}`
+    : `${sku.formatted} (no threshold)${deltaText(sku)}`;
+}
+
+function reportTitle(event) {
+  return event.digest ? event.digest.title : 'Enterprise Usage Report';
+}
+
+// Digest top movers as "HTTP Requests: 1.2M vs 800K ▲ 50.0%"
+function moverLines(event) {
+  if (!event.digest?.movers?.length) return [];
+  return event.digest.movers
+    .map(key => event.skuMetrics.find(sku => sku.key === key))
+    .filter(Boolean)
+    .map(sku => `${sku.name}: ${sku.formatted} vs ${sku.previousFormatted}${deltaText(sku)}`);
+}
+
+function groupByCategory(skuMetrics) {
+  const categories = {};
+  skuMetrics.forEach(sku => {
+    const cat = sku.category || 'Other';
+    if (!categories[cat]) categories[cat] = [];
+    categories[cat].push(sku);
+  });
+  return categories;
+}
+
+// ---- Slack (Block Kit) ----
+
+function buildSlackPayload(event) {
+  const now = new Date(event.sentAt);
+  const timestamp = `<!date^${Math.floor(now.getTime() / 1000)}^{date_short_pretty} at {time}|${now.toUTCString()}>`;
+  const footer = [
+    { type: 'context', elements: [{ type: 'mrkdwn', text: event.type === 'report' ? `🕐 Report generated: ${timestamp}` : `🕐 ${timestamp}` }] },
+    { type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: 'View Dashboard', emoji: true }, url: event.dashboardUrl, style: 'primary' }] },
+  ];
+
+  if (event.type === 'report') {
+    const reportBlocks = [];
+    for (const [category, items] of Object.entries(groupByCategory(event.skuMetrics))) {
+      reportBlocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${category}*` } });
+      reportBlocks.push({ type: 'section', text: { type: 'mrkdwn', text: items.map(m => `${statusEmoji(m)} *${m.name}:* ${m.threshold ? reportLine(m) : `${m.formatted} _(no threshold)_${deltaText(m)}`}`).join('\n') } });
+    }
+    const movers = moverLines(event);
+    return {
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: `📊 ${reportTitle(event)}`, emoji: true } },
+        { type: 'section', text: { type: 'mrkdwn', text: `Usage summary for *${event.accountsDisplay}*${event.digest ? ` — ${event.digest.comparison}` : ''}` } },
+        ...(movers.length > 0 ? [{ type: 'section', text: { type: 'mrkdwn', text: `*Top movers*\n${movers.map(line => `• ${line}`).join('\n')}` } }] : []),
+        { type: 'divider' },
+        ...reportBlocks,
+        { type: 'divider' },
+        ...footer,
+      ],
+    };
+  }
+
+  return {
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: '⚠️ Cloudflare Usage Alert', emoji: true } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*${alertSummary(event.alerts)}*` } },
+      { type: 'divider' },
+      ...event.alerts.map(alert => ({
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `${alertEmoji(alert)} *${alert.name}*\n${alert.percentage.toFixed(1)}% of threshold${alertTag(alert)}` },
+          { type: 'mrkdwn', text: `*${alertValueLabel(alert)}:* ${alert.formatted}\n*Threshold:* ${alert.thresholdFormatted}` },
+        ],
+      })),
+      { type: 'divider' },
+      ...footer,
+    ],
+  };
+}
+
+// ---- Microsoft Teams (Adaptive Card via Workflows / incoming webhook) ----
+
+function buildTeamsPayload(event) {
+  const body = [];
+  if (event.type === 'report') {
+    body.push(
+      { type: 'TextBlock', text: `📊 ${reportTitle(event)}`, weight: 'Bolder', size: 'Large', wrap: true },
+      { type: 'TextBlock', text: `Usage summary for **${event.accountsDisplay}**${event.digest ? ` — ${event.digest.comparison}` : ''}`, wrap: true, spacing: 'Small' },
+    );
+    const movers = moverLines(event);
+    if (movers.length > 0) {
+      body.push(
+        { type: 'TextBlock', text: 'Top movers', weight: 'Bolder', separator: true, spacing: 'Medium' },
+        { type: 'TextBlock', text: movers.map(line => `- ${line}`).join('\n'), wrap: true, spacing: 'Small' },
+      );
+    }
+    for (const [category, items] of Object.entries(groupByCategory(event.skuMetrics))) {
+      body.push(
+        { type: 'TextBlock', text: category, weight: 'Bolder', separator: true, spacing: 'Medium' },
+        { type: 'FactSet', facts: items.map(m => ({ title: `${statusEmoji(m)} ${m.name}`, value: reportLine(m) })) },
+      );
+    }
+  } else {
+    body.push(
+      { type: 'TextBlock', text: '⚠️ Cloudflare Usage Alert', weight: 'Bolder', size: 'Large', wrap: true },
+      { type: 'TextBlock', text: alertSummary(event.alerts), wrap: true, spacing: 'Small' },
+      {
+        type: 'FactSet',
+        separator: true,
+        facts: event.alerts.map(alert => ({
+          title: `${alertEmoji(alert)} ${alert.name}`,
+          value: `${alert.percentage.toFixed(1)}%${alertTag(alert)} · ${alert.anomaly ? alert.formatted : `${alert.formatted} of ${alert.thresholdFormatted}`}`,
+        })),
+      },
+    );
+  }
+  body.push({ type: 'TextBlock', text: new Date(event.sentAt).toUTCString(), isSubtle: true, size: 'Small', spacing: 'Medium' });
+
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          msteams: { width: 'Full' },
+          body,
+          actions: [{ type: 'Action.OpenUrl', title: 'View Dashboard', url: event.dashboardUrl }],
+        },
+      },
+    ],
+  };
+}
+
+// ---- Discord (embeds) ----
+
+const DISCORD_COLORS = { red: 0xdc2626, amber: 0xd97706, blue: 0x2563eb };
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_MAX_FIELDS = 25;
+
+function buildDiscordPayload(event) {
+  const timestamp = new Date(event.sentAt).toISOString();
+
+  if (event.type === 'report') {
+    const movers = moverLines(event);
+    const embeds = Object.entries(groupByCategory(event.skuMetrics)).map(([category, items]) => ({
+      title: category,
+      color: items.some(m => m.percentage >= 100) ? DISCORD_COLORS.red : items.some(m => m.percentage >= 90) ? DISCORD_COLORS.amber : DISCORD_COLORS.blue,
+      description: items.map(m => `${statusEmoji(m)} **${m.name}:** ${reportLine(m)}`).join('\n').slice(0, 4096),
+    }));
+    if (movers.length > 0) {
+      embeds.unshift({ title: `Top movers — ${event.digest.comparison}`, color: DISCORD_COLORS.blue, description: movers.join('\n').slice(0, 4096) });
+    }
+    return {
+      content: `📊 **${reportTitle(event)}** for ${event.accountsDisplay} — ${event.dashboardUrl}`,
+      embeds: embeds.slice(0, DISCORD_MAX_EMBEDS).map((embed, i, all) => (i === all.length - 1 ? { ...embed, timestamp } : embed)),
+    };
+  }
+
+  return {
+    embeds: [
+      {
+        title: '⚠️ Cloudflare Usage Alert',
+        url: event.dashboardUrl,
+        description: alertSummary(event.alerts),
+        color: event.alerts.some(a => !a.forecast && !a.anomaly && a.percentage >= 100) ? DISCORD_COLORS.red : DISCORD_COLORS.amber,
+        fields: event.alerts.slice(0, DISCORD_MAX_FIELDS).map(alert => ({
+          name: `${alertEmoji(alert)} ${alert.name}`.slice(0, 256),
+          value: `${alert.percentage.toFixed(1)}% of threshold${alertTag(alert)}\n${alertValueLabel(alert)}: ${alert.formatted}\nThreshold: ${alert.thresholdFormatted}`,
+          inline: true,
+        })),
+        timestamp,
+      },
+    ],
+  };
+}
+
+// ---- Generic JSON webhook (HMAC-signed) ----
+
+function serializeSku(sku) {
+  return {
+    key: sku.key,
+    name: sku.name,
+    category: sku.category,
+    current: sku.current,
+    threshold: sku.threshold || null,
+    percentage: sku.threshold ? sku.percentage : null,
+    formatted: sku.formatted,
+    thresholdFormatted: sku.thresholdFormatted || null,
+    ...(sku.tier ? { tier: sku.tier, severity: sku.severity } : {}),
+    ...(sku.forecast ? { forecast: true } : {}),
+    ...(sku.anomaly ? { anomaly: sku.anomaly } : {}),
+    ...(sku.deltaPercent !== undefined ? { previous: sku.previous ?? null, deltaPercent: sku.deltaPercent } : {}),
+  };
+}
+
+function buildWebhookPayload(event) {
+  return {
+    event: event.type === 'report' ? 'usage.report' : 'usage.threshold_alert',
+    sentAt: new Date(event.sentAt).toISOString(),
+    accounts: event.accountsDisplay,
+    dashboardUrl: event.dashboardUrl,
+    ...(event.type === 'report' ? { skus: event.skuMetrics.map(serializeSku) } : { alerts: event.alerts.map(serializeSku) }),
+    ...(event.digest ? { digest: event.digest } : {}),
+  };
+}
+
+async function hmacSha256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Signature header for a JSON webhook body: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * Receivers recompute the HMAC with the shared secret and reject stale timestamps.
+ */
+export async function signWebhookBody(secret, body, sentAt = Date.now()) {
+  const t = Math.floor(sentAt / 1000);
+  return `t=${t},v1=${await hmacSha256Hex(secret, `${t}.${body}`)}`;
+}
+
+// ---- Email (HTML + plain text, one message per recipient) ----
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const SEVERITY_COLORS = { info: '#0891b2', warning: '#d97706', error: '#dc2626', critical: '#991b1b' };
+
+function emailStatusColor(sku) {
+  if (sku.forecast) return '#2563eb';
+  if (sku.severity) return SEVERITY_COLORS[sku.severity];
+  if (sku.percentage >= 100) return '#dc2626';
+  if (sku.percentage >= 90) return '#d97706';
+  return '#16a34a';
+}
+
+function renderEmailHtml(title, intro, sections, dashboardUrl, sentAt) {
+  const cell = 'padding:6px 8px;border-bottom:1px solid #e5e7eb;font-size:13px;';
+  const tables = sections.map(({ heading, rows }) => `
+    ${heading ? `<h3 style="margin:20px 0 6px;font-size:14px;color:#111827;">${escapeHtml(heading)}</h3>` : ''}
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;">
+      ${rows.map(sku => `<tr>
+        <td style="${cell}"><span style="display:inline-block;width:8px;height:8px;border-radius:4px;background:${emailStatusColor(sku)};margin-right:6px;"></span>${escapeHtml(sku.name)}${sku.forecast ? ' <em style="color:#6b7280;">(projected)</em>' : ''}${deltaText(sku) ? ` <span style="color:#6b7280;">${escapeHtml(deltaText(sku).trim())}</span>` : ''}</td>
+        <td style="${cell}text-align:right;">${escapeHtml(sku.formatted)}</td>
+        <td style="${cell}text-align:right;color:#6b7280;">${sku.threshold ? escapeHtml(sku.thresholdFormatted) : '—'}</td>
+        <td style="${cell}text-align:right;font-weight:600;color:${emailStatusColor(sku)};">${sku.threshold ? `${sku.percentage.toFixed(1)}%` : 'N/A'}</td>
+      </tr>`).join('')}
+    </table>`).join('');
+
+  return `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#f3f4f6;font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#111827;">
+  <div style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h2 style="margin:0 0 8px;font-size:18px;">${escapeHtml(title)}</h2>
+    <p style="margin:0 0 8px;font-size:14px;color:#374151;">${escapeHtml(intro)}</p>
+    ${tables}
+    <p style="margin:24px 0 0;"><a href="${escapeHtml(dashboardUrl)}" style="display:inline-block;padding:8px 16px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none;font-size:13px;">View Dashboard</a></p>
+    <p style="margin:16px 0 0;font-size:11px;color:#9ca3af;">${escapeHtml(new Date(sentAt).toUTCString())}</p>
+  </div>
+</body></html>`;
+}
+
+function buildEmailContent(event, alerts) {
+  if (event.type === 'report') {
+    const categories = Object.entries(groupByCategory(event.skuMetrics));
+    const intro = `Usage summary for ${event.accountsDisplay}${event.digest ? ` — ${event.digest.comparison}` : ''}`;
+    const movers = moverLines(event);
+    const moverSkus = (event.digest?.movers || []).map(key => event.skuMetrics.find(sku => sku.key === key)).filter(Boolean);
+    return {
+      subject: `📊 ${reportTitle(event)} — ${event.accountsDisplay}`,
+      text: [
+        reportTitle(event),
+        intro,
+        ...(movers.length > 0 ? ['', 'Top movers', ...movers.map(line => `  ${line}`)] : []),
+        ...categories.flatMap(([category, items]) => ['', category, ...items.map(m => `  ${statusEmoji(m)} ${m.name}: ${reportLine(m)}`)]),
+        '',
+        `View dashboard: ${event.dashboardUrl}`,
+      ].join('\n'),
+      html: renderEmailHtml(
+        `📊 ${reportTitle(event)}`,
+        intro,
+        [...(moverSkus.length > 0 ? [{ heading: 'Top movers', rows: moverSkus }] : []), ...categories.map(([heading, rows]) => ({ heading, rows }))],
+        event.dashboardUrl,
+        event.sentAt
+      ),
+    };
+  }
+
+  const summary = alertSummary(alerts);
+  return {
+    subject: `⚠️ Cloudflare usage alert: ${alerts.map(a => a.name).slice(0, 3).join(', ')}${alerts.length > 3 ? ` and ${alerts.length - 3} more` : ''}`,
+    text: [
+      'Cloudflare Usage Alert',
+      summary,
+      '',
+      ...alerts.map(a => `${alertEmoji(a)} ${a.name}: ${a.percentage.toFixed(1)}% of threshold${alertTag(a)} — ${alertValueLabel(a)} ${a.formatted}, Threshold ${a.thresholdFormatted}`),
+      '',
+      `View dashboard: ${event.dashboardUrl}`,
+    ].join('\n'),
+    html: renderEmailHtml('⚠️ Cloudflare Usage Alert', summary, [{ rows: alerts }], event.dashboardUrl, event.sentAt),
+  };
+}
+
+/**
+ * Per-recipient message contents for an event: report recipients get the report, alert
+ * recipients get only the alert types (threshold / projected) they are listed for.
+ */
+function buildEmailMessages(channel, event) {
+  const lists = Object.fromEntries(Object.keys(EMAIL_RECIPIENT_TYPES).map(t => [t, parseRecipients(channel.recipients?.[t])]));
+  if (event.type === 'report') {
+    const content = buildEmailContent(event);
+    return [...new Set(lists.report)].map(to => ({ to, ...content }));
+  }
+  return [...new Set([...lists.threshold, ...lists.forecast])]
+    .map(to => ({ to, alerts: event.alerts.filter(a => lists[a.forecast ? 'forecast' : 'threshold'].includes(to)) }))
+    .filter(({ alerts }) => alerts.length > 0)
+    .map(({ to, alerts }) => ({ to, ...buildEmailContent(event, alerts) }));
+}
+
+async function sendEmailChannel(channel, event, sendEmail) {
+  if (!sendEmail) throw new Error('Email delivery is not configured');
+  const messages = buildEmailMessages(channel, event);
+  const from = channel.from.trim();
+  for (const message of messages) {
+    await sendEmail({ ...message, from, fromName: channel.name, date: new Date(event.sentAt) });
+  }
+  return { recipients: messages.map(m => m.to) };
+}
+
+const FORMATTERS = {
+  slack: buildSlackPayload,
+  teams: buildTeamsPayload,
+  discord: buildDiscordPayload,
+  webhook: buildWebhookPayload,
+};
+
+/**
+ * Deliver one event to one channel. Throws on a non-2xx response.
+ *   transports.email - ({ from, fromName, to, subject, text, html, date }) => Promise, required for email channels
+ */
+export async function sendToChannel(channel, event, transports = {}) {
+  if (channel.type === 'email') return sendEmailChannel(channel, event, transports.email);
+
+  const format = FORMATTERS[channel.type];
+  if (!format) throw new Error(`Unsupported channel type "${channel.type}"`);
+
+  const body = JSON.stringify(format(event));
+  const headers = { 'Content-Type': 'application/json' };
+  if (channel.type === 'webhook') {
+    headers['User-Agent'] = 'cloudflare-usage-dashboard';
+    headers['X-Usage-Event'] = event.type === 'report' ? 'usage.report' : 'usage.threshold_alert';
+    if (channel.secret) headers['X-Usage-Signature'] = await signWebhookBody(channel.secret, body, event.sentAt);
+  }
+
+  const response = await fetch(channel.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS) });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${response.status} - ${errorText.slice(0, 200)}`);
+  }
+  return { status: response.status };
+}
+
+/**
+ * Fan an event out to every channel in parallel. PagerDuty channels, and email channels
+ * with no recipients for the event's alert types, are left out.
+ *   event - { type: 'alert', alerts } | { type: 'report', skuMetrics, digest? }, plus dashboardUrl and accountsDisplay
+ * Returns [{ channelId, name, type, ok, status? | recipients?, error?, sentAt }] in channel order; never throws.
+ */
+export async function dispatchNotification(channels, event, transports = {}) {
+  const sentAt = event.sentAt || Date.now();
+  const targets = channels.filter(channel => channel.type !== 'pagerduty' && (channel.type !== 'email' || buildEmailMessages(channel, event).length > 0));
+  const settled = await Promise.allSettled(targets.map(channel => sendToChannel(channel, { ...event, sentAt }, transports)));
+  return settled.map((result, i) => ({
+    channelId: targets[i].id,
+    name: targets[i].name,
+    type: targets[i].type,
+    ok: result.status === 'fulfilled',
+    ...(result.status === 'fulfilled' ? result.value : { error: result.reason?.message || String(result.reason) }),
+    sentAt: new Date(sentAt).toISOString(),
+  }));
+}
@@ -0,0 +1,100 @@
+/**
+ * OpenMetrics exposition of the cached usage payload (served at /metrics)
+ *
+ * Every SKU yields one aggregate series (account="all") plus per-account and, where the
+ * product is zone-scoped, per-zone series. Values are in the SKU's native unit, named
+ * by the `unit` label (bytes, gb, mb, ms, mbps, ...; omitted for plain counts).
+ */
+
+import { SKU_SOURCES, getZoneIndex, getSkuAccountValue, getSkuPreviousValue, getSkuZoneValues } from './export';
+
+const METRIC_PREFIX = 'cf_usage';
+
+// [family suffix, help text, OpenMetrics unit]
+const FAMILIES = [
+  ['current', 'Month-to-date usage of a contracted SKU'],
+  ['threshold', 'Contracted monthly threshold of a SKU'],
+  ['utilization_ratio', 'Month-to-date usage divided by the threshold', 'ratio'],
+  ['previous_month', 'Usage of a SKU in the previous calendar month'],
+  ['data_age_seconds', 'Seconds since the cached usage data was fetched from Cloudflare', 'seconds'],
+];
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatSample(name, labels, value) {
+  const labelText = Object.entries(labels)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}="${escapeLabel(v)}"`)
+    .join(',');
+  return `${METRIC_PREFIX}_${name}{${labelText}} ${Number.isFinite(value) ? value : 'NaN'}`;
+}
+
+/**
+ * Render the OpenMetrics text for a fetchAllMetrics payload.
+ *   skuMetrics - buildSkuMetricsFromMetrics(m, config)
+ *   cachedAt   - epoch ms the payload was fetched
+ */
+export function buildOpenMetrics(m, skuMetrics, { cachedAt, now = Date.now() } = {}) {
+  const samples = Object.fromEntries(FAMILIES.map(([name]) => [name, []]));
+  const zoneIndex = getZoneIndex(m);
+  const accountIds = (m.perAccountData || []).map(a => a.accountId);
+  const accountNames = m.zones?.accounts || {};
+  const dataAge = cachedAt ? Math.max(0, (now - cachedAt) / 1000) : NaN;
+
+  skuMetrics.forEach(sku => {
+    const isContract = sku.key.endsWith(':contract');
+    const baseKey = sku.key.replace(/:contract$/, '');
+    const [productKey, field, unit] = SKU_SOURCES[baseKey] || (baseKey === 'zones' ? ['core', 'zones', 'zones'] : [baseKey, baseKey, 'number']);
+    const base = {
+      product: productKey,
+      metric: field,
+      sku: sku.key,
+      category: sku.category,
+      unit: unit === 'number' ? undefined : unit,
+      scope: isContract ? 'contract' : undefined,
+    };
+    const all = { ...base, account: 'all' };
+
+    samples.current.push(formatSample('current', all, sku.current || 0));
+    if (sku.threshold) {
+      samples.threshold.push(formatSample('threshold', all, sku.threshold));
+      samples.utilization_ratio.push(formatSample('utilization_ratio', all, (sku.current || 0) / sku.threshold));
+    }
+    samples.data_age_seconds.push(formatSample('data_age_seconds', all, dataAge));
+    if (isContract) return;
+
+    const previous = getSkuPreviousValue(m, sku.key);
+    if (previous !== null) samples.previous_month.push(formatSample('previous_month', all, previous));
+
+    accountIds.forEach(accountId => {
+      const labels = { ...base, account: accountId, account_name: accountNames[accountId] };
+      const current = getSkuAccountValue(m, sku.key, accountId, { zoneIndex });
+      if (current === null) return;
+      samples.current.push(formatSample('current', labels, current));
+      const accountPrevious = getSkuAccountValue(m, sku.key, accountId, { period: 'previous', zoneIndex });
+      if (accountPrevious !== null) samples.previous_month.push(formatSample('previous_month', labels, accountPrevious));
+    });
+
+    getSkuZoneValues(m, sku.key, zoneIndex).forEach(zone => {
+      samples.current.push(formatSample('current', {
+        ...base,
+        account: zone.accountId || 'unknown',
+        account_name: accountNames[zone.accountId],
+        zone: zone.zoneId,
+        zone_name: zone.zoneName,
+      }, zone.value));
+    });
+  });
+
+  const lines = [];
+  FAMILIES.forEach(([name, help, unit]) => {
+    if (samples[name].length === 0) return;
+    lines.push(`# TYPE ${METRIC_PREFIX}_${name} gauge`);
+    if (unit) lines.push(`# UNIT ${METRIC_PREFIX}_${name} ${unit}`);
+    lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}.`, ...samples[name]);
+  });
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
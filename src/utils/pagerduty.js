@@ -0,0 +1,97 @@
+/**
+ * PagerDuty Events API v2 incidents for contract overages
+ *
+ * Unlike the other channels, PagerDuty is stateful: the scheduled threshold check
+ * triggers an incident when a SKU crosses one of the channel's severity tiers and
+ * resolves it once usage falls back under every tier (e.g. after month rollover).
+ * Incidents are deduplicated on the same SKU key and period as the `alert-sent:` KV keys.
+ */
+
+export const PAGERDUTY_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+export const PAGERDUTY_SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+export const DEFAULT_PAGERDUTY_TIERS = [{ percentage: 100, severity: 'error' }];
+
+/**
+ * Highest tier the percentage has reached, or null when below every tier.
+ */
+export function getSeverityTier(percentage, tiers = DEFAULT_PAGERDUTY_TIERS) {
+  return [...tiers]
+    .filter(tier => Number(tier.percentage) > 0)
+    .sort((a, b) => b.percentage - a.percentage)
+    .find(tier => percentage >= Number(tier.percentage)) || null;
+}
+
+/**
+ * Compare current SKU utilization with the incidents already open for a channel.
+ *   open       - { [dedupKey]: { skuKey, severity, ... } }
+ *   skuMetrics - SKUs allowed to page: alerts enabled and not acknowledged, snoozed or muted
+ *   dedupKeyOf - sku => dedup key for the SKU's current alert period
+ * Returns { trigger: [{ dedupKey, sku, tier }], resolve: [dedupKey] }. A SKU is re-triggered
+ * only when it escalates to a more severe tier; incidents whose SKU is now under every tier,
+ * left out of `skuMetrics`, or whose period has ended, are resolved.
+ */
+export function planPagerDutyActions(open, skuMetrics, tiers, dedupKeyOf) {
+  const trigger = [];
+  const active = new Set();
+  skuMetrics.forEach(sku => {
+    if (sku.forecast || !sku.threshold) return;
+    const tier = getSeverityTier(sku.percentage, tiers);
+    if (!tier) return;
+    const dedupKey = dedupKeyOf(sku);
+    active.add(dedupKey);
+    const existing = open[dedupKey];
+    if (!existing || PAGERDUTY_SEVERITIES.indexOf(tier.severity) > PAGERDUTY_SEVERITIES.indexOf(existing.severity)) {
+      trigger.push({ dedupKey, sku, tier });
+    }
+  });
+  const resolve = Object.keys(open).filter(dedupKey => !active.has(dedupKey));
+  return { trigger, resolve };
+}
+
+export function buildTriggerEvent(routingKey, { dedupKey, sku, tier }, { dashboardUrl, accountsDisplay }) {
+  return {
+    routing_key: routingKey,
+    event_action: 'trigger',
+    dedup_key: dedupKey,
+    client: 'Cloudflare Enterprise Usage Dashboard',
+    client_url: dashboardUrl,
+    payload: {
+      summary: `${sku.name} at ${sku.percentage.toFixed(1)}% of contracted threshold (${sku.formatted} of ${sku.thresholdFormatted})`.slice(0, 1024),
+      source: accountsDisplay,
+      severity: tier.severity,
+      component: sku.key,
+      group: sku.category,
+      class: 'contract-overage',
+      custom_details: {
+        current: sku.formatted,
+        threshold: sku.thresholdFormatted,
+        percentage: Number(sku.percentage.toFixed(2)),
+        tier: `${tier.percentage}%`,
+      },
+    },
+    links: [{ href: dashboardUrl, text: 'Usage dashboard' }],
+  };
+}
+
+export function buildResolveEvent(routingKey, dedupKey) {
+  return { routing_key: routingKey, event_action: 'resolve', dedup_key: dedupKey };
+}
+
+/**
+ * Enqueue one event. PagerDuty answers 202 Accepted; anything else throws.
+ */
+export async function sendPagerDutyEvent(event) {
+  const response = await fetch(PAGERDUTY_EVENTS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${response.status} - ${errorText.slice(0, 200)}`);
+  }
+  return response.status;
+}
@@ -0,0 +1,579 @@
+/**
+ * Monthly executive usage report
+ *
+ * A report is built once per closed month from the fetchAllMetrics payload and stored
+ * as plain data; the HTML and PDF renderings are produced from that data on download,
+ * so a stored report always renders the same. The PDF writer is dependency-free and
+ * uses the standard Helvetica fonts, so text is limited to the WinAnsi character set.
+ */
+
+import { formatPooledValue, toMonthKey } from './contract';
+import { SKU_SOURCES, getSkuMonthlySeries, getSkuPreviousValue } from './export';
+
+const TOP_LIMIT = 10;
+
+const SKU_FORMATS = { zones: 'number' };
+
+function getSkuFormat(key) {
+  return SKU_FORMATS[key] || SKU_SOURCES[key]?.[2] || 'number';
+}
+
+function getMonthValue(m, skuKey, month, previousMonth) {
+  const entry = getSkuMonthlySeries(m, skuKey).find(e => e.month === month);
+  if (entry) return entry.value;
+  return month === previousMonth ? getSkuPreviousValue(m, skuKey) : null;
+}
+
+function getPriorMonth(month) {
+  const [year, monthNum] = month.split('-').map(n => parseInt(n, 10));
+  return toMonthKey(year, monthNum - 2);
+}
+
+/**
+ * Month label such as "September 2026"
+ */
+export function formatReportMonth(month) {
+  const [year, monthNum] = month.split('-').map(n => parseInt(n, 10));
+  return new Date(Date.UTC(year, monthNum - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Build the report data for a closed `month` (YYYY-MM).
+ *   m          - fetchAllMetrics payload fetched after the month closed
+ *   skuMetrics - buildSkuMetricsFromMetrics(m, config); supplies names, categories and thresholds
+ * Top zones are only available for the month immediately before `now` (the payload's previous month).
+ */
+export function buildMonthlyReport(m, skuMetrics, month, { now = new Date(), trigger = 'manual' } = {}) {
+  const previousMonth = toMonthKey(now.getFullYear(), now.getMonth() - 1);
+  const priorMonth = getPriorMonth(month);
+
+  const skus = skuMetrics
+    .filter(sku => !sku.key.endsWith(':contract'))
+    .map(sku => {
+      const format = getSkuFormat(sku.key);
+      const value = getMonthValue(m, sku.key, month, previousMonth);
+      if (value === null || value === undefined) return null;
+      const prior = getMonthValue(m, sku.key, priorMonth, previousMonth);
+      return {
+        key: sku.key,
+        name: sku.name,
+        category: sku.category,
+        value,
+        prior,
+        threshold: sku.threshold || null,
+        percentage: sku.threshold ? (value / sku.threshold) * 100 : null,
+        deltaPercent: prior ? ((value - prior) / prior) * 100 : null,
+        formatted: formatPooledValue(value, format),
+        priorFormatted: prior === null || prior === undefined ? '' : formatPooledValue(prior, format),
+        thresholdFormatted: sku.threshold ? formatPooledValue(sku.threshold, format) : '',
+      };
+    })
+    .filter(Boolean);
+
+  const accountNames = m.zones?.accounts || {};
+  const accounts = (m.perAccountData || []).map(a => {
+    const entry = (a.timeSeries || []).find(e => e.month === month) || (month === previousMonth ? a.previous : null);
+    return { id: a.accountId, name: accountNames[a.accountId] || a.accountId, requests: entry?.requests || 0, bytes: entry?.bytes || 0 };
+  });
+  const totalBytes = accounts.reduce((s, a) => s + a.bytes, 0);
+  const totalRequests = accounts.reduce((s, a) => s + a.requests, 0);
+
+  const zoneIndex = new Map((m.zones?.zones || []).map(z => [z.id, z]));
+  const topZones = month === previousMonth
+    ? (m.previousMonthZoneBreakdown?.zones || [])
+      .map(z => ({
+        zoneId: z.zoneTag,
+        zoneName: z.zoneName || zoneIndex.get(z.zoneTag)?.name || z.zoneTag,
+        accountName: zoneIndex.get(z.zoneTag)?.account?.name || '',
+        requests: z.requests || 0,
+        bytes: z.bytes || 0,
+      }))
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, TOP_LIMIT)
+    : null;
+
+  return {
+    month,
+    priorMonth,
+    generatedAt: now.toISOString(),
+    trigger,
+    contract: m.contract || null,
+    summary: {
+      skuCount: skus.length,
+      overThreshold: skus.filter(s => s.percentage >= 100).length,
+      nearThreshold: skus.filter(s => s.percentage >= 90 && s.percentage < 100).length,
+    },
+    skus,
+    topAccounts: accounts
+      .map(a => ({
+        ...a,
+        requestsFormatted: formatPooledValue(a.requests, 'number'),
+        bytesFormatted: formatPooledValue(a.bytes, 'bytes'),
+        bytesShare: totalBytes ? (a.bytes / totalBytes) * 100 : null,
+        requestsShare: totalRequests ? (a.requests / totalRequests) * 100 : null,
+      }))
+      .sort((a, b) => b.bytes - a.bytes || b.requests - a.requests)
+      .slice(0, TOP_LIMIT),
+    topZones: topZones && topZones.map(z => ({
+      ...z,
+      requestsFormatted: formatPooledValue(z.requests, 'number'),
+      bytesFormatted: formatPooledValue(z.bytes, 'bytes'),
+    })),
+  };
+}
+
+function groupByCategory(skus) {
+  const categories = new Map();
+  skus.forEach(sku => {
+    const category = sku.category || 'Other';
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(sku);
+  });
+  return Array.from(categories.entries());
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? '-' : `${value.toFixed(1)}%`;
+}
+
+function formatDelta(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+function statusColor(percentage) {
+  if (percentage === null || percentage === undefined) return '#9ca3af';
+  if (percentage >= 100) return '#dc2626';
+  if (percentage >= 90) return '#d97706';
+  return '#2563eb';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Utilization bars for one category: this month (solid) and the prior month (thin) against 100%
+function renderCategoryChartSvg(skus) {
+  const rowHeight = 28;
+  const labelWidth = 220;
+  const barWidth = 380;
+  const maxPercent = Math.max(100, ...skus.map(s => Math.min(150, s.percentage || 0)));
+  const scale = (p) => (Math.min(p, 150) / maxPercent) * barWidth;
+  const height = skus.length * rowHeight + 20;
+  const rows = skus.map((sku, i) => {
+    const y = i * rowHeight;
+    const priorPercent = sku.threshold && sku.prior !== null ? (sku.prior / sku.threshold) * 100 : null;
+    const bars = sku.threshold
+      ? `<rect x="${labelWidth}" y="${y + 4}" width="${scale(sku.percentage).toFixed(1)}" height="12" rx="2" fill="${statusColor(sku.percentage)}"/>`
+        + (priorPercent !== null ? `<rect x="${labelWidth}" y="${y + 18}" width="${scale(priorPercent).toFixed(1)}" height="4" rx="1" fill="#9ca3af"/>` : '')
+        + `<text x="${labelWidth + scale(sku.percentage) + 6}" y="${y + 14}" font-size="11" fill="#374151">${formatPercent(sku.percentage)}</text>`
+      : `<text x="${labelWidth}" y="${y + 14}" font-size="11" fill="#9ca3af">No threshold configured</text>`;
+    return `<text x="0" y="${y + 14}" font-size="12" fill="#111827">${escapeHtml(sku.name)}</text>${bars}`;
+  });
+  const hundred = labelWidth + scale(100);
+  return `<svg viewBox="0 0 ${labelWidth + barWidth + 60} ${height}" width="100%" role="img" xmlns="http://www.w3.org/2000/svg" font-family="inherit">`
+    + `<line x1="${hundred}" y1="0" x2="${hundred}" y2="${height - 16}" stroke="#4b5563" stroke-dasharray="4 3"/>`
+    + `<text x="${hundred}" y="${height - 4}" font-size="10" fill="#4b5563" text-anchor="middle">100% of threshold</text>`
+    + rows.join('')
+    + '</svg>';
+}
+
+/**
+ * Render a stored report as a standalone, print-ready HTML document
+ */
+export function renderReportHtml(report) {
+  const monthLabel = formatReportMonth(report.month);
+  const categories = groupByCategory(report.skus);
+  const summaryRows = categories.map(([category, skus]) => `
+        <tr class="category"><td colspan="5">${escapeHtml(category)}</td></tr>
+        ${skus.map(sku => `<tr>
+          <td>${escapeHtml(sku.name)}</td>
+          <td class="num">${escapeHtml(sku.formatted)}</td>
+          <td class="num">${escapeHtml(sku.thresholdFormatted || '-')}</td>
+          <td class="num" style="color:${statusColor(sku.percentage)}">${formatPercent(sku.percentage)}</td>
+          <td class="num">${formatDelta(sku.deltaPercent)}</td>
+        </tr>`).join('')}`).join('');
+
+  const charts = categories.map(([category, skus]) => `
+      <div class="chart">
+        <h3>${escapeHtml(category)}</h3>
+        ${renderCategoryChartSvg(skus)}
+      </div>`).join('');
+
+  const accountRows = report.topAccounts.map(a => `<tr>
+          <td>${escapeHtml(a.name)}</td>
+          <td class="num">${escapeHtml(a.requestsFormatted)}</td>
+          <td class="num">${escapeHtml(a.bytesFormatted)}</td>
+          <td class="num">${formatPercent(a.bytesShare)}</td>
+        </tr>`).join('');
+
+  const zoneRows = (report.topZones || []).map(z => `<tr>
+          <td>${escapeHtml(z.zoneName)}</td>
+          <td>${escapeHtml(z.accountName)}</td>
+          <td class="num">${escapeHtml(z.requestsFormatted)}</td>
+          <td class="num">${escapeHtml(z.bytesFormatted)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Enterprise Usage Report - ${escapeHtml(monthLabel)}</title>
+<style>
+  @page { size: A4; margin: 16mm; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111827; max-width: 900px; margin: 32px auto; padding: 0 24px; }
+  header { border-bottom: 3px solid #f38020; padding-bottom: 12px; margin-bottom: 24px; }
+  h1 { font-size: 24px; margin: 0; }
+  h2 { font-size: 18px; margin: 32px 0 12px; }
+  h3 { font-size: 14px; margin: 16px 0 8px; color: #374151; }
+  .meta { color: #6b7280; font-size: 13px; margin-top: 4px; }
+  .cards { display: flex; gap: 12px; }
+  .card { flex: 1; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; }
+  .card .value { font-size: 22px; font-weight: 600; }
+  .card .label { font-size: 12px; color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th { text-align: left; color: #6b7280; font-weight: 500; border-bottom: 1px solid #d1d5db; padding: 6px 8px; }
+  td { border-bottom: 1px solid #f3f4f6; padding: 6px 8px; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  tr.category td { background: #f9fafb; font-weight: 600; color: #374151; }
+  .chart { break-inside: avoid; }
+  .note { font-size: 12px; color: #6b7280; }
+  footer { margin-top: 40px; font-size: 11px; color: #9ca3af; }
+  @media print { body { margin: 0; padding: 0; max-width: none; } .no-print { display: none; } section { break-inside: avoid-page; } }
+</style>
+</head>
+<body>
+  <header>
+    <h1>Cloudflare Enterprise Usage Report</h1>
+    <div class="meta">${escapeHtml(monthLabel)} &middot; Generated ${escapeHtml(new Date(report.generatedAt).toUTCString())}</div>
+  </header>
+  <p class="no-print note">Use your browser's Print dialog to save this report as PDF, or download the PDF version from the dashboard.</p>
+
+  <section>
+    <div class="cards">
+      <div class="card"><div class="value">${report.summary.skuCount}</div><div class="label">Products tracked</div></div>
+      <div class="card"><div class="value" style="color:#dc2626">${report.summary.overThreshold}</div><div class="label">Over threshold</div></div>
+      <div class="card"><div class="value" style="color:#d97706">${report.summary.nearThreshold}</div><div class="label">At 90% or more</div></div>
+    </div>
+  </section>
+
+  <section>
+    <h2>Usage Summary</h2>
+    <table>
+      <thead><tr><th>Product</th><th class="num">Usage</th><th class="num">Threshold</th><th class="num">% Used</th><th class="num">vs. ${escapeHtml(formatReportMonth(report.priorMonth))}</th></tr></thead>
+      <tbody>${summaryRows}
+      </tbody>
+    </table>
+  </section>
+
+  <section>
+    <h2>Utilization by Category</h2>
+    <p class="note">Solid bar: ${escapeHtml(monthLabel)}. Thin grey bar: previous month.</p>${charts}
+  </section>
+
+  <section>
+    <h2>Top Accounts</h2>
+    ${report.topAccounts.length > 0 ? `<table>
+      <thead><tr><th>Account</th><th class="num">HTTP Requests</th><th class="num">Data Transfer</th><th class="num">Share of Transfer</th></tr></thead>
+      <tbody>${accountRows}</tbody>
+    </table>` : '<p class="note">No per-account traffic recorded for this month.</p>'}
+  </section>
+
+  <section>
+    <h2>Top Zones by Data Transfer</h2>
+    ${report.topZones ? `<table>
+      <thead><tr><th>Zone</th><th>Account</th><th class="num">HTTP Requests</th><th class="num">Data Transfer</th></tr></thead>
+      <tbody>${zoneRows}</tbody>
+    </table>` : '<p class="note">Per-zone usage is only captured for the month the report is generated after.</p>'}
+  </section>
+
+  <footer>This is not an official Cloudflare billing document. For authoritative usage, refer to official Cloudflare data and invoices.</footer>
+</body>
+</html>
+`;
+}
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Standard fonts only cover WinAnsi; map common typography to ASCII and drop the rest
+function toPdfText(value) {
+  return String(value ?? '')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/≥/g, '>=')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/·/g, '-')
+    .replace(/[^\x20-\x7e]/g, '');
+}
+
+function textWidth(text, size, bold = false) {
+  const units = toPdfText(text).split('').reduce((s, ch) => s + (HELVETICA_WIDTHS[ch.charCodeAt(0) - 32] || 556), 0);
+  return (units / 1000) * size * (bold ? 1.06 : 1);
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => (v / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Minimal A4 page builder with a top-down cursor
+ */
+function createPdfDocument() {
+  const width = 595;
+  const height = 842;
+  const margin = 48;
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = height - margin;
+  };
+
+  const doc = {
+    width,
+    margin,
+    get y() { return y; },
+    set y(value) { y = value; },
+    ensureSpace(needed) {
+      if (y - needed < margin + 20) newPage();
+    },
+    text(x, yPos, value, { size = 10, bold = false, color = '#111827', align = 'left' } = {}) {
+      const str = toPdfText(value);
+      const dx = align === 'right' ? x - textWidth(str, size, bold) : x;
+      const escaped = str.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+      ops.push(`BT ${hexToRgb(color)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${dx.toFixed(2)} ${yPos.toFixed(2)} Td (${escaped}) Tj ET`);
+    },
+    rect(x, yPos, w, h, color) {
+      ops.push(`${hexToRgb(color)} rg ${x.toFixed(2)} ${yPos.toFixed(2)} ${Math.max(0, w).toFixed(2)} ${h.toFixed(2)} re f`);
+    },
+    line(x1, y1, x2, y2, color = '#e5e7eb', dash = null) {
+      ops.push(`${hexToRgb(color)} RG 0.75 w ${dash ? `[${dash}] 0 d` : '[] 0 d'} ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+    },
+    fit(value, maxWidth, size, bold = false) {
+      let str = toPdfText(value);
+      if (textWidth(str, size, bold) <= maxWidth) return str;
+      while (str.length > 1 && textWidth(`${str}...`, size, bold) > maxWidth) str = str.slice(0, -1);
+      return `${str}...`;
+    },
+    pages,
+  };
+  newPage();
+  return doc;
+}
+
+// Draw a table; columns are [{ header, width, align }], rows are arrays of strings (or { text, color })
+function drawPdfTable(doc, columns, rows, { categoryRows = new Set() } = {}) {
+  const rowHeight = 16;
+  const drawHeader = () => {
+    let x = doc.margin;
+    columns.forEach(col => {
+      doc.text(col.align === 'right' ? x + col.width - 4 : x + 4, doc.y - 11, col.header, { size: 8, color: '#6b7280', align: col.align });
+      x += col.width;
+    });
+    doc.line(doc.margin, doc.y - rowHeight, doc.width - doc.margin, doc.y - rowHeight, '#d1d5db');
+    doc.y -= rowHeight;
+  };
+
+  doc.ensureSpace(rowHeight * 3);
+  drawHeader();
+  rows.forEach((row, i) => {
+    if (doc.y - rowHeight < doc.margin + 20) {
+      doc.ensureSpace(rowHeight * 2);
+      drawHeader();
+    }
+    if (categoryRows.has(i)) {
+      doc.rect(doc.margin, doc.y - rowHeight, doc.width - doc.margin * 2, rowHeight, '#f9fafb');
+      doc.text(doc.margin + 4, doc.y - 11, row[0], { size: 9, bold: true, color: '#374151' });
+    } else {
+      let x = doc.margin;
+      columns.forEach((col, c) => {
+        const cell = typeof row[c] === 'object' && row[c] !== null ? row[c] : { text: row[c] };
+        const text = doc.fit(cell.text ?? '', col.width - 8, 9);
+        doc.text(col.align === 'right' ? x + col.width - 4 : x + 4, doc.y - 11, text, { size: 9, color: cell.color, align: col.align });
+        x += col.width;
+      });
+    }
+    doc.line(doc.margin, doc.y - rowHeight, doc.width - doc.margin, doc.y - rowHeight, '#f3f4f6');
+    doc.y -= rowHeight;
+  });
+}
+
+function drawPdfHeading(doc, title, note = null) {
+  doc.ensureSpace(note ? 60 : 44);
+  doc.y -= 18;
+  doc.text(doc.margin, doc.y, title, { size: 13, bold: true });
+  doc.y -= 8;
+  if (note) {
+    doc.y -= 6;
+    doc.text(doc.margin, doc.y, note, { size: 8, color: '#6b7280' });
+    doc.y -= 6;
+  }
+}
+
+function drawPdfCategoryChart(doc, category, skus) {
+  const rowHeight = 22;
+  const labelWidth = 190;
+  const barWidth = doc.width - doc.margin * 2 - labelWidth - 50;
+  const maxPercent = Math.max(100, ...skus.map(s => Math.min(150, s.percentage || 0)));
+  const scale = (p) => (Math.min(p, 150) / maxPercent) * barWidth;
+
+  doc.ensureSpace(Math.min(skus.length, 4) * rowHeight + 40);
+  doc.y -= 14;
+  doc.text(doc.margin, doc.y, category, { size: 10, bold: true, color: '#374151' });
+  doc.y -= 6;
+  const hundred = doc.margin + labelWidth + scale(100);
+  skus.forEach(sku => {
+    doc.ensureSpace(rowHeight);
+    const rowTop = doc.y;
+    const x = doc.margin + labelWidth;
+    doc.text(doc.margin, rowTop - 13, doc.fit(sku.name, labelWidth - 8, 9), { size: 9 });
+    if (sku.threshold) {
+      doc.rect(x, rowTop - 15, scale(sku.percentage), 10, statusColor(sku.percentage));
+      if (sku.prior !== null) doc.rect(x, rowTop - 19, scale((sku.prior / sku.threshold) * 100), 2.5, '#9ca3af');
+      doc.text(x + scale(sku.percentage) + 4, rowTop - 13, formatPercent(sku.percentage), { size: 8, color: '#374151' });
+      doc.line(hundred, rowTop - 2, hundred, rowTop - 21, '#4b5563', '2 2');
+    } else {
+      doc.text(x, rowTop - 13, 'No threshold configured', { size: 8, color: '#9ca3af' });
+    }
+    doc.y -= rowHeight;
+  });
+}
+
+/**
+ * Render a stored report as a PDF (A4, Helvetica) and return its bytes
+ */
+export function renderReportPdf(report) {
+  const doc = createPdfDocument();
+  const monthLabel = formatReportMonth(report.month);
+
+  doc.text(doc.margin, doc.y - 18, 'Cloudflare Enterprise Usage Report', { size: 18, bold: true });
+  doc.text(doc.margin, doc.y - 34, `${monthLabel} - Generated ${new Date(report.generatedAt).toUTCString()}`, { size: 9, color: '#6b7280' });
+  doc.rect(doc.margin, doc.y - 44, doc.width - doc.margin * 2, 2, '#f38020');
+  doc.y -= 60;
+
+  const cardWidth = (doc.width - doc.margin * 2 - 16) / 3;
+  [
+    [String(report.summary.skuCount), 'Products tracked', '#111827'],
+    [String(report.summary.overThreshold), 'Over threshold', '#dc2626'],
+    [String(report.summary.nearThreshold), 'At 90% or more', '#d97706'],
+  ].forEach(([value, label, color], i) => {
+    const x = doc.margin + i * (cardWidth + 8);
+    doc.line(x, doc.y, x + cardWidth, doc.y);
+    doc.line(x, doc.y - 44, x + cardWidth, doc.y - 44);
+    doc.text(x + 10, doc.y - 22, value, { size: 16, bold: true, color });
+    doc.text(x + 10, doc.y - 36, label, { size: 8, color: '#6b7280' });
+  });
+  doc.y -= 52;
+
+  const categories = groupByCategory(report.skus);
+  const summaryRows = [];
+  const categoryRows = new Set();
+  categories.forEach(([category, skus]) => {
+    categoryRows.add(summaryRows.length);
+    summaryRows.push([category]);
+    skus.forEach(sku => summaryRows.push([
+      sku.name,
+      sku.formatted,
+      sku.thresholdFormatted || '-',
+      { text: formatPercent(sku.percentage), color: statusColor(sku.percentage) },
+      formatDelta(sku.deltaPercent),
+    ]));
+  });
+  drawPdfHeading(doc, 'Usage Summary');
+  drawPdfTable(doc, [
+    { header: 'Product', width: 200 },
+    { header: 'Usage', width: 80, align: 'right' },
+    { header: 'Threshold', width: 80, align: 'right' },
+    { header: '% Used', width: 65, align: 'right' },
+    { header: `vs. ${formatReportMonth(report.priorMonth)}`, width: 74, align: 'right' },
+  ], summaryRows, { categoryRows });
+
+  drawPdfHeading(doc, 'Utilization by Category', `Solid bar: ${monthLabel}. Thin grey bar: previous month. Dashed line: 100% of threshold.`);
+  categories.forEach(([category, skus]) => drawPdfCategoryChart(doc, category, skus));
+
+  drawPdfHeading(doc, 'Top Accounts');
+  if (report.topAccounts.length > 0) {
+    drawPdfTable(doc, [
+      { header: 'Account', width: 220 },
+      { header: 'HTTP Requests', width: 90, align: 'right' },
+      { header: 'Data Transfer', width: 90, align: 'right' },
+      { header: 'Share of Transfer', width: 99, align: 'right' },
+    ], report.topAccounts.map(a => [a.name, a.requestsFormatted, a.bytesFormatted, formatPercent(a.bytesShare)]));
+  } else {
+    doc.y -= 12;
+    doc.text(doc.margin, doc.y, 'No per-account traffic recorded for this month.', { size: 9, color: '#6b7280' });
+  }
+
+  drawPdfHeading(doc, 'Top Zones by Data Transfer');
+  if (report.topZones) {
+    drawPdfTable(doc, [
+      { header: 'Zone', width: 180 },
+      { header: 'Account', width: 140 },
+      { header: 'HTTP Requests', width: 90, align: 'right' },
+      { header: 'Data Transfer', width: 89, align: 'right' },
+    ], report.topZones.map(z => [z.zoneName, z.accountName, z.requestsFormatted, z.bytesFormatted]));
+  } else {
+    doc.y -= 12;
+    doc.text(doc.margin, doc.y, 'Per-zone usage is only captured for the month the report is generated after.', { size: 9, color: '#6b7280' });
+  }
+
+  return serializePdf(doc, monthLabel);
+}
+
+function serializePdf(doc, monthLabel) {
+  const pageCount = doc.pages.length;
+  doc.pages.forEach((ops, i) => {
+    const footerY = 28;
+    const footer = `Enterprise Usage Report - ${monthLabel} - Not an official Cloudflare billing document`;
+    const escaped = (s) => toPdfText(s).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+    ops.push(`BT 0.612 0.639 0.686 rg /F1 7 Tf ${doc.margin} ${footerY} Td (${escaped(footer)}) Tj ET`);
+    const pageLabel = `Page ${i + 1} of ${pageCount}`;
+    ops.push(`BT 0.612 0.639 0.686 rg /F1 7 Tf ${(doc.width - doc.margin - textWidth(pageLabel, 7)).toFixed(2)} ${footerY} Td (${pageLabel}) Tj ET`);
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and content stream per page
+  const objects = [];
+  const pageIds = doc.pages.map((_, i) => 5 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  doc.pages.forEach((ops, i) => {
+    const content = ops.filter(Boolean).join('\n');
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${doc.width} 842] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = out.length;
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  // Content is ASCII-only (see toPdfText), so string length equals byte length
+  return new TextEncoder().encode(out);
+}
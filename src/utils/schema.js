@@ -0,0 +1,280 @@
+/**
+ * Versioned configuration schema (shared by the Worker and the configuration form)
+ *
+ * `config.schemaVersion` records the shape a config was saved in. Configs from older
+ * releases are upgraded by the ordered MIGRATIONS when loaded, and `validateConfig`
+ * checks a config against the current version, returning field-level errors keyed by
+ * path, e.g. `developerServices.r2Storage.storageThreshold` or `notificationChannels[ops].url`.
+ * Product sections (`applicationServices`, `zeroTrust`, `networkServices`,
+ * `developerServices`) are derived from the SKU registry, so a new product is covered
+ * as soon as it is registered.
+ */
+
+import { PRODUCT_SECTIONS, SKU_REGISTRY } from '../constants/skus';
+import { ENTITLEMENT_MODES } from './contract';
+import { DIGEST_FREQUENCIES } from './digest';
+import { LEGACY_SLACK_CHANNEL_ID, validateChannel } from './notifications';
+
+export const CONFIG_SCHEMA_VERSION = 3;
+
+// Accounts can be bound to a named token secret, CLOUDFLARE_API_TOKEN_<NAME>
+export const ACCOUNT_TOKEN_SECRET_PREFIX = 'CLOUDFLARE_API_TOKEN_';
+export const ACCOUNT_TOKEN_NAME_PATTERN = /^[A-Z0-9_]+$/;
+
+const ACCOUNT_ID_PATTERN = /^[0-9a-f]{32}$/i;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const LEGACY_CORE_FIELDS = ['thresholdZones', 'primaryZones', 'secondaryZones', 'thresholdRequests', 'thresholdBandwidth', 'thresholdDnsQueries'];
+const ALERT_FREQUENCIES = ['monthly', 'weekly'];
+
+const TOP_LEVEL_FIELDS = [
+  'schemaVersion', 'accountIds', 'accountTokens', 'applicationServices', 'zeroTrust', 'networkServices', 'developerServices',
+  'contract', 'notificationChannels', 'alertsEnabled', 'alertFrequency', 'alertTiers',
+  'forecastAlertsEnabled', 'anomalyAlertsEnabled', 'digest',
+];
+
+/**
+ * `MIGRATIONS[n]` upgrades a version n config to version n + 1. Version 1 is any config
+ * saved before the schema was versioned.
+ */
+const MIGRATIONS = {
+  // Single accountId, core thresholds at the top level and a single Slack webhook
+  1: ({ accountId, slackWebhook, ...config }) => {
+    const core = config.applicationServices?.core || {};
+    const legacyCore = {};
+    LEGACY_CORE_FIELDS.forEach(field => {
+      if (config[field] && !core[field]) legacyCore[field] = config[field];
+      delete config[field];
+    });
+    const channels = Array.isArray(config.notificationChannels) ? config.notificationChannels : [];
+    const coreEnabled = core.enabled !== false;
+    return {
+      ...config,
+      accountIds: config.accountIds?.length ? config.accountIds : accountId ? [accountId] : [],
+      applicationServices: {
+        ...config.applicationServices,
+        core: {
+          ...core,
+          ...legacyCore,
+          enabled: coreEnabled,
+          trafficEnabled: core.trafficEnabled ?? coreEnabled,
+          dnsEnabled: core.dnsEnabled ?? coreEnabled,
+        },
+      },
+      notificationChannels: slackWebhook && !channels.some(c => c.type === 'slack' && c.url === slackWebhook)
+        ? [{ id: LEGACY_SLACK_CHANNEL_ID, name: 'Slack', type: 'slack', url: slackWebhook, enabled: true }, ...channels]
+        : channels,
+    };
+  },
+  // Contract start as a full date, of which only the month was ever used
+  2: config => (config.contract?.startDate
+    ? { ...config, contract: { ...config.contract, startDate: String(config.contract.startDate).slice(0, 7) } }
+    : config),
+};
+
+export function getConfigSchemaVersion(config) {
+  return Number(config?.schemaVersion) || 1;
+}
+
+/**
+ * Run every migration from the config's version up to CONFIG_SCHEMA_VERSION
+ */
+export function migrateConfig(config) {
+  if (!config) return config;
+  let migrated = config;
+  for (let version = getConfigSchemaVersion(config); version < CONFIG_SCHEMA_VERSION; version++) {
+    migrated = { ...MIGRATIONS[version](structuredClone(migrated)), schemaVersion: version + 1 };
+  }
+  return migrated;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Settings each product section accepts, from the registry: the thresholds of its tracked
+ * values and other numeric settings, the list of zones or accounts, and its on/off flags
+ */
+const PRODUCT_SECTION_RULES = Object.fromEntries(PRODUCT_SECTIONS.map(section => [section.configPath.join('.'), {
+  label: section.label,
+  thresholds: new Set([...section.thresholds.map(value => value.threshold), ...section.settings]),
+  list: section.list,
+}]));
+
+function validateProductSection(path, settings, accountIds, fail) {
+  const section = PRODUCT_SECTION_RULES[path];
+  Object.entries(settings).forEach(([field, value]) => {
+    const fieldPath = `${path}.${field}`;
+    if (field === 'enabled' || field.endsWith('Enabled')) {
+      if (value !== undefined && typeof value !== 'boolean') fail(fieldPath, 'Must be true or false');
+    } else if (section.thresholds.has(field)) {
+      if (value !== null && value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+        fail(fieldPath, `${section.label}: must be a number of 0 or more`);
+      }
+    } else if (field === section.list) {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        fail(fieldPath, `${section.label}: must be a list of IDs`);
+      } else if (field === 'accountIds') {
+        value.filter(id => !accountIds.includes(id)).forEach(id => {
+          fail(fieldPath, `${section.label}: account ${id} is not one of the monitored accounts`);
+        });
+      }
+    } else {
+      fail(fieldPath, 'Unknown setting');
+    }
+  });
+}
+
+/**
+ * Field-level errors of a (migrated) config as `{ path: message }`; empty when valid
+ */
+export function validateConfig(config) {
+  const errors = {};
+  const fail = (path, message) => {
+    if (!errors[path]) errors[path] = message;
+  };
+
+  if (!isPlainObject(config)) {
+    return { config: 'Configuration must be an object' };
+  }
+  Object.keys(config).forEach(key => {
+    if (!TOP_LEVEL_FIELDS.includes(key)) fail(key, 'Unknown setting');
+  });
+  if (config.schemaVersion !== undefined && config.schemaVersion !== CONFIG_SCHEMA_VERSION) {
+    fail('schemaVersion', `Expected schema version ${CONFIG_SCHEMA_VERSION}`);
+  }
+
+  // Accounts
+  const accountIds = Array.isArray(config.accountIds) ? config.accountIds : [];
+  if (accountIds.length === 0) {
+    fail('accountIds', 'At least one Account ID is required');
+  }
+  accountIds.forEach((id, i) => {
+    if (typeof id !== 'string' || !ACCOUNT_ID_PATTERN.test(id)) {
+      fail(`accountIds[${i}]`, `${id || 'Account ID'} is not a Cloudflare Account ID (32 hexadecimal characters)`);
+    }
+  });
+
+  const accountTokens = config.accountTokens;
+  if (accountTokens !== undefined) {
+    if (!isPlainObject(accountTokens)) {
+      fail('accountTokens', 'Must be an object');
+    } else {
+      Object.entries(accountTokens).forEach(([accountId, name]) => {
+        const path = `accountTokens.${accountId}`;
+        if (!accountIds.includes(accountId)) fail(path, `Account ${accountId} is not one of the monitored accounts`);
+        else if (typeof name !== 'string' || !ACCOUNT_TOKEN_NAME_PATTERN.test(name)) {
+          fail(path, `Token name must be the ${ACCOUNT_TOKEN_SECRET_PREFIX}<NAME> suffix: uppercase letters, digits and underscores`);
+        }
+      });
+    }
+  }
+
+  // Product sections
+  ['applicationServices', 'zeroTrust', 'networkServices', 'developerServices'].forEach(service => {
+    const products = config[service];
+    if (products === undefined) return;
+    if (!isPlainObject(products)) {
+      fail(service, 'Must be an object');
+      return;
+    }
+    Object.entries(products).forEach(([key, settings]) => {
+      const path = `${service}.${key}`;
+      if (!PRODUCT_SECTION_RULES[path]) fail(path, 'Unknown product');
+      else if (!isPlainObject(settings)) fail(path, 'Must be an object');
+      else validateProductSection(path, settings, accountIds, fail);
+    });
+  });
+
+  const core = config.applicationServices?.core;
+  if (core?.thresholdZones && (core.primaryZones || core.secondaryZones)) {
+    const sum = (core.primaryZones || 0) + (core.secondaryZones || 0);
+    if (sum !== core.thresholdZones) {
+      fail('applicationServices.core.primaryZones', `Primary zones (${core.primaryZones || 0}) + Secondary zones (${core.secondaryZones || 0}) = ${sum}, but Total zones is ${core.thresholdZones}. They must be equal.`);
+    }
+  }
+
+  // Contract period
+  const contract = config.contract;
+  if (contract !== undefined) {
+    if (!isPlainObject(contract)) {
+      fail('contract', 'Must be an object');
+    } else if (contract.enabled) {
+      if (!MONTH_PATTERN.test(contract.startDate || '')) {
+        fail('contract.startDate', 'Contract start month is required (YYYY-MM)');
+      }
+      if (!(Number.isInteger(contract.termMonths) && contract.termMonths >= 1)) {
+        fail('contract.termMonths', 'Contract term must be at least 1 month');
+      }
+      if (contract.entitlementMode && !Object.values(ENTITLEMENT_MODES).includes(contract.entitlementMode)) {
+        fail('contract.entitlementMode', `Must be one of ${Object.values(ENTITLEMENT_MODES).join(', ')}`);
+      }
+    }
+  }
+
+  // Notification channels
+  const channels = config.notificationChannels ?? [];
+  if (!Array.isArray(channels)) {
+    fail('notificationChannels', 'Must be a list');
+  } else {
+    const seen = new Set();
+    channels.forEach((channel, i) => {
+      const path = `notificationChannels[${channel?.id ?? i}]`;
+      if (!isPlainObject(channel) || !channel.id) {
+        fail(path, 'Channel must have an id');
+        return;
+      }
+      if (seen.has(channel.id)) fail(path, 'Duplicate channel id');
+      seen.add(channel.id);
+      const channelError = validateChannel(channel);
+      if (channelError) fail(path, channelError);
+    });
+  }
+
+  // Alerting
+  ['alertsEnabled', 'forecastAlertsEnabled', 'anomalyAlertsEnabled'].forEach(field => {
+    if (config[field] !== undefined && typeof config[field] !== 'boolean') fail(field, 'Must be true or false');
+  });
+  if (config.alertFrequency !== undefined && !ALERT_FREQUENCIES.includes(config.alertFrequency)) {
+    fail('alertFrequency', `Must be one of ${ALERT_FREQUENCIES.join(', ')}`);
+  }
+  if (config.alertTiers !== undefined) {
+    if (!isPlainObject(config.alertTiers)) {
+      fail('alertTiers', 'Must be an object');
+    } else {
+      Object.entries(config.alertTiers).forEach(([skuKey, entry]) => {
+        const path = `alertTiers.${skuKey}`;
+        if (!SKU_REGISTRY.some(sku => sku.key === skuKey)) fail(path, 'Unknown SKU');
+        else if (!isPlainObject(entry)) fail(path, 'Must be an object');
+        else if (!Array.isArray(entry.tiers) || entry.tiers.some(t => typeof t !== 'number' || !(t > 0 && t <= 1000))) {
+          fail(path, 'Enter percentages between 1 and 1000, e.g. 50, 75, 90');
+        }
+      });
+    }
+  }
+
+  // Digest
+  const digest = config.digest;
+  if (digest !== undefined) {
+    if (!isPlainObject(digest)) {
+      fail('digest', 'Must be an object');
+    } else if (digest.enabled) {
+      if (!DIGEST_FREQUENCIES[digest.frequency]) {
+        fail('digest.frequency', `Must be one of ${Object.keys(DIGEST_FREQUENCIES).join(', ')}`);
+      }
+      if (digest.frequency === 'weekly' && !(Number.isInteger(digest.weekday) && digest.weekday >= 0 && digest.weekday <= 6)) {
+        fail('digest.weekday', 'Choose a weekday');
+      }
+      const channelIds = Array.isArray(digest.channelIds) ? digest.channelIds : [];
+      if (channelIds.length === 0) {
+        fail('digest.channelIds', 'Choose at least one channel for the digest');
+      } else if (Array.isArray(channels)) {
+        channelIds.filter(id => !channels.some(c => c?.id === id)).forEach(id => {
+          fail('digest.channelIds', `Unknown channel ${id}`);
+        });
+      }
+    }
+  }
+
+  return errors;
+}
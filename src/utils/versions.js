@@ -0,0 +1,85 @@
+/**
+ * Configuration version diffs (shared by the Worker and the settings history panel)
+ *
+ * Every saved configuration is kept as a version; its diff against the previous one is a
+ * list of `{ path, type, before, after }` changes, `type` being 'added', 'removed' or 'changed'.
+ * Paths use dots for objects, ids for lists of objects with an `id` (notification channels)
+ * and compare other arrays (account IDs, zone lists) as a whole. Secrets are masked.
+ */
+
+const SECRET_FIELD = /secret|token|password|routingkey|webhook|url$/i;
+const MASK = '••••••';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isKeyedList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+function maskValue(path, value) {
+  if (value === undefined || value === null || value === '') return value;
+  const field = path.split(/[.[\]]/).filter(Boolean).pop() || '';
+  return SECRET_FIELD.test(field) ? MASK : value;
+}
+
+function walk(before, after, path, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      walk(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    });
+    return;
+  }
+  if ((isKeyedList(before) || isKeyedList(after)) && (Array.isArray(before) || before === undefined) && (Array.isArray(after) || after === undefined)) {
+    const beforeById = Object.fromEntries((before || []).map(item => [item.id, item]));
+    const afterById = Object.fromEntries((after || []).map(item => [item.id, item]));
+    new Set([...Object.keys(beforeById), ...Object.keys(afterById)]).forEach(id => {
+      walk(beforeById[id], afterById[id], `${path}[${id}]`, changes);
+    });
+    return;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  if (isPlainObject(before) || isPlainObject(after)) {
+    // An object added or removed as a whole is listed field by field
+    walk(isPlainObject(before) ? before : {}, isPlainObject(after) ? after : {}, path, changes);
+    return;
+  }
+  changes.push({
+    path,
+    type: before === undefined ? 'added' : after === undefined ? 'removed' : 'changed',
+    before: maskValue(path, before),
+    after: maskValue(path, after),
+  });
+}
+
+/**
+ * Field-level changes from one configuration to the next
+ */
+export function diffConfig(before, after) {
+  const changes = [];
+  walk(before || {}, after || {}, '', changes);
+  return changes;
+}
+
+/**
+ * Copy of a configuration with every secret (webhook URLs, signing secrets, routing keys,
+ * token bindings) replaced by the mask, for responses that must not reveal them
+ */
+export function maskConfig(value, secret = false) {
+  if (Array.isArray(value)) return value.map(item => maskConfig(item, secret));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskConfig(item, secret || SECRET_FIELD.test(key))]));
+  }
+  return secret && typeof value === 'string' && value !== '' ? MASK : value;
+}
+
+/**
+ * Short text for a changed value in the history panel
+ */
+export function formatDiffValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.map(formatDiffValue).join(', ') : '[]';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
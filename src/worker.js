@@ -3,11 +3,107 @@
  * Handles API requests and serves static React assets
  */
 
-const CORE_MONTHLY_STATS_PREFIX = 'monthly-stats-v2';
-const HISTORICAL_DATA_CACHE_PREFIX = 'historical-data-v2';
+import { POOLED_FIELDS, getContractPeriod, sumContractToDate, buildContractSkus } from './utils/contract';
+import { forecastSkus, buildForecastAlerts } from './utils/forecast';
+import { recordDailyValues, detectAnomalies, buildAnomalyAlerts } from './utils/anomaly';
+import { filterMetricsToAccount, buildExportSheets, toCsv, toXlsx } from './utils/export';
+import { buildMonthlyReport, renderReportHtml, renderReportPdf } from './utils/report';
+import { buildOpenMetrics } from './utils/openmetrics';
+import { getNotificationChannels, validateChannel, dispatchNotification, parseRecipients } from './utils/notifications';
+import { buildMimeMessage } from './utils/email';
+import { evaluateAlertTiers, getSkuAlertSettings } from './utils/alerts';
+import { getDigestPeriodKey, buildDigest } from './utils/digest';
+import { hasRole, verifyAccessJwt, getAccessIdentity, resolveRole } from './utils/access';
+import { diffConfig, maskConfig } from './utils/versions';
+import { DIAGNOSTIC_PROBES, buildProbeQuery, classifyProbe, getProbeName } from './utils/diagnostics';
+import { API_ERROR_TYPES, CloudflareApiError, createCloudflareClient } from './utils/cloudflareApi';
+import { createHistoryStore, getMinutePeriod, migrateKvHistoryStep } from './utils/history';
+import { ACCOUNT_TOKEN_SECRET_PREFIX, CONFIG_SCHEMA_VERSION, getConfigSchemaVersion, migrateConfig, validateConfig } from './utils/schema';
+import { PRODUCTS, getProduct, getSkuProduct, getProductConfig, getProductMetrics, getProductThresholdFields, isProductEnabled, buildSkuMetrics } from './constants/skus';
+import { DEFAULT_PAGERDUTY_TIERS, planPagerDutyActions, buildTriggerEvent, buildResolveEvent, sendPagerDutyEvent } from './utils/pagerduty';
+import { EmailMessage } from 'cloudflare:email';
+
 const PREWARMED_CACHE_PREFIX = 'pre-warmed-v2';
-const BOT_MONTHLY_STATS_PREFIX = 'monthly-bot-stats-v2';
-const HISTORICAL_BOT_DATA_CACHE_PREFIX = 'historical-bot-data-v2';
+const DAILY_SERIES_CACHE_PREFIX = 'daily-series-v1';
+const DAILY_USAGE_PREFIX = 'daily-usage';
+const DIGEST_SENT_PREFIX = 'digest-sent';
+// Linked from scheduled notifications, which have no request origin
+const SCHEDULED_DASHBOARD_URL = 'https://enterprise-usage-dashboard.felipe-cloudflare.workers.dev';
+const BACKFILL_JOB_KEY = 'backfill-job';
+const BACKFILL_MAX_MONTHS = 24;
+const MONTHLY_REPORT_PREFIX = 'monthly-report';
+const NOTIFICATION_DELIVERIES_KEY = 'notification-deliveries';
+const NOTIFICATION_DELIVERIES_MAX = 100;
+const EMAIL_OUTBOX_KEY = 'email-outbox';
+const PAGERDUTY_INCIDENTS_PREFIX = 'pagerduty-incidents';
+const EMAIL_OUTBOX_MAX = 20;
+const ALERT_SENT_TTL = 45 * 24 * 60 * 60; // 45 days
+const ALERT_SENT_TERM_MARGIN = 7 * 24 * 60 * 60; // kept a week past the contract term
+const ALERT_STATE_PREFIX = 'alert-state';
+const ALERT_STATE_ACTIONS = { acknowledge: 'acknowledged', snooze: 'snoozed', mute: 'muted' };
+const ALERT_HISTORY_PREFIX = 'alert-history';
+const ALERT_HISTORY_MAX = 5000;
+const CONFIG_HISTORY_PREFIX = 'config-history';
+const CONFIG_VERSION_PREFIX = 'config-version';
+const CONFIG_HISTORY_MAX = 200;
+const WORKSPACES_KEY = 'workspaces';
+const WORKSPACE_KEY_PREFIX = 'ws';
+const WORKSPACE_COOKIE = 'workspace';
+const DEFAULT_WORKSPACE_ID = 'default';
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const DIAGNOSTIC_ZONE_SAMPLE = 3;
+const DIAGNOSTIC_CONCURRENCY = 6;
+const CLOUDFLARE_API_CONCURRENCY = 6;
+const ZONE_INVENTORY_PREFIX = 'zone-inventory';
+const ZONE_INVENTORY_TTL = 3600; // 1 hour
+const ZONE_INVENTORY_PARTIAL_TTL = 60; // A page failed to load: retry soon (KV minimum)
+const ZONES_PAGE_SIZE = 50;
+const HISTORY_MIGRATION_KEY = 'history-migration';
+const HISTORY_MIGRATION_STEP_KEYS = 200;
+// Zones above this bandwidth in a month count as primary
+const SECONDARY_ZONE_THRESHOLD = 50 * (1024 ** 3); // 50GB in bytes
+
+// Every Cloudflare API call goes through this client: bounded concurrency, retries, typed errors
+const cloudflareApi = createCloudflareClient({ maxConcurrent: CLOUDFLARE_API_CONCURRENCY });
+
+// Minimum role for each mutating route; every other route needs 'viewer'
+const ROUTE_ROLES = {
+  'POST /api/config': 'editor',
+  'POST /api/config/rollback': 'editor',
+  'POST /api/webhook/check': 'editor',
+  'POST /api/notifications/test': 'editor',
+  'POST /api/alerts/state': 'editor',
+  'POST /api/reports': 'editor',
+  'POST /api/cache/warm': 'editor',
+  'POST /api/cache/prewarm': 'editor',
+  'POST /api/diagnostics': 'editor',
+  'POST /api/backfill': 'editor',
+  'POST /api/backfill/cancel': 'editor',
+  'POST /api/workspaces': 'admin',
+  'DELETE /api/workspaces': 'admin',
+};
+
+// Billing-aligned HTTP traffic: eyeball requests plus cross-zone subrequests
+const BILLING_ALIGNED_HTTP_SOURCE_FILTER = {
+  OR: [
+    { requestSource: 'eyeball' },
+    { isCrossZoneSubrequest: 1 }
+  ]
+};
+
+// Clean/billable HTTP traffic (billing-aligned, excluding L7 DDoS and blocked/failed challenges)
+const BILLABLE_HTTP_FILTERS = [
+  BILLING_ALIGNED_HTTP_SOURCE_FILTER,
+  { securitySource_neq: 'l7ddos' },
+  { securityAction_neq: 'block' },
+  { securityAction_neq: 'challenge_failed' },
+  { securityAction_neq: 'jschallenge_failed' },
+  { securityAction_neq: 'managed_challenge_failed' }
+];
+
+// R2 operation types billed as Class A (mutating/listing) and Class B (reading)
+const R2_CLASS_A_ACTIONS = ['ListBuckets', 'PutBucket', 'ListObjects', 'PutObject', 'CopyObject', 'CompleteMultipartUpload', 'CreateMultipartUpload', 'UploadPart', 'UploadPartCopy', 'PutBucketEncryption', 'PutBucketCors', 'PutBucketLifecycleConfiguration'];
+const R2_CLASS_B_ACTIONS = ['HeadBucket', 'HeadObject', 'GetObject', 'ReportUsageSummary', 'GetBucketEncryption', 'GetBucketLocation', 'GetBucketCors', 'GetBucketLifecycleConfiguration'];
 
 export default {
   async fetch(request, env, ctx) {
@@ -17,6 +113,11 @@ export default {
     if (url.pathname.startsWith('/api/')) {
       return handleApiRequest(request, env, url, ctx);
     }
+
+    // Prometheus / OpenMetrics scrape endpoint
+    if (url.pathname === '/metrics' && request.method === 'GET') {
+      return handleMetricsScrape(request, env);
+    }
     
     // Serve static assets
     return env.ASSETS.fetch(request);
@@ -24,13 +125,19 @@ export default {
 
   async scheduled(event, env, ctx) {
     const cron = event.cron;
+    // Every job runs once per workspace, against that workspace's config and keys
     if (cron === '* * * * *') {
-      ctx.waitUntil(pollSpectrumConcurrent(env));
+      ctx.waitUntil(forEachWorkspace(env, workspaceEnv => Promise.all([
+        pollSpectrumConcurrent(workspaceEnv),
+        runBackfillStep(workspaceEnv),
+        runHistoryMigrationStep(workspaceEnv)
+      ])));
     } else {
-      ctx.waitUntil(Promise.all([
-        runScheduledThresholdCheck(env),
-        preWarmCache(env)
-      ]));
+      ctx.waitUntil(forEachWorkspace(env, workspaceEnv => Promise.all([
+        runScheduledThresholdCheck(workspaceEnv),
+        // The report and digest read the freshly pre-warmed cache, so they run after pre-warming
+        preWarmCache(workspaceEnv).then(() => Promise.all([runScheduledMonthlyReport(workspaceEnv), runScheduledDigest(workspaceEnv)]))
+      ])));
     }
   },
 };
@@ -43,7 +150,7 @@ async function handleApiRequest(request, env, url, ctx) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace',
   };
 
   // Handle preflight requests
@@ -52,6 +159,51 @@ async function handleApiRequest(request, env, url, ctx) {
   }
 
   try {
+    // Cloudflare Access identity and role (everyone is an admin when Access isn't configured)
+    const identity = await authenticateRequest(request, env);
+    if (identity.error) {
+      return new Response(JSON.stringify({ error: identity.error }), {
+        status: identity.status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+    const requiredRole = ROUTE_ROLES[`${request.method} ${url.pathname}`] || 'viewer';
+    if (!hasRole(identity.role, requiredRole)) {
+      return new Response(JSON.stringify({ error: `This action requires the ${requiredRole} role` }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    if (url.pathname === '/api/me' && request.method === 'GET') {
+      return new Response(JSON.stringify(identity), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Workspace management works on the shared namespace
+    if (url.pathname === '/api/workspaces' && request.method === 'GET') {
+      return await getWorkspaces(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/workspaces' && request.method === 'POST') {
+      return await saveWorkspace(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/workspaces' && request.method === 'DELETE') {
+      return await deleteWorkspace(request, env, url, ctx, corsHeaders);
+    }
+
+    // Everything else reads and writes the selected workspace's keys
+    const workspace = await findWorkspace(env, getRequestWorkspaceId(request, url));
+    if (!workspace) {
+      return new Response(JSON.stringify({ error: 'Unknown workspace' }), {
+        status: 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+    env = getWorkspaceEnv(env, workspace);
+
     // Route API requests
     if (url.pathname === '/api/metrics' && request.method === 'POST') {
       return await getMetrics(request, env, corsHeaders);
@@ -78,19 +230,80 @@ async function handleApiRequest(request, env, url, ctx) {
     }
     
     if (url.pathname === '/api/config' && request.method === 'GET') {
-      return await getConfig(request, env, corsHeaders);
+      return await getConfig(request, env, corsHeaders, identity);
     }
     
     if (url.pathname === '/api/config' && request.method === 'POST') {
-      return await saveConfig(request, env, corsHeaders);
+      return await saveConfig(request, env, corsHeaders, identity);
+    }
+    
+    if (url.pathname === '/api/tokens' && request.method === 'GET') {
+      return await listApiTokens(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/config/history' && request.method === 'GET') {
+      return await getConfigHistory(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/config/rollback' && request.method === 'POST') {
+      return await rollbackConfig(request, env, corsHeaders, identity);
     }
     
     if (url.pathname === '/api/webhook/check' && request.method === 'POST') {
       return await checkThresholds(request, env, corsHeaders);
     }
     
-    if (url.pathname === '/api/firewall/test' && request.method === 'POST') {
-      return await testFirewallQuery(request, env, corsHeaders);
+    if (url.pathname === '/api/notifications/test' && request.method === 'POST') {
+      return await testNotificationChannel(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/notifications/deliveries' && request.method === 'GET') {
+      return await getNotificationDeliveries(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/alerts/history' && request.method === 'GET') {
+      return await getAlertHistory(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/alerts/state' && request.method === 'GET') {
+      return await listAlertStates(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/alerts/state' && request.method === 'POST') {
+      return await updateAlertState(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/forecast' && request.method === 'POST') {
+      return await getForecast(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/anomalies' && request.method === 'POST') {
+      return await getAnomalies(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/metrics/daily' && request.method === 'POST') {
+      return await getDailyMetrics(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/export' && request.method === 'POST') {
+      return await exportUsage(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/reports' && request.method === 'GET') {
+      return await listReports(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/reports' && request.method === 'POST') {
+      return await generateReport(request, env, corsHeaders);
+    }
+    
+    const reportMatch = url.pathname.match(/^\/api\/reports\/(\d{4}-\d{2})\.(html|pdf)$/);
+    if (reportMatch && request.method === 'GET') {
+      return await downloadReport(env, reportMatch[1], reportMatch[2], corsHeaders);
+    }
+    
+    if (url.pathname === '/api/diagnostics' && request.method === 'POST') {
+      return await runTokenDiagnostics(request, env, corsHeaders);
     }
 
     
@@ -98,6 +311,18 @@ async function handleApiRequest(request, env, url, ctx) {
       return await triggerPrewarm(request, env, corsHeaders);
     }
 
+    if (url.pathname === '/api/backfill' && request.method === 'POST') {
+      return await startBackfill(request, env, ctx, corsHeaders);
+    }
+
+    if (url.pathname === '/api/backfill' && request.method === 'GET') {
+      return await getBackfillStatus(request, env, corsHeaders);
+    }
+
+    if (url.pathname === '/api/backfill/cancel' && request.method === 'POST') {
+      return await cancelBackfill(request, env, corsHeaders);
+    }
+
     return new Response(JSON.stringify({ error: 'Not found' }), {
       status: 404,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -111,6 +336,50 @@ async function handleApiRequest(request, env, url, ctx) {
   }
 }
 
+/**
+ * Identity and role of an API request from its Cloudflare Access JWT. Enforced once
+ * ACCESS_TEAM_DOMAIN and ACCESS_AUD are set; until then every caller is an admin.
+ * Returns { email, groups, role, accessEnabled } or { error, status }.
+ */
+async function authenticateRequest(request, env) {
+  if (!env.ACCESS_TEAM_DOMAIN || !env.ACCESS_AUD) {
+    return { email: null, groups: [], role: 'admin', accessEnabled: false };
+  }
+
+  const token = request.headers.get('Cf-Access-Jwt-Assertion');
+  if (!token) {
+    return { error: 'Missing Cloudflare Access token', status: 401 };
+  }
+
+  let payload;
+  try {
+    payload = await verifyAccessJwt(token, {
+      teamDomain: env.ACCESS_TEAM_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, ''),
+      audience: env.ACCESS_AUD,
+      jwks: env.ACCESS_JWKS,
+    });
+  } catch (error) {
+    console.warn('Access token rejected:', error.message);
+    return { error: error.message, status: 401 };
+  }
+
+  // A malformed role map denies everyone rather than failing every request with a generic error
+  let roleMap;
+  try {
+    roleMap = typeof env.ACCESS_ROLES === 'string' ? JSON.parse(env.ACCESS_ROLES) : env.ACCESS_ROLES;
+  } catch (error) {
+    console.error('ACCESS_ROLES is not valid JSON:', error.message);
+    return { error: 'ACCESS_ROLES is not valid JSON; fix the secret to restore access', status: 500 };
+  }
+
+  const identity = getAccessIdentity(payload);
+  const role = resolveRole(identity, roleMap);
+  if (!role) {
+    return { error: `No dashboard role assigned to ${identity.email}`, status: 403 };
+  }
+  return { ...identity, role, accessEnabled: true };
+}
+
 /**
  * Parse and normalize account IDs from request
  * Handles both old single accountId and new accountIds array
@@ -130,6 +399,63 @@ function parseAccountIds(body) {
   return [];
 }
 
+/**
+ * Names of the per-account token secrets (CLOUDFLARE_API_TOKEN_<NAME>), never their values
+ */
+function listAccountTokenNames(env) {
+  return Object.keys(env)
+    .filter(key => key.startsWith(ACCOUNT_TOKEN_SECRET_PREFIX) && typeof env[key] === 'string' && env[key])
+    .map(key => key.slice(ACCOUNT_TOKEN_SECRET_PREFIX.length))
+    .sort();
+}
+
+/**
+ * API token for an account: the named secret it is bound to in `config.accountTokens`,
+ * falling back to CLOUDFLARE_API_TOKEN when it has none or the secret isn't set
+ */
+function getAccountToken(env, config, accountId) {
+  const name = config?.accountTokens?.[accountId];
+  return (name && env[`${ACCOUNT_TOKEN_SECRET_PREFIX}${name}`]) || env.CLOUDFLARE_API_TOKEN;
+}
+
+/**
+ * Accounts with no token to call the API with (no usable named secret and no default)
+ * Only these accounts fail; the others still load with their own tokens.
+ */
+function getAccountsWithoutToken(env, config, accountIds) {
+  return accountIds.filter(accountId => !getAccountToken(env, config, accountId));
+}
+
+/**
+ * Zone ID → account ID, so zone-scoped calls use their account's token.
+ * Empty when no account is bound to a named token, as every call then uses the default.
+ */
+async function getZoneAccounts(env, config) {
+  const zoneAccounts = {};
+  if (Object.keys(config?.accountTokens || {}).length === 0) return zoneAccounts;
+  await Promise.all(parseAccountIds(config).map(async accountId => {
+    // An account whose zones can't be listed keeps the default token for them
+    const zones = await fetchEnterpriseZones(getAccountToken(env, config, accountId), accountId, env).catch(() => []);
+    zones.forEach(zone => { zoneAccounts[zone.id] = accountId; });
+  }));
+  return zoneAccounts;
+}
+
+/**
+ * Token secrets available to bind accounts to (names only) and which accounts use them
+ */
+async function listApiTokens(request, env, corsHeaders) {
+  const config = (await getStoredConfig(env)) || {};
+  const tokens = listAccountTokenNames(env);
+  const accounts = Object.fromEntries(parseAccountIds(config).map(accountId => {
+    const name = config.accountTokens?.[accountId] || null;
+    return [accountId, { token: name, available: name ? tokens.includes(name) : !!env.CLOUDFLARE_API_TOKEN }];
+  }));
+  return new Response(JSON.stringify({ defaultConfigured: !!env.CLOUDFLARE_API_TOKEN, tokens, accounts }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
 /**
  * Fetch metrics from Cloudflare GraphQL API
  * Now supports multiple accounts - aggregates metrics across all accounts
@@ -137,28 +463,28 @@ function parseAccountIds(body) {
 async function getMetrics(request, env, corsHeaders) {
   const body = await request.json();
   
-  // API Token: Read from wrangler secret (secure storage)
-  const apiKey = env.CLOUDFLARE_API_TOKEN;
   // Account IDs: From KV/UI (supports multi-account)
   const accountIds = parseAccountIds(body);
 
-  if (!apiKey) {
-    return new Response(JSON.stringify({ error: 'API token not configured. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN' }), {
+  if (accountIds.length === 0) {
+    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  if (accountIds.length === 0) {
-    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
+  // API Tokens: each account's named secret or the default (wrangler secrets)
+  const config = await getStoredConfig(env);
+  if (getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) {
+    return new Response(JSON.stringify({ error: 'No API token configured for these accounts. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN, or bind each account to a CLOUDFLARE_API_TOKEN_<NAME> secret in Settings.' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  // Fetch metrics for each account in parallel
+  // Fetch metrics for each account in parallel, each with its own token
   const accountMetricsPromises = accountIds.map(accountId => 
-    fetchAccountMetrics(apiKey, accountId, env)
+    fetchAccountMetrics(getAccountToken(env, config, accountId), accountId, env)
   );
   
   const accountMetricsResults = await Promise.allSettled(accountMetricsPromises);
@@ -196,16 +522,8 @@ async function getMetricsProgressive(request, env, corsHeaders) {
   const body = await request.json();
   const phase = body.phase || 1; // Which phase to return
   
-  const apiKey = env.CLOUDFLARE_API_TOKEN;
   const accountIds = parseAccountIds(body);
 
-  if (!apiKey) {
-    return new Response(JSON.stringify({ error: 'API token not configured' }), {
-      status: 400,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    });
-  }
-
   if (accountIds.length === 0) {
     return new Response(JSON.stringify({ error: 'Account IDs not configured' }), {
       status: 400,
@@ -214,6 +532,14 @@ async function getMetricsProgressive(request, env, corsHeaders) {
   }
 
   try {
+    const config = await getStoredConfig(env);
+    if (getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) {
+      return new Response(JSON.stringify({ error: 'API token not configured' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
     // Check if we have fully cached data (from cron pre-warming)
     const cacheKey = `${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`;
     const cachedData = await env.CONFIG_KV.get(cacheKey, 'json');
@@ -221,11 +547,9 @@ async function getMetricsProgressive(request, env, corsHeaders) {
     if (cachedData && cachedData.data) {
       
       // Check if cache is complete (has all ENABLED metrics)
-      const configData = await env.CONFIG_KV.get('config:default');
       let cacheIsComplete = true;
       
-      if (configData) {
-        const config = JSON.parse(configData);
+      if (config) {
         
         // Check App Services Core
         if (config?.applicationServices?.core?.enabled && !cachedData.data.current) {
@@ -324,7 +648,7 @@ async function getMetricsProgressive(request, env, corsHeaders) {
 
     // Phase 1: Core metrics + zone count (FAST - 1-2s)
     if (phase === 1) {
-      const phase1Data = await fetchPhase1Data(apiKey, accountIds, env);
+      const phase1Data = await fetchPhase1Data(accountIds, config, env);
       return new Response(
         JSON.stringify({ ...phase1Data, phase: 1 }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
@@ -333,7 +657,7 @@ async function getMetricsProgressive(request, env, corsHeaders) {
 
     // Phase 2: Add zone breakdown (MEDIUM - 3-5s)
     if (phase === 2) {
-      const phase2Data = await fetchPhase2Data(apiKey, accountIds, env);
+      const phase2Data = await fetchPhase2Data(accountIds, config, env);
       return new Response(
         JSON.stringify({ ...phase2Data, phase: 2 }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
@@ -341,9 +665,7 @@ async function getMetricsProgressive(request, env, corsHeaders) {
     }
 
     // Phase 3: Full data including historical
-    const configData = await env.CONFIG_KV.get('config:default');
-    const config = configData ? JSON.parse(configData) : {};
-    const data = await fetchAllMetrics(apiKey, accountIds, config, env);
+    const data = await fetchAllMetrics(accountIds, config || {}, env);
     return new Response(
       JSON.stringify({ ...data, phase: 3 }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
@@ -361,12 +683,12 @@ async function getMetricsProgressive(request, env, corsHeaders) {
  * Phase 1: Fast core metrics (1-2s)
  * Returns: Current month totals + zone count
  */
-async function fetchPhase1Data(apiKey, accountIds, env) {
+async function fetchPhase1Data(accountIds, config, env) {
   const now = new Date();
   const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
   
   // Fetch zone counts in parallel
-  const zonesPromises = accountIds.map(accountId => fetchEnterpriseZones(apiKey, accountId));
+  const zonesPromises = accountIds.map(accountId => fetchEnterpriseZones(getAccountToken(env, config, accountId), accountId, env));
   const zonesResults = await Promise.allSettled(zonesPromises);
   const allZones = zonesResults
     .filter(result => result.status === 'fulfilled')
@@ -393,10 +715,10 @@ async function fetchPhase1Data(apiKey, accountIds, env) {
  * Phase 2: Add zone breakdown (3-5s)
  * Returns: Phase 1 + zone breakdown + current month details
  */
-async function fetchPhase2Data(apiKey, accountIds, env) {
+async function fetchPhase2Data(accountIds, config, env) {
   // Fetch current month metrics for all accounts (without historical data)
   const accountMetricsPromises = accountIds.map(async (accountId) => {
-    const metrics = await fetchAccountMetrics(apiKey, accountId, env);
+    const metrics = await fetchAccountMetrics(getAccountToken(env, config, accountId), accountId, env);
     // Strip historical data to make it faster
     return {
       ...metrics,
@@ -427,7 +749,83 @@ function mergeTS(entries, fields) {
   return Array.from(map.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 }
 
-async function fetchAllMetrics(apiKey, accountIds, config, env) {
+// Registry fetcher name (see src/constants/skus.js) → (apiKey, target, productConfig, env, context) => data
+const PRODUCT_FETCHERS = {
+  botManagement: (apiKey, accountId, cfg, env) => fetchBotManagementForAccount(apiKey, accountId, cfg, env),
+  apiShield: (apiKey, account, cfg, env) => calculateZoneBasedAddonForAccount(account, cfg, env, 'apiShield'),
+  pageShield: (apiKey, account, cfg, env) => calculateZoneBasedAddonForAccount(account, cfg, env, 'pageShield'),
+  advancedRateLimiting: (apiKey, account, cfg, env) => calculateZoneBasedAddonForAccount(account, cfg, env, 'advancedRateLimiting'),
+  argo: (apiKey, account, cfg, env) => calculateArgoForAccount(account, cfg, env),
+  cacheReserve: (apiKey, zoneId, cfg, env, { zoneNames }) => fetchCacheReserveForZone(apiKey, zoneId, zoneNames[zoneId] || zoneId, env),
+  loadBalancing: (apiKey, accountId, cfg, env) => fetchLoadBalancingForAccount(apiKey, accountId, env),
+  customHostnames: (apiKey, accountId, cfg, env) => fetchCustomHostnamesForAccount(apiKey, accountId, env),
+  logExplorer: (apiKey, accountId, cfg, env) => fetchLogExplorerForAccount(apiKey, accountId, env),
+  magicTransit: (apiKey, accountId, cfg, env) => fetchMagicBandwidthForAccount(apiKey, accountId, cfg, env, 'magicTransit'),
+  magicWan: (apiKey, accountId, cfg, env) => fetchMagicBandwidthForAccount(apiKey, accountId, cfg, env, 'magicWan'),
+  spectrum: (apiKey, zoneId, cfg, env) => fetchSpectrumForZone(apiKey, zoneId, cfg, env),
+  zeroTrustSeats: (apiKey, accountId, cfg, env) => fetchZeroTrustSeatsForAccount(apiKey, accountId, cfg, env),
+  workersPages: (apiKey, accountId, cfg, env) => fetchWorkersPagesForAccount(apiKey, accountId, cfg, env),
+  queues: (apiKey, accountId, cfg, env) => fetchQueuesForAccount(apiKey, accountId, cfg, env),
+  durableObjects: (apiKey, accountId, cfg, env) => fetchDurableObjectsForAccount(apiKey, accountId, cfg, env),
+  workersLogsTraces: (apiKey, accountId, cfg, env) => fetchWorkersLogsTracesForAccount(apiKey, accountId, cfg, env),
+  workersAI: (apiKey, accountId, cfg, env) => fetchWorkersAIForAccount(apiKey, accountId, cfg, env),
+  r2Storage: (apiKey, accountId, cfg, env) => fetchR2StorageForAccount(apiKey, accountId, cfg, env),
+  d1: (apiKey, accountId, cfg, env) => fetchD1ForAccount(apiKey, accountId, cfg, env),
+  kv: (apiKey, accountId, cfg, env) => fetchKVForAccount(apiKey, accountId, cfg, env),
+  stream: (apiKey, accountId, cfg, env) => fetchStreamForAccount(apiKey, accountId, cfg, env),
+  images: (apiKey, accountId, cfg, env) => fetchImagesForAccount(apiKey, accountId, cfg, env),
+};
+
+/**
+ * Combine sampled-request confidence intervals from several accounts into one
+ */
+function combineConfidence(intervals) {
+  const ca = intervals.reduce((a, c) => { if (c) { a.estimate += c.estimate||0; a.lower += c.lower||0; a.upper += c.upper||0; a.sampleSize += c.sampleSize||0; a.hasData = true; } return a; }, { estimate:0, lower:0, upper:0, sampleSize:0, hasData:false });
+  if (!ca.hasData || ca.estimate <= 0) return null;
+  const rw = (ca.upper-ca.lower)/(2*ca.estimate);
+  return { percent: Math.round(Math.max(0,Math.min(100,100*(1-rw)))*10)/10, sampleSize: ca.sampleSize, estimate: ca.estimate, lower: ca.lower, upper: ca.upper };
+}
+
+/**
+ * Combine a registry product's per-account (or per-zone) results into its payload entry:
+ * summed current/previous fields, merged monthly series and the configured thresholds.
+ */
+function aggregateProductMetrics(product, cfg, entries) {
+  const fields = product.fields || [];
+  const maxFields = product.maxFields || [];
+  const totals = (period) => ({
+    ...Object.fromEntries(fields.map(f => [f, entries.reduce((s, e) => s + (e.data[period]?.[f] || 0), 0)])),
+    ...Object.fromEntries(maxFields.map(f => [f, Math.max(...entries.map(e => e.data[period]?.[f] || 0))])),
+  });
+  const current = totals('current');
+  const previous = totals('previous');
+  if (product.zoneLists) {
+    current.zones = entries.flatMap(e => e.data.current?.zones || []);
+    previous.zones = entries.flatMap(e => e.data.previous?.zones || []);
+  }
+  if (product.zoneTotals) {
+    const zoneRow = (e, period) => ({ zoneId: e.zoneId, zoneName: e.data.zoneName, ...Object.fromEntries(fields.map(f => [f, e.data[period]?.[f]])) });
+    current.zones = entries.map(e => zoneRow(e, 'current'));
+    previous.zones = entries.map(e => zoneRow(e, 'previous'));
+  }
+  if (product.confidence === 'first') current.confidence = entries.find(e => e.data.current?.confidence)?.data.current.confidence || null;
+  if (product.confidence === 'combined') current.confidence = combineConfidence(entries.map(e => e.data.current?.confidence));
+
+  const breakdown = product.perZone
+    ? { perZoneData: entries.map(e => ({ zoneId: e.zoneId, zoneName: e.data.zoneName, current: e.data.current, previous: e.data.previous, timeSeries: e.data.timeSeries })) }
+    : { perAccountData: entries.map(e => ({ accountId: e.accountId, current: e.data.current, previous: e.data.previous, timeSeries: e.data.timeSeries })) };
+
+  return {
+    enabled: true,
+    ...Object.fromEntries(getProductThresholdFields(product).map(f => [f, cfg[f]])),
+    current,
+    previous,
+    timeSeries: mergeTS(entries.flatMap(e => e.data.timeSeries || []), product.seriesFields || fields),
+    ...breakdown,
+  };
+}
+
+async function fetchAllMetrics(accountIds, config, env) {
   const timings = {};
   const overallStart = Date.now();
   let coreMetrics = null;
@@ -435,34 +833,55 @@ async function fetchAllMetrics(apiKey, accountIds, config, env) {
   let zonesCount = 0;
   let zonesData = null;
 
-  const coreEnabled = config?.applicationServices?.core?.enabled !== false;
-  const trafficEnabled = config?.applicationServices?.core?.trafficEnabled !== undefined ? config.applicationServices.core.trafficEnabled : coreEnabled;
-  const dnsEnabled = config?.applicationServices?.core?.dnsEnabled !== undefined ? config.applicationServices.core.dnsEnabled : coreEnabled;
-  const anyCoreEnabled = coreEnabled || trafficEnabled || dnsEnabled;
+  const anyCoreEnabled = PRODUCTS.some(product => product.coreToggle && isProductEnabled(config, product));
 
-  const independentPromises = [];
+  // Calls that still failed after the client's retries, per product id → [{ accountId | zoneId, type, message }],
+  // so a product missing an account shows as incomplete instead of reading as lower usage
+  const fetchErrors = {};
+  const recordFetchError = (productId, target, error) => {
+    console.error(`Fetch failed for ${productId} (${target.accountId || target.zoneId}):`, error);
+    (fetchErrors[productId] ||= []).push({ ...target, type: error.type || 'request', message: error.message });
+  };
+
+  // Zone-scoped products resolve their token through the zone's account
+  const zoneAccountsPromise = PRODUCTS.some(product => product.fetcher && product.targets === 'zones' && getProductConfig(config, product).enabled)
+    ? getZoneAccounts(env, config).catch(() => ({}))
+    : Promise.resolve({});
+  const getTargetAccount = (product, target, zoneAccounts) => {
+    if (product.targets === 'zones') return zoneAccounts[target];
+    return product.targets === 'coreAccounts' ? target.accountId : target;
+  };
+
+  // Runs a registry product's fetcher for each of its targets → { product, cfg, results }
+  const fetchProduct = async (product, targets, context) => {
+    const cfg = getProductConfig(config, product);
+    const fetcher = PRODUCT_FETCHERS[product.fetcher];
+    const zoneAccounts = product.targets === 'zones' ? await zoneAccountsPromise : {};
+    const results = await Promise.allSettled(targets.map(target => {
+      const accountId = getTargetAccount(product, target, zoneAccounts);
+      const scope = product.targets === 'zones' ? { zoneId: target } : { accountId };
+      return fetcher(getAccountToken(env, config, accountId), target, cfg, env, context).then(
+        data => ({ ...scope, data }),
+        error => { recordFetchError(product.id, scope, error); throw error; }
+      );
+    }));
+    return { product, cfg, results };
+  };
+  const getProductTargets = (product, coreAccounts) => {
+    const cfg = getProductConfig(config, product);
+    if (!cfg.enabled) return [];
+    if (product.targets === 'accounts') return accountIds;
+    if (product.targets === 'coreAccounts') return coreAccounts;
+    if (product.targets === 'zones') return cfg.zones || [];
+    return cfg.accountIds || [];
+  };
+  const fetchedProducts = PRODUCTS.filter(product => product.fetcher);
 
-  if (config?.applicationServices?.botManagement?.enabled && accountIds.length > 0) {
-    const c = config.applicationServices.botManagement;
-    independentPromises.push(Promise.allSettled(accountIds.map(id => fetchBotManagementForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'botManagement', cfg: c, results })));
-  }
-  const ztIds = config?.zeroTrust?.seats?.accountIds || []; if (config?.zeroTrust?.seats?.enabled && ztIds.length > 0) { const c = config.zeroTrust.seats; independentPromises.push(Promise.allSettled(ztIds.map(id => fetchZeroTrustSeatsForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'zeroTrustSeats', cfg: c, results }))); }
-  const wpIds = config?.developerServices?.workersPages?.accountIds || []; if (config?.developerServices?.workersPages?.enabled && wpIds.length > 0) { const c = config.developerServices.workersPages; independentPromises.push(Promise.allSettled(wpIds.map(id => fetchWorkersPagesForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'workersPages', cfg: c, results }))); }
-  const r2Ids = config?.developerServices?.r2Storage?.accountIds || []; if (config?.developerServices?.r2Storage?.enabled && r2Ids.length > 0) { const c = config.developerServices.r2Storage; independentPromises.push(Promise.allSettled(r2Ids.map(id => fetchR2StorageForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'r2Storage', cfg: c, results }))); }
-  const d1Ids = config?.developerServices?.d1?.accountIds || []; if (config?.developerServices?.d1?.enabled && d1Ids.length > 0) { const c = config.developerServices.d1; independentPromises.push(Promise.allSettled(d1Ids.map(id => fetchD1ForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'd1', cfg: c, results }))); }
-  const kvIds = config?.developerServices?.kv?.accountIds || []; if (config?.developerServices?.kv?.enabled && kvIds.length > 0) { const c = config.developerServices.kv; independentPromises.push(Promise.allSettled(kvIds.map(id => fetchKVForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'kv', cfg: c, results }))); }
-  const streamIds = config?.developerServices?.stream?.accountIds || []; if (config?.developerServices?.stream?.enabled && streamIds.length > 0) { const c = config.developerServices.stream; independentPromises.push(Promise.allSettled(streamIds.map(id => fetchStreamForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'stream', cfg: c, results }))); }
-  const imgIds = config?.developerServices?.images?.accountIds || []; if (config?.developerServices?.images?.enabled && imgIds.length > 0) { const c = config.developerServices.images; independentPromises.push(Promise.allSettled(imgIds.map(id => fetchImagesForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'images', cfg: c, results }))); }
-  const waiIds = config?.developerServices?.workersAI?.accountIds || []; if (config?.developerServices?.workersAI?.enabled && waiIds.length > 0) { const c = config.developerServices.workersAI; independentPromises.push(Promise.allSettled(waiIds.map(id => fetchWorkersAIForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'workersAI', cfg: c, results }))); }
-  const qIds = config?.developerServices?.queues?.accountIds || []; if (config?.developerServices?.queues?.enabled && qIds.length > 0) { const c = config.developerServices.queues; independentPromises.push(Promise.allSettled(qIds.map(id => fetchQueuesForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'queues', cfg: c, results }))); }
-  const wltIds = config?.developerServices?.workersLogsTraces?.accountIds || []; if (config?.developerServices?.workersLogsTraces?.enabled && wltIds.length > 0) { const c = config.developerServices.workersLogsTraces; independentPromises.push(Promise.allSettled(wltIds.map(id => fetchWorkersLogsTracesForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'workersLogsTraces', cfg: c, results }))); }
-  const specZones = config?.networkServices?.spectrum?.zones || []; if (config?.networkServices?.spectrum?.enabled && specZones.length > 0) { const c = config.networkServices.spectrum; independentPromises.push(Promise.allSettled(specZones.map(zoneId => fetchSpectrumForZone(apiKey, zoneId, c, env).then(data => ({ zoneId, data })))).then(results => ({ key: 'spectrum', cfg: c, results }))); }
-  const lbIds = config?.applicationServices?.loadBalancing?.accountIds || []; if (config?.applicationServices?.loadBalancing?.enabled && lbIds.length > 0) { const c = config.applicationServices.loadBalancing; independentPromises.push(Promise.allSettled(lbIds.map(id => fetchLoadBalancingForAccount(apiKey, id, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'loadBalancing', cfg: c, results }))); }
-  const chIds = config?.applicationServices?.customHostnames?.accountIds || []; if (config?.applicationServices?.customHostnames?.enabled && chIds.length > 0) { const c = config.applicationServices.customHostnames; independentPromises.push(Promise.allSettled(chIds.map(id => fetchCustomHostnamesForAccount(apiKey, id, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'customHostnames', cfg: c, results }))); }
-  const leIds = config?.applicationServices?.logExplorer?.accountIds || []; if (config?.applicationServices?.logExplorer?.enabled && leIds.length > 0) { const c = config.applicationServices.logExplorer; independentPromises.push(Promise.allSettled(leIds.map(id => fetchLogExplorerForAccount(apiKey, id, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'logExplorer', cfg: c, results }))); }
-  const doIds = config?.developerServices?.durableObjects?.accountIds || []; if (config?.developerServices?.durableObjects?.enabled && doIds.length > 0) { const c = config.developerServices.durableObjects; independentPromises.push(Promise.allSettled(doIds.map(id => fetchDurableObjectsForAccount(apiKey, id, c, env).then(data => ({ accountId: id, data })))).then(results => ({ key: 'durableObjects', cfg: c, results }))); }
-  const mtIds = config?.networkServices?.magicTransit?.accountIds || []; if (config?.networkServices?.magicTransit?.enabled && mtIds.length > 0) { const c = config.networkServices.magicTransit; independentPromises.push(Promise.allSettled(mtIds.map(id => fetchMagicBandwidthForAccount(apiKey, id, c, env, 'magicTransit').then(data => ({ accountId: id, data })))).then(results => ({ key: 'magicTransit', cfg: c, results }))); }
-  const mwIds = config?.networkServices?.magicWan?.accountIds || []; if (config?.networkServices?.magicWan?.enabled && mwIds.length > 0) { const c = config.networkServices.magicWan; independentPromises.push(Promise.allSettled(mwIds.map(id => fetchMagicBandwidthForAccount(apiKey, id, c, env, 'magicWan').then(data => ({ accountId: id, data })))).then(results => ({ key: 'magicWan', cfg: c, results }))); }
+  const independentPromises = [];
+  fetchedProducts.filter(product => !product.afterCore && product.targets !== 'coreAccounts').forEach(product => {
+    const targets = getProductTargets(product);
+    if (targets.length > 0) independentPromises.push(fetchProduct(product, targets));
+  });
 
   console.log(`🚀 [Independent] Started ${independentPromises.length} independent product fetches`);
 
@@ -475,12 +894,16 @@ async function fetchAllMetrics(apiKey, accountIds, config, env) {
     console.log('📊 [Core] Fetching App Services Core metrics + zones...');
     const accountFetches = await Promise.allSettled(
       accountIds.map(async accountId => {
-        const [metrics, accountName, zones] = await Promise.all([
-          fetchAccountMetrics(apiKey, accountId, env),
+        const apiKey = getAccountToken(env, config, accountId);
+        const [metrics, accountName, zoneInventory] = await Promise.all([
+          fetchAccountMetrics(apiKey, accountId, env).catch(error => { recordFetchError('core', { accountId }, error); throw error; }),
           fetchAccountName(apiKey, accountId),
-          fetchEnterpriseZones(apiKey, accountId),
+          fetchEnterpriseZoneInventory(apiKey, accountId, env).then(inventory => {
+            if (inventory.failedPages > 0) recordFetchError('enterpriseZones', { accountId }, getIncompleteZoneListError(inventory.failedPages));
+            return inventory;
+          }).catch(error => { recordFetchError('enterpriseZones', { accountId }, error); return { zones: [], failedPages: null }; }),
         ]);
-        return { accountId, metrics, accountName, zones: zones || [] };
+        return { accountId, metrics, accountName, zones: zoneInventory.zones, zonesComplete: zoneInventory.failedPages === 0 };
       })
     );
     const successfulFetches = accountFetches.filter(r => r.status === 'fulfilled').map(r => r.value);
@@ -499,9 +922,14 @@ async function fetchAllMetrics(apiKey, accountIds, config, env) {
     });
     const zc = allZones.length;
     const zoneMonthKey = `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}`;
-    try {
-      await env.CONFIG_KV.put(`monthly-zone-count:${zoneMonthKey}`, JSON.stringify({ count: zc, timestamp: new Date().toISOString() }), { expirationTtl: 31536000 });
-    } catch (e) { console.error('Failed to store zone count snapshot:', e); }
+    // An account missing or with an incomplete zone list would store an undercount for the month
+    if (successfulFetches.length === accountIds.length && successfulFetches.every(f => f.zonesComplete)) {
+      try {
+        await getHistory(env).put({ sku: 'enterpriseZones' }, zoneMonthKey, { count: zc });
+      } catch (e) { console.error('Failed to store zone count snapshot:', e); }
+    } else {
+      console.warn('⚠️ Zone list incomplete - zone count snapshot not stored');
+    }
     const zonesTimeSeries = await getHistoricalZoneCountData(env, zc);
     const zd = { zones: allZones.map(z => ({ id: z.id, name: z.name, account: z.account })), accounts: accountNames, enterprise: zc, zonesTimeSeries };
     timings.core = Date.now() - coreStart;
@@ -516,19 +944,12 @@ async function fetchAllMetrics(apiKey, accountIds, config, env) {
   zonesCount = coreResult.zonesCount;
 
   const dependentPromises = [];
-  if (successfulMetrics.length > 0) {
-    if (config?.applicationServices?.apiShield?.enabled) { const c = config.applicationServices.apiShield; dependentPromises.push(Promise.allSettled(successfulMetrics.map(a => calculateZoneBasedAddonForAccount(a, c, env, 'api-shield').then(d => ({ accountId: a.accountId, data: d })))).then(results => ({ key: 'apiShield', cfg: c, results }))); }
-    if (config?.applicationServices?.pageShield?.enabled) { const c = config.applicationServices.pageShield; dependentPromises.push(Promise.allSettled(successfulMetrics.map(a => calculateZoneBasedAddonForAccount(a, c, env, 'page-shield').then(d => ({ accountId: a.accountId, data: d })))).then(results => ({ key: 'pageShield', cfg: c, results }))); }
-    if (config?.applicationServices?.advancedRateLimiting?.enabled) { const c = config.applicationServices.advancedRateLimiting; dependentPromises.push(Promise.allSettled(successfulMetrics.map(a => calculateZoneBasedAddonForAccount(a, c, env, 'advanced-rate-limiting').then(d => ({ accountId: a.accountId, data: d })))).then(results => ({ key: 'advancedRateLimiting', cfg: c, results }))); }
-    if (config?.applicationServices?.argo?.enabled) { const c = config.applicationServices.argo; dependentPromises.push(Promise.allSettled(successfulMetrics.map(a => calculateArgoForAccount(a, c, env).then(d => ({ accountId: a.accountId, data: d })))).then(results => ({ key: 'argo', cfg: c, results }))); }
-  }
-  const crZones = config?.applicationServices?.cacheReserve?.zones || [];
-  if (config?.applicationServices?.cacheReserve?.enabled && crZones.length > 0) {
-    const c = config.applicationServices.cacheReserve;
-    const znMap = {};
-    successfulMetrics.forEach(a => (a.zoneBreakdown?.zones || []).forEach(z => { if (z.zoneTag && z.zoneName) znMap[z.zoneTag] = z.zoneName; }));
-    dependentPromises.push(Promise.allSettled(crZones.map(zoneId => fetchCacheReserveForZone(apiKey, zoneId, znMap[zoneId] || zoneId, env))).then(results => ({ key: 'cacheReserve', cfg: c, results })));
-  }
+  const zoneNames = {};
+  successfulMetrics.forEach(a => (a.zoneBreakdown?.zones || []).forEach(z => { if (z.zoneTag && z.zoneName) zoneNames[z.zoneTag] = z.zoneName; }));
+  fetchedProducts.filter(product => product.afterCore || product.targets === 'coreAccounts').forEach(product => {
+    const targets = getProductTargets(product, successfulMetrics);
+    if (targets.length > 0) dependentPromises.push(fetchProduct(product, targets, { zoneNames }));
+  });
 
   console.log(`🔗 [Dependent] Started ${dependentPromises.length} dependent product fetches`);
   const [independentResults, dependentResults] = await Promise.all([
@@ -538,106 +959,33 @@ async function fetchAllMetrics(apiKey, accountIds, config, env) {
   const wave2Results = [...independentResults, ...dependentResults];
   timings.total = Date.now() - overallStart;
   console.log(`⏱️ Total: ${timings.total}ms (independent: ${independentPromises.length}, dependent: ${dependentPromises.length})`);
-  let botManagementData = null, apiShieldData = null, pageShieldData = null;
-  let advancedRateLimitingData = null, argoData = null, zeroTrustSeatsData = null;
-  let workersPagesData = null, r2StorageData = null, d1Data = null, kvData = null;
-  let streamData = null, imagesData = null, workersAIData = null, queuesData = null;
-  let workersLogsTracesData = null, spectrumData = null, cacheReserveData = null;
-  let loadBalancingData = null, customHostnamesData = null, logExplorerData = null;
-  let durableObjectsData = null, magicTransitData = null, magicWanData = null;
-
+  const productMetrics = {};
   for (const settled of wave2Results) {
     if (settled.status !== 'fulfilled') continue;
-    const { key, cfg, results } = settled.value;
+    const { product, cfg, results } = settled.value;
     const ok = results.filter(r => r.status === 'fulfilled' && r.value?.data).map(r => r.value);
-    if (key !== 'cacheReserve' && key !== 'spectrum' && ok.length === 0) continue;
-    const pad = (e, f) => e.data.current[f] || 0;
-    const padP = (e, f) => e.data.previous[f] || 0;
-    const sumC = (f) => ok.reduce((s, e) => s + pad(e, f), 0);
-    const sumP = (f) => ok.reduce((s, e) => s + padP(e, f), 0);
-    const ts = (fields) => mergeTS(ok.flatMap(e => e.data.timeSeries || []), fields);
-    const pad2 = (e) => ({ accountId: e.accountId, current: e.data.current, previous: e.data.previous, timeSeries: e.data.timeSeries });
-    if (key === 'botManagement') {
-      botManagementData = { enabled: true, threshold: cfg.threshold, current: { likelyHuman: sumC('likelyHuman'), botTraffic: sumC('botTraffic'), totalTraffic: sumC('totalTraffic'), zones: ok.flatMap(e => e.data.current.zones || []), confidence: ok.find(e => e.data.current?.confidence)?.data.current.confidence || null }, previous: { likelyHuman: sumP('likelyHuman'), zones: ok.flatMap(e => e.data.previous.zones || []) }, timeSeries: ts(['likelyHuman']), perAccountData: ok.map(pad2) };
-    } else if (key === 'apiShield' || key === 'pageShield' || key === 'advancedRateLimiting') {
-      const out = { enabled: true, threshold: cfg.threshold, current: { requests: sumC('requests'), zones: ok.flatMap(e => e.data.current.zones), confidence: ok.find(e => e.data.current?.confidence)?.data.current.confidence || null }, previous: { requests: sumP('requests'), zones: ok.flatMap(e => e.data.previous.zones) }, timeSeries: ts(['requests']), perAccountData: ok.map(pad2) };
-      if (key === 'apiShield') apiShieldData = out; else if (key === 'pageShield') pageShieldData = out; else advancedRateLimitingData = out;
-    } else if (key === 'argo') {
-      argoData = { enabled: true, threshold: cfg.threshold, current: { bytes: sumC('bytes'), zones: ok.flatMap(e => e.data.current.zones), confidence: ok.find(e => e.data.current?.confidence)?.data.current.confidence || null }, previous: { bytes: sumP('bytes'), zones: ok.flatMap(e => e.data.previous.zones) }, timeSeries: ts(['bytes']), perAccountData: ok.map(pad2) };
-    } else if (key === 'zeroTrustSeats') {
-      zeroTrustSeatsData = { enabled: true, threshold: cfg.threshold, current: { seats: sumC('seats') }, previous: { seats: sumP('seats') }, timeSeries: ts(['seats']), perAccountData: ok.map(pad2) };
-    } else if (key === 'workersPages') {
-      const ca = ok.reduce((a, e) => { const c = e.data.current.confidence; if (c) { a.estimate += c.estimate||0; a.lower += c.lower||0; a.upper += c.upper||0; a.sampleSize += c.sampleSize||0; a.hasData = true; } return a; }, { estimate:0, lower:0, upper:0, sampleSize:0, hasData:false });
-      let wpc = null;
-      if (ca.hasData && ca.estimate > 0) { const rw = (ca.upper-ca.lower)/(2*ca.estimate); wpc = { percent: Math.round(Math.max(0,Math.min(100,100*(1-rw)))*10)/10, sampleSize: ca.sampleSize, estimate: ca.estimate, lower: ca.lower, upper: ca.upper }; }
-      workersPagesData = { enabled: true, requestsThreshold: cfg.requestsThreshold, cpuTimeThreshold: cfg.cpuTimeThreshold, current: { requests: sumC('requests'), cpuTimeMs: sumC('cpuTimeMs'), confidence: wpc }, previous: { requests: sumP('requests'), cpuTimeMs: sumP('cpuTimeMs') }, timeSeries: ts(['requests','cpuTimeMs']), perAccountData: ok.map(pad2) };
-    } else if (key === 'r2Storage') {
-      r2StorageData = { enabled: true, classAOpsThreshold: cfg.classAOpsThreshold, classBOpsThreshold: cfg.classBOpsThreshold, storageThreshold: cfg.storageThreshold, current: { classAOps: ok.reduce((s,e)=>s+(e.data.current?.classAOps||0),0), classBOps: ok.reduce((s,e)=>s+(e.data.current?.classBOps||0),0), storageGB: ok.reduce((s,e)=>s+(e.data.current?.storageGB||0),0) }, previous: { classAOps: ok.reduce((s,e)=>s+(e.data.previous?.classAOps||0),0), classBOps: ok.reduce((s,e)=>s+(e.data.previous?.classBOps||0),0), storageGB: ok.reduce((s,e)=>s+(e.data.previous?.storageGB||0),0) }, timeSeries: ts(['classAOps','classBOps','storageGB']), perAccountData: ok.map(pad2) };
-    } else if (key === 'd1') {
-      d1Data = { enabled: true, rowsReadThreshold: cfg.rowsReadThreshold, rowsWrittenThreshold: cfg.rowsWrittenThreshold, storageThreshold: cfg.storageThreshold, current: { rowsRead: ok.reduce((s,e)=>s+(e.data.current?.rowsRead||0),0), rowsWritten: ok.reduce((s,e)=>s+(e.data.current?.rowsWritten||0),0), storageMB: ok.reduce((s,e)=>s+(e.data.current?.storageMB||0),0) }, previous: { rowsRead: ok.reduce((s,e)=>s+(e.data.previous?.rowsRead||0),0), rowsWritten: ok.reduce((s,e)=>s+(e.data.previous?.rowsWritten||0),0), storageMB: ok.reduce((s,e)=>s+(e.data.previous?.storageMB||0),0) }, timeSeries: ts(['rowsRead','rowsWritten','storageMB']), perAccountData: ok.map(pad2) };
-    } else if (key === 'kv') {
-      kvData = { enabled: true, readsThreshold: cfg.readsThreshold, writesThreshold: cfg.writesThreshold, deletesThreshold: cfg.deletesThreshold, listsThreshold: cfg.listsThreshold, storageThreshold: cfg.storageThreshold, current: { reads: sumC('reads'), writes: sumC('writes'), deletes: sumC('deletes'), lists: sumC('lists'), storageMB: sumC('storageMB') }, previous: { reads: sumP('reads'), writes: sumP('writes'), deletes: sumP('deletes'), lists: sumP('lists'), storageMB: sumP('storageMB') }, timeSeries: ts(['reads','writes','deletes','lists','storageMB']), perAccountData: ok.map(pad2) };
-    } else if (key === 'stream') {
-      streamData = { enabled: true, minutesStoredThreshold: cfg.minutesStoredThreshold, minutesDeliveredThreshold: cfg.minutesDeliveredThreshold, current: { minutesStored: sumC('minutesStored'), minutesDelivered: sumC('minutesDelivered') }, previous: { minutesStored: sumP('minutesStored'), minutesDelivered: sumP('minutesDelivered') }, timeSeries: ts(['minutesStored','minutesDelivered']), perAccountData: ok.map(pad2) };
-    } else if (key === 'images') {
-      imagesData = { enabled: true, imagesStoredThreshold: cfg.imagesStoredThreshold, imagesDeliveredThreshold: cfg.imagesDeliveredThreshold, current: { imagesStored: sumC('imagesStored'), imagesDelivered: sumC('imagesDelivered') }, previous: { imagesStored: sumP('imagesStored'), imagesDelivered: sumP('imagesDelivered') }, timeSeries: ts(['imagesStored','imagesDelivered']), perAccountData: ok.map(pad2) };
-    } else if (key === 'workersAI') {
-      workersAIData = { enabled: true, neuronsThreshold: cfg.neuronsThreshold, current: { neurons: sumC('neurons') }, previous: { neurons: sumP('neurons') }, timeSeries: ts(['neurons']), perAccountData: ok.map(pad2) };
-    } else if (key === 'queues') {
-      queuesData = { enabled: true, operationsThreshold: cfg.operationsThreshold, current: { operations: sumC('operations') }, previous: { operations: sumP('operations') }, timeSeries: ts(['operations']), perAccountData: ok.map(pad2) };
-    } else if (key === 'workersLogsTraces') {
-      workersLogsTracesData = { enabled: true, eventsThreshold: cfg.eventsThreshold, current: { events: sumC('events') }, previous: { events: sumP('events') }, timeSeries: ts(['events']), perAccountData: ok.map(pad2) };
-    } else if (key === 'spectrum') {
-      const sp = results.filter(r => r.status === 'fulfilled' && r.value?.data).map(r => r.value);
-      if (sp.length > 0) spectrumData = { enabled: true, dataTransferThreshold: cfg.dataTransferThreshold, connectionsThreshold: cfg.connectionsThreshold, current: { dataTransfer: sp.reduce((s,e)=>s+(e.data.current.dataTransfer||0),0), p95Concurrent: Math.max(...sp.map(e=>e.data.current.p95Concurrent||0)) }, previous: { dataTransfer: sp.reduce((s,e)=>s+(e.data.previous.dataTransfer||0),0), p95Concurrent: Math.max(...sp.map(e=>e.data.previous.p95Concurrent||0)) }, timeSeries: mergeTS(sp.flatMap(e=>e.data.timeSeries||[]),['dataTransfer']), perZoneData: sp.map(e=>({ zoneId: e.zoneId, current: e.data.current, previous: e.data.previous, timeSeries: e.data.timeSeries })) };
-    } else if (key === 'cacheReserve') {
-      const cr = results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value);
-      if (cr.length > 0) cacheReserveData = { enabled: true, storageThreshold: cfg.storageThreshold, classAOpsThreshold: cfg.classAOpsThreshold, classBOpsThreshold: cfg.classBOpsThreshold, current: { storageGBDays: cr.reduce((s,e)=>s+(e.current.storageGBDays||0),0), classAOps: cr.reduce((s,e)=>s+(e.current.classAOps||0),0), classBOps: cr.reduce((s,e)=>s+(e.current.classBOps||0),0), zones: cr.map(e=>({ zoneId:e.zoneId, zoneName:e.zoneName, storageGBDays:e.current.storageGBDays, classAOps:e.current.classAOps, classBOps:e.current.classBOps })) }, previous: { storageGBDays: cr.reduce((s,e)=>s+(e.previous.storageGBDays||0),0), classAOps: cr.reduce((s,e)=>s+(e.previous.classAOps||0),0), classBOps: cr.reduce((s,e)=>s+(e.previous.classBOps||0),0), zones: cr.map(e=>({ zoneId:e.zoneId, zoneName:e.zoneName, storageGBDays:e.previous.storageGBDays, classAOps:e.previous.classAOps, classBOps:e.previous.classBOps })) }, timeSeries: mergeTS(cr.flatMap(e=>e.timeSeries||[]),['storageGBDays','classAOps','classBOps']), perZoneData: cr.map(e=>({ zoneId:e.zoneId, zoneName:e.zoneName, current:e.current, previous:e.previous, timeSeries:e.timeSeries })) };
-    } else if (key === 'loadBalancing') {
-      loadBalancingData = { enabled: true, threshold: cfg.threshold, current: { endpoints: ok.reduce((s,e)=>s+e.data.current.endpoints,0) }, previous: { endpoints: ok.reduce((s,e)=>s+e.data.previous.endpoints,0) }, timeSeries: ts(['endpoints']), perAccountData: ok.map(pad2) };
-    } else if (key === 'customHostnames') {
-      customHostnamesData = { enabled: true, threshold: cfg.threshold, current: { hostnames: ok.reduce((s,e)=>s+e.data.current.hostnames,0) }, previous: { hostnames: ok.reduce((s,e)=>s+e.data.previous.hostnames,0) }, timeSeries: ts(['hostnames']), perAccountData: ok.map(pad2) };
-    } else if (key === 'logExplorer') {
-      logExplorerData = { enabled: true, threshold: cfg.threshold, current: { billableGB: ok.reduce((s,e)=>s+e.data.current.billableGB,0) }, previous: { billableGB: ok.reduce((s,e)=>s+e.data.previous.billableGB,0) }, timeSeries: ts(['billableGB']), perAccountData: ok.map(pad2) };
-    } else if (key === 'durableObjects') {
-      const sf = (f) => ok.reduce((s,e)=>s+(e.data.current[f]||0),0);
-      const spf = (f) => ok.reduce((s,e)=>s+(e.data.previous[f]||0),0);
-      durableObjectsData = { enabled: true, requestsThreshold: cfg.requestsThreshold, durationThreshold: cfg.durationThreshold, sqliteRowsReadThreshold: cfg.sqliteRowsReadThreshold, sqliteRowsWrittenThreshold: cfg.sqliteRowsWrittenThreshold, kvReadUnitsThreshold: cfg.kvReadUnitsThreshold, kvWriteUnitsThreshold: cfg.kvWriteUnitsThreshold, kvDeletesThreshold: cfg.kvDeletesThreshold, storageThreshold: cfg.storageThreshold, current: { requests:sf('requests'), durationGBs:sf('durationGBs'), sqliteRowsRead:sf('sqliteRowsRead'), sqliteRowsWritten:sf('sqliteRowsWritten'), kvReadUnits:sf('kvReadUnits'), kvWriteUnits:sf('kvWriteUnits'), kvDeletes:sf('kvDeletes'), storageMB:sf('storageMB') }, previous: { requests:spf('requests'), durationGBs:spf('durationGBs'), sqliteRowsRead:spf('sqliteRowsRead'), sqliteRowsWritten:spf('sqliteRowsWritten'), kvReadUnits:spf('kvReadUnits'), kvWriteUnits:spf('kvWriteUnits'), kvDeletes:spf('kvDeletes'), storageMB:spf('storageMB') }, timeSeries: ts(['requests','durationGBs','sqliteRowsRead','sqliteRowsWritten','kvReadUnits','kvWriteUnits','kvDeletes','storageMB']), perAccountData: ok.map(pad2) };
-    } else if (key === 'magicTransit' || key === 'magicWan') {
-      const sd = { enabled: true, threshold: cfg.threshold, current: { p95Mbps: ok.reduce((s,e)=>s+(e.data.current?.p95Mbps||0),0), ingressP95Mbps: ok.reduce((s,e)=>s+(e.data.current?.ingressP95Mbps||0),0), egressP95Mbps: ok.reduce((s,e)=>s+(e.data.current?.egressP95Mbps||0),0) }, previous: { p95Mbps: ok.reduce((s,e)=>s+(e.data.previous?.p95Mbps||0),0), ingressP95Mbps: ok.reduce((s,e)=>s+(e.data.previous?.ingressP95Mbps||0),0), egressP95Mbps: ok.reduce((s,e)=>s+(e.data.previous?.egressP95Mbps||0),0) }, timeSeries: ts(['p95Mbps','ingressP95Mbps','egressP95Mbps']), perAccountData: ok.map(pad2) };
-      if (key === 'magicTransit') magicTransitData = sd; else magicWanData = sd;
-    }
+    if (ok.length > 0) productMetrics[product.metricsKey] = aggregateProductMetrics(product, cfg, ok);
   }
 
-  return {
+  const result = {
     timings,
     ...(coreMetrics || {}),
     zonesCount,
     ...(zonesData && { zones: zonesData }),
-    ...(botManagementData && { botManagement: botManagementData }),
-    ...(apiShieldData && { apiShield: apiShieldData }),
-    ...(pageShieldData && { pageShield: pageShieldData }),
-    ...(advancedRateLimitingData && { advancedRateLimiting: advancedRateLimitingData }),
-    ...(argoData && { argo: argoData }),
-    ...(cacheReserveData && { cacheReserve: cacheReserveData }),
-    ...(loadBalancingData && { loadBalancing: loadBalancingData }),
-    ...(customHostnamesData && { customHostnames: customHostnamesData }),
-    ...(logExplorerData && { logExplorer: logExplorerData }),
-    ...(zeroTrustSeatsData && { zeroTrustSeats: zeroTrustSeatsData }),
-    ...(workersPagesData && { workersPages: workersPagesData }),
-    ...(r2StorageData && { r2Storage: r2StorageData }),
-    ...(d1Data && { d1: d1Data }),
-    ...(kvData && { kv: kvData }),
-    ...(streamData && { stream: streamData }),
-    ...(imagesData && { images: imagesData }),
-    ...(workersAIData && { workersAI: workersAIData }),
-    ...(queuesData && { queues: queuesData }),
-    ...(workersLogsTracesData && { workersLogsTraces: workersLogsTracesData }),
-    ...(spectrumData && { spectrum: spectrumData }),
-    ...(durableObjectsData && { durableObjects: durableObjectsData }),
-    ...(magicTransitData && { magicTransit: magicTransitData }),
-    ...(magicWanData && { magicWan: magicWanData }),
+    ...productMetrics,
+    ...(Object.keys(fetchErrors).length > 0 && { fetchErrors }),
   };
+
+  const contractPeriod = getContractPeriod(config?.contract);
+  if (contractPeriod) {
+    result.contract = contractPeriod;
+    if (result.timeSeries) result.contractToDate = sumContractToDate(result.timeSeries, POOLED_FIELDS.core, contractPeriod);
+    Object.entries(POOLED_FIELDS).forEach(([key, fields]) => {
+      if (key !== 'core' && result[key]?.timeSeries) result[key].contractToDate = sumContractToDate(result[key].timeSeries, fields, contractPeriod);
+    });
+  }
+
+  return result;
 }
 
 /**
@@ -666,76 +1014,544 @@ async function getCacheStatus(request, env, corsHeaders) {
 }
 
 /**
- * Fetch account name from Cloudflare API
+ * Project end-of-month (or end-of-contract) totals for every cumulative SKU
+ * Uses the pre-warmed cache so it never triggers a full Cloudflare API fetch
  */
-async function fetchAccountName(apiKey, accountId) {
-  try {
-    const response = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${accountId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-    
-    const data = await response.json();
-    if (response.ok && data.result?.name) {
-      return data.result.name;
-    }
-    return null;
-  } catch (error) {
-    return null;
+async function getForecast(request, env, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const config = (await getStoredConfig(env, body.userId)) || {};
+  const requestedIds = parseAccountIds(body);
+  const accountIds = requestedIds.length > 0 ? requestedIds : parseAccountIds(config);
+
+  if (accountIds.length === 0) {
+    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const cachedData = await env.CONFIG_KV.get(`${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`, 'json');
+  if (!cachedData?.data) {
+    return new Response(JSON.stringify({ error: 'No cached metrics available yet. Refresh the dashboard to warm the cache.' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const m = cachedData.data;
+  const contractPeriod = getContractPeriod(config.contract);
+  const skuMetrics = buildSkuMetricsFromMetrics(m, config);
+  const forecasts = forecastSkus(skuMetrics, key => (key === 'core' ? m.timeSeries : m[key]?.timeSeries), contractPeriod);
+
+  return new Response(
+    JSON.stringify({
+      forecasts,
+      contract: contractPeriod,
+      projectedBreaches: forecasts.filter(f => f.willBreach).map(f => f.key),
+      cacheAge: Date.now() - cachedData.timestamp,
+      generatedAt: new Date().toISOString(),
+    }),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  );
+}
+
+/**
+ * Spikes and drops in yesterday's usage per cumulative SKU, from the daily snapshots the pre-warm records
+ * Body: { accountIds? } - defaults to the configured accounts
+ */
+async function getAnomalies(request, env, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const config = (await getStoredConfig(env, body.userId)) || {};
+  const requestedIds = parseAccountIds(body);
+  const accountIds = requestedIds.length > 0 ? requestedIds : parseAccountIds(config);
+
+  if (accountIds.length === 0) {
+    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
   }
+
+  const history = (await env.CONFIG_KV.get(`${DAILY_USAGE_PREFIX}:${accountIds.join(',')}`, 'json')) || {};
+  return new Response(
+    JSON.stringify({ anomalies: detectAnomalies(history), days: Object.keys(history).length, generatedAt: new Date().toISOString() }),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  );
 }
 
 /**
- * Fetch metrics for a single account
- * Returns structured data for aggregation
+ * Export usage as CSV or XLSX (one row per SKU, optional per-zone and per-month sheets)
+ * Body: { format: 'csv' | 'xlsx', accountId?, includeZones?, includeMonths?, sheet? }
+ * CSV holds a single sheet ('skus' by default); XLSX holds every requested sheet.
+ * Reads the pre-warmed cache and falls back to a live fetch when it is missing.
  */
-async function fetchAccountMetrics(apiKey, accountId, env) {
-  // Fetch account name
-  const accountName = await fetchAccountName(apiKey, accountId);
-  
-  // Calculate date ranges first (needed for cache keys)
-  const now = new Date();
-  const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth() + 1;
-  const currentDay = now.getDate();
-  const currentHour = now.getHours();
-  
-  // Try to get cached current month data (10 min TTL with hour-based key)
-  const CACHE_VERSION = 2; // Increment this when data structure changes
-  const currentMonthCacheKey = `current-month:${accountId}:${currentYear}-${String(currentMonth).padStart(2, '0')}-${String(currentDay).padStart(2, '0')}-${String(Math.floor(currentHour / 1) * 1).padStart(2, '0')}`;
-  const cachedCurrentMonth = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
-  
-  // Check if we have a recent cache (within 10 minutes) and correct version
-  if (cachedCurrentMonth && cachedCurrentMonth.cachedAt && cachedCurrentMonth.version === CACHE_VERSION) {
-    const cacheAge = Date.now() - cachedCurrentMonth.cachedAt;
-    if (cacheAge < 10 * 60 * 1000) { // 10 minutes
-      console.log(`Using cached current month data for account ${accountId} (age: ${Math.floor(cacheAge / 1000)}s)`);
-      return cachedCurrentMonth.data;
-    }
+async function exportUsage(request, env, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const format = body.format === 'xlsx' ? 'xlsx' : 'csv';
+  const config = (await getStoredConfig(env, body.userId)) || {};
+  const accountIds = parseAccountIds(config);
+
+  if (accountIds.length === 0) {
+    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
   }
-  
-  // Check cached zones list (1 hour TTL)
-  const zonesCacheKey = `zones:${accountId}`;
-  let enterpriseZones = await env.CONFIG_KV.get(zonesCacheKey, 'json');
-  
-  if (!enterpriseZones) {
-    // Fetch Enterprise zones to get their IDs
-    enterpriseZones = await fetchEnterpriseZones(apiKey, accountId);
-    
-    // Cache the zones list for 1 hour
-    if (enterpriseZones && enterpriseZones.length > 0) {
-      await env.CONFIG_KV.put(zonesCacheKey, JSON.stringify(enterpriseZones), { expirationTtl: 3600 });
+
+  if (body.accountId && !accountIds.includes(body.accountId)) {
+    return new Response(JSON.stringify({ error: `Account ${body.accountId} is not configured` }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const cacheKey = `${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`;
+  const cachedData = await env.CONFIG_KV.get(cacheKey, 'json');
+  let m = cachedData?.data;
+  if (!m) {
+    if (getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) {
+      return new Response(JSON.stringify({ error: 'No API token configured for these accounts. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN, or bind each account to a CLOUDFLARE_API_TOKEN_<NAME> secret in Settings.' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
     }
-  } else {
-    console.log(`Using cached zones list for account ${accountId}`);
+    m = await fetchAllMetrics(accountIds, config, env);
+    await env.CONFIG_KV.put(cacheKey, JSON.stringify({ timestamp: Date.now(), data: m }), { expirationTtl: 6 * 60 * 60 });
   }
-  
+
+  const accountNames = m.zones?.accounts || {};
+  const exportIds = body.accountId ? [body.accountId] : accountIds;
+  const metrics = body.accountId ? filterMetricsToAccount(m, body.accountId) : m;
+  const sheet = ['skus', 'zones', 'months'].includes(body.sheet) ? body.sheet : 'skus';
+  const sheets = buildExportSheets(metrics, buildSkuMetricsFromMetrics(metrics, config), {
+    accounts: exportIds.map(id => ({ id, name: accountNames[id] })),
+    includeZones: format === 'xlsx' ? !!body.includeZones : sheet === 'zones',
+    includeMonths: format === 'xlsx' ? !!body.includeMonths : sheet === 'months',
+  });
+
+  const now = new Date();
+  const stamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const filename = `usage-${body.accountId || 'all-accounts'}-${stamp}${format === 'csv' && sheet !== 'skus' ? `-${sheet}` : ''}.${format}`;
+  const headers = { ...corsHeaders, 'Content-Disposition': `attachment; filename="${filename}"`, 'Cache-Control': 'no-store' };
+
+  if (format === 'xlsx') {
+    return new Response(toXlsx(sheets), {
+      headers: { ...headers, 'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    });
+  }
+  return new Response(toCsv(sheets[sheets.length - 1]), {
+    headers: { ...headers, 'Content-Type': 'text/csv; charset=utf-8' },
+  });
+}
+
+/**
+ * OpenMetrics scrape of the pre-warmed cache (never triggers a Cloudflare API fetch)
+ * Disabled (404) until the METRICS_TOKEN secret is set; scrapes send `Authorization: Bearer <token>`.
+ */
+async function handleMetricsScrape(request, env) {
+  if (!env.METRICS_TOKEN) {
+    return new Response('Metrics endpoint disabled: set the METRICS_TOKEN secret to enable it\n', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+  }
+  if (request.headers.get('Authorization') !== `Bearer ${env.METRICS_TOKEN}`) {
+    return new Response('Unauthorized\n', { status: 401, headers: { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' } });
+  }
+
+  // Scrape a workspace other than the default with ?workspace=<id>
+  const workspace = await findWorkspace(env, getRequestWorkspaceId(request, new URL(request.url)));
+  if (!workspace) {
+    return new Response('Unknown workspace\n', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+  }
+  env = getWorkspaceEnv(env, workspace);
+
+  const config = (await getStoredConfig(env)) || {};
+  const accountIds = parseAccountIds(config);
+  const cachedData = accountIds.length > 0
+    ? await env.CONFIG_KV.get(`${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`, 'json')
+    : null;
+
+  if (!cachedData?.data) {
+    return new Response('No cached metrics available yet. Refresh the dashboard or wait for the next pre-warm.\n', {
+      status: 503,
+      headers: { 'Content-Type': 'text/plain', 'Retry-After': '300' },
+    });
+  }
+
+  const body = buildOpenMetrics(cachedData.data, buildSkuMetricsFromMetrics(cachedData.data, config), { cachedAt: cachedData.timestamp });
+  return new Response(body, {
+    headers: { 'Content-Type': 'application/openmetrics-text; version=1.0.0; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+/**
+ * Daily usage for the current month (one point per day, zero-filled up to today) of a registry
+ * product with `daily` fields. Products with their own account list use it; the others run over
+ * the dashboard accounts, filtered to the product's zones unless it is an App Services Core section.
+ * Body: { product, accountId? } - accountId narrows the series to a single account
+ */
+async function getDailyMetrics(request, env, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const product = getProduct(body.product);
+
+  if (!product?.daily) {
+    return new Response(JSON.stringify({ error: `Daily series not available for product: ${body.product}` }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const config = (await getStoredConfig(env, body.userId)) || {};
+  const productConfig = getProductConfig(config, product);
+  let accountIds = product.targets === 'configAccounts' ? productConfig.accountIds || [] : parseAccountIds(config);
+  if (body.accountId) {
+    accountIds = accountIds.filter(id => id === body.accountId);
+  }
+
+  if (accountIds.length > 0 && getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) {
+    return new Response(JSON.stringify({ error: 'No API token configured for these accounts. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN, or bind each account to a CLOUDFLARE_API_TOKEN_<NAME> secret in Settings.' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const now = new Date();
+  const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const cacheKey = `${DAILY_SERIES_CACHE_PREFIX}:${body.product}:${accountIds.join(',')}:${monthKey}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}`;
+  const cached = await env.CONFIG_KV.get(cacheKey, 'json');
+  if (cached) {
+    return new Response(JSON.stringify({ ...cached, cached: true }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const zoneIds = product.coreToggle || product.targets === 'configAccounts' ? null : productConfig.zones || [];
+  const results = await Promise.allSettled(
+    accountIds.map(accountId => fetchDailySeriesForAccount(getAccountToken(env, config, accountId), accountId, body.product, zoneIds, env))
+  );
+
+  // Zero-filled day buckets for the month so far, summed across accounts
+  const days = Array.from({ length: now.getDate() }, (_, i) => ({
+    date: `${monthKey}-${String(i + 1).padStart(2, '0')}`,
+    ...Object.fromEntries(product.daily.map(f => [f, 0])),
+  }));
+  const byDate = new Map(days.map(d => [d.date, d]));
+  const failedAccounts = [];
+
+  results.forEach((result, i) => {
+    if (result.status !== 'fulfilled') {
+      console.error(`Daily ${body.product} series failed for account ${accountIds[i]}:`, result.reason);
+      failedAccounts.push(accountIds[i]);
+      return;
+    }
+    Object.entries(result.value).forEach(([date, values]) => {
+      const day = byDate.get(date);
+      if (!day) return;
+      product.daily.forEach(f => { day[f] += values[f] || 0; });
+    });
+  });
+
+  const payload = { product: body.product, month: monthKey, fields: product.daily, accountIds, days, failedAccounts };
+
+  if (failedAccounts.length === 0) {
+    await env.CONFIG_KV.put(cacheKey, JSON.stringify(payload), { expirationTtl: 600 });
+  }
+
+  return new Response(JSON.stringify(payload), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Fetch one account's daily series for a product
+ * Returns { 'YYYY-MM-DD': { field: value } } for the current month
+ */
+async function fetchDailySeriesForAccount(apiKey, accountId, productKey, zoneIds, env) {
+  const now = new Date();
+  const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const dateStart = currentMonthStart.toISOString().split('T')[0];
+  const dateEnd = now.toISOString().split('T')[0];
+  const series = {};
+  const addTo = (date, field, value) => {
+    if (!date) return;
+    series[date] = series[date] || {};
+    series[date][field] = (series[date][field] || 0) + (value || 0);
+  };
+
+  switch (productKey) {
+    case 'core':
+    case 'apiShield':
+    case 'pageShield':
+    case 'advancedRateLimiting':
+    case 'argo': {
+      const enterpriseZones = await fetchEnterpriseZones(apiKey, accountId, env);
+      let zoneTags = enterpriseZones.map(z => z.id);
+      if (zoneIds) {
+        const configured = new Set(zoneIds);
+        zoneTags = zoneTags.filter(id => configured.has(id));
+      }
+      if (zoneTags.length === 0) return series;
+
+      const data = await cloudflareApi.graphql(apiKey, `
+        query GetDailyZoneTraffic($zoneIds: [String!]!, $filter: ZoneHttpRequestsAdaptiveGroupsFilter_InputObject) {
+          viewer {
+            zones(filter: {zoneTag_in: $zoneIds}) {
+              http: httpRequestsAdaptiveGroups(filter: $filter, limit: 10000) {
+                count
+                sum { edgeResponseBytes }
+                dimensions { date }
+              }
+            }
+          }
+        }
+      `, {
+        zoneIds: zoneTags,
+        filter: {
+          AND: [
+            { datetime_geq: currentMonthStart.toISOString() },
+            { datetime_leq: now.toISOString() },
+            ...BILLABLE_HTTP_FILTERS
+          ]
+        },
+      });
+
+      (data?.viewer?.zones || []).forEach(zone => {
+        (zone.http || []).forEach(entry => {
+          addTo(entry.dimensions?.date, 'requests', entry.count);
+          addTo(entry.dimensions?.date, 'bytes', entry.sum?.edgeResponseBytes);
+        });
+      });
+      return series;
+    }
+
+    case 'dns': {
+      const zoneTags = (await fetchEnterpriseZones(apiKey, accountId, env)).map(z => z.id);
+      if (zoneTags.length === 0) return series;
+
+      const data = await cloudflareApi.graphql(apiKey, `
+        query GetDailyDnsQueries($zoneIds: [String!]!, $filter: ZoneDnsAnalyticsAdaptiveGroupsFilter_InputObject) {
+          viewer {
+            zones(filter: {zoneTag_in: $zoneIds}) {
+              dnsAnalyticsAdaptiveGroups(filter: $filter, limit: 10000) { count dimensions { date } }
+            }
+          }
+        }
+      `, {
+        zoneIds: zoneTags,
+        filter: { AND: [{ datetime_geq: currentMonthStart.toISOString(), datetime_leq: now.toISOString() }] },
+      });
+
+      (data?.viewer?.zones || []).forEach(zone => {
+        (zone.dnsAnalyticsAdaptiveGroups || []).forEach(entry => addTo(entry.dimensions?.date, 'dnsQueries', entry.count));
+      });
+      return series;
+    }
+
+    case 'botManagement': {
+      const zoneTags = (await fetchEnterpriseZones(apiKey, accountId, env)).map(z => z.id).filter(id => zoneIds.includes(id));
+      if (zoneTags.length === 0) return series;
+
+      const data = await cloudflareApi.graphql(apiKey, `
+        query GetDailyLikelyHuman($zoneIds: [String!]!, $filter: ZoneHttpRequestsAdaptiveGroupsFilter_InputObject) {
+          viewer {
+            zones(filter: {zoneTag_in: $zoneIds}) {
+              httpRequestsAdaptiveGroups(filter: {AND: [{botManagementDecision_neq: "verified_bot"}, $filter]}, limit: 10000) {
+                count
+                dimensions { date }
+              }
+            }
+          }
+        }
+      `, { zoneIds: zoneTags, filter: getLikelyHumanFilter(currentMonthStart.toISOString(), now.toISOString()) });
+
+      (data?.viewer?.zones || []).forEach(zone => {
+        (zone.httpRequestsAdaptiveGroups || []).forEach(entry => addTo(entry.dimensions?.date, 'likelyHuman', entry.count));
+      });
+      return series;
+    }
+
+    case 'cacheReserve': {
+      const zoneTags = (await fetchEnterpriseZones(apiKey, accountId, env)).map(z => z.id).filter(id => zoneIds.includes(id));
+      // Each zone's operations are read from its own bucket, as the monthly fetcher does
+      await Promise.all(zoneTags.map(async zoneId => {
+        const bucketPrefix = await fetchCacheReserveBucketPrefix(apiKey, zoneId, dateStart, dateEnd);
+        if (!bucketPrefix) return;
+        const data = await cloudflareApi.graphql(apiKey, `
+          query GetDailyCacheReserveOps($zoneTag: string, $filter: ZoneCacheReserveOperationsAdaptiveGroupsFilter_InputObject) {
+            viewer {
+              zones(filter: {zoneTag: $zoneTag}) {
+                cacheReserveOperationsAdaptiveGroups(limit: 10000, filter: $filter) {
+                  sum { requests }
+                  dimensions { date operationClass }
+                }
+              }
+            }
+          }
+        `, {
+          zoneTag: zoneId,
+          filter: { date_geq: dateStart, date_leq: dateEnd, actionStatus_in: ['success', 'userError'], bucketName_like: bucketPrefix },
+        });
+        (data?.viewer?.zones?.[0]?.cacheReserveOperationsAdaptiveGroups || []).forEach(entry => {
+          const { classA, classB } = classifyCacheReserveOps([entry]);
+          addTo(entry.dimensions?.date, 'classAOps', classA);
+          addTo(entry.dimensions?.date, 'classBOps', classB);
+        });
+      }));
+      return series;
+    }
+
+    case 'workersPages': {
+      const data = await cloudflareApi.graphql(apiKey, `
+        query GetDailyWorkersPages($accountTag: string!, $filter: AccountWorkersInvocationsAdaptiveFilter_InputObject, $overviewFilter: AccountWorkersOverviewRequestsAdaptiveGroupsFilter_InputObject) {
+          viewer {
+            accounts(filter: {accountTag: $accountTag}) {
+              pages: pagesFunctionsInvocationsAdaptiveGroups(limit: 10000, filter: $filter) {
+                sum { requests }
+                dimensions { date }
+              }
+              workers: workersInvocationsAdaptive(limit: 10000, filter: $filter) {
+                sum { requests }
+                dimensions { date }
+              }
+              overview: workersOverviewRequestsAdaptiveGroups(limit: 10000, filter: $overviewFilter) {
+                sum { cpuTimeUs }
+                dimensions { date }
+              }
+            }
+          }
+        }
+      `, {
+        accountTag: accountId,
+        filter: { date_geq: dateStart, date_leq: dateEnd },
+        overviewFilter: { datetime_geq: currentMonthStart.toISOString(), datetime_leq: now.toISOString() },
+      });
+
+      const account = data?.viewer?.accounts?.[0];
+      [...(account?.pages || []), ...(account?.workers || [])].forEach(entry => addTo(entry.dimensions?.date, 'requests', entry.sum?.requests));
+      (account?.overview || []).forEach(entry => addTo(entry.dimensions?.date, 'cpuTimeMs', (entry.sum?.cpuTimeUs || 0) / 1000));
+      return series;
+    }
+
+    case 'r2Storage': {
+      const data = await cloudflareApi.graphql(apiKey, `
+        query GetDailyR2Operations($accountTag: string!, $classAOpsFilter: AccountR2OperationsAdaptiveGroupsFilter_InputObject, $classBOpsFilter: AccountR2OperationsAdaptiveGroupsFilter_InputObject) {
+          viewer {
+            accounts(filter: {accountTag: $accountTag}) {
+              classAOps: r2OperationsAdaptiveGroups(limit: 10000, filter: $classAOpsFilter) {
+                sum { requests }
+                dimensions { date }
+              }
+              classBOps: r2OperationsAdaptiveGroups(limit: 10000, filter: $classBOpsFilter) {
+                sum { requests }
+                dimensions { date }
+              }
+            }
+          }
+        }
+      `, {
+        accountTag: accountId,
+        classAOpsFilter: { date_geq: dateStart, date_leq: dateEnd, actionType_in: R2_CLASS_A_ACTIONS },
+        classBOpsFilter: { date_geq: dateStart, date_leq: dateEnd, actionType_in: R2_CLASS_B_ACTIONS },
+      });
+
+      const account = data?.viewer?.accounts?.[0];
+      (account?.classAOps || []).forEach(entry => addTo(entry.dimensions?.date, 'classAOps', entry.sum?.requests));
+      (account?.classBOps || []).forEach(entry => addTo(entry.dimensions?.date, 'classBOps', entry.sum?.requests));
+      return series;
+    }
+
+    case 'd1': {
+      const data = await cloudflareApi.graphql(apiKey, `
+        query GetDailyD1Analytics($accountTag: string!, $filter: AccountD1AnalyticsAdaptiveGroupsFilter_InputObject) {
+          viewer {
+            accounts(filter: {accountTag: $accountTag}) {
+              d1AnalyticsAdaptiveGroups(limit: 10000, filter: $filter) {
+                sum { rowsRead rowsWritten }
+                dimensions { date }
+              }
+            }
+          }
+        }
+      `, { accountTag: accountId, filter: { date_geq: dateStart, date_leq: dateEnd } });
+
+      (data?.viewer?.accounts?.[0]?.d1AnalyticsAdaptiveGroups || []).forEach(entry => {
+        addTo(entry.dimensions?.date, 'rowsRead', entry.sum?.rowsRead);
+        addTo(entry.dimensions?.date, 'rowsWritten', entry.sum?.rowsWritten);
+      });
+      return series;
+    }
+
+    case 'kv': {
+      const data = await cloudflareApi.graphql(apiKey, `
+        query GetDailyKVOperations($accountTag: string!, $start: Date, $end: Date) {
+          viewer {
+            accounts(filter: { accountTag: $accountTag }) {
+              kvOperationsAdaptiveGroups(filter: { date_geq: $start, date_leq: $end }, limit: 10000) {
+                sum { requests }
+                dimensions { date actionType }
+              }
+            }
+          }
+        }
+      `, { accountTag: accountId, start: dateStart, end: dateEnd });
+
+      const kvFields = { read: 'reads', write: 'writes', delete: 'deletes', list: 'lists' };
+      (data?.viewer?.accounts?.[0]?.kvOperationsAdaptiveGroups || []).forEach(entry => {
+        const field = kvFields[entry.dimensions?.actionType];
+        if (field) addTo(entry.dimensions?.date, field, entry.sum?.requests);
+      });
+      return series;
+    }
+
+    default:
+      return series;
+  }
+}
+
+/**
+ * Fetch account name from Cloudflare API
+ */
+async function fetchAccountName(apiKey, accountId) {
+  try {
+    const data = await cloudflareApi.rest(apiKey, `/accounts/${accountId}`);
+    return data.result?.name || null;
+  } catch (error) {
+    // The name is only a label; callers fall back to the account ID
+    return null;
+  }
+}
+
+/**
+ * Fetch metrics for a single account
+ * Returns structured data for aggregation
+ */
+async function fetchAccountMetrics(apiKey, accountId, env) {
+  // Fetch account name
+  const accountName = await fetchAccountName(apiKey, accountId);
+  
+  // Calculate date ranges first (needed for cache keys)
+  const now = new Date();
+  const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const currentYear = now.getFullYear();
+  const currentMonth = now.getMonth() + 1;
+  const currentDay = now.getDate();
+  const currentHour = now.getHours();
+  
+  // Try to get cached current month data (10 min TTL with hour-based key)
+  const CACHE_VERSION = 2; // Increment this when data structure changes
+  const currentMonthCacheKey = `current-month:${accountId}:${currentYear}-${String(currentMonth).padStart(2, '0')}-${String(currentDay).padStart(2, '0')}-${String(Math.floor(currentHour / 1) * 1).padStart(2, '0')}`;
+  const cachedCurrentMonth = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+  
+  // Check if we have a recent cache (within 10 minutes) and correct version
+  if (cachedCurrentMonth && cachedCurrentMonth.cachedAt && cachedCurrentMonth.version === CACHE_VERSION) {
+    const cacheAge = Date.now() - cachedCurrentMonth.cachedAt;
+    if (cacheAge < 10 * 60 * 1000) { // 10 minutes
+      console.log(`Using cached current month data for account ${accountId} (age: ${Math.floor(cacheAge / 1000)}s)`);
+      return cachedCurrentMonth.data;
+    }
+  }
+  
+  // Enterprise zones from the account's zone inventory (cached for 1 hour)
+  const enterpriseZones = await fetchEnterpriseZones(apiKey, accountId, env);
+  
   // If no enterprise zones, return empty metrics (don't throw error)
   if (!enterpriseZones || enterpriseZones.length === 0) {
     return {
@@ -775,18 +1591,14 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
   
   // Check if we have cached previous month data
   const previousMonthKey = `${previousMonthStart.getFullYear()}-${String(previousMonthStart.getMonth() + 1).padStart(2, '0')}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(`${CORE_MONTHLY_STATS_PREFIX}:${accountId}:${previousMonthKey}`, 'json');
+  const history = getHistory(env);
+  const coreSeries = { sku: 'core', accountId };
+  const cachedPreviousMonth = await history.get(coreSeries, previousMonthKey);
 
   // Build GraphQL query for current month (Enterprise zones only)
   // Use datetime format for httpRequestsAdaptiveGroups with billing-aligned traffic filter
   const currentMonthDatetimeStart = currentMonthStart.toISOString();
   const currentMonthDatetimeEnd = currentMonthEnd.toISOString();
-  const billingAlignedHttpSourceFilter = {
-    OR: [
-      { requestSource: 'eyeball' },
-      { isCrossZoneSubrequest: 1 }
-    ]
-  };
   
   // Query for clean/billable requests only (excludes blocked traffic)
   const currentMonthQuery = {
@@ -797,12 +1609,7 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
         AND: [
           { datetime_geq: currentMonthDatetimeStart },
           { datetime_leq: currentMonthDatetimeEnd },
-          billingAlignedHttpSourceFilter,
-          { securitySource_neq: 'l7ddos' },
-          { securityAction_neq: 'block' },
-          { securityAction_neq: 'challenge_failed' },
-          { securityAction_neq: 'jschallenge_failed' },
-          { securityAction_neq: 'managed_challenge_failed' }
+          ...BILLABLE_HTTP_FILTERS
         ]
       }
     },
@@ -846,7 +1653,7 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
         AND: [
           { datetime_geq: currentMonthDatetimeStart },
           { datetime_leq: currentMonthDatetimeEnd },
-          billingAlignedHttpSourceFilter
+          BILLING_ALIGNED_HTTP_SOURCE_FILTER
         ]
       }
     },
@@ -866,35 +1673,13 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
   };
 
   // Make request to Cloudflare GraphQL API for clean/billable traffic
-  const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(currentMonthQuery),
-  });
-
-  const data = await response.json();
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch metrics for account ${accountId}: ${JSON.stringify(data)}`);
-  }
+  const data = await cloudflareApi.graphql(apiKey, currentMonthQuery.query, currentMonthQuery.variables);
 
   // Fetch TOTAL traffic in parallel (best-effort; UI treats this as vanity metric)
   let totalTrafficByZone = {};
   try {
-    const totalResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(totalTrafficQuery),
-    });
-
-    const totalData = await totalResponse.json();
-    const totalZones = totalData.data?.viewer?.zones || [];
+    const totalData = await cloudflareApi.graphql(apiKey, totalTrafficQuery.query, totalTrafficQuery.variables);
+    const totalZones = totalData?.viewer?.zones || [];
 
     totalZones.forEach(zone => {
       const totals = zone.totals?.[0];
@@ -910,7 +1695,7 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
   }
 
   // Process and aggregate current month data from all Enterprise zones
-  const zones = data.data?.viewer?.zones || [];
+  const zones = data?.viewer?.zones || [];
   
   if (zones.length === 0) {
     throw new Error(`No zone data found for account ${accountId}`);
@@ -969,7 +1754,6 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
   
   // Track per-zone metrics for primary/secondary classification
   const zoneMetrics = [];
-  const SECONDARY_ZONE_THRESHOLD = 50 * (1024 ** 3); // 50GB in bytes
   let hasCurrentTotalsForAccount = false;
   
   zones.forEach(zone => {
@@ -1112,19 +1896,10 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
             }`
           };
 
-          const dnsResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`,
-            },
-            body: JSON.stringify(dnsQuery),
-          });
-
-          const dnsData = await dnsResponse.json();
+          const dnsData = await cloudflareApi.graphql(apiKey, dnsQuery.query, dnsQuery.variables);
           
-          if (dnsResponse.ok && dnsData.data?.viewer?.zones?.[0]?.queryTotals?.[0]) {
-            const queryData = dnsData.data.viewer.zones[0].queryTotals[0];
+          if (dnsData?.viewer?.zones?.[0]?.queryTotals?.[0]) {
+            const queryData = dnsData.viewer.zones[0].queryTotals[0];
             return {
               count: queryData.count || 0,
               confidence: queryData.confidence?.count || null
@@ -1145,11 +1920,13 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
           totalDnsConfidenceData.sampleSizes.push(dnsResult.confidence.sampleSize || 0);
         }
       } catch (error) {
+        if (error instanceof CloudflareApiError) throw error;
         console.error(`Error fetching DNS for zone ${zoneMetric.zoneTag}:`, error);
         zoneMetric.dnsQueries = 0;
       }
     }));
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error('Error fetching zone metrics:', error);
   }
   
@@ -1183,11 +1960,22 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
   };
   
   if (cachedPreviousMonth) {
-    // Use cached data for complete previous month
+    // Use stored data for complete previous month
     previousMonthStats = {
       ...previousMonthStats,
       ...cachedPreviousMonth
     };
+    const storedZones = await history.getZones(coreSeries, previousMonthKey);
+    if (storedZones.length > 0) {
+      previousMonthStats.zoneMetrics = storedZones.map(({ zoneId, ...zone }) => ({
+        zoneTag: zoneId,
+        requests: 0,
+        bytes: 0,
+        dnsQueries: 0,
+        ...zone,
+        isPrimary: (zone.bytes || 0) >= SECONDARY_ZONE_THRESHOLD,
+      }));
+    }
   } else if (now.getDate() >= 2) {
     // Only query if we're at least 2 days into current month (previous month is complete)
     const previousMonthDatetimeStart = previousMonthStart.toISOString();
@@ -1202,12 +1990,7 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
           AND: [
             { datetime_geq: previousMonthDatetimeStart },
             { datetime_leq: previousMonthDatetimeEnd },
-            billingAlignedHttpSourceFilter,
-            { securitySource_neq: 'l7ddos' },
-            { securityAction_neq: 'block' },
-            { securityAction_neq: 'challenge_failed' },
-            { securityAction_neq: 'jschallenge_failed' },
-            { securityAction_neq: 'managed_challenge_failed' }
+            ...BILLABLE_HTTP_FILTERS
           ]
         }
       },
@@ -1235,7 +2018,7 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
           AND: [
             { datetime_geq: previousMonthDatetimeStart },
             { datetime_leq: previousMonthDatetimeEnd },
-            billingAlignedHttpSourceFilter
+            BILLING_ALIGNED_HTTP_SOURCE_FILTER
           ]
         }
       },
@@ -1254,32 +2037,14 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
       }`,
     };
 
-    const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(previousMonthQuery),
-    });
-
-    const prevData = await prevResponse.json();
-    const prevZones = prevData.data?.viewer?.zones || [];
+    const prevData = await cloudflareApi.graphql(apiKey, previousMonthQuery.query, previousMonthQuery.variables);
+    const prevZones = prevData?.viewer?.zones || [];
 
     // Fetch TOTAL previous-month traffic (best-effort)
     let prevTotalTrafficByZone = {};
     try {
-      const prevTotalResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify(previousMonthTotalTrafficQuery),
-      });
-
-      const prevTotalData = await prevTotalResponse.json();
-      const prevTotalZones = prevTotalData.data?.viewer?.zones || [];
+      const prevTotalData = await cloudflareApi.graphql(apiKey, previousMonthTotalTrafficQuery.query, previousMonthTotalTrafficQuery.variables);
+      const prevTotalZones = prevTotalData?.viewer?.zones || [];
 
       prevTotalZones.forEach(zone => {
         const totals = zone.totals?.[0];
@@ -1296,7 +2061,6 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
     
     // Track per-zone metrics for previous month
     const prevZoneMetrics = [];
-    const SECONDARY_ZONE_THRESHOLD = 50 * (1024 ** 3); // 50GB in bytes
     
     prevZones.forEach(zone => {
       // Get aggregated CLEAN/BILLABLE totals (single result, no loop needed)
@@ -1366,23 +2130,14 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
             }`
           };
 
-          const dnsResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`,
-            },
-            body: JSON.stringify(dnsQuery),
-          });
-
-          const dnsData = await dnsResponse.json();
-          
-          if (dnsResponse.ok && dnsData.data?.viewer?.zones?.[0]?.queryTotals?.[0]?.count) {
-            return { zoneMetric: prevZoneMetric, count: dnsData.data.viewer.zones[0].queryTotals[0].count };
-          }
-          return { zoneMetric: prevZoneMetric, count: 0 };
+          const dnsData = await cloudflareApi.graphql(apiKey, dnsQuery.query, dnsQuery.variables);
+          return { zoneMetric: prevZoneMetric, count: dnsData?.viewer?.zones?.[0]?.queryTotals?.[0]?.count || 0 };
         })
       );
+
+      // A zone that failed would leave the cached month short for good
+      const failedDns = dnsResults.find(result => result.status === 'rejected');
+      if (failedDns) throw failedDns.reason;
       
       // Process results
       dnsResults.forEach((result) => {
@@ -1392,18 +2147,15 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
         }
       });
     } catch (prevDnsError) {
+      if (prevDnsError instanceof CloudflareApiError) throw prevDnsError;
       console.error('Error fetching previous month DNS queries:', prevDnsError);
     }
     
     // Store zone metrics in previous month stats for caching
     previousMonthStats.zoneMetrics = prevZoneMetrics;
 
-    // Cache the previous month data since it's now complete
-    await env.CONFIG_KV.put(
-      `${CORE_MONTHLY_STATS_PREFIX}:${accountId}:${previousMonthKey}`,
-      JSON.stringify(previousMonthStats),
-      { expirationTtl: 31536000 } // 1 year
-    );
+    // Store the previous month data since it's now complete
+    await history.put(coreSeries, previousMonthKey, previousMonthStats, toZoneRows(prevZoneMetrics));
   }
 
   // Fetch DNS queries for previous month (even if other data is cached)
@@ -1445,23 +2197,14 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
             }`
           };
 
-          const dnsResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`,
-            },
-            body: JSON.stringify(dnsQuery),
-          });
-
-          const dnsData = await dnsResponse.json();
-          
-          if (dnsResponse.ok && dnsData.data?.viewer?.zones?.[0]?.queryTotals?.[0]?.count) {
-            return { zoneMetric: prevZoneMetric, count: dnsData.data.viewer.zones[0].queryTotals[0].count };
-          }
-          return { zoneMetric: prevZoneMetric, count: 0 };
+          const dnsData = await cloudflareApi.graphql(apiKey, dnsQuery.query, dnsQuery.variables);
+          return { zoneMetric: prevZoneMetric, count: dnsData?.viewer?.zones?.[0]?.queryTotals?.[0]?.count || 0 };
         })
       );
+
+      // A zone that failed would leave the cached month short for good
+      const failedDns = dnsResults.find(result => result.status === 'rejected');
+      if (failedDns) throw failedDns.reason;
       
       // Process results
       dnsResults.forEach((result) => {
@@ -1476,18 +2219,15 @@ async function fetchAccountMetrics(apiKey, accountId, env) {
         previousMonthStats.zoneMetrics = prevZoneMetricsForDns;
       }
       
-      // Update the cache with DNS query data
-      await env.CONFIG_KV.put(
-        `${CORE_MONTHLY_STATS_PREFIX}:${accountId}:${previousMonthKey}`,
-        JSON.stringify(previousMonthStats),
-        { expirationTtl: 31536000 } // 1 year
-      );
+      // Update the stored month with DNS query data
+      await history.put(coreSeries, previousMonthKey, previousMonthStats, toZoneRows(previousMonthStats.zoneMetrics || []));
     } catch (prevDnsError) {
+      if (prevDnsError instanceof CloudflareApiError) throw prevDnsError;
       console.error('Error fetching previous month DNS queries retroactively:', prevDnsError);
     }
   }
 
-  // Get historical monthly data from KV
+  // Get historical monthly data from the history store
   const historicalData = await getHistoricalMonthlyData(env, accountId);
   
   // Add current month to time series
@@ -1817,64 +2557,63 @@ function aggregateAccountMetrics(accountMetrics) {
 async function getZones(request, env, corsHeaders) {
   const body = await request.json();
   
-  // API Token: Read from wrangler secret (secure storage)
-  const apiKey = env.CLOUDFLARE_API_TOKEN;
   // Account IDs: From KV/UI (supports multi-account)
   const accountIds = parseAccountIds(body);
 
-  if (!apiKey) {
-    return new Response(JSON.stringify({ error: 'API token not configured. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN' }), {
+  if (accountIds.length === 0) {
+    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  if (accountIds.length === 0) {
-    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
+  // Fetch zones and account names from all accounts, with the token bindings being edited
+  // in Settings when given, so newly bound accounts load before the config is saved
+  const config = body.accountTokens ? { accountTokens: body.accountTokens } : await getStoredConfig(env);
+  if (getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) {
+    return new Response(JSON.stringify({ error: 'No API token configured for these accounts. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN, or bind each account to a CLOUDFLARE_API_TOKEN_<NAME> secret in Settings.' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
-
-  // Fetch zones and account names from all accounts
-  const allEnterpriseZones = [];
   const accountNames = {}; // Map of accountId -> accountName
-  
-  for (const accountId of accountIds) {
+  const zoneErrors = [];
+
+  // Accounts are fetched in parallel; each one's zones come from its cached inventory
+  const accountZones = await Promise.all(accountIds.map(async accountId => {
     try {
-      // Fetch account name
-      const accountName = await fetchAccountName(apiKey, accountId);
+      const accountKey = getAccountToken(env, config, accountId);
+      const [accountName, { zones, failedPages }] = await Promise.all([
+        fetchAccountName(accountKey, accountId),
+        fetchEnterpriseZoneInventory(accountKey, accountId, env),
+      ]);
       accountNames[accountId] = accountName || accountId;
-      
-      // Fetch zones
-      const zones = await fetchEnterpriseZones(apiKey, accountId);
-      if (zones && zones.length > 0) {
-        // Add account info to each zone
-        zones.forEach(z => {
-          allEnterpriseZones.push({
-            ...z,
-            account: { id: accountId, name: accountNames[accountId] }
-          });
-        });
+      if (failedPages > 0) {
+        const error = getIncompleteZoneListError(failedPages);
+        zoneErrors.push({ accountId, type: error.type, message: error.message });
       }
+      // Add account info to each zone
+      return zones.map(z => ({ ...z, account: { id: accountId, name: accountNames[accountId] } }));
     } catch (error) {
       console.error(`Error fetching zones for account ${accountId}:`, error);
+      zoneErrors.push({ accountId, type: error.type || 'request', message: error.message });
       // Still store account ID as fallback name
       accountNames[accountId] = accountId;
+      return [];
     }
-  }
+  }));
+  const allEnterpriseZones = accountZones.flat();
 
   const zoneCount = allEnterpriseZones.length;
   const now = new Date();
   const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-  try {
-    await env.CONFIG_KV.put(
-      `monthly-zone-count:${monthKey}`,
-      JSON.stringify({ count: zoneCount, timestamp: now.toISOString() }),
-      { expirationTtl: 31536000 }
-    );
-  } catch (e) {
-    console.error('Failed to store zone count snapshot:', e);
+  // An incomplete zone list would store an undercount for the month
+  if (zoneErrors.length === 0) {
+    try {
+      await getHistory(env).put({ sku: 'enterpriseZones' }, monthKey, { count: zoneCount });
+    } catch (e) {
+      console.error('Failed to store zone count snapshot:', e);
+    }
   }
 
   const zonesTimeSeries = await getHistoricalZoneCountData(env, zoneCount);
@@ -1890,6 +2629,7 @@ async function getZones(request, env, corsHeaders) {
       })),
       accounts: accountNames,
       zonesTimeSeries,
+      ...(zoneErrors.length > 0 && { fetchErrors: { enterpriseZones: zoneErrors } }),
     }),
     {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -1898,27 +2638,10 @@ async function getZones(request, env, corsHeaders) {
 }
 
 async function getHistoricalZoneCountData(env, currentCount) {
-  const timeSeries = [];
   const now = new Date();
   const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: 'monthly-zone-count:' });
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.replace('monthly-zone-count:', '');
-        const [year, monthNum] = month.split('-');
-        timeSeries.push({
-          month,
-          timestamp: new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString(),
-          zones: data.count,
-        });
-      }
-    }
-  } catch (e) {
-    console.error('Failed to load historical zone count data:', e);
-  }
+  const timeSeries = (await getHistoricalSeries(env, { sku: 'enterpriseZones' }, ['count'], 'zone count'))
+    .map(({ count, ...entry }) => ({ ...entry, zones: count }));
 
   const hasCurrentMonth = timeSeries.some(e => e.month === currentMonthKey);
   if (!hasCurrentMonth && currentCount > 0) {
@@ -1936,16 +2659,255 @@ async function getHistoricalZoneCountData(env, currentCount) {
 }
 
 /**
- * Get stored configuration
+ * Workspaces (one per subsidiary / contract) are listed under WORKSPACES_KEY. The default
+ * workspace always exists and keeps the bare KV keys, so existing deployments carry on as
+ * they were; every other workspace prefixes all of its keys with `ws:<id>:`.
  */
-async function getConfig(request, env, corsHeaders) {
+async function listWorkspaces(env) {
+  const stored = (await env.CONFIG_KV.get(WORKSPACES_KEY, 'json')) || [];
+  return stored.some(w => w.id === DEFAULT_WORKSPACE_ID)
+    ? stored
+    : [{ id: DEFAULT_WORKSPACE_ID, name: 'Default' }, ...stored];
+}
+
+async function findWorkspace(env, workspaceId) {
+  if (!WORKSPACE_ID_PATTERN.test(workspaceId)) return null;
+  const workspaces = await listWorkspaces(env);
+  return workspaces.find(w => w.id === workspaceId) || null;
+}
+
+/**
+ * Workspace of an API request: the X-Workspace header, then ?workspace=, then the
+ * cookie set by the dashboard's workspace switcher
+ */
+function getRequestWorkspaceId(request, url) {
+  const cookie = (request.headers.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([name]) => name === WORKSPACE_COOKIE);
+  return request.headers.get('X-Workspace')
+    || url.searchParams.get('workspace')
+    || (cookie ? decodeURIComponent(cookie[1] || '') : '')
+    || DEFAULT_WORKSPACE_ID;
+}
+
+/**
+ * KV namespace scoped to one workspace's key prefix
+ */
+function getWorkspaceKV(kv, workspaceId) {
+  const prefix = `${WORKSPACE_KEY_PREFIX}:${workspaceId}:`;
+  return {
+    get: (key, options) => kv.get(prefix + key, options),
+    getWithMetadata: (key, options) => kv.getWithMetadata(prefix + key, options),
+    put: (key, value, options) => kv.put(prefix + key, value, options),
+    delete: key => kv.delete(prefix + key),
+    list: async (options = {}) => {
+      const result = await kv.list({ ...options, prefix: prefix + (options.prefix || '') });
+      return { ...result, keys: result.keys.map(key => ({ ...key, name: key.name.slice(prefix.length) })) };
+    },
+  };
+}
+
+/**
+ * The env the request handlers and cron jobs see for a workspace: CONFIG_KV scoped to it,
+ * so `config:default`, caches, snapshots, alerts and reports are all per workspace
+ */
+function getWorkspaceEnv(env, workspace) {
+  if (workspace.id === DEFAULT_WORKSPACE_ID) return env;
+  return { ...env, CONFIG_KV: getWorkspaceKV(env.CONFIG_KV, workspace.id), WORKSPACE: workspace };
+}
+
+/**
+ * Run a scheduled job for every workspace in turn; one workspace failing doesn't stop the rest
+ */
+async function forEachWorkspace(env, job) {
+  const workspaces = await listWorkspaces(env);
+  for (const workspace of workspaces) {
+    try {
+      await job(getWorkspaceEnv(env, workspace));
+    } catch (error) {
+      console.error(`Workspace ${workspace.id}: scheduled job failed:`, error);
+    }
+  }
+}
+
+/**
+ * Historical usage store (HISTORY_DB) for the env's workspace
+ */
+function getHistory(env) {
+  return createHistoryStore(env.HISTORY_DB, env.WORKSPACE?.id || DEFAULT_WORKSPACE_ID);
+}
+
+/**
+ * Stored months of a series as time series entries ({ month, timestamp, ...fields }), missing fields as 0
+ */
+async function getHistoricalSeries(env, series, fields, label) {
+  try {
+    const months = await getHistory(env).list(series);
+    return months.map(values => {
+      const [year, monthNum] = values.period.split('-');
+      const entry = { month: values.period, timestamp: new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString() };
+      fields.forEach(field => { entry[field] = values[field] || 0; });
+      return entry;
+    });
+  } catch (error) {
+    console.error(`Error loading historical ${label} data:`, error);
+    return [];
+  }
+}
+
+/**
+ * Per-zone breakdown keyed by zoneTag, as the store's zone rows
+ */
+function toZoneRows(zoneMetrics) {
+  return zoneMetrics.map(zone => ({ ...zone, zoneId: zone.zoneTag }));
+}
+
+/**
+ * Copy one batch of the history kept in KV before HISTORY_DB into the store. Runs from the
+ * minute cron until every legacy prefix is copied, then never again for the workspace.
+ */
+async function runHistoryMigrationStep(env) {
+  if (!env.HISTORY_DB) return;
+  const state = await env.CONFIG_KV.get(HISTORY_MIGRATION_KEY, 'json');
+  if (state?.done) return;
+
+  const next = await migrateKvHistoryStep(env.CONFIG_KV, getHistory(env), state || {}, HISTORY_MIGRATION_STEP_KEYS);
+  await env.CONFIG_KV.put(HISTORY_MIGRATION_KEY, JSON.stringify({ ...next, updatedAt: new Date().toISOString() }));
+  if (next.done) {
+    console.log(`History migration complete: ${next.rows} rows from ${next.keys} KV keys`);
+  }
+}
+
+/**
+ * Accounts label for notifications, naming the workspace outside the default one
+ */
+function formatAccountsDisplay(env, accountIds) {
+  const accounts = accountIds.length > 1 ? `${accountIds.length} accounts` : accountIds[0] || 'Unknown';
+  return env.WORKSPACE ? `${env.WORKSPACE.name} (${accounts})` : accounts;
+}
+
+/**
+ * Dashboard link for notifications; opens the dashboard on the alerting workspace
+ */
+function getWorkspaceDashboardUrl(env, origin) {
+  return env.WORKSPACE ? `${origin}/?workspace=${encodeURIComponent(env.WORKSPACE.id)}` : origin;
+}
+
+function slugifyWorkspaceName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24) || 'workspace';
+}
+
+/**
+ * List workspaces
+ */
+async function getWorkspaces(request, env, corsHeaders) {
+  return new Response(JSON.stringify({ workspaces: await listWorkspaces(env) }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Create a workspace ({ name }) or rename one ({ id, name })
+ */
+async function saveWorkspace(request, env, corsHeaders) {
+  const body = await request.json();
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 64) {
+    return new Response(JSON.stringify({ error: 'Workspace name must be 1-64 characters' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const workspaces = await listWorkspaces(env);
+  let workspace;
+  if (body.id) {
+    workspace = workspaces.find(w => w.id === body.id);
+    if (!workspace) {
+      return new Response(JSON.stringify({ error: 'Unknown workspace' }), {
+        status: 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+    workspace.name = name;
+  } else {
+    // Skip ids still holding keys from a deleted workspace that are being cleaned up
+    const base = slugifyWorkspaceName(name);
+    let id = base;
+    for (let n = 2; workspaces.some(w => w.id === id) || (await env.CONFIG_KV.list({ prefix: `${WORKSPACE_KEY_PREFIX}:${id}:`, limit: 1 })).keys.length > 0; n++) {
+      id = `${base}-${n}`;
+    }
+    workspace = { id, name, createdAt: new Date().toISOString() };
+    workspaces.push(workspace);
+  }
+
+  await env.CONFIG_KV.put(WORKSPACES_KEY, JSON.stringify(workspaces));
+  return new Response(JSON.stringify({ success: true, workspace, workspaces }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Delete a workspace (?id=) and, in the background, every key it owns.
+ * The default workspace can't be deleted.
+ */
+async function deleteWorkspace(request, env, url, ctx, corsHeaders) {
+  const id = url.searchParams.get('id');
+  if (id === DEFAULT_WORKSPACE_ID) {
+    return new Response(JSON.stringify({ error: 'The default workspace cannot be deleted' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const workspaces = await listWorkspaces(env);
+  if (!workspaces.some(w => w.id === id)) {
+    return new Response(JSON.stringify({ error: 'Unknown workspace' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const remaining = workspaces.filter(w => w.id !== id);
+  await env.CONFIG_KV.put(WORKSPACES_KEY, JSON.stringify(remaining));
+
+  ctx.waitUntil((async () => {
+    const kv = getWorkspaceKV(env.CONFIG_KV, id);
+    let cursor;
+    do {
+      const result = await kv.list({ cursor });
+      await Promise.all(result.keys.map(key => kv.delete(key.name)));
+      cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
+    console.log(`Workspace ${id}: keys deleted`);
+  })().catch(error => console.error(`Workspace ${id}: failed to delete keys:`, error)));
+
+  return new Response(JSON.stringify({ success: true, workspaces: remaining }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Stored configuration in the current schema, or null when not configured yet. A config
+ * saved by an older release is migrated in memory; it is stored migrated on the next save.
+ */
+async function getStoredConfig(env, userId = 'default') {
+  const config = await env.CONFIG_KV.get(`config:${userId || 'default'}`, 'json');
+  return config ? migrateConfig(config) : null;
+}
+
+/**
+ * Get stored configuration (secrets masked for callers below the editor role)
+ */
+async function getConfig(request, env, corsHeaders, identity) {
   const url = new URL(request.url);
   const userId = url.searchParams.get('userId') || 'default';
   
-  const config = await env.CONFIG_KV.get(`config:${userId}`, 'json');
+  const config = await getStoredConfig(env, userId);
   
   return new Response(
-    JSON.stringify(config || {}),
+    JSON.stringify(hasRole(identity?.role, 'editor') ? config || {} : maskConfig(config || {})),
     {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     }
@@ -1955,7 +2917,7 @@ async function getConfig(request, env, corsHeaders) {
 /**
  * Save configuration to KV
  */
-async function saveConfig(request, env, corsHeaders) {
+async function saveConfig(request, env, corsHeaders, identity) {
   const body = await request.json();
   const { userId = 'default', config } = body;
 
@@ -1966,17 +2928,144 @@ async function saveConfig(request, env, corsHeaders) {
     });
   }
 
+  // An older dashboard build may still post a previous schema version
+  const migrated = { ...migrateConfig(config), schemaVersion: CONFIG_SCHEMA_VERSION };
+  const errors = validateConfig(migrated);
+  if (Object.keys(errors).length > 0) {
+    return new Response(JSON.stringify({ error: 'Invalid configuration', errors }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
   // Store config in KV (API token is stored separately as a wrangler secret)
-  await env.CONFIG_KV.put(`config:${userId}`, JSON.stringify(config));
+  const version = await writeConfigVersion(env, userId, migrated, { author: identity?.email || null });
 
   return new Response(
-    JSON.stringify({ success: true }),
+    JSON.stringify({ success: true, version: version?.version ?? null, config: migrated }),
     {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     }
   );
 }
 
+/**
+ * Save `config` as the current configuration and, when it changed, as a new immutable
+ * version (`config-version:<userId>:<n>`). The history index (`config-history:<userId>`)
+ * lists versions newest first with their author and field-level changes; the oldest are
+ * dropped past CONFIG_HISTORY_MAX. Returns the new version entry, or null when unchanged.
+ * Replacing a config stored in an older schema records `migratedFrom` on the new version.
+ */
+async function writeConfigVersion(env, userId, config, { author = null, rollbackOf } = {}) {
+  const historyKey = `${CONFIG_HISTORY_PREFIX}:${userId}`;
+  const [current, history] = await Promise.all([
+    env.CONFIG_KV.get(`config:${userId}`, 'json'),
+    env.CONFIG_KV.get(historyKey, 'json'),
+  ]);
+  const entries = history || [];
+  const writes = [env.CONFIG_KV.put(`config:${userId}`, JSON.stringify(config))];
+
+  // An account bound to a different token may see different zones, so its cached inventory is dropped
+  const previousTokens = current?.accountTokens || {};
+  const nextTokens = config.accountTokens || {};
+  new Set([...Object.keys(previousTokens), ...Object.keys(nextTokens)]).forEach(accountId => {
+    if ((previousTokens[accountId] || null) === (nextTokens[accountId] || null)) return;
+    writes.push(env.CONFIG_KV.delete(`${ZONE_INVENTORY_PREFIX}:${accountId}`));
+  });
+
+  // A configuration saved before versioning existed becomes version 1, so it can be restored
+  const addBaseline = entries.length === 0 && !!current;
+  if (addBaseline) {
+    const baseline = { version: 1, timestamp: null, author: null, changes: [], baseline: true };
+    entries.unshift(baseline);
+    writes.push(env.CONFIG_KV.put(`${CONFIG_VERSION_PREFIX}:${userId}:1`, JSON.stringify({ ...baseline, config: current })));
+  }
+
+  const storedSchemaVersion = current ? getConfigSchemaVersion(current) : CONFIG_SCHEMA_VERSION;
+  const migratedFrom = storedSchemaVersion < CONFIG_SCHEMA_VERSION ? storedSchemaVersion : null;
+  const changes = diffConfig(current, config);
+  if (changes.length === 0) {
+    // A baseline written just now still needs its index entry to be listed
+    if (addBaseline) writes.push(env.CONFIG_KV.put(historyKey, JSON.stringify(entries)));
+    await Promise.all(writes);
+    return null;
+  }
+
+  const entry = {
+    version: (entries[0]?.version || 0) + 1,
+    timestamp: new Date().toISOString(),
+    author,
+    changes,
+    ...(rollbackOf ? { rollbackOf } : {}),
+    ...(migratedFrom ? { migratedFrom } : {}),
+  };
+  entries.unshift(entry);
+  writes.push(env.CONFIG_KV.put(`${CONFIG_VERSION_PREFIX}:${userId}:${entry.version}`, JSON.stringify({ ...entry, config })));
+  entries.splice(CONFIG_HISTORY_MAX).forEach(old => {
+    writes.push(env.CONFIG_KV.delete(`${CONFIG_VERSION_PREFIX}:${userId}:${old.version}`));
+  });
+  writes.push(env.CONFIG_KV.put(historyKey, JSON.stringify(entries)));
+
+  await Promise.all(writes);
+  return entry;
+}
+
+/**
+ * Configuration versions, newest first (?userId=), or one version with its full config (&version=),
+ * secrets masked. Rollback loads the unmasked version server-side.
+ */
+async function getConfigHistory(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const userId = url.searchParams.get('userId') || 'default';
+  const version = url.searchParams.get('version');
+
+  if (version) {
+    const entry = await env.CONFIG_KV.get(`${CONFIG_VERSION_PREFIX}:${userId}:${Number(version)}`, 'json');
+    if (!entry) {
+      return new Response(JSON.stringify({ error: `Version ${version} not found` }), {
+        status: 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+    return new Response(JSON.stringify({ ...entry, config: maskConfig(entry.config) }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const versions = (await env.CONFIG_KV.get(`${CONFIG_HISTORY_PREFIX}:${userId}`, 'json')) || [];
+  return new Response(JSON.stringify({ versions }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Restore an earlier version ({ userId, version }). The restored config is saved as a new
+ * version, so the rollback itself shows up in the history and can be undone.
+ */
+async function rollbackConfig(request, env, corsHeaders, identity) {
+  const body = await request.json();
+  const userId = body.userId || 'default';
+  const target = await env.CONFIG_KV.get(`${CONFIG_VERSION_PREFIX}:${userId}:${Number(body.version)}`, 'json');
+
+  if (!target) {
+    return new Response(JSON.stringify({ error: `Version ${body.version} not found` }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Versions saved before a schema change are migrated on the way back
+  const config = migrateConfig(target.config);
+  const version = await writeConfigVersion(env, userId, config, {
+    author: identity?.email || null,
+    rollbackOf: target.version,
+  });
+
+  return new Response(JSON.stringify({ success: true, version: version?.version ?? null, config }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
 /**
  * Check thresholds and send Slack notifications
  * Supports two modes:
@@ -1985,15 +3074,19 @@ async function saveConfig(request, env, corsHeaders) {
  */
 async function checkThresholds(request, env, corsHeaders) {
   const body = await request.json();
-  const { skuMetrics, slackWebhook, accountIds, accountId, mode, alertFrequency } = body;
+  const { skuMetrics, accountIds, accountId, mode, alertFrequency } = body;
 
   const accounts = accountIds || (accountId ? [accountId] : []);
-  const accountsDisplay = accounts.length > 1 ? `${accounts.length} accounts` : accounts[0] || 'Unknown';
-  const dashboardUrl = new URL(request.url).origin;
+  const accountsDisplay = formatAccountsDisplay(env, accounts);
+  const dashboardUrl = getWorkspaceDashboardUrl(env, new URL(request.url).origin);
 
-  if (!slackWebhook) {
+  // Channels come from the stored config; a webhook posted by an older dashboard build still works
+  const config = (await getStoredConfig(env, body.userId)) || {};
+  const channels = getNotificationChannels({ ...config, slackWebhook: body.slackWebhook });
+
+  if (channels.length === 0) {
     return new Response(
-      JSON.stringify({ success: false, message: 'No Slack webhook configured' }),
+      JSON.stringify({ success: false, message: 'No notification channels configured' }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 400 }
     );
   }
@@ -2006,193 +3099,563 @@ async function checkThresholds(request, env, corsHeaders) {
   }
 
   if (mode === 'report') {
-    try {
-      await sendSlackReport(skuMetrics, slackWebhook, dashboardUrl, accountsDisplay);
-      return new Response(
-        JSON.stringify({ success: true, message: 'Usage report sent to Slack!' }),
-        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    } catch (error) {
-      console.error('Slack report error:', error);
-      return new Response(
-        JSON.stringify({ success: false, message: 'Failed to send report: ' + error.message }),
-        { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 500 }
-      );
-    }
+    const deliveries = await dispatchNotification(channels, { type: 'report', skuMetrics, dashboardUrl, accountsDisplay }, getNotificationTransports(env));
+    await recordNotificationDeliveries(env, 'report', 'manual', skuMetrics, deliveries);
+    const delivered = deliveries.filter(d => d.ok);
+    const failed = deliveries.filter(d => !d.ok);
+    const failedText = `delivery failed for ${failed.map(d => `${d.name} (${d.error})`).join(', ')}`;
+    const message = failed.length === 0
+      ? `Usage report sent to ${delivered.map(d => d.name).join(', ')}!`
+      : delivered.length > 0
+        ? `Usage report sent to ${delivered.map(d => d.name).join(', ')}; ${failedText}`
+        : `Report ${failedText}`;
+    return new Response(
+      JSON.stringify({ success: failed.length === 0, message, deliveries }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: delivered.length > 0 ? 200 : 502 }
+    );
   }
 
-  const alerts = skuMetrics.filter(m => m.percentage >= 90);
+  const alerts = evaluateAlertTiers(skuMetrics, config);
 
   if (alerts.length === 0) {
     return new Response(
-      JSON.stringify({ alerts: [], alertsTriggered: false, slackSent: false }),
+      JSON.stringify({ alerts: [], alertsTriggered: false, notified: false, deliveries: [] }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   }
 
   try {
-    const now = new Date();
-    const freq = alertFrequency || 'monthly';
-    let periodKey;
-    if (freq === 'weekly') {
-      const startOfYear = new Date(now.getFullYear(), 0, 1);
-      const weekNum = Math.ceil(((now - startOfYear) / 86400000 + startOfYear.getDay() + 1) / 7);
-      periodKey = `${now.getFullYear()}-W${String(weekNum).padStart(2, '0')}`;
-    } else {
-      periodKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-    }
-
-    const accountsKey = accounts.sort().join('-');
-    const newAlerts = [];
-    for (const alert of alerts) {
-      const alertKey = `alert-sent:${accountsKey}:${alert.key}:${periodKey}`;
-      const alreadySent = await env.CONFIG_KV.get(alertKey);
-      if (!alreadySent) {
-        newAlerts.push(alert);
-        await env.CONFIG_KV.put(alertKey, 'true', { expirationTtl: 3888000 });
-      }
-    }
+    const periodKey = getAlertFrequencyPeriodKey(alertFrequency || 'monthly', new Date());
+    const { active, suppressed } = await filterSuppressedAlerts(env, accounts, alerts);
+    const newAlerts = await filterUnsentAlerts(env, accounts, active, periodKey);
 
     if (newAlerts.length > 0) {
-      await sendSlackAlert(newAlerts, slackWebhook, dashboardUrl);
+      const deliveries = await dispatchNotification(channels, { type: 'alert', alerts: newAlerts, dashboardUrl, accountsDisplay }, getNotificationTransports(env));
+      const notified = await markAlertsSent(env, accounts, newAlerts, periodKey, deliveries);
+      await recordNotificationDeliveries(env, 'alert', 'manual', newAlerts, deliveries);
+      await recordAlertHistory(env, 'manual', accounts, { active, suppressed, sent: newAlerts, deliveries });
       return new Response(
-        JSON.stringify({ alerts: newAlerts, alertsTriggered: true, slackSent: true, skipped: alerts.length - newAlerts.length }),
+        JSON.stringify({ alerts: newAlerts, alertsTriggered: true, notified, deliveries, skipped: active.length - newAlerts.length, suppressed: suppressed.length }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     } else {
-      const freqLabel = freq === 'weekly' ? 'this week' : 'this month';
+      const freqLabel = alertFrequency === 'weekly' ? 'this week' : 'this month';
+      const message = active.length === 0
+        ? 'All alerts are acknowledged, snoozed or muted'
+        : `All alerts already sent ${freqLabel}`;
+      await recordAlertHistory(env, 'manual', accounts, { active, suppressed, sent: [], deliveries: [] });
       return new Response(
-        JSON.stringify({ alerts: [], alertsTriggered: true, slackSent: false, message: `All alerts already sent ${freqLabel}`, skipped: alerts.length }),
+        JSON.stringify({ alerts: [], alertsTriggered: true, notified: false, deliveries: [], message, skipped: active.length, suppressed: suppressed.length }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
   } catch (error) {
-    console.error('Slack alert error:', error);
+    console.error('Alert notification error:', error);
     return new Response(
-      JSON.stringify({ alerts, alertsTriggered: true, slackSent: false, error: error.message }),
+      JSON.stringify({ alerts, alertsTriggered: true, notified: false, error: error.message }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   }
 }
 
-async function sendSlackAlert(alerts, webhookUrl, dashboardUrl) {
-  const alertBlocks = alerts.map(alert => {
-    const emoji = alert.percentage >= 100 ? '🔴' : '🟡';
-    return {
-      type: "section",
-      fields: [
-        { type: "mrkdwn", text: `${emoji} *${alert.name}*\n${alert.percentage.toFixed(1)}% of threshold` },
-        { type: "mrkdwn", text: `*Current:* ${alert.formatted}\n*Threshold:* ${alert.thresholdFormatted}` }
-      ]
-    };
-  });
+/**
+ * Dedupe period for an alert: pooled annual commits alert once per contract term,
+ * anomalies once for the day they were seen on, everything else once per alert frequency period
+ */
+function getAlertPeriodKey(alert, periodKey) {
+  if (alert.anomaly) return alert.anomaly.date;
+  return alert.contract?.mode === 'annual' ? `term-${alert.contract.termStart}` : periodKey;
+}
 
-  const slackPayload = {
-    blocks: [
-      { type: "header", text: { type: "plain_text", text: "⚠️ Cloudflare Usage Alert", emoji: true } },
-      { type: "section", text: { type: "mrkdwn", text: `*${alerts.length} product(s) at ≥90% of contracted thresholds:*` } },
-      { type: "divider" },
-      ...alertBlocks,
-      { type: "divider" },
-      { type: "context", elements: [{ type: "mrkdwn", text: `🕐 <!date^${Math.floor(Date.now() / 1000)}^{date_short_pretty} at {time}|${new Date().toUTCString()}>` }] },
-      { type: "actions", elements: [{ type: "button", text: { type: "plain_text", text: "View Dashboard", emoji: true }, url: dashboardUrl, style: "primary" }] }
-    ]
-  };
+/**
+ * Period key for the alert frequency: week of the year (YYYY-Www) when weekly, otherwise the month (YYYY-MM)
+ */
+function getAlertFrequencyPeriodKey(freq, now) {
+  if (freq === 'weekly') {
+    const startOfYear = new Date(now.getFullYear(), 0, 1);
+    const weekNum = Math.ceil(((now - startOfYear) / 86400000 + startOfYear.getDay() + 1) / 7);
+    return `${now.getFullYear()}-W${String(weekNum).padStart(2, '0')}`;
+  }
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
 
-  const response = await fetch(webhookUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(slackPayload),
-  });
+/**
+ * Account set, alert key and dedupe period an alert is sent once for
+ */
+function getAlertDedupKey(accountIds, alert, periodKey) {
+  return `${[...accountIds].sort().join('-')}:${alert.key}:${getAlertPeriodKey(alert, periodKey)}`;
+}
+
+/**
+ * KV key marking an alert tier as sent for its period
+ * 90% keeps the key format from before alert tiers, so upgrading doesn't resend this period's alerts.
+ */
+function getAlertSentKey(accountIds, alert, periodKey, tier = alert.tier) {
+  const tierSuffix = tier && tier !== 90 ? `:t${tier}` : '';
+  return `alert-sent:${getAlertDedupKey(accountIds, alert, periodKey)}${tierSuffix}`;
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to send Slack alert: ${response.status} - ${errorText}`);
+/**
+ * Alerts whose current tier hasn't been sent yet this period
+ */
+async function filterUnsentAlerts(env, accountIds, alerts, periodKey) {
+  const newAlerts = [];
+  for (const alert of alerts) {
+    const alreadySent = await env.CONFIG_KV.get(getAlertSentKey(accountIds, alert, periodKey));
+    if (!alreadySent) newAlerts.push(alert);
   }
+  return newAlerts;
+}
+
+/**
+ * Acknowledged, snoozed and muted alerts, stored per account set and alert key next to the
+ * `alert-sent:` keys. A state suppresses notifications for its alert until `until`:
+ *   acknowledged - until the end of the billing period, or until the alert escalates past the acknowledged tier
+ *   snoozed      - until the chosen date, whatever the tier
+ *   muted        - until the end of the billing period, whatever the tier
+ */
+function getAlertStateKey(accountIds, alertKey) {
+  return `${ALERT_STATE_PREFIX}:${[...accountIds].sort().join('-')}:${alertKey}`;
+}
+
+// Billing period end: the contract term for annual pooled (`:contract`) alerts, otherwise the calendar month
+function getBillingPeriodEnd(config, alertKey, now) {
+  const period = alertKey.endsWith(':contract') ? getContractPeriod(config.contract, now) : null;
+  const [year, month] = (period?.mode === 'annual' ? period.endMonth : getMonthKey(now)).split('-').map(n => parseInt(n, 10));
+  return new Date(year, month, 1);
+}
+
+function isAlertSuppressed(state, alert, now) {
+  if (!state || new Date(state.until) <= now) return false;
+  if (state.status === 'acknowledged') return !(alert.tier > state.tier);
   return true;
 }
 
-async function sendSlackReport(skuMetrics, webhookUrl, dashboardUrl, accountsDisplay) {
-  const categories = {};
-  skuMetrics.forEach(m => {
-    const cat = m.category || 'Other';
-    if (!categories[cat]) categories[cat] = [];
-    categories[cat].push(m);
-  });
+async function filterSuppressedAlerts(env, accountIds, alerts, now = new Date()) {
+  const active = [];
+  const suppressed = [];
+  for (const alert of alerts) {
+    const state = await env.CONFIG_KV.get(getAlertStateKey(accountIds, alert.key), 'json');
+    if (isAlertSuppressed(state, alert, now)) suppressed.push({ ...alert, alertState: state });
+    else active.push(alert);
+  }
+  return { active, suppressed };
+}
 
-  const reportBlocks = [];
-  for (const [category, items] of Object.entries(categories)) {
-    reportBlocks.push({ type: "section", text: { type: "mrkdwn", text: `*${category}*` } });
-    const lines = items.map(m => {
-      let emoji = '🟢';
-      if (m.percentage >= 100) emoji = '🔴';
-      else if (m.percentage >= 90) emoji = '🟡';
-      const pctStr = m.threshold ? `${m.percentage.toFixed(1)}%` : 'N/A';
-      return `${emoji} *${m.name}:* ${m.formatted} ${m.threshold ? `(${pctStr} of ${m.thresholdFormatted})` : '_(no threshold)_'}`;
+async function listAlertStates(request, env, corsHeaders) {
+  const accountIds = (new URL(request.url).searchParams.get('accountIds') || '').split(',').filter(Boolean);
+  if (accountIds.length === 0) {
+    return new Response(JSON.stringify({ error: 'accountIds is required' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
-    reportBlocks.push({ type: "section", text: { type: "mrkdwn", text: lines.join('\n') } });
-  }
-
-  const slackPayload = {
-    blocks: [
-      { type: "header", text: { type: "plain_text", text: "📊 Enterprise Usage Report", emoji: true } },
-      { type: "section", text: { type: "mrkdwn", text: `Usage summary for *${accountsDisplay}*` } },
-      { type: "divider" },
-      ...reportBlocks,
-      { type: "divider" },
-      { type: "context", elements: [{ type: "mrkdwn", text: `🕐 Report generated: <!date^${Math.floor(Date.now() / 1000)}^{date_short_pretty} at {time}|${new Date().toUTCString()}>` }] },
-      { type: "actions", elements: [{ type: "button", text: { type: "plain_text", text: "View Dashboard", emoji: true }, url: dashboardUrl, style: "primary" }] }
-    ]
-  };
+  }
+
+  const listResult = await env.CONFIG_KV.list({ prefix: getAlertStateKey(accountIds, '') });
+  const now = new Date();
+  const states = (await Promise.all(listResult.keys.map(k => env.CONFIG_KV.get(k.name, 'json'))))
+    .filter(state => state && new Date(state.until) > now);
+  return new Response(JSON.stringify({ states }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
 
-  const response = await fetch(webhookUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(slackPayload),
+/**
+ * Acknowledge, snooze, mute or clear one alert.
+ *   { accountIds, key, action: 'acknowledge' | 'snooze' | 'mute' | 'clear', until?, tier?, reason? }
+ */
+async function updateAlertState(request, env, corsHeaders) {
+  const body = await request.json();
+  const accountIds = parseAccountIds(body);
+  const { key, action } = body;
+  const respond = (payload, status = 200) => new Response(JSON.stringify(payload), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
   });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to send Slack report: ${response.status} - ${errorText}`);
+  if (!key || accountIds.length === 0) {
+    return respond({ error: 'key and accountIds are required' }, 400);
   }
-  return true;
+  const stateKey = getAlertStateKey(accountIds, key);
+
+  if (action === 'clear') {
+    await env.CONFIG_KV.delete(stateKey);
+    return respond({ success: true, key, state: null });
+  }
+  if (!ALERT_STATE_ACTIONS[action]) {
+    return respond({ error: `Unknown action: ${action}` }, 400);
+  }
+
+  const now = new Date();
+  let until;
+  if (action === 'snooze') {
+    until = new Date(body.until);
+    if (Number.isNaN(until.getTime()) || until <= now) {
+      return respond({ error: 'Snooze requires a future date' }, 400);
+    }
+  } else {
+    until = getBillingPeriodEnd((await getStoredConfig(env, body.userId)) || {}, key, now);
+  }
+
+  const tier = Number(body.tier);
+  const state = {
+    key,
+    status: ALERT_STATE_ACTIONS[action],
+    tier: action === 'acknowledge' && tier > 0 ? tier : null,
+    reason: String(body.reason || '').trim().slice(0, 500) || null,
+    until: until.toISOString(),
+    createdAt: now.toISOString(),
+  };
+  // Kept a day past `until` so the state is still listed when it lapses; suppression checks `until` itself
+  await env.CONFIG_KV.put(stateKey, JSON.stringify(state), { expiration: Math.floor(until.getTime() / 1000) + 86400 });
+  return respond({ success: true, key, state });
 }
 
 /**
- * Fetch Enterprise zones from account
+ * Expiry of an alert's sent marker: past the end of the contract term for annual pooled alerts,
+ * which are deduped per term, otherwise 45 days (a monthly or weekly period plus margin)
  */
-async function fetchEnterpriseZones(apiKey, accountId) {
-  const response = await fetch(
-    `https://api.cloudflare.com/client/v4/zones?per_page=1000`,
-    {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-    }
-  );
+function getAlertSentExpiry(alert) {
+  if (alert.contract?.mode === 'annual' && alert.contract.termEnd) {
+    const [year, month] = alert.contract.termEnd.split('-').map(n => parseInt(n, 10));
+    return { expiration: Math.floor(new Date(year, month, 1).getTime() / 1000) + ALERT_SENT_TERM_MARGIN };
+  }
+  return { expirationTtl: ALERT_SENT_TTL };
+}
 
-  const data = await response.json();
-  if (!response.ok || !data.result) {
-    return [];
+/**
+ * Mark alerts as sent for the period once at least one channel accepted them,
+ * so a fully failed delivery is retried on the next check. Returns whether any channel delivered.
+ */
+async function markAlertsSent(env, accountIds, alerts, periodKey, deliveries) {
+  if (!deliveries.some(d => d.ok)) return false;
+  for (const alert of alerts) {
+    // Lower tiers crossed at the same time are marked too, so they can't fire later in the period
+    for (const tier of alert.tiersCrossed || [alert.tier]) {
+      await env.CONFIG_KV.put(getAlertSentKey(accountIds, alert, periodKey, tier), 'true', getAlertSentExpiry(alert));
+    }
   }
-  
-  // Filter zones by account ID and Enterprise plan
-  const accountZones = data.result.filter(zone => 
-    zone.account && zone.account.id === accountId
-  );
-  
-  const enterpriseZones = accountZones.filter(zone => 
-    zone.plan?.legacy_id === 'enterprise' || 
-    zone.plan?.name?.toLowerCase().includes('enterprise')
-  );
+  return true;
+}
 
-  return enterpriseZones;
+/**
+ * Append per-channel delivery results to the rolling delivery log (GET /api/notifications/deliveries)
+ */
+async function recordNotificationDeliveries(env, eventType, trigger, skus, deliveries) {
+  deliveries.forEach(d => {
+    if (d.ok) console.log(`Notification: ${eventType} delivered to ${d.name} (${d.type})`);
+    else console.error(`Notification: ${eventType} to ${d.name} (${d.type}) failed: ${d.error}`);
+  });
+  if (deliveries.length === 0) return;
+  try {
+    const log = (await env.CONFIG_KV.get(NOTIFICATION_DELIVERIES_KEY, 'json')) || [];
+    const skuKeys = skus.map(s => s.key);
+    const entries = deliveries.map(d => ({ ...d, event: eventType, trigger, skuKeys: eventType === 'alert' ? skuKeys : undefined }));
+    await env.CONFIG_KV.put(NOTIFICATION_DELIVERIES_KEY, JSON.stringify([...entries, ...log].slice(0, NOTIFICATION_DELIVERIES_MAX)));
+  } catch (error) {
+    console.error('Failed to record notification deliveries:', error);
+  }
+}
+async function getNotificationDeliveries(request, env, corsHeaders) {
+  const log = (await env.CONFIG_KV.get(NOTIFICATION_DELIVERIES_KEY, 'json')) || [];
+  return new Response(JSON.stringify({ deliveries: log }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
 }
 
 /**
- * Fetch Bot Management metrics for specific zones
- * Returns Likely Human requests (likely human traffic with bot score > 30)
+ * Alert ledger: one entry per alert at or above a tier on every check, stored per month
+ * (`alert-history:YYYY-MM`, newest first, capped at ALERT_HISTORY_MAX). Status is
+ *   sent / failed - notified this check (`deliveries` has each channel's result and error)
+ *   already-sent  - this tier was already notified in the alert period
+ *   suppressed    - acknowledged, snoozed or muted (`suppression`)
+ */
+async function recordAlertHistory(env, trigger, accountIds, { active, suppressed, sent, deliveries }) {
+  const now = new Date();
+  const sentKeys = new Set(sent.map(a => a.key));
+  const delivered = deliveries.some(d => d.ok);
+  const toEntry = (alert, status, extra = {}) => ({
+    timestamp: now.toISOString(),
+    trigger,
+    accountIds,
+    key: alert.key,
+    name: alert.name,
+    product: getSkuProduct(alert.key)?.id || null,
+    category: alert.category,
+    value: alert.current,
+    formatted: alert.formatted,
+    threshold: alert.threshold,
+    thresholdFormatted: alert.thresholdFormatted,
+    percentage: alert.percentage,
+    tier: alert.tier ?? null,
+    severity: alert.severity ?? null,
+    forecast: Boolean(alert.forecast),
+    anomaly: alert.anomaly?.direction || null,
+    status,
+    ...extra,
+  });
+  const channelResults = deliveries.map(({ channelId, name, type, ok, error }) => ({ channelId, name, type, ok, error }));
+  const entries = [
+    ...active.map(alert => (sentKeys.has(alert.key)
+      ? toEntry(alert, delivered ? 'sent' : 'failed', { deliveries: channelResults })
+      : toEntry(alert, 'already-sent'))),
+    ...suppressed.map(alert => toEntry(alert, 'suppressed', { suppression: alert.alertState?.status })),
+  ];
+  if (entries.length === 0) return;
+
+  try {
+    const key = `${ALERT_HISTORY_PREFIX}:${getMonthKey(now)}`;
+    const log = (await env.CONFIG_KV.get(key, 'json')) || [];
+    await env.CONFIG_KV.put(key, JSON.stringify([...entries, ...log].slice(0, ALERT_HISTORY_MAX)));
+  } catch (error) {
+    console.error('Failed to record alert history:', error);
+  }
+}
+
+/**
+ * GET /api/alerts/history?month=YYYY-MM&product=<product id>
+ * Defaults to the current month; `months` lists every month with recorded alerts.
+ */
+async function getAlertHistory(request, env, corsHeaders) {
+  const params = new URL(request.url).searchParams;
+  const month = params.get('month') || getMonthKey(new Date());
+  const product = params.get('product');
+
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    return new Response(JSON.stringify({ error: 'month must be YYYY-MM' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const [log, listResult] = await Promise.all([
+    env.CONFIG_KV.get(`${ALERT_HISTORY_PREFIX}:${month}`, 'json'),
+    env.CONFIG_KV.list({ prefix: `${ALERT_HISTORY_PREFIX}:` }),
+  ]);
+  const entries = (log || []).filter(entry => !product || entry.product === product);
+  const months = listResult.keys.map(k => k.name.slice(ALERT_HISTORY_PREFIX.length + 1)).sort().reverse();
+  return new Response(JSON.stringify({ month, product: product || null, months, entries }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Trigger, escalate and resolve PagerDuty incidents for one channel from the current SKU utilization.
+ * Open incidents are tracked per channel and account set so that a SKU only pages once per
+ * period and tier, and is resolved when it drops under every tier or its period ends.
+ */
+async function syncPagerDutyIncidents(env, channel, skuMetrics, accountIds, { dashboardUrl, accountsDisplay }) {
+  const stateKey = `${PAGERDUTY_INCIDENTS_PREFIX}:${channel.id}:${[...accountIds].sort().join('-')}`;
+  const open = (await env.CONFIG_KV.get(stateKey, 'json')) || {};
+  const monthKey = getAlertFrequencyPeriodKey('monthly', new Date());
+  const tiers = channel.tiers?.length ? channel.tiers : DEFAULT_PAGERDUTY_TIERS;
+  // Workspaces can share accounts, so their incidents are kept apart
+  const dedupPrefix = env.WORKSPACE ? `${env.WORKSPACE.id}:` : '';
+  const { trigger, resolve } = planPagerDutyActions(open, skuMetrics, tiers, sku => dedupPrefix + getAlertDedupKey(accountIds, sku, monthKey));
+
+  const deliveries = [];
+  const record = async (action, dedupKey, event) => {
+    try {
+      const status = await sendPagerDutyEvent(event);
+      deliveries.push({ channelId: channel.id, name: channel.name, type: channel.type, ok: true, status, action, dedupKey, sentAt: new Date().toISOString() });
+      return true;
+    } catch (error) {
+      deliveries.push({ channelId: channel.id, name: channel.name, type: channel.type, ok: false, error: error.message, action, dedupKey, sentAt: new Date().toISOString() });
+      return false;
+    }
+  };
+
+  for (const item of trigger) {
+    if (await record('trigger', item.dedupKey, buildTriggerEvent(channel.routingKey, item, { dashboardUrl, accountsDisplay }))) {
+      open[item.dedupKey] = {
+        skuKey: item.sku.key,
+        name: item.sku.name,
+        severity: item.tier.severity,
+        percentage: item.sku.percentage,
+        triggeredAt: open[item.dedupKey]?.triggeredAt || new Date().toISOString(),
+      };
+    }
+  }
+  for (const dedupKey of resolve) {
+    if (await record('resolve', dedupKey, buildResolveEvent(channel.routingKey, dedupKey))) {
+      delete open[dedupKey];
+    }
+  }
+
+  if (deliveries.length > 0) {
+    await env.CONFIG_KV.put(stateKey, JSON.stringify(open));
+    await recordNotificationDeliveries(env, 'pagerduty', 'scheduled', trigger.map(t => t.sku), deliveries);
+  }
+  return { triggered: trigger.length, resolved: resolve.length, open: Object.keys(open).length };
+}
+
+/**
+ * Delivery backends for channels that don't post to a URL.
+ * Email goes through the `send_email` binding (SEND_EMAIL); with EMAIL_MODE = "mock" (local
+ * development) messages are logged and kept in the `email-outbox` KV key instead.
+ */
+function getNotificationTransports(env) {
+  return {
+    email: async (message) => {
+      if (env.EMAIL_MODE === 'mock') {
+        console.log(`Email (mock) to ${message.to}: ${message.subject}\n${message.text}`);
+        const outbox = (await env.CONFIG_KV.get(EMAIL_OUTBOX_KEY, 'json')) || [];
+        const entry = { to: message.to, from: message.from, subject: message.subject, text: message.text, html: message.html, sentAt: message.date.toISOString() };
+        await env.CONFIG_KV.put(EMAIL_OUTBOX_KEY, JSON.stringify([entry, ...outbox].slice(0, EMAIL_OUTBOX_MAX)));
+        return;
+      }
+      if (!env.SEND_EMAIL) {
+        throw new Error('SEND_EMAIL binding not configured');
+      }
+      await env.SEND_EMAIL.send(new EmailMessage(message.from, message.to, buildMimeMessage(message)));
+    },
+  };
+}
+
+/**
+ * Send a sample alert to a single channel so its URL (and signing secret) can be verified before saving
+ */
+async function testNotificationChannel(request, env, corsHeaders) {
+  const { channel } = await request.json();
+  const error = channel ? validateChannel(channel) : 'No channel provided';
+  if (error) {
+    return new Response(JSON.stringify({ success: false, message: error }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const sample = {
+    key: 'test',
+    name: 'Test Notification',
+    category: 'Test',
+    current: 92,
+    threshold: 100,
+    percentage: 92,
+    formatted: '92',
+    thresholdFormatted: '100',
+  };
+  const dashboardUrl = new URL(request.url).origin;
+  let delivery;
+  if (channel.type === 'pagerduty') {
+    // Open a test incident at the first tier's severity and resolve it straight away
+    const tier = { ...(channel.tiers?.[0] || DEFAULT_PAGERDUTY_TIERS[0]) };
+    const dedupKey = `test:${channel.id}`;
+    try {
+      await sendPagerDutyEvent(buildTriggerEvent(channel.routingKey, { dedupKey, sku: sample, tier }, { dashboardUrl, accountsDisplay: 'Test' }));
+      const status = await sendPagerDutyEvent(buildResolveEvent(channel.routingKey, dedupKey));
+      delivery = { channelId: channel.id, name: channel.name, type: channel.type, ok: true, status, sentAt: new Date().toISOString() };
+    } catch (err) {
+      delivery = { channelId: channel.id, name: channel.name, type: channel.type, ok: false, error: err.message, sentAt: new Date().toISOString() };
+    }
+  } else {
+    // Email channels get the sample at every listed address, whatever alert types they subscribe to
+    const target = channel.type === 'email'
+      ? { ...channel, recipients: { threshold: Object.values(channel.recipients || {}).flatMap(parseRecipients) } }
+      : channel;
+    [delivery] = await dispatchNotification([target], {
+      type: 'alert',
+      alerts: [sample],
+      dashboardUrl,
+      accountsDisplay: 'Test',
+    }, getNotificationTransports(env));
+  }
+  await recordNotificationDeliveries(env, 'test', 'manual', [sample], [delivery]);
+  return new Response(
+    JSON.stringify({ success: delivery.ok, message: delivery.ok ? `Test notification sent to ${channel.name}` : `Delivery failed: ${delivery.error}`, delivery }),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: delivery.ok ? 200 : 502 }
+  );
+}
+
+/**
+ * Every zone of an account, on any plan → { zones, failedPages }, each zone being
+ * { id, name, account, plan, status, type, createdOn }. Pages through `/zones` filtered to the
+ * account (the pages after the first in parallel). `failedPages` counts the pages that still
+ * failed after retries, so the list is incomplete when it isn't 0. Cached per account for an
+ * hour, or a minute when a page failed to load.
+ */
+async function fetchZoneInventory(apiKey, accountId, env) {
+  const cacheKey = `${ZONE_INVENTORY_PREFIX}:${accountId}`;
+  const cached = await env.CONFIG_KV.get(cacheKey, 'json');
+  // Entries cached before the page count was kept are plain zone lists
+  if (cached) return Array.isArray(cached) ? { zones: cached, failedPages: 0 } : cached;
+
+  const fetchPage = page => cloudflareApi.rest(apiKey, `/zones?account.id=${accountId}&per_page=${ZONES_PAGE_SIZE}&page=${page}`);
+  const firstPage = await fetchPage(1);
+  const totalPages = firstPage.result_info?.total_pages || 1;
+  // A page that still fails after the client's retries is left out instead of dropping the whole account
+  const settledPages = await Promise.allSettled(Array.from({ length: totalPages - 1 }, (_, i) => fetchPage(i + 2)));
+  const failedPages = settledPages.filter(page => page.status === 'rejected');
+  failedPages.forEach(page => console.error(`Zone inventory page failed for account ${accountId}:`, page.reason));
+  const otherPages = settledPages.filter(page => page.status === 'fulfilled').map(page => page.value);
+
+  const zones = [firstPage, ...otherPages].flatMap(data => data.result || []).map(zone => ({
+    id: zone.id,
+    name: zone.name,
+    account: zone.account,
+    plan: zone.plan ? { id: zone.plan.id, name: zone.plan.name, legacy_id: zone.plan.legacy_id } : null,
+    status: zone.status,
+    type: zone.type,
+    createdOn: zone.created_on,
+  }));
+  const inventory = { zones, failedPages: failedPages.length };
+  await env.CONFIG_KV.put(cacheKey, JSON.stringify(inventory), {
+    expirationTtl: inventory.failedPages > 0 ? ZONE_INVENTORY_PARTIAL_TTL : ZONE_INVENTORY_TTL,
+  });
+  return inventory;
+}
+
+/**
+ * Enterprise zones of an account → { zones, failedPages }, from its zone inventory.
+ * Callers that count zones check `failedPages` before treating the list as complete.
+ */
+async function fetchEnterpriseZoneInventory(apiKey, accountId, env) {
+  const { zones, failedPages } = await fetchZoneInventory(apiKey, accountId, env);
+  return {
+    zones: zones.filter(zone =>
+      zone.plan?.legacy_id === 'enterprise' ||
+      zone.plan?.name?.toLowerCase().includes('enterprise')
+    ),
+    failedPages,
+  };
+}
+
+/**
+ * Enterprise zones of an account, from its zone inventory (possibly incomplete, see above)
+ */
+async function fetchEnterpriseZones(apiKey, accountId, env) {
+  return (await fetchEnterpriseZoneInventory(apiKey, accountId, env)).zones;
+}
+
+// fetchErrors entry for a zone list with pages that failed to load
+function getIncompleteZoneListError(failedPages) {
+  return new CloudflareApiError('unavailable', `${API_ERROR_TYPES.unavailable.label} (zone list): ${failedPages} page(s) failed to load, so the zone count is incomplete`);
+}
+
+/**
+ * Billable Bot Management traffic: likely human requests (bot score 30-99) between two datetimes,
+ * excluding L7 DDoS and blocked or failed-challenge requests
+ */
+function getLikelyHumanFilter(dateStart, dateEnd) {
+  return {
+    AND: [
+      BILLING_ALIGNED_HTTP_SOURCE_FILTER,
+      { botScore_geq: 30, botScore_leq: 99 },
+      { datetime_geq: dateStart },
+      { datetime_leq: dateEnd },
+      { botManagementDecision_neq: 'other' },
+      { securitySource_neq: 'l7ddos' },
+      { securityAction_neq: 'block' },
+      { securityAction_neq: 'challenge_failed' },
+      { securityAction_neq: 'jschallenge_failed' },
+      { securityAction_neq: 'managed_challenge_failed' },
+    ],
+  };
+}
+
+/**
+ * Fetch Bot Management metrics for specific zones
+ * Returns Likely Human requests (likely human traffic with bot score > 30)
  */
 async function fetchBotManagementMetrics(apiKey, zoneId, dateStart, dateEnd) {
   const billingAlignedHttpSourceFilter = {
@@ -2225,20 +3688,7 @@ async function fetchBotManagementMetrics(apiKey, zoneId, dateStart, dateEnd) {
           { botManagementDecision_neq: 'other' },
         ],
       },
-      likelyHumanFilter: {
-        AND: [
-          billingAlignedHttpSourceFilter,
-          { botScore_geq: 30, botScore_leq: 99 },
-          { datetime_geq: dateStart },
-          { datetime_leq: dateEnd },
-          { botManagementDecision_neq: 'other' },
-          { securitySource_neq: 'l7ddos' },
-          { securityAction_neq: 'block' },
-          { securityAction_neq: 'challenge_failed' },
-          { securityAction_neq: 'jschallenge_failed' },
-          { securityAction_neq: 'managed_challenge_failed' },
-        ],
-      },
+      likelyHumanFilter: getLikelyHumanFilter(dateStart, dateEnd),
       verifiedBotFilter: {
         AND: [
           billingAlignedHttpSourceFilter,
@@ -2326,24 +3776,10 @@ async function fetchBotManagementMetrics(apiKey, zoneId, dateStart, dateEnd) {
     }`,
   };
 
-  const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(query),
-  });
-
-  const data = await response.json();
-
-  if (!response.ok || data.errors) {
-    console.error(`Failed to fetch bot management metrics for zone ${zoneId}:`, data.errors || data);
-    return null;
-  }
+  const data = await cloudflareApi.graphql(apiKey, query.query, query.variables);
 
   // Extract Likely Human requests (likely_human)
-  const scope = data.data?.viewer?.scope?.[0];
+  const scope = data?.viewer?.scope?.[0];
   if (!scope) {
     return null;
   }
@@ -2399,7 +3835,7 @@ async function fetchBotManagementForAccount(apiKey, accountId, botManagementConf
   const previousMonthEndISO = previousMonthEnd.toISOString();
 
   // Get all enterprise zones to map IDs to names
-  const allZones = await fetchEnterpriseZones(apiKey, accountId);
+  const allZones = await fetchEnterpriseZones(apiKey, accountId, env);
   const zoneMap = {};
   const accountZoneIds = new Set();
   allZones.forEach(zone => {
@@ -2420,20 +3856,15 @@ async function fetchBotManagementForAccount(apiKey, accountId, botManagementConf
     fetchBotManagementMetrics(apiKey, zoneId, currentMonthStartISO, currentMonthEndISO)
   );
 
-  const currentMonthResults = await Promise.allSettled(currentMonthPromises);
-  const currentMonthData = currentMonthResults
-    .filter(result => result.status === 'fulfilled' && result.value)
-    .map(result => result.value);
+  // A zone that can't be read fails the account instead of counting as zero
+  const currentMonthData = (await Promise.all(currentMonthPromises)).filter(Boolean);
 
   // Fetch previous month metrics
   const previousMonthPromises = accountBotZones.map(zoneId =>
     fetchBotManagementMetrics(apiKey, zoneId, previousMonthStartISO, previousMonthEndISO)
   );
 
-  const previousMonthResults = await Promise.allSettled(previousMonthPromises);
-  const previousMonthData = previousMonthResults
-    .filter(result => result.status === 'fulfilled' && result.value)
-    .map(result => result.value);
+  const previousMonthData = (await Promise.all(previousMonthPromises)).filter(Boolean);
 
   // Aggregate results
   const currentTotal = currentMonthData.reduce((sum, zone) => sum + zone.likelyHuman, 0);
@@ -2486,18 +3917,11 @@ async function fetchBotManagementForAccount(apiKey, accountId, botManagementConf
     verifiedBot: zone.verifiedBot,
   }));
 
-  // Store previous month data in KV if we're past day 2 of current month
+  // Store previous month data if we're past day 2 of current month
   const previousMonthKey = `${previousMonthStart.getFullYear()}-${String(previousMonthStart.getMonth() + 1).padStart(2, '0')}`;
   if (now.getDate() >= 2) {
     try {
-      await env.CONFIG_KV.put(
-        `${BOT_MONTHLY_STATS_PREFIX}:${accountId}:${previousMonthKey}`,
-        JSON.stringify({
-          likelyHuman: previousTotal,
-          zones: previousZoneBreakdown,
-        }),
-        { expirationTtl: 31536000 } // 1 year
-      );
+      await getHistory(env).put({ sku: 'botManagement', accountId }, previousMonthKey, { likelyHuman: previousTotal }, previousZoneBreakdown);
       console.log(`Stored Bot Management stats for ${previousMonthKey}`);
     } catch (error) {
       console.error('Failed to store Bot Management monthly stats:', error);
@@ -2555,75 +3979,10 @@ async function fetchBotManagementForAccount(apiKey, accountId, botManagementConf
 }
 
 /**
- * Get all historical Bot Management data from KV (cached for 6 hours)
+ * Get all historical Bot Management data from the history store
  */
 async function getHistoricalBotManagementData(env, accountId) {
-  // Check cache first (6 hour TTL)
-  const cacheKey = `${HISTORICAL_BOT_DATA_CACHE_PREFIX}:${accountId}`;
-  const cached = await env.CONFIG_KV.get(cacheKey, 'json');
-  
-  if (cached && cached.cachedAt) {
-    const cacheAge = Date.now() - cached.cachedAt;
-    if (cacheAge < 6 * 60 * 60 * 1000) { // 6 hours
-      console.log(`Using cached historical Bot Management data for account ${accountId} (age: ${Math.floor(cacheAge / 3600000)}h)`);
-      return cached.data;
-    }
-  }
-  
-  const historicalData = [];
-  const monthDataMap = new Map();
-
-  // List all Bot Management monthly stats keys for this account (new prefix first)
-  const listResult = await env.CONFIG_KV.list({ prefix: `${BOT_MONTHLY_STATS_PREFIX}:${accountId}:` });
-
-  for (const key of listResult.keys) {
-    const data = await env.CONFIG_KV.get(key.name, 'json');
-    if (data) {
-      const month = key.name.split(':')[2];
-      monthDataMap.set(month, { likelyHuman: data.likelyHuman || 0, source: 'new' });
-    }
-  }
-
-  // Fallback: List legacy keys and fill in any missing months
-  const legacyListResult = await env.CONFIG_KV.list({ prefix: `monthly-bot-stats:${accountId}:` });
-
-  for (const key of legacyListResult.keys) {
-    const month = key.name.split(':')[2];
-    if (!monthDataMap.has(month)) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        monthDataMap.set(month, { likelyHuman: data.likelyHuman || 0, source: 'legacy' });
-      }
-    }
-  }
-
-  // Convert map to sorted array
-  for (const [month, data] of monthDataMap) {
-    const [year, monthNum] = month.split('-');
-    const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-    historicalData.push({
-      month,
-      timestamp,
-      likelyHuman: data.likelyHuman,
-    });
-  }
-  
-  // Cache the historical data (6 hour TTL)
-  try {
-    await env.CONFIG_KV.put(
-      cacheKey,
-      JSON.stringify({
-        cachedAt: Date.now(),
-        data: historicalData
-      }),
-      { expirationTtl: 21600 } // 6 hours
-    );
-    console.log(`Cached historical Bot Management data for account ${accountId}`);
-  } catch (cacheError) {
-    console.error('Failed to cache historical Bot Management data:', cacheError);
-  }
-  
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'botManagement', accountId }, ['likelyHuman'], 'Bot Management');
 }
 
 /**
@@ -2641,51 +4000,26 @@ async function fetchZeroTrustSeatsForAccount(apiKey, accountId, seatsConfig, env
   const previousMonthKey = `${previousMonthStart.getFullYear()}-${String(previousMonthStart.getMonth() + 1).padStart(2, '0')}`;
 
   // Fetch current seat count from Access Users API
-  let currentSeats = 0;
-  try {
-    const response = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${accountId}/access/users?seat_type=any&per_page=1`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    if (response.ok) {
-      const data = await response.json();
-      currentSeats = data.result_info?.total_count || 0;
-      console.log(`Zero Trust Seats for account ${accountId}: ${currentSeats}`);
-    } else {
-      console.error(`Failed to fetch Zero Trust seats for account ${accountId}: ${response.status}`);
-      return null;
-    }
-  } catch (error) {
-    console.error(`Error fetching Zero Trust seats for account ${accountId}:`, error);
-    return null;
-  }
+  const seatsData = await cloudflareApi.rest(apiKey, `/accounts/${accountId}/access/users?seat_type=any&per_page=1`);
+  const currentSeats = seatsData.result_info?.total_count || 0;
+  console.log(`Zero Trust Seats for account ${accountId}: ${currentSeats}`);
 
   // Get cached previous month data
-  const previousMonthCacheKey = `monthly-zt-seats:${accountId}:${previousMonthKey}`;
+  const history = getHistory(env);
+  const historySeries = { sku: 'zeroTrustSeats', accountId };
   let previousSeats = 0;
   
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
   if (cachedPreviousMonth) {
     previousSeats = cachedPreviousMonth.seats || 0;
   }
 
   // Cache current month snapshot at end of month (day >= 28)
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-zt-seats:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ seats: currentSeats, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 } // 1 year
-        );
+        await history.put(historySeries, currentMonthKey, { seats: currentSeats });
         console.log(`Cached Zero Trust seats snapshot for ${currentMonthKey}: ${currentSeats}`);
       } catch (cacheError) {
         console.error('Failed to cache Zero Trust seats snapshot:', cacheError);
@@ -2722,33 +4056,10 @@ async function fetchZeroTrustSeatsForAccount(apiKey, accountId, seatsConfig, env
 }
 
 /**
- * Get historical Zero Trust seats data from KV
+ * Get historical Zero Trust seats data from the history store
  */
 async function getHistoricalZeroTrustSeatsData(env, accountId) {
-  const historicalData = [];
-  
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-zt-seats:${accountId}:` });
-    
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-        
-        historicalData.push({
-          month,
-          timestamp,
-          seats: data.seats || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Zero Trust seats data:', error);
-  }
-  
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'zeroTrustSeats', accountId }, ['seats'], 'Zero Trust seats');
 }
 
 /**
@@ -2825,35 +4136,13 @@ async function fetchWorkersPagesForAccount(apiKey, accountId, workersPagesConfig
       datetime_leq: now.toISOString(),
     };
 
-    const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query,
-        variables: {
-          accountTag: accountId,
-          monthlyFilter,
-          monthlyOverviewFilter,
-        },
-      }),
+    const data = await cloudflareApi.graphql(apiKey, query, {
+      accountTag: accountId,
+      monthlyFilter,
+      monthlyOverviewFilter,
     });
 
-    if (!response.ok) {
-      console.error(`Workers & Pages GraphQL failed for account ${accountId}: ${response.status}`);
-      return null;
-    }
-
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error(`Workers & Pages GraphQL errors for account ${accountId}:`, data.errors);
-      return null;
-    }
-
-    const account = data.data?.viewer?.accounts?.[0];
+    const account = data?.viewer?.accounts?.[0];
     if (!account) {
       console.log(`No Workers & Pages data for account ${accountId}`);
       return { current: { requests: 0, cpuTimeMs: 0 }, previous: { requests: 0, cpuTimeMs: 0 }, timeSeries: [] };
@@ -2902,16 +4191,18 @@ async function fetchWorkersPagesForAccount(apiKey, accountId, workersPagesConfig
     console.log(`Workers & Pages for account ${accountId}: ${currentRequests.toLocaleString()} requests, ${currentCpuTimeMs.toLocaleString()} ms CPU time${currentConfidence ? `, confidence: ${currentConfidence.percent}%` : ''}`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Workers & Pages for account ${accountId}:`, error);
     return null;
   }
 
   // Get cached previous month data
-  const previousMonthCacheKey = `monthly-workers-pages:${accountId}:${previousMonthKey}`;
+  const history = getHistory(env);
+  const historySeries = { sku: 'workersPages', accountId };
   let previousRequests = 0;
   let previousCpuTimeMs = 0;
   
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
   if (cachedPreviousMonth) {
     previousRequests = cachedPreviousMonth.requests || 0;
     previousCpuTimeMs = cachedPreviousMonth.cpuTimeMs || 0;
@@ -2928,65 +4219,43 @@ async function fetchWorkersPagesForAccount(apiKey, accountId, workersPagesConfig
         datetime_leq: previousMonthEnd.toISOString(),
       };
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query,
-          variables: {
-            accountTag: accountId,
-            monthlyFilter: prevMonthlyFilter,
-            monthlyOverviewFilter: prevMonthlyOverviewFilter,
-          },
-        }),
+      const prevData = await cloudflareApi.graphql(apiKey, query, {
+        accountTag: accountId,
+        monthlyFilter: prevMonthlyFilter,
+        monthlyOverviewFilter: prevMonthlyOverviewFilter,
       });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
-        
-        if (prevAccount) {
-          const prevWorkersRequests = prevAccount.monthlyWorkersInvocationsAdaptive?.reduce(
-            (sum, entry) => sum + (entry.sum?.requests || 0), 0
-          ) || 0;
-          const prevPagesRequests = prevAccount.monthlyPagesFunctionsInvocationsAdaptiveGroups?.reduce(
-            (sum, entry) => sum + (entry.sum?.requests || 0), 0
-          ) || 0;
-          previousRequests = prevWorkersRequests + prevPagesRequests;
-
-          const prevCpuTimeUs = prevAccount.monthlyWorkersOverviewRequestsAdaptiveGroups?.reduce(
-            (sum, entry) => sum + (entry.sum?.cpuTimeUs || 0), 0
-          ) || 0;
-          previousCpuTimeMs = prevCpuTimeUs / 1000;
-
-          // Cache the previous month data
-          await env.CONFIG_KV.put(
-            previousMonthCacheKey,
-            JSON.stringify({ requests: previousRequests, cpuTimeMs: previousCpuTimeMs, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 } // 1 year
-          );
-          console.log(`Workers & Pages previous month cached: ${previousRequests.toLocaleString()} requests`);
-        }
+      const prevAccount = prevData?.viewer?.accounts?.[0];
+      
+      if (prevAccount) {
+        const prevWorkersRequests = prevAccount.monthlyWorkersInvocationsAdaptive?.reduce(
+          (sum, entry) => sum + (entry.sum?.requests || 0), 0
+        ) || 0;
+        const prevPagesRequests = prevAccount.monthlyPagesFunctionsInvocationsAdaptiveGroups?.reduce(
+          (sum, entry) => sum + (entry.sum?.requests || 0), 0
+        ) || 0;
+        previousRequests = prevWorkersRequests + prevPagesRequests;
+
+        const prevCpuTimeUs = prevAccount.monthlyWorkersOverviewRequestsAdaptiveGroups?.reduce(
+          (sum, entry) => sum + (entry.sum?.cpuTimeUs || 0), 0
+        ) || 0;
+        previousCpuTimeMs = prevCpuTimeUs / 1000;
+
+        // Cache the previous month data
+        await history.put(historySeries, previousMonthKey, { requests: previousRequests, cpuTimeMs: previousCpuTimeMs });
+        console.log(`Workers & Pages previous month cached: ${previousRequests.toLocaleString()} requests`);
       }
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month Workers & Pages:`, prevError);
     }
   }
 
   // Cache current month snapshot at end of month (day >= 28)
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-workers-pages:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ requests: currentRequests, cpuTimeMs: currentCpuTimeMs, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 } // 1 year
-        );
+        await history.put(historySeries, currentMonthKey, { requests: currentRequests, cpuTimeMs: currentCpuTimeMs });
         console.log(`Cached Workers & Pages snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache Workers & Pages snapshot:', cacheError);
@@ -3024,34 +4293,10 @@ async function fetchWorkersPagesForAccount(apiKey, accountId, workersPagesConfig
 }
 
 /**
- * Get historical Workers & Pages data from KV
+ * Get historical Workers & Pages data from the history store
  */
 async function getHistoricalWorkersPagesData(env, accountId) {
-  const historicalData = [];
-  
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-workers-pages:${accountId}:` });
-    
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-        
-        historicalData.push({
-          month,
-          timestamp,
-          requests: data.requests || 0,
-          cpuTimeMs: data.cpuTimeMs || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Workers & Pages data:', error);
-  }
-  
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'workersPages', accountId }, ['requests', 'cpuTimeMs'], 'Workers & Pages');
 }
 
 /**
@@ -3119,44 +4364,22 @@ async function fetchR2StorageForAccount(apiKey, accountId, r2Config, env) {
     const classAOpsFilter = {
       date_geq: dateStart,
       date_leq: dateEnd,
-      actionType_in: ['ListBuckets', 'PutBucket', 'ListObjects', 'PutObject', 'CopyObject', 'CompleteMultipartUpload', 'CreateMultipartUpload', 'UploadPart', 'UploadPartCopy', 'PutBucketEncryption', 'PutBucketCors', 'PutBucketLifecycleConfiguration'],
+      actionType_in: R2_CLASS_A_ACTIONS,
     };
     const classBOpsFilter = {
       date_geq: dateStart,
       date_leq: dateEnd,
-      actionType_in: ['HeadBucket', 'HeadObject', 'GetObject', 'ReportUsageSummary', 'GetBucketEncryption', 'GetBucketLocation', 'GetBucketCors', 'GetBucketLifecycleConfiguration'],
+      actionType_in: R2_CLASS_B_ACTIONS,
     };
 
-    const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query,
-        variables: {
-          accountTag: accountId,
-          storageFilter,
-          classAOpsFilter,
-          classBOpsFilter,
-        },
-      }),
+    const data = await cloudflareApi.graphql(apiKey, query, {
+      accountTag: accountId,
+      storageFilter,
+      classAOpsFilter,
+      classBOpsFilter,
     });
 
-    if (!response.ok) {
-      console.error(`R2 Storage GraphQL failed for account ${accountId}: ${response.status}`);
-      return null;
-    }
-
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error(`R2 Storage GraphQL errors for account ${accountId}:`, data.errors);
-      return null;
-    }
-
-    const account = data.data?.viewer?.accounts?.[0];
+    const account = data?.viewer?.accounts?.[0];
     if (!account) {
       console.log(`No R2 Storage data for account ${accountId}`);
       return { current: { classAOps: 0, classBOps: 0, storageGB: 0 }, previous: { classAOps: 0, classBOps: 0, storageGB: 0 }, timeSeries: [] };
@@ -3181,6 +4404,7 @@ async function fetchR2StorageForAccount(apiKey, accountId, r2Config, env) {
     console.log(`R2 Storage for account ${accountId}: ${currentClassAOps.toLocaleString()} Class A ops, ${currentClassBOps.toLocaleString()} Class B ops, ${currentStorageGB.toFixed(2)} GB`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching R2 Storage for account ${accountId}:`, error);
     return null;
   }
@@ -3191,8 +4415,9 @@ async function fetchR2StorageForAccount(apiKey, accountId, r2Config, env) {
   let previousClassBOps = 0;
   let previousStorageGB = 0;
   
-  const previousMonthCacheKey = `monthly-r2-storage:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'r2Storage', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
   
   if (cachedPreviousMonth) {
     previousClassAOps = cachedPreviousMonth.classAOps || 0;
@@ -3211,73 +4436,51 @@ async function fetchR2StorageForAccount(apiKey, accountId, r2Config, env) {
       const prevClassAOpsFilter = {
         date_geq: prevDateStart,
         date_leq: prevDateEnd,
-        actionType_in: ['ListBuckets', 'PutBucket', 'ListObjects', 'PutObject', 'CopyObject', 'CompleteMultipartUpload', 'CreateMultipartUpload', 'UploadPart', 'UploadPartCopy', 'PutBucketEncryption', 'PutBucketCors', 'PutBucketLifecycleConfiguration'],
+        actionType_in: R2_CLASS_A_ACTIONS,
       };
       const prevClassBOpsFilter = {
         date_geq: prevDateStart,
         date_leq: prevDateEnd,
-        actionType_in: ['HeadBucket', 'HeadObject', 'GetObject', 'ReportUsageSummary', 'GetBucketEncryption', 'GetBucketLocation', 'GetBucketCors', 'GetBucketLifecycleConfiguration'],
+        actionType_in: R2_CLASS_B_ACTIONS,
       };
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query,
-          variables: {
-            accountTag: accountId,
-            storageFilter: prevStorageFilter,
-            classAOpsFilter: prevClassAOpsFilter,
-            classBOpsFilter: prevClassBOpsFilter,
-          },
-        }),
+      const prevData = await cloudflareApi.graphql(apiKey, query, {
+        accountTag: accountId,
+        storageFilter: prevStorageFilter,
+        classAOpsFilter: prevClassAOpsFilter,
+        classBOpsFilter: prevClassBOpsFilter,
       });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
+      const prevAccount = prevData?.viewer?.accounts?.[0];
+      
+      if (prevAccount) {
+        previousClassAOps = prevAccount.classAOps?.reduce(
+          (sum, entry) => sum + (entry.sum?.requests || 0), 0
+        ) || 0;
+        previousClassBOps = prevAccount.classBOps?.reduce(
+          (sum, entry) => sum + (entry.sum?.requests || 0), 0
+        ) || 0;
         
-        if (prevAccount) {
-          previousClassAOps = prevAccount.classAOps?.reduce(
-            (sum, entry) => sum + (entry.sum?.requests || 0), 0
-          ) || 0;
-          previousClassBOps = prevAccount.classBOps?.reduce(
-            (sum, entry) => sum + (entry.sum?.requests || 0), 0
-          ) || 0;
-          
-          const prevStorageData = prevAccount.r2StorageAdaptiveGroups || [];
-          if (prevStorageData.length > 0) {
-            const prevLatestStorage = prevStorageData[0];
-            const prevStorageBytes = (prevLatestStorage.max?.payloadSize || 0) + (prevLatestStorage.max?.metadataSize || 0);
-            previousStorageGB = prevStorageBytes / (1024 * 1024 * 1024);
-          }
-
-          await env.CONFIG_KV.put(
-            previousMonthCacheKey,
-            JSON.stringify({ classAOps: previousClassAOps, classBOps: previousClassBOps, storageGB: previousStorageGB, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 }
-          );
-          console.log(`R2 Storage previous month cached: ${previousClassAOps.toLocaleString()} Class A ops`);
+        const prevStorageData = prevAccount.r2StorageAdaptiveGroups || [];
+        if (prevStorageData.length > 0) {
+          const prevLatestStorage = prevStorageData[0];
+          const prevStorageBytes = (prevLatestStorage.max?.payloadSize || 0) + (prevLatestStorage.max?.metadataSize || 0);
+          previousStorageGB = prevStorageBytes / (1024 * 1024 * 1024);
         }
+
+        await history.put(historySeries, previousMonthKey, { classAOps: previousClassAOps, classBOps: previousClassBOps, storageGB: previousStorageGB });
+        console.log(`R2 Storage previous month cached: ${previousClassAOps.toLocaleString()} Class A ops`);
       }
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month R2 Storage:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-r2-storage:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ classAOps: currentClassAOps, classBOps: currentClassBOps, storageGB: currentStorageGB, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { classAOps: currentClassAOps, classBOps: currentClassBOps, storageGB: currentStorageGB });
         console.log(`Cached R2 Storage snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache R2 Storage snapshot:', cacheError);
@@ -3313,32 +4516,7 @@ async function fetchR2StorageForAccount(apiKey, accountId, r2Config, env) {
 }
 
 async function getHistoricalR2StorageData(env, accountId) {
-  const historicalData = [];
-  
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-r2-storage:${accountId}:` });
-    
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-        
-        historicalData.push({
-          month,
-          timestamp,
-          classAOps: data.classAOps || 0,
-          classBOps: data.classBOps || 0,
-          storageGB: data.storageGB || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical R2 Storage data:', error);
-  }
-  
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'r2Storage', accountId }, ['classAOps', 'classBOps', 'storageGB'], 'R2 Storage');
 }
 
 /**
@@ -3402,49 +4580,12 @@ async function fetchD1ForAccount(apiKey, accountId, d1Config, env) {
       date_leq: dateEnd,
     };
 
-    const [analyticsResponse, storageResponse] = await Promise.all([
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: analyticsQuery,
-          variables: { accountTag: accountId, filter: analyticsFilter },
-        }),
-      }),
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: storageQuery,
-          variables: { accountTag: accountId, filter: { date: dateEnd } },
-        }),
-      }),
-    ]);
-
-    if (!analyticsResponse.ok || !storageResponse.ok) {
-      console.error(`D1 GraphQL failed for account ${accountId}`);
-      return null;
-    }
-
     const [analyticsData, storageData] = await Promise.all([
-      analyticsResponse.json(),
-      storageResponse.json(),
+      cloudflareApi.graphql(apiKey, analyticsQuery, { accountTag: accountId, filter: analyticsFilter }),
+      cloudflareApi.graphql(apiKey, storageQuery, { accountTag: accountId, filter: { date: dateEnd } }),
     ]);
 
-    if (analyticsData.errors) {
-      console.error(`D1 Analytics GraphQL errors for account ${accountId}:`, analyticsData.errors);
-    }
-    if (storageData.errors) {
-      console.error(`D1 Storage GraphQL errors for account ${accountId}:`, storageData.errors);
-    }
-
-    const analyticsAccount = analyticsData.data?.viewer?.accounts?.[0];
+    const analyticsAccount = analyticsData?.viewer?.accounts?.[0];
     if (analyticsAccount?.d1AnalyticsAdaptiveGroups) {
       for (const entry of analyticsAccount.d1AnalyticsAdaptiveGroups) {
         currentRowsRead += entry.sum?.rowsRead || 0;
@@ -3452,7 +4593,7 @@ async function fetchD1ForAccount(apiKey, accountId, d1Config, env) {
       }
     }
 
-    const storageAccount = storageData.data?.viewer?.accounts?.[0];
+    const storageAccount = storageData?.viewer?.accounts?.[0];
     if (storageAccount?.d1StorageAdaptiveGroups) {
       let totalStorageBytes = 0;
       for (const entry of storageAccount.d1StorageAdaptiveGroups) {
@@ -3464,6 +4605,7 @@ async function fetchD1ForAccount(apiKey, accountId, d1Config, env) {
     console.log(`D1 for account ${accountId}: ${currentRowsRead.toLocaleString()} rows read, ${currentRowsWritten.toLocaleString()} rows written, ${currentStorageMB.toFixed(2)} MB`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching D1 for account ${accountId}:`, error);
     return null;
   }
@@ -3472,8 +4614,9 @@ async function fetchD1ForAccount(apiKey, accountId, d1Config, env) {
   let previousRowsWritten = 0;
   let previousStorageMB = 0;
 
-  const previousMonthCacheKey = `monthly-d1:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'd1', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousRowsRead = cachedPreviousMonth.rowsRead || 0;
@@ -3490,51 +4633,29 @@ async function fetchD1ForAccount(apiKey, accountId, d1Config, env) {
         date_leq: prevDateEnd,
       };
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: analyticsQuery,
-          variables: { accountTag: accountId, filter: prevAnalyticsFilter },
-        }),
-      });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
-
-        if (prevAccount?.d1AnalyticsAdaptiveGroups) {
-          for (const entry of prevAccount.d1AnalyticsAdaptiveGroups) {
-            previousRowsRead += entry.sum?.rowsRead || 0;
-            previousRowsWritten += entry.sum?.rowsWritten || 0;
-          }
+      const prevData = await cloudflareApi.graphql(apiKey, analyticsQuery, { accountTag: accountId, filter: prevAnalyticsFilter });
+      const prevAccount = prevData?.viewer?.accounts?.[0];
 
-          await env.CONFIG_KV.put(
-            previousMonthCacheKey,
-            JSON.stringify({ rowsRead: previousRowsRead, rowsWritten: previousRowsWritten, storageMB: previousStorageMB, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 }
-          );
-          console.log(`D1 previous month cached: ${previousRowsRead.toLocaleString()} rows read`);
+      if (prevAccount?.d1AnalyticsAdaptiveGroups) {
+        for (const entry of prevAccount.d1AnalyticsAdaptiveGroups) {
+          previousRowsRead += entry.sum?.rowsRead || 0;
+          previousRowsWritten += entry.sum?.rowsWritten || 0;
         }
+
+        await history.put(historySeries, previousMonthKey, { rowsRead: previousRowsRead, rowsWritten: previousRowsWritten, storageMB: previousStorageMB });
+        console.log(`D1 previous month cached: ${previousRowsRead.toLocaleString()} rows read`);
       }
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month D1:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-d1:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ rowsRead: currentRowsRead, rowsWritten: currentRowsWritten, storageMB: currentStorageMB, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { rowsRead: currentRowsRead, rowsWritten: currentRowsWritten, storageMB: currentStorageMB });
         console.log(`Cached D1 snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache D1 snapshot:', cacheError);
@@ -3570,32 +4691,7 @@ async function fetchD1ForAccount(apiKey, accountId, d1Config, env) {
 }
 
 async function getHistoricalD1Data(env, accountId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-d1:${accountId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month,
-          timestamp,
-          rowsRead: data.rowsRead || 0,
-          rowsWritten: data.rowsWritten || 0,
-          storageMB: data.storageMB || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical D1 data:', error);
-  }
-
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'd1', accountId }, ['rowsRead', 'rowsWritten', 'storageMB'], 'D1');
 }
 
 /**
@@ -3657,49 +4753,12 @@ async function fetchKVForAccount(apiKey, accountId, kvConfig, env) {
     const dateStart = currentMonthStart.toISOString().split('T')[0];
     const dateEnd = now.toISOString().split('T')[0];
 
-    const [opsResponse, storageResponse] = await Promise.all([
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: operationsQuery,
-          variables: { accountTag: accountId, start: dateStart, end: dateEnd },
-        }),
-      }),
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: storageQuery,
-          variables: { accountTag: accountId, start: dateEnd, end: dateEnd },
-        }),
-      }),
+    const [opsData, storageData] = await Promise.all([
+      cloudflareApi.graphql(apiKey, operationsQuery, { accountTag: accountId, start: dateStart, end: dateEnd }),
+      cloudflareApi.graphql(apiKey, storageQuery, { accountTag: accountId, start: dateEnd, end: dateEnd }),
     ]);
 
-    if (!opsResponse.ok || !storageResponse.ok) {
-      console.error(`KV GraphQL failed for account ${accountId}`);
-      return null;
-    }
-
-    const [opsData, storageData] = await Promise.all([
-      opsResponse.json(),
-      storageResponse.json(),
-    ]);
-
-    if (opsData.errors) {
-      console.error(`KV Operations GraphQL errors for account ${accountId}:`, opsData.errors);
-    }
-    if (storageData.errors) {
-      console.error(`KV Storage GraphQL errors for account ${accountId}:`, storageData.errors);
-    }
-
-    const opsAccount = opsData.data?.viewer?.accounts?.[0];
+    const opsAccount = opsData?.viewer?.accounts?.[0];
     if (opsAccount?.kvOperationsAdaptiveGroups) {
       for (const entry of opsAccount.kvOperationsAdaptiveGroups) {
         const actionType = entry.dimensions?.actionType;
@@ -3711,7 +4770,7 @@ async function fetchKVForAccount(apiKey, accountId, kvConfig, env) {
       }
     }
 
-    const storageAccount = storageData.data?.viewer?.accounts?.[0];
+    const storageAccount = storageData?.viewer?.accounts?.[0];
     if (storageAccount?.kvStorageAdaptiveGroups && storageAccount.kvStorageAdaptiveGroups.length > 0) {
       let totalBytes = 0;
       for (const entry of storageAccount.kvStorageAdaptiveGroups) {
@@ -3723,6 +4782,7 @@ async function fetchKVForAccount(apiKey, accountId, kvConfig, env) {
     console.log(`KV for account ${accountId}: ${currentReads.toLocaleString()} reads, ${currentWrites.toLocaleString()} writes, ${currentDeletes.toLocaleString()} deletes, ${currentLists.toLocaleString()} lists, ${currentStorageMB.toFixed(2)} MB`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching KV for account ${accountId}:`, error);
     return null;
   }
@@ -3733,8 +4793,9 @@ async function fetchKVForAccount(apiKey, accountId, kvConfig, env) {
   let previousLists = 0;
   let previousStorageMB = 0;
 
-  const previousMonthCacheKey = `monthly-kv:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'kv', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousReads = cachedPreviousMonth.reads || 0;
@@ -3748,55 +4809,33 @@ async function fetchKVForAccount(apiKey, accountId, kvConfig, env) {
       const prevDateStart = previousMonthStart.toISOString().split('T')[0];
       const prevDateEnd = previousMonthEnd.toISOString().split('T')[0];
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: operationsQuery,
-          variables: { accountTag: accountId, start: prevDateStart, end: prevDateEnd },
-        }),
-      });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
-
-        if (prevAccount?.kvOperationsAdaptiveGroups) {
-          for (const entry of prevAccount.kvOperationsAdaptiveGroups) {
-            const actionType = entry.dimensions?.actionType;
-            const requests = entry.sum?.requests || 0;
-            if (actionType === 'read') previousReads += requests;
-            else if (actionType === 'write') previousWrites += requests;
-            else if (actionType === 'delete') previousDeletes += requests;
-            else if (actionType === 'list') previousLists += requests;
-          }
-
-          await env.CONFIG_KV.put(
-            previousMonthCacheKey,
-            JSON.stringify({ reads: previousReads, writes: previousWrites, deletes: previousDeletes, lists: previousLists, storageMB: previousStorageMB, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 }
-          );
-          console.log(`KV previous month cached: ${previousReads.toLocaleString()} reads`);
+      const prevData = await cloudflareApi.graphql(apiKey, operationsQuery, { accountTag: accountId, start: prevDateStart, end: prevDateEnd });
+      const prevAccount = prevData?.viewer?.accounts?.[0];
+
+      if (prevAccount?.kvOperationsAdaptiveGroups) {
+        for (const entry of prevAccount.kvOperationsAdaptiveGroups) {
+          const actionType = entry.dimensions?.actionType;
+          const requests = entry.sum?.requests || 0;
+          if (actionType === 'read') previousReads += requests;
+          else if (actionType === 'write') previousWrites += requests;
+          else if (actionType === 'delete') previousDeletes += requests;
+          else if (actionType === 'list') previousLists += requests;
         }
+
+        await history.put(historySeries, previousMonthKey, { reads: previousReads, writes: previousWrites, deletes: previousDeletes, lists: previousLists, storageMB: previousStorageMB });
+        console.log(`KV previous month cached: ${previousReads.toLocaleString()} reads`);
       }
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month KV:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-kv:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ reads: currentReads, writes: currentWrites, deletes: currentDeletes, lists: currentLists, storageMB: currentStorageMB, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { reads: currentReads, writes: currentWrites, deletes: currentDeletes, lists: currentLists, storageMB: currentStorageMB });
         console.log(`Cached KV snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache KV snapshot:', cacheError);
@@ -3834,34 +4873,7 @@ async function fetchKVForAccount(apiKey, accountId, kvConfig, env) {
 }
 
 async function getHistoricalKVData(env, accountId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-kv:${accountId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month,
-          timestamp,
-          reads: data.reads || 0,
-          writes: data.writes || 0,
-          deletes: data.deletes || 0,
-          lists: data.lists || 0,
-          storageMB: data.storageMB || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical KV data:', error);
-  }
-
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'kv', accountId }, ['reads', 'writes', 'deletes', 'lists', 'storageMB'], 'KV');
 }
 
 /**
@@ -3902,50 +4914,24 @@ async function fetchStreamForAccount(apiKey, accountId, streamConfig, env) {
     const dateStart = currentMonthStart.toISOString().split('T')[0];
     const dateEnd = now.toISOString().split('T')[0];
 
-    const [storageResponse, deliveredResponse] = await Promise.all([
-      fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/stream/storage-usage`, {
-        headers: { 'Authorization': `Bearer ${apiKey}` },
-      }),
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: minutesDeliveredQuery,
-          variables: { accountTag: accountId, start: dateStart, end: dateEnd },
-        }),
-      }),
+    const [storageData, deliveredData] = await Promise.all([
+      cloudflareApi.rest(apiKey, `/accounts/${accountId}/stream/storage-usage`),
+      cloudflareApi.graphql(apiKey, minutesDeliveredQuery, { accountTag: accountId, start: dateStart, end: dateEnd }),
     ]);
 
-    if (storageResponse.ok) {
-      const storageData = await storageResponse.json();
-      if (storageData.success && storageData.result) {
-        currentMinutesStored = storageData.result.totalStorageMinutes || 0;
-      }
-    } else {
-      console.error(`Stream storage API failed for account ${accountId}: ${storageResponse.status}`);
-    }
+    currentMinutesStored = storageData.result?.totalStorageMinutes || 0;
 
-    if (deliveredResponse.ok) {
-      const deliveredData = await deliveredResponse.json();
-      if (deliveredData.errors) {
-        console.error(`Stream GraphQL errors for account ${accountId}:`, deliveredData.errors);
+    const deliveredAccount = deliveredData?.viewer?.accounts?.[0];
+    if (deliveredAccount?.streamMinutesViewedAdaptiveGroups) {
+      for (const entry of deliveredAccount.streamMinutesViewedAdaptiveGroups) {
+        currentMinutesDelivered += entry.sum?.minutesViewed || 0;
       }
-      const deliveredAccount = deliveredData.data?.viewer?.accounts?.[0];
-      if (deliveredAccount?.streamMinutesViewedAdaptiveGroups) {
-        for (const entry of deliveredAccount.streamMinutesViewedAdaptiveGroups) {
-          currentMinutesDelivered += entry.sum?.minutesViewed || 0;
-        }
-      }
-    } else {
-      console.error(`Stream GraphQL failed for account ${accountId}: ${deliveredResponse.status}`);
     }
 
     console.log(`Stream for account ${accountId}: ${currentMinutesStored.toLocaleString()} min stored, ${currentMinutesDelivered.toLocaleString()} min delivered`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Stream for account ${accountId}:`, error);
     return null;
   }
@@ -3953,8 +4939,9 @@ async function fetchStreamForAccount(apiKey, accountId, streamConfig, env) {
   let previousMinutesStored = 0;
   let previousMinutesDelivered = 0;
 
-  const previousMonthCacheKey = `monthly-stream:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'stream', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousMinutesStored = cachedPreviousMonth.minutesStored || 0;
@@ -3965,49 +4952,27 @@ async function fetchStreamForAccount(apiKey, accountId, streamConfig, env) {
       const prevDateStart = previousMonthStart.toISOString().split('T')[0];
       const prevDateEnd = previousMonthEnd.toISOString().split('T')[0];
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: minutesDeliveredQuery,
-          variables: { accountTag: accountId, start: prevDateStart, end: prevDateEnd },
-        }),
-      });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
-        if (prevAccount?.streamMinutesViewedAdaptiveGroups) {
-          for (const entry of prevAccount.streamMinutesViewedAdaptiveGroups) {
-            previousMinutesDelivered += entry.sum?.minutesViewed || 0;
-          }
+      const prevData = await cloudflareApi.graphql(apiKey, minutesDeliveredQuery, { accountTag: accountId, start: prevDateStart, end: prevDateEnd });
+      const prevAccount = prevData?.viewer?.accounts?.[0];
+      if (prevAccount?.streamMinutesViewedAdaptiveGroups) {
+        for (const entry of prevAccount.streamMinutesViewedAdaptiveGroups) {
+          previousMinutesDelivered += entry.sum?.minutesViewed || 0;
         }
-
-        await env.CONFIG_KV.put(
-          previousMonthCacheKey,
-          JSON.stringify({ minutesStored: previousMinutesStored, minutesDelivered: previousMinutesDelivered, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
-        console.log(`Stream previous month cached: ${previousMinutesDelivered.toLocaleString()} min delivered`);
       }
+
+      await history.put(historySeries, previousMonthKey, { minutesStored: previousMinutesStored, minutesDelivered: previousMinutesDelivered });
+      console.log(`Stream previous month cached: ${previousMinutesDelivered.toLocaleString()} min delivered`);
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month Stream:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-stream:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ minutesStored: currentMinutesStored, minutesDelivered: currentMinutesDelivered, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { minutesStored: currentMinutesStored, minutesDelivered: currentMinutesDelivered });
         console.log(`Cached Stream snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache Stream snapshot:', cacheError);
@@ -4042,30 +5007,7 @@ async function fetchStreamForAccount(apiKey, accountId, streamConfig, env) {
 }
 
 async function getHistoricalStreamData(env, accountId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-stream:${accountId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month, timestamp,
-          minutesStored: data.minutesStored || 0,
-          minutesDelivered: data.minutesDelivered || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Stream data:', error);
-  }
-
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'stream', accountId }, ['minutesStored', 'minutesDelivered'], 'Stream');
 }
 
 /**
@@ -4106,50 +5048,24 @@ async function fetchImagesForAccount(apiKey, accountId, imagesConfig, env) {
     const dateStart = currentMonthStart.toISOString().split('T')[0];
     const dateEnd = now.toISOString().split('T')[0];
 
-    const [storageResponse, deliveredResponse] = await Promise.all([
-      fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/images/v1/stats`, {
-        headers: { 'Authorization': `Bearer ${apiKey}` },
-      }),
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: imagesDeliveredQuery,
-          variables: { accountTag: accountId, start: dateStart, end: dateEnd },
-        }),
-      }),
+    const [storageData, deliveredData] = await Promise.all([
+      cloudflareApi.rest(apiKey, `/accounts/${accountId}/images/v1/stats`),
+      cloudflareApi.graphql(apiKey, imagesDeliveredQuery, { accountTag: accountId, start: dateStart, end: dateEnd }),
     ]);
 
-    if (storageResponse.ok) {
-      const storageData = await storageResponse.json();
-      if (storageData.success && storageData.result) {
-        currentImagesStored = storageData.result.count?.current || 0;
-      }
-    } else {
-      console.error(`Images stats API failed for account ${accountId}: ${storageResponse.status}`);
-    }
+    currentImagesStored = storageData.result?.count?.current || 0;
 
-    if (deliveredResponse.ok) {
-      const deliveredData = await deliveredResponse.json();
-      if (deliveredData.errors) {
-        console.error(`Images GraphQL errors for account ${accountId}:`, deliveredData.errors);
+    const deliveredAccount = deliveredData?.viewer?.accounts?.[0];
+    if (deliveredAccount?.imagesRequestsAdaptiveGroups) {
+      for (const entry of deliveredAccount.imagesRequestsAdaptiveGroups) {
+        currentImagesDelivered += entry.sum?.requests || 0;
       }
-      const deliveredAccount = deliveredData.data?.viewer?.accounts?.[0];
-      if (deliveredAccount?.imagesRequestsAdaptiveGroups) {
-        for (const entry of deliveredAccount.imagesRequestsAdaptiveGroups) {
-          currentImagesDelivered += entry.sum?.requests || 0;
-        }
-      }
-    } else {
-      console.error(`Images GraphQL failed for account ${accountId}: ${deliveredResponse.status}`);
     }
 
     console.log(`Images for account ${accountId}: ${currentImagesStored.toLocaleString()} stored, ${currentImagesDelivered.toLocaleString()} delivered`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Images for account ${accountId}:`, error);
     return null;
   }
@@ -4157,8 +5073,9 @@ async function fetchImagesForAccount(apiKey, accountId, imagesConfig, env) {
   let previousImagesStored = 0;
   let previousImagesDelivered = 0;
 
-  const previousMonthCacheKey = `monthly-images:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'images', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousImagesStored = cachedPreviousMonth.imagesStored || 0;
@@ -4169,49 +5086,27 @@ async function fetchImagesForAccount(apiKey, accountId, imagesConfig, env) {
       const prevDateStart = previousMonthStart.toISOString().split('T')[0];
       const prevDateEnd = previousMonthEnd.toISOString().split('T')[0];
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: imagesDeliveredQuery,
-          variables: { accountTag: accountId, start: prevDateStart, end: prevDateEnd },
-        }),
-      });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
-        if (prevAccount?.imagesRequestsAdaptiveGroups) {
-          for (const entry of prevAccount.imagesRequestsAdaptiveGroups) {
-            previousImagesDelivered += entry.sum?.requests || 0;
-          }
+      const prevData = await cloudflareApi.graphql(apiKey, imagesDeliveredQuery, { accountTag: accountId, start: prevDateStart, end: prevDateEnd });
+      const prevAccount = prevData?.viewer?.accounts?.[0];
+      if (prevAccount?.imagesRequestsAdaptiveGroups) {
+        for (const entry of prevAccount.imagesRequestsAdaptiveGroups) {
+          previousImagesDelivered += entry.sum?.requests || 0;
         }
-
-        await env.CONFIG_KV.put(
-          previousMonthCacheKey,
-          JSON.stringify({ imagesStored: previousImagesStored, imagesDelivered: previousImagesDelivered, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
-        console.log(`Images previous month cached: ${previousImagesDelivered.toLocaleString()} delivered`);
       }
+
+      await history.put(historySeries, previousMonthKey, { imagesStored: previousImagesStored, imagesDelivered: previousImagesDelivered });
+      console.log(`Images previous month cached: ${previousImagesDelivered.toLocaleString()} delivered`);
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month Images:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-images:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ imagesStored: currentImagesStored, imagesDelivered: currentImagesDelivered, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { imagesStored: currentImagesStored, imagesDelivered: currentImagesDelivered });
         console.log(`Cached Images snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache Images snapshot:', cacheError);
@@ -4246,30 +5141,7 @@ async function fetchImagesForAccount(apiKey, accountId, imagesConfig, env) {
 }
 
 async function getHistoricalImagesData(env, accountId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-images:${accountId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month, timestamp,
-          imagesStored: data.imagesStored || 0,
-          imagesDelivered: data.imagesDelivered || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Images data:', error);
-  }
-
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'images', accountId }, ['imagesStored', 'imagesDelivered'], 'Images');
 }
 
 /**
@@ -4309,42 +5181,25 @@ async function fetchWorkersAIForAccount(apiKey, accountId, waiConfig, env) {
     const dateStart = currentMonthStart.toISOString().split('T')[0];
     const dateEnd = now.toISOString().split('T')[0];
 
-    const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query: neuronsQuery,
-        variables: { accountTag: accountId, start: dateStart, end: dateEnd },
-      }),
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      if (data.errors) {
-        console.error(`Workers AI GraphQL errors for account ${accountId}:`, data.errors);
-      }
-      const account = data.data?.viewer?.accounts?.[0];
-      if (account?.aiInferenceAdaptiveGroups?.[0]) {
-        currentNeurons = account.aiInferenceAdaptiveGroups[0].sum?.neurons || 0;
-      }
-    } else {
-      console.error(`Workers AI GraphQL failed for account ${accountId}: ${response.status}`);
+    const data = await cloudflareApi.graphql(apiKey, neuronsQuery, { accountTag: accountId, start: dateStart, end: dateEnd });
+    const account = data?.viewer?.accounts?.[0];
+    if (account?.aiInferenceAdaptiveGroups?.[0]) {
+      currentNeurons = account.aiInferenceAdaptiveGroups[0].sum?.neurons || 0;
     }
 
     console.log(`Workers AI for account ${accountId}: ${currentNeurons.toLocaleString()} neurons`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Workers AI for account ${accountId}:`, error);
     return null;
   }
 
   let previousNeurons = 0;
 
-  const previousMonthCacheKey = `monthly-workersai:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'workersAI', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousNeurons = cachedPreviousMonth.neurons || 0;
@@ -4354,47 +5209,25 @@ async function fetchWorkersAIForAccount(apiKey, accountId, waiConfig, env) {
       const prevDateStart = previousMonthStart.toISOString().split('T')[0];
       const prevDateEnd = previousMonthEnd.toISOString().split('T')[0];
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: neuronsQuery,
-          variables: { accountTag: accountId, start: prevDateStart, end: prevDateEnd },
-        }),
-      });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
-        if (prevAccount?.aiInferenceAdaptiveGroups?.[0]) {
-          previousNeurons = prevAccount.aiInferenceAdaptiveGroups[0].sum?.neurons || 0;
-        }
-
-        await env.CONFIG_KV.put(
-          previousMonthCacheKey,
-          JSON.stringify({ neurons: previousNeurons, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
-        console.log(`Workers AI previous month cached: ${previousNeurons.toLocaleString()} neurons`);
+      const prevData = await cloudflareApi.graphql(apiKey, neuronsQuery, { accountTag: accountId, start: prevDateStart, end: prevDateEnd });
+      const prevAccount = prevData?.viewer?.accounts?.[0];
+      if (prevAccount?.aiInferenceAdaptiveGroups?.[0]) {
+        previousNeurons = prevAccount.aiInferenceAdaptiveGroups[0].sum?.neurons || 0;
       }
+
+      await history.put(historySeries, previousMonthKey, { neurons: previousNeurons });
+      console.log(`Workers AI previous month cached: ${previousNeurons.toLocaleString()} neurons`);
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month Workers AI:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-workersai:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ neurons: currentNeurons, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { neurons: currentNeurons });
         console.log(`Cached Workers AI snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache Workers AI snapshot:', cacheError);
@@ -4464,42 +5297,25 @@ async function fetchQueuesForAccount(apiKey, accountId, queuesConfig, env) {
     const dateStart = currentMonthStart.toISOString().split('T')[0];
     const dateEnd = now.toISOString().split('T')[0];
 
-    const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query: opsQuery,
-        variables: { accountTag: accountId, start: dateStart, end: dateEnd },
-      }),
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      if (data.errors) {
-        console.error(`Queues GraphQL errors for account ${accountId}:`, data.errors);
-      }
-      const account = data.data?.viewer?.accounts?.[0];
-      if (account?.queueMessageOperationsAdaptiveGroups?.[0]) {
-        currentOps = account.queueMessageOperationsAdaptiveGroups[0].sum?.billableOperations || 0;
-      }
-    } else {
-      console.error(`Queues GraphQL failed for account ${accountId}: ${response.status}`);
+    const data = await cloudflareApi.graphql(apiKey, opsQuery, { accountTag: accountId, start: dateStart, end: dateEnd });
+    const account = data?.viewer?.accounts?.[0];
+    if (account?.queueMessageOperationsAdaptiveGroups?.[0]) {
+      currentOps = account.queueMessageOperationsAdaptiveGroups[0].sum?.billableOperations || 0;
     }
 
     console.log(`Queues for account ${accountId}: ${currentOps.toLocaleString()} operations`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Queues for account ${accountId}:`, error);
     return null;
   }
 
   let previousOps = 0;
 
-  const previousMonthCacheKey = `monthly-queues:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'queues', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousOps = cachedPreviousMonth.operations || 0;
@@ -4509,47 +5325,25 @@ async function fetchQueuesForAccount(apiKey, accountId, queuesConfig, env) {
       const prevDateStart = previousMonthStart.toISOString().split('T')[0];
       const prevDateEnd = previousMonthEnd.toISOString().split('T')[0];
 
-      const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: opsQuery,
-          variables: { accountTag: accountId, start: prevDateStart, end: prevDateEnd },
-        }),
-      });
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        const prevAccount = prevData.data?.viewer?.accounts?.[0];
-        if (prevAccount?.queueMessageOperationsAdaptiveGroups?.[0]) {
-          previousOps = prevAccount.queueMessageOperationsAdaptiveGroups[0].sum?.billableOperations || 0;
-        }
-
-        await env.CONFIG_KV.put(
-          previousMonthCacheKey,
-          JSON.stringify({ operations: previousOps, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
-        console.log(`Queues previous month cached: ${previousOps.toLocaleString()} operations`);
+      const prevData = await cloudflareApi.graphql(apiKey, opsQuery, { accountTag: accountId, start: prevDateStart, end: prevDateEnd });
+      const prevAccount = prevData?.viewer?.accounts?.[0];
+      if (prevAccount?.queueMessageOperationsAdaptiveGroups?.[0]) {
+        previousOps = prevAccount.queueMessageOperationsAdaptiveGroups[0].sum?.billableOperations || 0;
       }
+
+      await history.put(historySeries, previousMonthKey, { operations: previousOps });
+      console.log(`Queues previous month cached: ${previousOps.toLocaleString()} operations`);
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month Queues:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-queues:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ operations: currentOps, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { operations: currentOps });
         console.log(`Cached Queues snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache Queues snapshot:', cacheError);
@@ -4584,7 +5378,7 @@ async function fetchQueuesForAccount(apiKey, accountId, queuesConfig, env) {
 
 async function pollSpectrumConcurrent(env) {
   try {
-    const configData = await env.CONFIG_KV.get('config:default', 'json');
+    const configData = await getStoredConfig(env);
     if (!configData?.networkServices?.spectrum?.enabled) {
       return;
     }
@@ -4592,35 +5386,18 @@ async function pollSpectrumConcurrent(env) {
     const specZones = configData.networkServices.spectrum.zones || [];
     if (specZones.length === 0) return;
 
-    const apiKey = env.CLOUDFLARE_API_TOKEN;
-    if (!apiKey) return;
-
     const now = new Date();
-    const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const zoneAccounts = await getZoneAccounts(env, configData);
 
     for (const zoneId of specZones) {
       try {
-        const response = await fetch(
-          `https://api.cloudflare.com/client/v4/zones/${zoneId}/spectrum/analytics/aggregate/current`,
-          { headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' } }
-        );
-
-        if (!response.ok) continue;
-
-        const data = await response.json();
-        if (!data.success || !data.result) continue;
+        const apiKey = getAccountToken(env, configData, zoneAccounts[zoneId]);
+        const data = await cloudflareApi.rest(apiKey, `/zones/${zoneId}/spectrum/analytics/aggregate/current`);
+        if (!data.result) continue;
 
         const concurrent = data.result.reduce((sum, app) => sum + (app.connections || 0), 0);
 
-        const kvKey = `spectrum-concurrent-samples:${zoneId}:${monthKey}`;
-        const stored = await env.CONFIG_KV.get(kvKey, 'json');
-        const samples = stored?.samples || [];
-        samples.push(concurrent);
-
-        await env.CONFIG_KV.put(kvKey, JSON.stringify({
-          samples,
-          lastUpdated: now.toISOString(),
-        }), { expirationTtl: 31536000 });
+        await getHistory(env).addSample({ sku: 'spectrum', zoneId }, getMinutePeriod(now), 'concurrentConnections', concurrent);
       } catch (err) {
         console.error(`Spectrum poll error for zone ${zoneId}:`, err);
       }
@@ -4665,39 +5442,29 @@ async function fetchSpectrumForZone(apiKey, zoneId, specConfig, env) {
     console.log(`Spectrum data transfer from cache for zone ${zoneId}: ${(currentDataTransfer / 1e9).toFixed(2)} GB (age: ${Math.round((Date.now() - cachedTransfer.cachedAt) / 60000)}min)`);
   } else {
     try {
-      const summaryResponse = await fetch(
-        `https://api.cloudflare.com/client/v4/zones/${zoneId}/spectrum/analytics/events/summary?since=${currentMonthStart.toISOString()}&until=${now.toISOString()}&metrics=bytesIngress,bytesEgress`,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
+      const data = await cloudflareApi.rest(
+        apiKey,
+        `/zones/${zoneId}/spectrum/analytics/events/summary?since=${currentMonthStart.toISOString()}&until=${now.toISOString()}&metrics=bytesIngress,bytesEgress`
       );
-
-      if (summaryResponse.ok) {
-        const data = await summaryResponse.json();
-        if (data.success && data.result?.totals) {
-          const ingress = data.result.totals.bytesIngress || 0;
-          const egress = data.result.totals.bytesEgress || 0;
-          currentDataTransfer = ingress + egress;
-        }
-        if (currentDataTransfer > 0) {
-          await env.CONFIG_KV.put(currentTransferCacheKey, JSON.stringify({ bytes: currentDataTransfer, cachedAt: Date.now() }), { expirationTtl: 86400 });
-        }
-      } else {
-        console.error(`Spectrum events/summary failed for zone ${zoneId}: ${summaryResponse.status}`);
-        if (cachedTransfer) currentDataTransfer = cachedTransfer.bytes || 0;
+      if (data.result?.totals) {
+        const ingress = data.result.totals.bytesIngress || 0;
+        const egress = data.result.totals.bytesEgress || 0;
+        currentDataTransfer = ingress + egress;
+      }
+      if (currentDataTransfer > 0) {
+        await env.CONFIG_KV.put(currentTransferCacheKey, JSON.stringify({ bytes: currentDataTransfer, cachedAt: Date.now() }), { expirationTtl: 86400 });
       }
     } catch (error) {
       console.error(`Error fetching Spectrum for zone ${zoneId}:`, error);
-      if (cachedTransfer) { currentDataTransfer = cachedTransfer.bytes || 0; } else { return null; }
+      // A stale total beats none; without one the zone's failure is reported
+      if (!cachedTransfer) throw error;
+      currentDataTransfer = cachedTransfer.bytes || 0;
     }
   }
 
-  const concurrentKvKey = `spectrum-concurrent-samples:${zoneId}:${currentMonthKey}`;
-  const concurrentData = await env.CONFIG_KV.get(concurrentKvKey, 'json');
-  const currentSamples = concurrentData?.samples || [];
+  const history = getHistory(env);
+  const historySeries = { sku: 'spectrum', zoneId };
+  const currentSamples = await history.getSamples(historySeries, 'concurrentConnections', currentMonthKey);
   const currentP95Concurrent = computeP95ZeroFilled(currentSamples, currentMonthStart);
 
   console.log(`Spectrum for zone ${zoneId}: ${(currentDataTransfer / (1024*1024*1024)).toFixed(2)} GB transfer, P95 concurrent: ${currentP95Concurrent} (${currentSamples.length} samples, zero-filled to ${Math.floor((now - currentMonthStart) / 60000)} min)`);
@@ -4705,55 +5472,37 @@ async function fetchSpectrumForZone(apiKey, zoneId, specConfig, env) {
   let previousDataTransfer = 0;
   let previousP95Concurrent = 0;
 
-  const previousMonthCacheKey = `monthly-spectrum:${zoneId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousDataTransfer = cachedPreviousMonth.dataTransfer || 0;
     previousP95Concurrent = cachedPreviousMonth.p95Concurrent || cachedPreviousMonth.p99Concurrent || cachedPreviousMonth.maxConcurrent || 0;
   } else if (now.getDate() >= 2) {
     try {
-      const prevResponse = await fetch(
-        `https://api.cloudflare.com/client/v4/zones/${zoneId}/spectrum/analytics/events/summary?since=${previousMonthStart.toISOString()}&until=${previousMonthEnd.toISOString()}&metrics=bytesIngress,bytesEgress`,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        }
+      const prevData = await cloudflareApi.rest(
+        apiKey,
+        `/zones/${zoneId}/spectrum/analytics/events/summary?since=${previousMonthStart.toISOString()}&until=${previousMonthEnd.toISOString()}&metrics=bytesIngress,bytesEgress`
       );
-
-      if (prevResponse.ok) {
-        const prevData = await prevResponse.json();
-        if (prevData.success && prevData.result?.totals) {
-          previousDataTransfer = (prevData.result.totals.bytesIngress || 0) + (prevData.result.totals.bytesEgress || 0);
-        }
+      if (prevData.result?.totals) {
+        previousDataTransfer = (prevData.result.totals.bytesIngress || 0) + (prevData.result.totals.bytesEgress || 0);
       }
 
-      const prevSamplesData = await env.CONFIG_KV.get(`spectrum-concurrent-samples:${zoneId}:${previousMonthKey}`, 'json');
-      previousP95Concurrent = computeP95ZeroFilled(prevSamplesData?.samples, previousMonthStart);
+      const previousSamples = await history.getSamples(historySeries, 'concurrentConnections', previousMonthKey);
+      previousP95Concurrent = computeP95ZeroFilled(previousSamples, previousMonthStart);
 
-      await env.CONFIG_KV.put(
-        previousMonthCacheKey,
-        JSON.stringify({ dataTransfer: previousDataTransfer, p95Concurrent: previousP95Concurrent, cachedAt: Date.now() }),
-        { expirationTtl: 31536000 }
-      );
+      await history.put(historySeries, previousMonthKey, { dataTransfer: previousDataTransfer, p95Concurrent: previousP95Concurrent });
       console.log(`Cached Spectrum previous month for zone ${zoneId}`);
     } catch (cacheError) {
+      if (cacheError instanceof CloudflareApiError) throw cacheError;
       console.error('Failed to fetch/cache Spectrum previous month:', cacheError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-spectrum:${zoneId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ dataTransfer: currentDataTransfer, p95Concurrent: currentP95Concurrent, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { dataTransfer: currentDataTransfer, p95Concurrent: currentP95Concurrent });
         console.log(`Cached Spectrum snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache Spectrum snapshot:', cacheError);
@@ -4788,30 +5537,12 @@ async function fetchSpectrumForZone(apiKey, zoneId, specConfig, env) {
 }
 
 async function getHistoricalSpectrumData(env, zoneId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-spectrum:${zoneId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month, timestamp,
-          dataTransfer: data.dataTransfer || 0,
-          p95Concurrent: data.p95Concurrent || data.p99Concurrent || data.maxConcurrent || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Spectrum data:', error);
-  }
-
-  return historicalData;
+  const historicalData = await getHistoricalSeries(env, { sku: 'spectrum', zoneId }, ['dataTransfer', 'p95Concurrent', 'p99Concurrent', 'maxConcurrent'], 'Spectrum');
+  // Snapshots from before P95 tracking kept P99 or the peak instead
+  return historicalData.map(({ p99Concurrent, maxConcurrent, ...entry }) => ({
+    ...entry,
+    p95Concurrent: entry.p95Concurrent || p99Concurrent || maxConcurrent,
+  }));
 }
 
 async function fetchLoadBalancingForAccount(apiKey, accountId, env) {
@@ -4822,63 +5553,35 @@ async function fetchLoadBalancingForAccount(apiKey, accountId, env) {
   const previousMonthKey = `${previousMonthStart.getFullYear()}-${String(previousMonthStart.getMonth() + 1).padStart(2, '0')}`;
 
   try {
-    const response = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${accountId}/load_balancers/usage`,
-      { headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' } }
-    );
-
-    if (!response.ok) {
-      console.error(`Load Balancing API failed for account ${accountId}: ${response.status}`);
-      return null;
-    }
-
-    const data = await response.json();
-    if (!data.success || !data.result) {
-      console.error(`Load Balancing API error for account ${accountId}:`, data.errors);
+    const data = await cloudflareApi.rest(apiKey, `/accounts/${accountId}/load_balancers/usage`);
+    if (!data.result) {
+      console.error(`Load Balancing API returned no usage for account ${accountId}`);
       return null;
     }
 
     const currentEndpoints = data.result.origins || 0;
     console.log(`Load Balancing for account ${accountId}: ${currentEndpoints} endpoints`);
 
-    const previousMonthCacheKey = `monthly-load-balancing:${accountId}:${previousMonthKey}`;
+    const history = getHistory(env);
+    const historySeries = { sku: 'loadBalancing', accountId };
     let previousEndpoints = 0;
-    const cachedPrevious = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+    const cachedPrevious = await history.get(historySeries, previousMonthKey);
     if (cachedPrevious) {
       previousEndpoints = cachedPrevious.endpoints || 0;
     }
 
     if (now.getDate() >= 28) {
-      const currentCacheKey = `monthly-load-balancing:${accountId}:${currentMonthKey}`;
-      const existingCurrentCache = await env.CONFIG_KV.get(currentCacheKey, 'json');
+      const existingCurrentCache = await history.get(historySeries, currentMonthKey);
       if (!existingCurrentCache) {
         try {
-          await env.CONFIG_KV.put(
-            currentCacheKey,
-            JSON.stringify({ endpoints: currentEndpoints, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 }
-          );
+          await history.put(historySeries, currentMonthKey, { endpoints: currentEndpoints });
         } catch (cacheError) {
           console.error('Failed to cache Load Balancing data:', cacheError);
         }
       }
     }
 
-    const historicalData = [];
-    try {
-      const listResult = await env.CONFIG_KV.list({ prefix: `monthly-load-balancing:${accountId}:` });
-      for (const key of listResult.keys) {
-        const cached = await env.CONFIG_KV.get(key.name, 'json');
-        if (cached) {
-          const month = key.name.split(':')[2];
-          const [year, monthNum] = month.split('-');
-          const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-          historicalData.push({ month, timestamp, endpoints: cached.endpoints || 0 });
-        }
-      }
-    } catch (e) {
-      console.error('Error loading historical Load Balancing data:', e);
-    }
+    const historicalData = await getHistoricalSeries(env, historySeries, ['endpoints'], 'Load Balancing');
 
     const timeSeries = [
       ...historicalData,
@@ -4896,6 +5599,7 @@ async function fetchLoadBalancingForAccount(apiKey, accountId, env) {
       timeSeries: deduplicatedTimeSeries,
     };
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Load Balancing for account ${accountId}:`, error);
     return null;
   }
@@ -4909,81 +5613,43 @@ async function fetchCustomHostnamesForAccount(apiKey, accountId, env) {
   const previousMonthKey = `${previousMonthStart.getFullYear()}-${String(previousMonthStart.getMonth() + 1).padStart(2, '0')}`;
 
   try {
-    const zonesResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/zones?account.id=${accountId}&per_page=1&status=active`,
-      { headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' } }
-    );
-
-    if (!zonesResponse.ok) {
-      console.error(`Custom Hostnames: Failed to list zones for account ${accountId}: ${zonesResponse.status}`);
-      return null;
-    }
-
-    const zonesData = await zonesResponse.json();
-    if (!zonesData.success || !zonesData.result || zonesData.result.length === 0) {
+    const zonesData = await cloudflareApi.rest(apiKey, `/zones?account.id=${accountId}&per_page=1&status=active`);
+    if (!zonesData.result || zonesData.result.length === 0) {
       console.error(`Custom Hostnames: No zones found for account ${accountId}`);
       return null;
     }
 
     const zoneId = zonesData.result[0].id;
 
-    const quotaResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/zones/${zoneId}/custom_hostnames/quota?ui=true`,
-      { headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' } }
-    );
-
-    if (!quotaResponse.ok) {
-      console.error(`Custom Hostnames API failed for account ${accountId}: ${quotaResponse.status}`);
-      return null;
-    }
-
-    const quotaData = await quotaResponse.json();
-    if (!quotaData.success || !quotaData.result) {
-      console.error(`Custom Hostnames API error for account ${accountId}:`, quotaData.errors);
+    const quotaData = await cloudflareApi.rest(apiKey, `/zones/${zoneId}/custom_hostnames/quota?ui=true`);
+    if (!quotaData.result) {
+      console.error(`Custom Hostnames API returned no quota for account ${accountId}`);
       return null;
     }
 
     const currentHostnames = quotaData.result.used || 0;
     console.log(`Custom Hostnames for account ${accountId}: ${currentHostnames} used`);
 
-    const previousMonthCacheKey = `monthly-custom-hostnames:${accountId}:${previousMonthKey}`;
+    const history = getHistory(env);
+    const historySeries = { sku: 'customHostnames', accountId };
     let previousHostnames = 0;
-    const cachedPrevious = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+    const cachedPrevious = await history.get(historySeries, previousMonthKey);
     if (cachedPrevious) {
       previousHostnames = cachedPrevious.hostnames || 0;
     }
 
     if (now.getDate() >= 28) {
-      const currentCacheKey = `monthly-custom-hostnames:${accountId}:${currentMonthKey}`;
-      const existingCurrentCache = await env.CONFIG_KV.get(currentCacheKey, 'json');
+      const existingCurrentCache = await history.get(historySeries, currentMonthKey);
       if (!existingCurrentCache) {
         try {
-          await env.CONFIG_KV.put(
-            currentCacheKey,
-            JSON.stringify({ hostnames: currentHostnames, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 }
-          );
+          await history.put(historySeries, currentMonthKey, { hostnames: currentHostnames });
         } catch (cacheError) {
           console.error('Failed to cache Custom Hostnames data:', cacheError);
         }
       }
     }
 
-    const historicalData = [];
-    try {
-      const listResult = await env.CONFIG_KV.list({ prefix: `monthly-custom-hostnames:${accountId}:` });
-      for (const key of listResult.keys) {
-        const cached = await env.CONFIG_KV.get(key.name, 'json');
-        if (cached) {
-          const month = key.name.split(':')[2];
-          const [year, monthNum] = month.split('-');
-          const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-          historicalData.push({ month, timestamp, hostnames: cached.hostnames || 0 });
-        }
-      }
-    } catch (e) {
-      console.error('Error loading historical Custom Hostnames data:', e);
-    }
+    const historicalData = await getHistoricalSeries(env, historySeries, ['hostnames'], 'Custom Hostnames');
 
     const timeSeries = [
       ...historicalData,
@@ -5001,6 +5667,7 @@ async function fetchCustomHostnamesForAccount(apiKey, accountId, env) {
       timeSeries: deduplicatedTimeSeries,
     };
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Custom Hostnames for account ${accountId}:`, error);
     return null;
   }
@@ -5017,22 +5684,12 @@ async function fetchLogExplorerForAccount(apiKey, accountId, env) {
   const currentDateStart = currentMonthStart.toISOString();
 
   try {
-    const currentResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        query: `{ viewer { accounts(filter: {accountTag: $accountId}) { logExplorerIngestionAdaptiveGroups(limit: 100, filter: {datetimeMinute_geq: $dateFrom}) { sum { billableBytes } } } } }`,
-        variables: { accountId, dateFrom: currentDateStart },
-      }),
-    });
-
-    if (!currentResponse.ok) {
-      console.error(`Log Explorer API failed for account ${accountId}: ${currentResponse.status}`);
-      return null;
-    }
-
-    const currentData = await currentResponse.json();
-    const currentAccount = currentData.data?.viewer?.accounts?.[0];
+    const currentData = await cloudflareApi.graphql(
+      apiKey,
+      `query LogExplorerIngestion($accountId: string!, $dateFrom: Time!) { viewer { accounts(filter: {accountTag: $accountId}) { logExplorerIngestionAdaptiveGroups(limit: 100, filter: {datetimeMinute_geq: $dateFrom}) { sum { billableBytes } } } } }`,
+      { accountId, dateFrom: currentDateStart }
+    );
+    const currentAccount = currentData?.viewer?.accounts?.[0];
     let currentBillableGB = 0;
     if (currentAccount?.logExplorerIngestionAdaptiveGroups?.[0]) {
       const billableBytes = currentAccount.logExplorerIngestionAdaptiveGroups[0].sum?.billableBytes || 0;
@@ -5040,53 +5697,39 @@ async function fetchLogExplorerForAccount(apiKey, accountId, env) {
     }
     console.log(`Log Explorer for account ${accountId}: ${currentBillableGB.toFixed(2)} GB`);
 
-    const previousMonthCacheKey = `monthly-log-explorer:${accountId}:${previousMonthKey}`;
+    const history = getHistory(env);
+    const historySeries = { sku: 'logExplorer', accountId };
     let previousBillableGB = 0;
-    const cachedPrevious = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+    const cachedPrevious = await history.get(historySeries, previousMonthKey);
     if (cachedPrevious) {
       previousBillableGB = cachedPrevious.billableGB || 0;
     } else if (now.getDate() >= 2) {
       try {
         const prevDateStart = previousMonthStart.toISOString();
         const prevDateEnd = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
-        const prevResponse = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-          method: 'POST',
-          headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            query: `{ viewer { accounts(filter: {accountTag: $accountId}) { logExplorerIngestionAdaptiveGroups(limit: 100, filter: {datetimeMinute_geq: $dateFrom, datetimeMinute_lt: $dateTo}) { sum { billableBytes } } } } }`,
-            variables: { accountId, dateFrom: prevDateStart, dateTo: prevDateEnd },
-          }),
-        });
-
-        if (prevResponse.ok) {
-          const prevData = await prevResponse.json();
-          const prevAccount = prevData.data?.viewer?.accounts?.[0];
-          if (prevAccount?.logExplorerIngestionAdaptiveGroups?.[0]) {
-            previousBillableGB = (prevAccount.logExplorerIngestionAdaptiveGroups[0].sum?.billableBytes || 0) / (1000 ** 3);
-          }
-
-          await env.CONFIG_KV.put(
-            previousMonthCacheKey,
-            JSON.stringify({ billableGB: previousBillableGB, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 }
-          );
-          console.log(`Log Explorer previous month cached: ${previousBillableGB.toFixed(2)} GB`);
+        const prevData = await cloudflareApi.graphql(
+          apiKey,
+          `query LogExplorerIngestion($accountId: string!, $dateFrom: Time!, $dateTo: Time!) { viewer { accounts(filter: {accountTag: $accountId}) { logExplorerIngestionAdaptiveGroups(limit: 100, filter: {datetimeMinute_geq: $dateFrom, datetimeMinute_lt: $dateTo}) { sum { billableBytes } } } } }`,
+          { accountId, dateFrom: prevDateStart, dateTo: prevDateEnd }
+        );
+        const prevAccount = prevData?.viewer?.accounts?.[0];
+        if (prevAccount?.logExplorerIngestionAdaptiveGroups?.[0]) {
+          previousBillableGB = (prevAccount.logExplorerIngestionAdaptiveGroups[0].sum?.billableBytes || 0) / (1000 ** 3);
         }
+
+        await history.put(historySeries, previousMonthKey, { billableGB: previousBillableGB });
+        console.log(`Log Explorer previous month cached: ${previousBillableGB.toFixed(2)} GB`);
       } catch (prevError) {
+        if (prevError instanceof CloudflareApiError) throw prevError;
         console.error(`Failed to fetch previous month Log Explorer:`, prevError);
       }
     }
 
     if (now.getDate() >= 28) {
-      const currentCacheKey = `monthly-log-explorer:${accountId}:${currentMonthKey}`;
-      const existingCurrentCache = await env.CONFIG_KV.get(currentCacheKey, 'json');
+      const existingCurrentCache = await history.get(historySeries, currentMonthKey);
       if (!existingCurrentCache) {
         try {
-          await env.CONFIG_KV.put(
-            currentCacheKey,
-            JSON.stringify({ billableGB: currentBillableGB, cachedAt: Date.now() }),
-            { expirationTtl: 31536000 }
-          );
+          await history.put(historySeries, currentMonthKey, { billableGB: currentBillableGB });
           console.log(`Cached Log Explorer snapshot for ${currentMonthKey}`);
         } catch (cacheError) {
           console.error('Failed to cache Log Explorer snapshot:', cacheError);
@@ -5112,28 +5755,69 @@ async function fetchLogExplorerForAccount(apiKey, accountId, env) {
       timeSeries: deduplicatedTimeSeries,
     };
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Log Explorer for account ${accountId}:`, error);
     return null;
   }
 }
 
 async function getHistoricalLogExplorerData(env, accountId) {
-  const historicalData = [];
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-log-explorer:${accountId}:` });
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-        historicalData.push({ month, timestamp, billableGB: data.billableGB || 0 });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Log Explorer data:', error);
+  return getHistoricalSeries(env, { sku: 'logExplorer', accountId }, ['billableGB'], 'Log Explorer');
+}
+
+/**
+ * Cache Reserve storage in GB-days: the stored bytes of each day, summed over the days
+ */
+function sumCacheReserveGBDays(storageEntries) {
+  if (!storageEntries || storageEntries.length === 0) return 0;
+  const dailyTotals = new Map();
+  storageEntries.forEach(entry => {
+    const date = entry.dimensions?.date;
+    const bytes = entry.max?.storedBytes || 0;
+    dailyTotals.set(date, (dailyTotals.get(date) || 0) + bytes);
+  });
+  let gbDays = 0;
+  for (const bytes of dailyTotals.values()) {
+    gbDays += bytes / 1e9;
   }
-  return historicalData;
+  return gbDays;
+}
+
+/**
+ * Cache Reserve operations split into Class A and Class B
+ */
+function classifyCacheReserveOps(opsEntries) {
+  let classA = 0;
+  let classB = 0;
+  if (!opsEntries) return { classA, classB };
+  opsEntries.forEach(entry => {
+    const opClass = (entry.dimensions?.operationClass || '').toUpperCase();
+    const requests = entry.sum?.requests || 0;
+    if (opClass === 'A') {
+      classA += requests;
+    } else if (opClass === 'B') {
+      classB += requests;
+    }
+  });
+  return { classA, classB };
+}
+
+/**
+ * LIKE pattern matching a zone's Cache Reserve bucket, from the first bucket with storage
+ * between two dates, or null when the zone stored nothing in Cache Reserve
+ */
+async function fetchCacheReserveBucketPrefix(apiKey, zoneId, dateStart, dateEnd) {
+  const discoverData = await cloudflareApi.graphql(
+    apiKey,
+    `query discoverBucket($zoneTag: string, $filter: ZoneCacheReserveStorageAdaptiveGroupsFilter_InputObject) {
+      viewer { zones(filter: {zoneTag: $zoneTag}) {
+        cacheReserveStorageAdaptiveGroups(limit: 1, filter: $filter) { dimensions { bucketName } }
+      } }
+    }`,
+    { zoneTag: zoneId, filter: { date_geq: dateStart, date_leq: dateEnd } }
+  );
+  const firstBucket = discoverData?.viewer?.zones?.[0]?.cacheReserveStorageAdaptiveGroups?.[0]?.dimensions?.bucketName;
+  return firstBucket ? firstBucket.replace(/-[^-]+$/, '-%') : null;
 }
 
 async function fetchCacheReserveForZone(apiKey, zoneId, zoneName, env) {
@@ -5150,25 +5834,11 @@ async function fetchCacheReserveForZone(apiKey, zoneId, zoneName, env) {
   const previousDateEnd = previousMonthEnd.toISOString().split('T')[0];
 
   try {
-    const discoverResp = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        query: `query discoverBucket($zoneTag: string, $filter: ZoneCacheReserveStorageAdaptiveGroupsFilter_InputObject) {
-          viewer { zones(filter: {zoneTag: $zoneTag}) {
-            cacheReserveStorageAdaptiveGroups(limit: 1, filter: $filter) { dimensions { bucketName } }
-          } }
-        }`,
-        variables: { zoneTag: zoneId, filter: { date_geq: currentDateStart, date_leq: currentDateEnd } },
-      }),
-    });
-    const discoverData = await discoverResp.json();
-    const firstBucket = discoverData.data?.viewer?.zones?.[0]?.cacheReserveStorageAdaptiveGroups?.[0]?.dimensions?.bucketName;
-    if (!firstBucket) {
+    const bucketPrefix = await fetchCacheReserveBucketPrefix(apiKey, zoneId, currentDateStart, currentDateEnd);
+    if (!bucketPrefix) {
       console.log(`No Cache Reserve bucket found for zone ${zoneId} - skipping`);
       return null;
     }
-    const bucketPrefix = firstBucket.replace(/-[^-]+$/, '-%');
     console.log(`Cache Reserve zone ${zoneName || zoneId}: discovered bucket prefix ${bucketPrefix}`);
 
     const query = `
@@ -5202,84 +5872,32 @@ async function fetchCacheReserveForZone(apiKey, zoneId, zoneName, env) {
       }
     `;
 
-    const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        query,
-        variables: {
-          zoneTag: zoneId,
-          currentStorageFilter: { date_geq: currentDateStart, date_leq: currentDateEnd, bucketName_like: bucketPrefix },
-          previousStorageFilter: { date_geq: previousDateStart, date_leq: previousDateEnd, bucketName_like: bucketPrefix },
-          currentOpsFilter: { actionStatus_in: ["success", "userError"], date_geq: currentDateStart, date_leq: currentDateEnd, bucketName_like: bucketPrefix },
-          previousOpsFilter: { actionStatus_in: ["success", "userError"], date_geq: previousDateStart, date_leq: previousDateEnd, bucketName_like: bucketPrefix },
-        },
-      }),
+    const data = await cloudflareApi.graphql(apiKey, query, {
+      zoneTag: zoneId,
+      currentStorageFilter: { date_geq: currentDateStart, date_leq: currentDateEnd, bucketName_like: bucketPrefix },
+      previousStorageFilter: { date_geq: previousDateStart, date_leq: previousDateEnd, bucketName_like: bucketPrefix },
+      currentOpsFilter: { actionStatus_in: ["success", "userError"], date_geq: currentDateStart, date_leq: currentDateEnd, bucketName_like: bucketPrefix },
+      previousOpsFilter: { actionStatus_in: ["success", "userError"], date_geq: previousDateStart, date_leq: previousDateEnd, bucketName_like: bucketPrefix },
     });
 
-    if (!response.ok) {
-      console.error(`Cache Reserve GraphQL failed for zone ${zoneId}: ${response.status}`);
-      return null;
-    }
-
-    const data = await response.json();
-    if (data.errors) {
-      console.error(`Cache Reserve GraphQL errors for zone ${zoneId}:`, data.errors);
-      return null;
-    }
-
-    const zone = data.data?.viewer?.zones?.[0];
+    const zone = data?.viewer?.zones?.[0];
     if (!zone) {
       console.log(`No Cache Reserve data for zone ${zoneId}`);
       return null;
     }
 
-    const calcGBDays = (storageEntries) => {
-      if (!storageEntries || storageEntries.length === 0) return 0;
-      const dailyTotals = new Map();
-      storageEntries.forEach(entry => {
-        const date = entry.dimensions?.date;
-        const bytes = entry.max?.storedBytes || 0;
-        dailyTotals.set(date, (dailyTotals.get(date) || 0) + bytes);
-      });
-      let gbDays = 0;
-      for (const bytes of dailyTotals.values()) {
-        gbDays += bytes / 1e9;
-      }
-      return gbDays;
-    };
-
-    const classifyOps = (opsEntries) => {
-      let classA = 0;
-      let classB = 0;
-      if (!opsEntries) return { classA, classB };
-      opsEntries.forEach(entry => {
-        const opClass = (entry.dimensions?.operationClass || '').toUpperCase();
-        const requests = entry.sum?.requests || 0;
-        if (opClass === 'A') {
-          classA += requests;
-        } else if (opClass === 'B') {
-          classB += requests;
-        }
-      });
-      return { classA, classB };
-    };
-
-    const currentGBDays = calcGBDays(zone.currentStorage);
-    const previousGBDays = calcGBDays(zone.previousStorage);
-    const currentOps = classifyOps(zone.currentOps);
-    const previousOps = classifyOps(zone.previousOps);
+    const currentGBDays = sumCacheReserveGBDays(zone.currentStorage);
+    const previousGBDays = sumCacheReserveGBDays(zone.previousStorage);
+    const currentOps = classifyCacheReserveOps(zone.currentOps);
+    const previousOps = classifyCacheReserveOps(zone.previousOps);
 
     console.log(`Cache Reserve zone ${zoneName || zoneId}: storage=${currentGBDays.toFixed(4)} GB-days, classA=${currentOps.classA}, classB=${currentOps.classB}`);
 
-    const previousMonthCacheKey = `monthly-cache-reserve:${zoneId}:${previousMonthKey}`;
+    const history = getHistory(env);
+    const historySeries = { sku: 'cacheReserve', zoneId };
     if (now.getDate() >= 2 && (previousGBDays > 0 || previousOps.classA > 0 || previousOps.classB > 0)) {
       try {
-        await env.CONFIG_KV.put(
-          previousMonthCacheKey,
-          JSON.stringify({ storageGBDays: previousGBDays, classAOps: previousOps.classA, classBOps: previousOps.classB }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, previousMonthKey, { storageGBDays: previousGBDays, classAOps: previousOps.classA, classBOps: previousOps.classB });
       } catch (cacheError) {
         console.error('Failed to cache Cache Reserve previous month:', cacheError);
       }
@@ -5320,33 +5938,18 @@ async function fetchCacheReserveForZone(apiKey, zoneId, zoneName, env) {
       timeSeries: deduplicatedTimeSeries,
     };
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Cache Reserve for zone ${zoneId}:`, error);
     return null;
   }
 }
 
 async function getHistoricalCacheReserveData(env, zoneId) {
-  const historicalData = [];
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-cache-reserve:${zoneId}:` });
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-        historicalData.push({
-          month, timestamp,
-          storageGBDays: data.storageGBDays || data.storageMBDays || data.storageBytes || 0,
-          classAOps: data.classAOps || 0,
-          classBOps: data.classBOps || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Cache Reserve data:', error);
-  }
-  return historicalData;
+  const historicalData = await getHistoricalSeries(env, { sku: 'cacheReserve', zoneId }, ['storageGBDays', 'storageMBDays', 'storageBytes', 'classAOps', 'classBOps'], 'Cache Reserve');
+  return historicalData.map(({ storageMBDays, storageBytes, ...entry }) => ({
+    ...entry,
+    storageGBDays: entry.storageGBDays || storageMBDays || storageBytes,
+  }));
 }
 
 async function fetchWorkersLogsTracesForAccount(apiKey, accountId, wltConfig, env) {
@@ -5363,36 +5966,22 @@ async function fetchWorkersLogsTracesForAccount(apiKey, accountId, wltConfig, en
   let currentEvents = 0;
 
   try {
-    const response = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${accountId}/workers/observability/usage-statuses`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    if (response.ok) {
-      const data = await response.json();
-      if (data.success && data.result) {
-        currentEvents = data.result.numEventsMonthly || 0;
-      }
-    } else {
-      console.error(`Workers Logs & Traces API failed for account ${accountId}: ${response.status}`);
-    }
+    const data = await cloudflareApi.rest(apiKey, `/accounts/${accountId}/workers/observability/usage-statuses`);
+    currentEvents = data.result?.numEventsMonthly || 0;
 
     console.log(`Workers Logs & Traces for account ${accountId}: ${currentEvents.toLocaleString()} events`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching Workers Logs & Traces for account ${accountId}:`, error);
     return null;
   }
 
   let previousEvents = 0;
 
-  const previousMonthCacheKey = `monthly-wlt:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'workersLogsTraces', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousEvents = cachedPreviousMonth.events || 0;
@@ -5400,15 +5989,10 @@ async function fetchWorkersLogsTracesForAccount(apiKey, accountId, wltConfig, en
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-wlt:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ events: currentEvents, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { events: currentEvents });
         console.log(`Cached Workers Logs & Traces snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache Workers Logs & Traces snapshot:', cacheError);
@@ -5442,81 +6026,15 @@ async function fetchWorkersLogsTracesForAccount(apiKey, accountId, wltConfig, en
 }
 
 async function getHistoricalWorkersLogsTracesData(env, accountId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-wlt:${accountId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month, timestamp,
-          events: data.events || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Workers Logs & Traces data:', error);
-  }
-
-  return historicalData;
-}
+  return getHistoricalSeries(env, { sku: 'workersLogsTraces', accountId }, ['events'], 'Workers Logs & Traces');
+}
 
 async function getHistoricalQueuesData(env, accountId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-queues:${accountId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month, timestamp,
-          operations: data.operations || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Queues data:', error);
-  }
-
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'queues', accountId }, ['operations'], 'Queues');
 }
 
 async function getHistoricalWorkersAIData(env, accountId) {
-  const historicalData = [];
-
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-workersai:${accountId}:` });
-
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-
-        historicalData.push({
-          month, timestamp,
-          neurons: data.neurons || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical Workers AI data:', error);
-  }
-
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'workersAI', accountId }, ['neurons'], 'Workers AI');
 }
 
 /**
@@ -5586,45 +6104,20 @@ async function fetchDurableObjectsForAccount(apiKey, accountId, doConfig, env) {
     const dateEnd = now.toISOString().split('T')[0];
     const dateFilter = { date_geq: dateStart, date_leq: dateEnd };
 
-    const [invResponse, periodicResponse, storageResponse] = await Promise.all([
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: invocationsQuery, variables: { accountTag: accountId, filter: dateFilter } }),
-      }),
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: periodicQuery, variables: { accountTag: accountId, filter: dateFilter } }),
-      }),
-      fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: storageQuery, variables: { accountTag: accountId, filter: { date: dateEnd } } }),
-      }),
-    ]);
-
-    if (!invResponse.ok || !periodicResponse.ok || !storageResponse.ok) {
-      console.error(`DO GraphQL failed for account ${accountId}`);
-      return null;
-    }
-
     const [invData, periodicData, storageData] = await Promise.all([
-      invResponse.json(), periodicResponse.json(), storageResponse.json(),
+      cloudflareApi.graphql(apiKey, invocationsQuery, { accountTag: accountId, filter: dateFilter }),
+      cloudflareApi.graphql(apiKey, periodicQuery, { accountTag: accountId, filter: dateFilter }),
+      cloudflareApi.graphql(apiKey, storageQuery, { accountTag: accountId, filter: { date: dateEnd } }),
     ]);
 
-    if (invData.errors) console.error(`DO Invocations errors for ${accountId}:`, invData.errors);
-    if (periodicData.errors) console.error(`DO Periodic errors for ${accountId}:`, periodicData.errors);
-    if (storageData.errors) console.error(`DO Storage errors for ${accountId}:`, storageData.errors);
-
-    const invAccount = invData.data?.viewer?.accounts?.[0];
+    const invAccount = invData?.viewer?.accounts?.[0];
     if (invAccount?.durableObjectsInvocationsAdaptiveGroups) {
       for (const entry of invAccount.durableObjectsInvocationsAdaptiveGroups) {
         currentRequests += entry.sum?.requests || 0;
       }
     }
 
-    const periodicAccount = periodicData.data?.viewer?.accounts?.[0];
+    const periodicAccount = periodicData?.viewer?.accounts?.[0];
     if (periodicAccount?.durableObjectsPeriodicGroups) {
       for (const entry of periodicAccount.durableObjectsPeriodicGroups) {
         const activeTimeUs = entry.sum?.activeTime || 0;
@@ -5637,7 +6130,7 @@ async function fetchDurableObjectsForAccount(apiKey, accountId, doConfig, env) {
       }
     }
 
-    const storageAccount = storageData.data?.viewer?.accounts?.[0];
+    const storageAccount = storageData?.viewer?.accounts?.[0];
     if (storageAccount?.durableObjectsStorageGroups && storageAccount.durableObjectsStorageGroups.length > 0) {
       const latestStorage = storageAccount.durableObjectsStorageGroups[0];
       currentStorageMB = (latestStorage.max?.storedBytes || 0) / 1000000;
@@ -5646,6 +6139,7 @@ async function fetchDurableObjectsForAccount(apiKey, accountId, doConfig, env) {
     console.log(`DO for account ${accountId}: ${currentRequests.toLocaleString()} requests, ${currentDurationGBs.toFixed(2)} GB-s, ${currentSqliteRowsRead.toLocaleString()} sqlite reads, ${currentStorageMB.toFixed(4)} MB`);
 
   } catch (error) {
+    if (error instanceof CloudflareApiError) throw error;
     console.error(`Error fetching DO for account ${accountId}:`, error);
     return null;
   }
@@ -5659,8 +6153,9 @@ async function fetchDurableObjectsForAccount(apiKey, accountId, doConfig, env) {
   let previousKvDeletes = 0;
   let previousStorageMB = 0;
 
-  const previousMonthCacheKey = `monthly-do:${accountId}:${previousMonthKey}`;
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const history = getHistory(env);
+  const historySeries = { sku: 'durableObjects', accountId };
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
 
   if (cachedPreviousMonth) {
     previousRequests = cachedPreviousMonth.requests || 0;
@@ -5678,65 +6173,43 @@ async function fetchDurableObjectsForAccount(apiKey, accountId, doConfig, env) {
       const prevDateEnd = previousMonthEnd.toISOString().split('T')[0];
       const prevFilter = { date_geq: prevDateStart, date_leq: prevDateEnd };
 
-      const [prevInvResponse, prevPeriodicResponse] = await Promise.all([
-        fetch('https://api.cloudflare.com/client/v4/graphql', {
-          method: 'POST',
-          headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({ query: invocationsQuery, variables: { accountTag: accountId, filter: prevFilter } }),
-        }),
-        fetch('https://api.cloudflare.com/client/v4/graphql', {
-          method: 'POST',
-          headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({ query: periodicQuery, variables: { accountTag: accountId, filter: prevFilter } }),
-        }),
+      const [prevInvData, prevPeriodicData] = await Promise.all([
+        cloudflareApi.graphql(apiKey, invocationsQuery, { accountTag: accountId, filter: prevFilter }),
+        cloudflareApi.graphql(apiKey, periodicQuery, { accountTag: accountId, filter: prevFilter }),
       ]);
 
-      if (prevInvResponse.ok && prevPeriodicResponse.ok) {
-        const [prevInvData, prevPeriodicData] = await Promise.all([
-          prevInvResponse.json(), prevPeriodicResponse.json(),
-        ]);
-
-        const prevInvAccount = prevInvData.data?.viewer?.accounts?.[0];
-        if (prevInvAccount?.durableObjectsInvocationsAdaptiveGroups) {
-          for (const entry of prevInvAccount.durableObjectsInvocationsAdaptiveGroups) {
-            previousRequests += entry.sum?.requests || 0;
-          }
+      const prevInvAccount = prevInvData?.viewer?.accounts?.[0];
+      if (prevInvAccount?.durableObjectsInvocationsAdaptiveGroups) {
+        for (const entry of prevInvAccount.durableObjectsInvocationsAdaptiveGroups) {
+          previousRequests += entry.sum?.requests || 0;
         }
+      }
 
-        const prevPeriodicAccount = prevPeriodicData.data?.viewer?.accounts?.[0];
-        if (prevPeriodicAccount?.durableObjectsPeriodicGroups) {
-          for (const entry of prevPeriodicAccount.durableObjectsPeriodicGroups) {
-            previousDurationGBs += (entry.sum?.activeTime || 0) / 7812500;
-            previousSqliteRowsRead += entry.sum?.rowsRead || 0;
-            previousSqliteRowsWritten += entry.sum?.rowsWritten || 0;
-            previousKvReadUnits += entry.sum?.storageReadUnits || 0;
-            previousKvWriteUnits += entry.sum?.storageWriteUnits || 0;
-            previousKvDeletes += entry.sum?.storageDeletes || 0;
-          }
+      const prevPeriodicAccount = prevPeriodicData?.viewer?.accounts?.[0];
+      if (prevPeriodicAccount?.durableObjectsPeriodicGroups) {
+        for (const entry of prevPeriodicAccount.durableObjectsPeriodicGroups) {
+          previousDurationGBs += (entry.sum?.activeTime || 0) / 7812500;
+          previousSqliteRowsRead += entry.sum?.rowsRead || 0;
+          previousSqliteRowsWritten += entry.sum?.rowsWritten || 0;
+          previousKvReadUnits += entry.sum?.storageReadUnits || 0;
+          previousKvWriteUnits += entry.sum?.storageWriteUnits || 0;
+          previousKvDeletes += entry.sum?.storageDeletes || 0;
         }
-
-        await env.CONFIG_KV.put(
-          previousMonthCacheKey,
-          JSON.stringify({ requests: previousRequests, durationGBs: previousDurationGBs, sqliteRowsRead: previousSqliteRowsRead, sqliteRowsWritten: previousSqliteRowsWritten, kvReadUnits: previousKvReadUnits, kvWriteUnits: previousKvWriteUnits, kvDeletes: previousKvDeletes, storageMB: previousStorageMB, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
-        console.log(`DO previous month cached: ${previousRequests.toLocaleString()} requests`);
       }
+
+      await history.put(historySeries, previousMonthKey, { requests: previousRequests, durationGBs: previousDurationGBs, sqliteRowsRead: previousSqliteRowsRead, sqliteRowsWritten: previousSqliteRowsWritten, kvReadUnits: previousKvReadUnits, kvWriteUnits: previousKvWriteUnits, kvDeletes: previousKvDeletes, storageMB: previousStorageMB });
+      console.log(`DO previous month cached: ${previousRequests.toLocaleString()} requests`);
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`Failed to fetch previous month DO:`, prevError);
     }
   }
 
   if (now.getDate() >= 28) {
-    const currentMonthCacheKey = `monthly-do:${accountId}:${currentMonthKey}`;
-    const existingCurrentCache = await env.CONFIG_KV.get(currentMonthCacheKey, 'json');
+    const existingCurrentCache = await history.get(historySeries, currentMonthKey);
     if (!existingCurrentCache) {
       try {
-        await env.CONFIG_KV.put(
-          currentMonthCacheKey,
-          JSON.stringify({ requests: currentRequests, durationGBs: currentDurationGBs, sqliteRowsRead: currentSqliteRowsRead, sqliteRowsWritten: currentSqliteRowsWritten, kvReadUnits: currentKvReadUnits, kvWriteUnits: currentKvWriteUnits, kvDeletes: currentKvDeletes, storageMB: currentStorageMB, cachedAt: Date.now() }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, { requests: currentRequests, durationGBs: currentDurationGBs, sqliteRowsRead: currentSqliteRowsRead, sqliteRowsWritten: currentSqliteRowsWritten, kvReadUnits: currentKvReadUnits, kvWriteUnits: currentKvWriteUnits, kvDeletes: currentKvDeletes, storageMB: currentStorageMB });
         console.log(`Cached DO snapshot for ${currentMonthKey}`);
       } catch (cacheError) {
         console.error('Failed to cache DO snapshot:', cacheError);
@@ -5775,32 +6248,7 @@ async function fetchDurableObjectsForAccount(apiKey, accountId, doConfig, env) {
 }
 
 async function getHistoricalDOData(env, accountId) {
-  const historicalData = [];
-  try {
-    const listResult = await env.CONFIG_KV.list({ prefix: `monthly-do:${accountId}:` });
-    for (const key of listResult.keys) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        const month = key.name.split(':')[2];
-        const [year, monthNum] = month.split('-');
-        const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-        historicalData.push({
-          month, timestamp,
-          requests: data.requests || 0,
-          durationGBs: data.durationGBs || 0,
-          sqliteRowsRead: data.sqliteRowsRead || 0,
-          sqliteRowsWritten: data.sqliteRowsWritten || 0,
-          kvReadUnits: data.kvReadUnits || 0,
-          kvWriteUnits: data.kvWriteUnits || 0,
-          kvDeletes: data.kvDeletes || 0,
-          storageMB: data.storageMB || 0,
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading historical DO data:', error);
-  }
-  return historicalData;
+  return getHistoricalSeries(env, { sku: 'durableObjects', accountId }, ['requests', 'durationGBs', 'sqliteRowsRead', 'sqliteRowsWritten', 'kvReadUnits', 'kvWriteUnits', 'kvDeletes', 'storageMB'], 'DO');
 }
 
 /**
@@ -5863,29 +6311,12 @@ async function classifyTunnelsByIP(apiKey, accountId, env) {
   `;
   
   try {
-    const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query,
-        variables: {
-          accountTag: accountId,
-          datetimeStart: startDate.toISOString(),
-          datetimeEnd: now.toISOString(),
-        },
-      }),
+    const data = await cloudflareApi.graphql(apiKey, query, {
+      accountTag: accountId,
+      datetimeStart: startDate.toISOString(),
+      datetimeEnd: now.toISOString(),
     });
-    
-    if (!response.ok) {
-      console.error(`Failed to fetch tunnel classification data: ${response.status}`);
-      return new Map();
-    }
-    
-    const data = await response.json();
-    const entries = data?.data?.viewer?.accounts?.[0]?.magicTransitNetworkAnalyticsAdaptiveGroups || [];
+    const entries = data?.viewer?.accounts?.[0]?.magicTransitNetworkAnalyticsAdaptiveGroups || [];
     
     // Track which tunnels have private IPs
     const tunnelHasPrivateIP = new Map();
@@ -5933,52 +6364,34 @@ async function classifyTunnelsByIP(apiKey, accountId, env) {
     
     return tunnelClassification;
   } catch (error) {
+    // Unclassified tunnels would count towards both Magic Transit and Magic WAN
+    if (error instanceof CloudflareApiError) throw error;
     console.error('Error classifying tunnels:', error);
     return new Map();
   }
 }
 
+// Billing-aligned tunnel traffic filters per service type (matching internal billing SQL)
+// MT: uses direction filter; WAN: no direction filter, uses onRamp/offRamp
+const MAGIC_BILLING_FILTERS = {
+  magicTransit: {
+    ingress: 'direction: "ingress", offRamp_in: ["GRE", "IPsec", "CNI"]',
+    egress: 'direction: "egress", onRamp_in: ["GRE", "IPsec", "CNI"]',
+  },
+  magicWan: {
+    ingress: 'onRamp_in: ["GRE", "IPsec", "CNI"], offRamp_neq: "WARP"',
+    egress: 'egressTunnelName_neq: "", ingressTunnelName_neq: "", onRamp_neq: "WARP", offRamp_neq: "WARP"',
+  },
+};
+const MAGIC_WINDOW_DAYS = 4;
+
 /**
- * Fetch Magic Transit/WAN bandwidth for an account using GraphQL
- * Returns P95th bandwidth in Mbps (account-level metric)
- * @param {string} serviceType - 'magicTransit' or 'magicWan'
+ * Account-level P95 bandwidth of a Magic Transit or WAN account from periodStart up to periodEnd:
+ * matching tunnel traffic summed per 5-minute interval (zero-filled), then the 95th percentile.
+ * Magic Transit bills ingress; WAN the higher of ingress and egress.
+ * Returns { p95Mbps, ingressP95Mbps, egressP95Mbps, tunnelCount, intervalCount }.
  */
-async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, env, serviceType) {
-  if (!serviceConfig || !serviceConfig.enabled) {
-    return null;
-  }
-
-  const now = new Date();
-  const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-  const previousMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-  const previousMonthKey = `${previousMonthStart.getFullYear()}-${String(previousMonthStart.getMonth() + 1).padStart(2, '0')}`;
-
-  // Define time ranges for current and previous month
-  const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-  const previousMonthEnd = new Date(now.getFullYear(), now.getMonth(), 1);
-  
-  // Round end time to last completed HOUR for stable P95 calculation
-  // This ensures the same data is returned regardless of when during the hour you refresh
-  const currentMonthEnd = new Date(now);
-  currentMonthEnd.setMinutes(0, 0, 0);
-  // If we're at exactly the top of the hour, use previous hour to ensure data is complete
-  if (now.getMinutes() < 5) {
-    currentMonthEnd.setHours(currentMonthEnd.getHours() - 1);
-  }
-
-  // Billing-aligned filter configs per service type (matching internal billing SQL)
-  // MT: uses direction filter; WAN: no direction filter, uses onRamp/offRamp
-  const BILLING_FILTERS = {
-    magicTransit: {
-      ingress: 'direction: "ingress", offRamp_in: ["GRE", "IPsec", "CNI"]',
-      egress: 'direction: "egress", onRamp_in: ["GRE", "IPsec", "CNI"]',
-    },
-    magicWan: {
-      ingress: 'onRamp_in: ["GRE", "IPsec", "CNI"], offRamp_neq: "WARP"',
-      egress: 'egressTunnelName_neq: "", ingressTunnelName_neq: "", onRamp_neq: "WARP", offRamp_neq: "WARP"',
-    },
-  };
-
+async function fetchMagicBandwidthP95(apiKey, accountId, serviceType, tunnelClassification, periodStart, periodEnd) {
   const buildBillingQuery = (extraFilters) => `
     query GetTunnelBandwidth($accountTag: String!, $datetimeStart: Date!, $datetimeEnd: Date!) {
       viewer {
@@ -6004,9 +6417,8 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
     }
   `;
 
-  const WINDOW_DAYS = 4;
-  const fetchWindowedData = async (filterStr, periodStart, periodEnd) => {
-    const windowMs = WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const fetchWindowedData = async (filterStr) => {
+    const windowMs = MAGIC_WINDOW_DAYS * 24 * 60 * 60 * 1000;
     const windows = [];
     let windowStart = new Date(periodStart.getTime());
     while (windowStart < periodEnd) {
@@ -6016,32 +6428,14 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
     }
     
     const billingQuery = buildBillingQuery(filterStr);
+    // A missing window would understate the P95, so a failed one fails the whole period
     const results = await Promise.all(windows.map(async (w) => {
-      try {
-        const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            query: billingQuery,
-            variables: {
-              accountTag: accountId,
-              datetimeStart: w.start.toISOString(),
-              datetimeEnd: w.end.toISOString(),
-            },
-          }),
-        });
-        if (response.ok) {
-          const data = await response.json();
-          return data?.data?.viewer?.accounts?.[0]?.magicTransitTunnelTrafficAdaptiveGroups || [];
-        }
-        return [];
-      } catch (err) {
-        console.error(`${serviceType} window fetch error:`, err);
-        return [];
-      }
+      const data = await cloudflareApi.graphql(apiKey, billingQuery, {
+        accountTag: accountId,
+        datetimeStart: w.start.toISOString(),
+        datetimeEnd: w.end.toISOString(),
+      });
+      return data?.viewer?.accounts?.[0]?.magicTransitTunnelTrafficAdaptiveGroups || [];
     }));
     
     const allEntries = results.flat();
@@ -6049,7 +6443,7 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
     return allEntries;
   };
 
-  const calcAccountLevelP95 = (entries, periodStart, periodEnd) => {
+  const calcAccountLevelP95 = (entries) => {
     const totalIntervals = Math.floor((periodEnd.getTime() - periodStart.getTime()) / (5 * 60 * 1000));
     const intervals = {};
     const tunnelNames = new Set();
@@ -6076,6 +6470,53 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
     return { p95: p95Val, tunnelCount: tunnelNames.size };
   };
 
+  const filters = MAGIC_BILLING_FILTERS[serviceType];
+  const [ingressData, egressData] = await Promise.all([
+    fetchWindowedData(filters.ingress),
+    fetchWindowedData(filters.egress),
+  ]);
+  const ingressResult = calcAccountLevelP95(ingressData);
+  const egressResult = calcAccountLevelP95(egressData);
+
+  const ingressP95Mbps = ingressResult.p95 / 1e6;
+  const egressP95Mbps = egressResult.p95 / 1e6;
+  return {
+    p95Mbps: serviceType === 'magicTransit' ? ingressP95Mbps : Math.max(ingressP95Mbps, egressP95Mbps),
+    ingressP95Mbps,
+    egressP95Mbps,
+    tunnelCount: Math.max(ingressResult.tunnelCount, egressResult.tunnelCount),
+    intervalCount: ingressData.length + egressData.length,
+  };
+}
+
+/**
+ * Fetch Magic Transit/WAN bandwidth for an account using GraphQL
+ * Returns P95th bandwidth in Mbps (account-level metric)
+ * @param {string} serviceType - 'magicTransit' or 'magicWan'
+ */
+async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, env, serviceType) {
+  if (!serviceConfig || !serviceConfig.enabled) {
+    return null;
+  }
+
+  const now = new Date();
+  const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const previousMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const previousMonthKey = `${previousMonthStart.getFullYear()}-${String(previousMonthStart.getMonth() + 1).padStart(2, '0')}`;
+
+  // Define time ranges for current and previous month
+  const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const previousMonthEnd = new Date(now.getFullYear(), now.getMonth(), 1);
+  
+  // Round end time to last completed HOUR for stable P95 calculation
+  // This ensures the same data is returned regardless of when during the hour you refresh
+  const currentMonthEnd = new Date(now);
+  currentMonthEnd.setMinutes(0, 0, 0);
+  // If we're at exactly the top of the hour, use previous hour to ensure data is complete
+  if (now.getMinutes() < 5) {
+    currentMonthEnd.setHours(currentMonthEnd.getHours() - 1);
+  }
+
   // Classify tunnels by IP to separate Magic Transit vs Magic WAN
   const tunnelClassification = await classifyTunnelsByIP(apiKey, accountId, env);
   
@@ -6099,25 +6540,11 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
     // Account-level P95: sum all matching tunnel traffic per 5-min interval, then P95
     // MT main = ingress P95; WAN main = max(ingress P95, egress P95)
     try {
-      const filters = BILLING_FILTERS[serviceType];
-      
-      const [ingressData, egressData] = await Promise.all([
-        fetchWindowedData(filters.ingress, currentMonthStart, currentMonthEnd),
-        fetchWindowedData(filters.egress, currentMonthStart, currentMonthEnd),
-      ]);
-      
-      const ingressResult = calcAccountLevelP95(ingressData, currentMonthStart, currentMonthEnd);
-      const egressResult = calcAccountLevelP95(egressData, currentMonthStart, currentMonthEnd);
-      
-      currentIngressP95Mbps = ingressResult.p95 / 1e6;
-      currentEgressP95Mbps = egressResult.p95 / 1e6;
-      if (serviceType === 'magicTransit') {
-        currentP95Mbps = currentIngressP95Mbps;
-      } else {
-        currentP95Mbps = Math.max(currentIngressP95Mbps, currentEgressP95Mbps);
-      }
-      const tunnelCount = Math.max(ingressResult.tunnelCount, egressResult.tunnelCount);
-      const dataIntervalCount = ingressData.length + egressData.length;
+      const current = await fetchMagicBandwidthP95(apiKey, accountId, serviceType, tunnelClassification, currentMonthStart, currentMonthEnd);
+      currentP95Mbps = current.p95Mbps;
+      currentIngressP95Mbps = current.ingressP95Mbps;
+      currentEgressP95Mbps = current.egressP95Mbps;
+      const { tunnelCount, intervalCount: dataIntervalCount } = current;
       console.log(`${serviceType} FINAL: p95=${currentP95Mbps.toFixed(4)} Mbps (ingress=${currentIngressP95Mbps.toFixed(4)}, egress=${currentEgressP95Mbps.toFixed(4)}, tunnels=${tunnelCount})`);
       
       // Cache the result - but prefer cached non-zero over fresh zero
@@ -6157,6 +6584,7 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
         currentEgressP95Mbps = cachedCurrentMonth.egressP95Mbps || 0;
         console.log(`${serviceType} fetch failed, falling back to stale cache: ${currentP95Mbps.toFixed(6)} Mbps`);
       } else {
+        if (fetchError instanceof CloudflareApiError) throw fetchError;
         return null;
       }
     }
@@ -6164,12 +6592,13 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
 
   // Get previous month data - first try cache, then fetch from API
   // v6 cache key - windowed pagination + parallel fetches
-  const previousMonthCacheKey = `monthly-v6-${serviceType}:${accountId}:${previousMonthKey}`;
+  const history = getHistory(env);
+  const historySeries = { sku: serviceType, accountId };
   let previousP95Mbps = 0;
   let previousIngressP95Mbps = 0;
   let previousEgressP95Mbps = 0;
   
-  const cachedPreviousMonth = await env.CONFIG_KV.get(previousMonthCacheKey, 'json');
+  const cachedPreviousMonth = await history.get(historySeries, previousMonthKey);
   if (cachedPreviousMonth) {
     previousP95Mbps = cachedPreviousMonth.p95Mbps || 0;
     previousIngressP95Mbps = cachedPreviousMonth.ingressP95Mbps || 0;
@@ -6178,60 +6607,37 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
   } else {
     console.log(`${serviceType} fetching previous month from API for ${previousMonthKey}`);
     try {
-      const filters = BILLING_FILTERS[serviceType];
-      
-      const [prevIngressData, prevEgressData] = await Promise.all([
-        fetchWindowedData(filters.ingress, previousMonthStart, previousMonthEnd),
-        fetchWindowedData(filters.egress, previousMonthStart, previousMonthEnd),
-      ]);
-      
-      const prevIngressResult = calcAccountLevelP95(prevIngressData, previousMonthStart, previousMonthEnd);
-      const prevEgressResult = calcAccountLevelP95(prevEgressData, previousMonthStart, previousMonthEnd);
-      
-      previousIngressP95Mbps = prevIngressResult.p95 / 1e6;
-      previousEgressP95Mbps = prevEgressResult.p95 / 1e6;
-      if (serviceType === 'magicTransit') {
-        previousP95Mbps = previousIngressP95Mbps;
-      } else {
-        previousP95Mbps = Math.max(previousIngressP95Mbps, previousEgressP95Mbps);
-      }
-      const prevTunnelCount = Math.max(prevIngressResult.tunnelCount, prevEgressResult.tunnelCount);
+      const previous = await fetchMagicBandwidthP95(apiKey, accountId, serviceType, tunnelClassification, previousMonthStart, previousMonthEnd);
+      previousP95Mbps = previous.p95Mbps;
+      previousIngressP95Mbps = previous.ingressP95Mbps;
+      previousEgressP95Mbps = previous.egressP95Mbps;
+      const prevTunnelCount = previous.tunnelCount;
       console.log(`${serviceType} previous month: p95=${previousP95Mbps.toFixed(4)} Mbps (ingress=${previousIngressP95Mbps.toFixed(4)}, egress=${previousEgressP95Mbps.toFixed(4)}, tunnels=${prevTunnelCount})`);
       
       if (prevTunnelCount > 0) {
-        await env.CONFIG_KV.put(
-          previousMonthCacheKey,
-          JSON.stringify({ 
-            p95Mbps: previousP95Mbps, 
-            ingressP95Mbps: previousIngressP95Mbps,
-            egressP95Mbps: previousEgressP95Mbps,
-            tunnelCount: prevTunnelCount, 
-            cachedAt: Date.now() 
-          }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, previousMonthKey, {
+          p95Mbps: previousP95Mbps,
+          ingressP95Mbps: previousIngressP95Mbps,
+          egressP95Mbps: previousEgressP95Mbps,
+          tunnelCount: prevTunnelCount,
+        });
       }
     } catch (prevError) {
+      if (prevError instanceof CloudflareApiError) throw prevError;
       console.error(`${serviceType} failed to fetch previous month:`, prevError);
     }
   }
 
   // Cache current month snapshot at end of month (day >= 28)
   if (now.getDate() >= 28) {
-    const snapshotKey = `monthly-v6-${serviceType}:${accountId}:${currentMonthKey}`;
-    const existingSnapshot = await env.CONFIG_KV.get(snapshotKey, 'json');
+    const existingSnapshot = await history.get(historySeries, currentMonthKey);
     if (!existingSnapshot) {
       try {
-        await env.CONFIG_KV.put(
-          snapshotKey,
-          JSON.stringify({
-            p95Mbps: currentP95Mbps,
-            ingressP95Mbps: currentIngressP95Mbps,
-            egressP95Mbps: currentEgressP95Mbps,
-            cachedAt: Date.now()
-          }),
-          { expirationTtl: 31536000 }
-        );
+        await history.put(historySeries, currentMonthKey, {
+          p95Mbps: currentP95Mbps,
+          ingressP95Mbps: currentIngressP95Mbps,
+          egressP95Mbps: currentEgressP95Mbps,
+        });
         console.log(`Cached ${serviceType} snapshot for ${currentMonthKey}: p95=${currentP95Mbps}, ingress=${currentIngressP95Mbps}, egress=${currentEgressP95Mbps}`);
       } catch (cacheError) {
         console.error(`Failed to cache ${serviceType} bandwidth snapshot:`, cacheError);
@@ -6281,56 +6687,24 @@ async function fetchMagicBandwidthForAccount(apiKey, accountId, serviceConfig, e
 }
 
 /**
- * Get historical Magic Transit/WAN bandwidth data from KV
+ * Get historical Magic Transit/WAN bandwidth data from the history store
  */
 async function getHistoricalMagicBandwidthData(env, accountId, serviceType) {
-  const historicalData = [];
-  
-  try {
-    const prefixes = [
-      `monthly-v6-${serviceType}:${accountId}:`,
-      `monthly-v5-${serviceType}:${accountId}:`,
-    ];
-    
-    const seen = new Set();
-    for (const prefix of prefixes) {
-      const listResult = await env.CONFIG_KV.list({ prefix });
-      for (const key of listResult.keys) {
-        const data = await env.CONFIG_KV.get(key.name, 'json');
-        if (data) {
-          const month = key.name.split(':')[2];
-          if (seen.has(month)) continue;
-          seen.add(month);
-          const [year, monthNum] = month.split('-');
-          const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-          historicalData.push({
-            month,
-            timestamp,
-            p95Mbps: data.p95Mbps || 0,
-            ingressP95Mbps: data.ingressP95Mbps || data.p95Mbps || 0,
-            egressP95Mbps: data.egressP95Mbps || 0,
-          });
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error loading historical ${serviceType} bandwidth data:`, error);
-  }
-  
-  return historicalData;
+  const historicalData = await getHistoricalSeries(env, { sku: serviceType, accountId }, ['p95Mbps', 'ingressP95Mbps', 'egressP95Mbps'], `${serviceType} bandwidth`);
+  return historicalData.map(entry => ({ ...entry, ingressP95Mbps: entry.ingressP95Mbps || entry.p95Mbps }));
 }
 
 /**
  * Calculate add-on metrics from existing zone data (API Shield, Page Shield, Advanced Rate Limiting)
  * These add-ons use HTTP request data we already have - just filter by configured zones!
  */
-async function calculateZoneBasedAddonForAccount(accountData, addonConfig, env, addonType) {
+async function calculateZoneBasedAddonForAccount(accountData, addonConfig, env, productId) {
   if (!addonConfig || !addonConfig.enabled) {
     return null;
   }
 
   if (!addonConfig.zones || addonConfig.zones.length === 0) {
-    console.log(`${addonType}: No zones configured for account ${accountData.accountId}, skipping`);
+    console.log(`${productId}: No zones configured for account ${accountData.accountId}, skipping`);
     return null;
   }
 
@@ -6347,7 +6721,7 @@ async function calculateZoneBasedAddonForAccount(accountData, addonConfig, env,
   
   // If no configured zones belong to this account, return null
   if (currentZones.length === 0) {
-    console.log(`${addonType}: No configured zones found in account ${accountData.accountId}, skipping`);
+    console.log(`${productId}: No configured zones found in account ${accountData.accountId}, skipping`);
     return null;
   }
   
@@ -6372,8 +6746,8 @@ async function calculateZoneBasedAddonForAccount(accountData, addonConfig, env,
   // 3. The confidence represents the accuracy of the request counts
   const confidence = accountData.current?.confidence?.requests || null;
   
-  // Load historical data from KV
-  const historicalData = await getHistoricalAddonData(env, accountData.accountId, addonType);
+  // Load historical data from the history store
+  const historicalData = await getHistoricalAddonData(env, accountData.accountId, productId);
   
   // Build timeSeries (include both previous and current month!)
   const now = new Date();
@@ -6399,22 +6773,13 @@ async function calculateZoneBasedAddonForAccount(accountData, addonConfig, env,
     }
   ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
   
-  // Store previous month data in KV if we're past day 2 of current month
-  const kvPrefix = `monthly-${addonType.toLowerCase().replace(/\s+/g, '-')}-stats`;
-  
+  // Store previous month data if we're past day 2 of current month
   if (now.getDate() >= 2 && previousTotal > 0) {
     try {
-      await env.CONFIG_KV.put(
-        `${kvPrefix}:${accountData.accountId}:${previousMonthKey}`,
-        JSON.stringify({
-          requests: previousTotal,
-          zones: previousZones,
-        }),
-        { expirationTtl: 31536000 } // 1 year
-      );
-      console.log(`Stored ${addonType} stats for ${previousMonthKey}`);
+      await getHistory(env).put({ sku: productId, accountId: accountData.accountId }, previousMonthKey, { requests: previousTotal }, previousZones);
+      console.log(`Stored ${productId} stats for ${previousMonthKey}`);
     } catch (error) {
-      console.error(`Failed to store ${addonType} monthly stats:`, error);
+      console.error(`Failed to store ${productId} monthly stats:`, error);
     }
   }
 
@@ -6492,17 +6857,9 @@ async function calculateArgoForAccount(accountData, argoConfig, env) {
     }
   ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-  const kvPrefix = 'monthly-argo-stats';
   if (now.getDate() >= 2 && previousTotal > 0) {
     try {
-      await env.CONFIG_KV.put(
-        `${kvPrefix}:${accountData.accountId}:${previousMonthKey}`,
-        JSON.stringify({
-          bytes: previousTotal,
-          zones: previousZones,
-        }),
-        { expirationTtl: 31536000 }
-      );
+      await getHistory(env).put({ sku: 'argo', accountId: accountData.accountId }, previousMonthKey, { bytes: previousTotal }, previousZones);
       console.log(`Stored argo stats for ${previousMonthKey}`);
     } catch (error) {
       console.error('Failed to store argo monthly stats:', error);
@@ -6524,297 +6881,117 @@ async function calculateArgoForAccount(accountData, argoConfig, env) {
 }
 
 /**
- * Get historical addon data from KV (cached for 6 hours)
+ * Get historical addon data from the history store
  */
-async function getHistoricalAddonData(env, accountId, addonType) {
-  const kvPrefix = `monthly-${addonType.toLowerCase().replace(/\s+/g, '-')}-stats`;
-  const cacheKey = `historical-${addonType.toLowerCase().replace(/\s+/g, '-')}-data:${accountId}`;
-  const cached = await env.CONFIG_KV.get(cacheKey, 'json');
-  
-  if (cached && cached.cachedAt) {
-    const cacheAge = Date.now() - cached.cachedAt;
-    if (cacheAge < 6 * 60 * 60 * 1000) { // 6 hours
-      console.log(`Using cached historical ${addonType} data for account ${accountId}`);
-      return cached.data;
-    }
-  }
-  
-  const historicalData = [];
-  const listResult = await env.CONFIG_KV.list({ prefix: `${kvPrefix}:${accountId}:` });
-  
-  for (const key of listResult.keys) {
-    const data = await env.CONFIG_KV.get(key.name, 'json');
-    if (data) {
-      const month = key.name.split(':')[2];
-      const [year, monthNum] = month.split('-');
-      const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-      
-      historicalData.push({
-        month,
-        timestamp,
-        requests: data.requests || 0,
-        bytes: data.bytes || 0,
-      });
-    }
-  }
-  
-  // Cache the historical data
-  try {
-    await env.CONFIG_KV.put(
-      cacheKey,
-      JSON.stringify({
-        cachedAt: Date.now(),
-        data: historicalData
-      }),
-      { expirationTtl: 21600 } // 6 hours
-    );
-  } catch (cacheError) {
-    console.error(`Failed to cache historical ${addonType} data:`, cacheError);
-  }
-  
-  return historicalData;
+async function getHistoricalAddonData(env, accountId, productId) {
+  return getHistoricalSeries(env, { sku: productId, accountId }, ['requests', 'bytes'], productId);
 }
 
 /**
- * Get all historical monthly data from KV (cached for 6 hours)
+ * Get all historical monthly data from the history store
  */
 async function getHistoricalMonthlyData(env, accountId) {
-  // Check cache first (6 hour TTL)
-  const cacheKey = `${HISTORICAL_DATA_CACHE_PREFIX}:${accountId}`;
-  const cached = await env.CONFIG_KV.get(cacheKey, 'json');
-  
-  if (cached && cached.cachedAt) {
-    const cacheAge = Date.now() - cached.cachedAt;
-    if (cacheAge < 6 * 60 * 60 * 1000) { // 6 hours
-      console.log(`Using cached historical data for account ${accountId} (age: ${Math.floor(cacheAge / 3600000)}h)`);
-      return cached.data;
-    }
-  }
-  
-  const historicalData = [];
-  const monthDataMap = new Map();
-
-  // List all core monthly stats keys for this account (new prefix first)
-  const listResult = await env.CONFIG_KV.list({ prefix: `${CORE_MONTHLY_STATS_PREFIX}:${accountId}:` });
-
-  for (const key of listResult.keys) {
-    const data = await env.CONFIG_KV.get(key.name, 'json');
-    if (data) {
-      const month = key.name.split(':')[2];
-      monthDataMap.set(month, {
-        requests: data.requests || 0,
-        bytes: data.bytes || 0,
-        dnsQueries: data.dnsQueries || 0,
-        source: 'new'
-      });
-    }
-  }
-
-  // Fallback: List legacy keys and fill in any missing months
-  const legacyListResult = await env.CONFIG_KV.list({ prefix: `monthly-stats:${accountId}:` });
-
-  for (const key of legacyListResult.keys) {
-    const month = key.name.split(':')[2];
-    if (!monthDataMap.has(month)) {
-      const data = await env.CONFIG_KV.get(key.name, 'json');
-      if (data) {
-        monthDataMap.set(month, {
-          requests: data.requests || 0,
-          bytes: data.bytes || 0,
-          dnsQueries: data.dnsQueries || 0,
-          source: 'legacy'
-        });
-      }
-    }
-  }
+  return getHistoricalSeries(env, { sku: 'core', accountId }, ['requests', 'bytes', 'dnsQueries'], 'core');
+}
 
-  // Convert map to sorted array
-  for (const [month, data] of monthDataMap) {
-    const [year, monthNum] = month.split('-');
-    const timestamp = new Date(parseInt(year), parseInt(monthNum) - 1, 1).toISOString();
-    historicalData.push({
-      month,
-      timestamp,
-      requests: data.requests,
-      bytes: data.bytes,
-      dnsQueries: data.dnsQueries,
-    });
-  }
-  
-  // Cache the historical data (6 hour TTL)
+/**
+ * Run one diagnostic probe against an account or zone; never throws
+ */
+async function runDiagnosticProbe(apiKey, probe, targetId) {
   try {
-    await env.CONFIG_KV.put(
-      cacheKey,
-      JSON.stringify({
-        cachedAt: Date.now(),
-        data: historicalData
-      }),
-      { expirationTtl: 21600 } // 6 hours
-    );
-    console.log(`Cached historical data for account ${accountId}`);
-  } catch (cacheError) {
-    console.error('Failed to cache historical data:', cacheError);
+    if (probe.dataset) {
+      await cloudflareApi.graphql(apiKey, buildProbeQuery(probe), { tag: targetId });
+    } else {
+      await cloudflareApi.rest(apiKey, probe.path.replace('{accountId}', targetId).replace('{zoneId}', targetId));
+    }
+    return classifyProbe(null);
+  } catch (error) {
+    return classifyProbe(error);
   }
-  
-  return historicalData;
 }
 
 /**
- * Test firewall query to debug the correct syntax
+ * Probe every dataset and endpoint the products read, for each configured account and zone,
+ * and report per product whether the account's API token can read it (POST /api/diagnostics).
+ * Products without their own zone list are probed on a sample of each account's Enterprise zones.
  */
-async function testFirewallQuery(request, env, corsHeaders) {
-  const body = await request.json();
-  const apiKey = env.CLOUDFLARE_API_TOKEN;
-  const accountId = body.accountId;  // From request body/KV
-  
-  if (!apiKey) {
-    return new Response(JSON.stringify({ error: 'API token not configured. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN' }), {
+async function runTokenDiagnostics(request, env, corsHeaders) {
+  const config = (await getStoredConfig(env)) || {};
+  const accountIds = parseAccountIds(config);
+  if (accountIds.length === 0) {
+    return new Response(JSON.stringify({ error: 'Account IDs not configured. Please configure them in Settings.' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  if (!accountId) {
-    return new Response(JSON.stringify({ error: 'Account ID required' }), {
-      status: 400,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  const tokenFor = accountId => getAccountToken(env, config, accountId);
+  const [accountNames, zoneLists] = await Promise.all([
+    Promise.all(accountIds.map(id => fetchAccountName(tokenFor(id), id).catch(() => id))),
+    Promise.all(accountIds.map(id => fetchEnterpriseZones(tokenFor(id), id, env).catch(() => []))),
+  ]);
+  const accounts = Object.fromEntries(accountIds.map((id, i) => [id, accountNames[i] || id]));
+  const zones = {};
+  zoneLists.forEach((list, i) => list.forEach(zone => {
+    zones[zone.id] = { name: zone.name, accountId: accountIds[i] };
+  }));
+
+  // The same dataset is read by several products (e.g. HTTP requests), so each call runs once
+  const calls = new Map();
+  const products = PRODUCTS.map(product => {
+    const section = getProductConfig(config, product);
+    const productAccounts = section.accountIds?.length ? section.accountIds : accountIds;
+    const productZones = section.zones?.length
+      ? section.zones
+      : zoneLists.flatMap((list, i) => (productAccounts.includes(accountIds[i]) ? list.slice(0, DIAGNOSTIC_ZONE_SAMPLE).map(z => z.id) : []));
+
+    const checks = DIAGNOSTIC_PROBES.filter(probe => probe.product === product.id).flatMap(probe => {
+      const targets = probe.scope === 'zone' ? productZones : productAccounts;
+      return targets.map(targetId => {
+        const callKey = `${getProbeName(probe)}|${probe.extraFilter || ''}|${targetId}`;
+        const accountId = probe.scope === 'zone' ? zones[targetId]?.accountId || null : targetId;
+        if (!calls.has(callKey)) calls.set(callKey, { probe, targetId, accountId });
+        return {
+          probe: getProbeName(probe),
+          permission: probe.permission,
+          scope: probe.scope,
+          targetId,
+          accountId,
+          callKey,
+        };
+      });
     });
-  }
 
-  // Get Enterprise zones
-  const zonesResponse = await fetch(`https://api.cloudflare.com/client/v4/zones?per_page=1000`, {
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
+    return {
+      id: product.id,
+      label: product.label,
+      enabled: isProductEnabled(config, product),
+      checks,
+    };
   });
 
-  const zonesData = await zonesResponse.json();
-  const zones = zonesData.result || [];
-  const enterpriseZones = zones.filter(zone => zone.plan?.legacy_id === 'enterprise' || zone.plan?.name === 'Enterprise Website');
-  const zoneIds = enterpriseZones.map(z => z.id);
-
-  if (zoneIds.length === 0) {
-    return new Response(JSON.stringify({ error: 'No enterprise zones found' }), {
-      status: 404,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    });
+  const outcomes = new Map();
+  const pending = [...calls.entries()];
+  for (let i = 0; i < pending.length; i += DIAGNOSTIC_CONCURRENCY) {
+    const batch = pending.slice(i, i + DIAGNOSTIC_CONCURRENCY);
+    const results = await Promise.all(batch.map(([, { probe, targetId, accountId }]) => runDiagnosticProbe(tokenFor(accountId), probe, targetId)));
+    batch.forEach(([callKey], j) => outcomes.set(callKey, results[j]));
   }
 
-  // Get date range (current month for testing)
-  const now = new Date();
-  const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-  const currentMonthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-  
-  const dateStart = currentMonthStart.toISOString().split('T')[0];
-  const dateEnd = currentMonthEnd.toISOString().split('T')[0];
-  const datetimeStart = currentMonthStart.toISOString();
-  const datetimeEnd = currentMonthEnd.toISOString();
+  products.forEach(product => {
+    product.checks = product.checks.map(({ callKey, ...check }) => ({ ...check, ...outcomes.get(callKey) }));
+  });
 
-  // Try different query variations
-  const queries = [
-    {
-      name: 'firewallEventsAdaptiveGroups with date',
-      query: `query TestFirewall($zoneIds: [String!]!, $dateStart: String!, $dateEnd: String!) {
-        viewer {
-          zones(filter: {zoneTag_in: $zoneIds}) {
-            zoneTag
-            firewallEventsAdaptiveGroups(
-              filter: { date_geq: $dateStart, date_leq: $dateEnd },
-              limit: 10
-            ) {
-              count
-              dimensions { action source }
-            }
-          }
-        }
-      }`,
-      variables: { zoneIds, dateStart, dateEnd }
-    },
-    {
-      name: 'firewallEventsAdaptiveGroups with datetime',
-      query: `query TestFirewall($zoneIds: [String!]!, $datetimeStart: String!, $datetimeEnd: String!) {
-        viewer {
-          zones(filter: {zoneTag_in: $zoneIds}) {
-            zoneTag
-            firewallEventsAdaptiveGroups(
-              filter: { datetime_geq: $datetimeStart, datetime_leq: $datetimeEnd },
-              limit: 10
-            ) {
-              count
-              dimensions { action source }
-            }
-          }
-        }
-      }`,
-      variables: { zoneIds, datetimeStart, datetimeEnd }
-    },
-    {
-      name: 'firewallEventsAdaptive (no Groups)',
-      query: `query TestFirewall($zoneIds: [String!]!, $datetimeStart: String!, $datetimeEnd: String!) {
-        viewer {
-          zones(filter: {zoneTag_in: $zoneIds}) {
-            zoneTag
-            firewallEventsAdaptive(
-              filter: { datetime_geq: $datetimeStart, datetime_leq: $datetimeEnd },
-              limit: 10
-            ) {
-              action
-              source
-            }
-          }
-        }
-      }`,
-      variables: { zoneIds, datetimeStart, datetimeEnd }
-    }
-  ];
-
-  const results = [];
-
-  for (const testQuery of queries) {
-    try {
-      const response = await fetch('https://api.cloudflare.com/client/v4/graphql', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          query: testQuery.query,
-          variables: testQuery.variables,
-          operationName: 'TestFirewall'
-        }),
-      });
-
-      const data = await response.json();
-      
-      results.push({
-        name: testQuery.name,
-        success: response.ok && !data.errors,
-        status: response.status,
-        data: data,
-        sampleData: data.data?.viewer?.zones?.[0]
-      });
-    } catch (error) {
-      results.push({
-        name: testQuery.name,
-        success: false,
-        error: error.message
-      });
-    }
-  }
-
-  return new Response(
-    JSON.stringify({
-      message: 'Tested multiple firewall query variations',
-      dateRange: { dateStart, dateEnd, datetimeStart, datetimeEnd },
-      enterpriseZones: zoneIds.length,
-      results: results
-    }, null, 2),
-    {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    }
-  );
+  return new Response(JSON.stringify({
+    checkedAt: new Date().toISOString(),
+    accounts,
+    accountTokens: Object.fromEntries(accountIds.map(id => [id, config.accountTokens?.[id] || null])),
+    zones: Object.fromEntries(Object.entries(zones).map(([id, zone]) => [id, zone.name])),
+    calls: calls.size,
+    products,
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
 }
 
 /**
@@ -6862,31 +7039,38 @@ async function preWarmCache(env) {
     console.log('🔥 Pre-warming cache started...');
     
     // Get configuration to know which accounts to fetch
-    const configData = await env.CONFIG_KV.get('config:default');
-    if (!configData) {
+    const config = await getStoredConfig(env);
+    if (!config) {
       console.log('Pre-warm: No configuration found, skipping');
       return;
     }
 
-    const config = JSON.parse(configData);
-    const apiKey = env.CLOUDFLARE_API_TOKEN;
-    const accountIds = config.accountIds || (config.accountId ? [config.accountId] : []);
-    
-    if (!apiKey) {
-      console.log('Pre-warm: API token not configured, skipping');
-      return;
-    }
+    const accountIds = parseAccountIds(config);
 
     if (accountIds.length === 0) {
       console.log('Pre-warm: No account IDs configured, skipping');
       return;
     }
 
+    const withoutToken = getAccountsWithoutToken(env, config, accountIds);
+    if (withoutToken.length === accountIds.length) {
+      console.log('Pre-warm: No API token configured for any account, skipping');
+      return;
+    }
+    if (withoutToken.length > 0) {
+      console.warn(`Pre-warm: No API token for account(s) ${withoutToken.join(', ')}, their usage will be missing`);
+    }
+
     const startTime = Date.now();
     console.log(`Pre-warm: Fetching data for ${accountIds.length} account(s)...`);
-    const prewarmData = await fetchAllMetrics(apiKey, accountIds, config, env);
+    const prewarmData = await fetchAllMetrics(accountIds, config, env);
     const prewarmCacheKey = `${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`;
     await env.CONFIG_KV.put(prewarmCacheKey, JSON.stringify({ timestamp: Date.now(), data: prewarmData }), { expirationTtl: 6 * 60 * 60 });
+
+    // Daily month-to-date snapshot per SKU, the input for anomaly detection
+    const dailyUsageKey = `${DAILY_USAGE_PREFIX}:${accountIds.join(',')}`;
+    const dailyUsage = (await env.CONFIG_KV.get(dailyUsageKey, 'json')) || {};
+    await env.CONFIG_KV.put(dailyUsageKey, JSON.stringify(recordDailyValues(dailyUsage, buildSkuMetricsFromMetrics(prewarmData, config))));
     const prewarmDuration = Date.now() - startTime;
     console.log(`✅ Pre-warm complete! Cached in ${(prewarmDuration / 1000).toFixed(1)}s. Next dashboard load will be INSTANT! ⚡`);
     return;
@@ -6895,6 +7079,754 @@ async function preWarmCache(env) {
   }
 }
 
+/**
+ * List stored monthly reports (newest first)
+ */
+async function listReports(request, env, corsHeaders) {
+  const listResult = await env.CONFIG_KV.list({ prefix: `${MONTHLY_REPORT_PREFIX}:` });
+  const reports = (await Promise.all(listResult.keys.map(async key => {
+    const report = await env.CONFIG_KV.get(key.name, 'json');
+    return report && { month: report.month, generatedAt: report.generatedAt, trigger: report.trigger, summary: report.summary };
+  }))).filter(Boolean).sort((a, b) => (a.month < b.month ? 1 : -1));
+
+  return new Response(JSON.stringify({ reports }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Generate (or regenerate) the report for a closed month
+ * Body: { month? } - YYYY-MM, defaults to the previous month
+ */
+async function generateReport(request, env, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const now = new Date();
+  const month = body.month || getPreviousMonthKey(now);
+
+  if (!/^\d{4}-\d{2}$/.test(month) || month >= getMonthKey(now)) {
+    return new Response(JSON.stringify({ error: 'Reports can only be generated for closed months (YYYY-MM before the current month)' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const report = await createMonthlyReport(env, month, 'manual');
+  if (!report) {
+    return new Response(JSON.stringify({ error: 'Configuration or API token missing. Configure the dashboard first.' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  return new Response(JSON.stringify({ month: report.month, generatedAt: report.generatedAt, trigger: report.trigger, summary: report.summary }), {
+    status: 201,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Render a stored report as HTML or PDF
+ */
+async function downloadReport(env, month, format, corsHeaders) {
+  const report = await env.CONFIG_KV.get(`${MONTHLY_REPORT_PREFIX}:${month}`, 'json');
+  if (!report) {
+    return new Response(JSON.stringify({ error: `No report stored for ${month}` }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (format === 'pdf') {
+    return new Response(renderReportPdf(report), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="usage-report-${month}.pdf"` },
+    });
+  }
+  return new Response(renderReportHtml(report), {
+    headers: { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' },
+  });
+}
+
+function getMonthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function getPreviousMonthKey(date) {
+  return getMonthKey(new Date(date.getFullYear(), date.getMonth() - 1, 1));
+}
+
+/**
+ * Build and store the report for `month`
+ * Uses the pre-warmed cache when it was refreshed after the month closed, otherwise fetches live.
+ * Returns null when the dashboard is not configured.
+ */
+async function createMonthlyReport(env, month, trigger) {
+  const config = await getStoredConfig(env);
+  if (!config) return null;
+
+  const accountIds = parseAccountIds(config);
+  if (accountIds.length === 0) return null;
+  if (getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) return null;
+
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  const cachedData = await env.CONFIG_KV.get(`${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`, 'json');
+  const m = cachedData?.data && cachedData.timestamp >= monthStart
+    ? cachedData.data
+    : await fetchAllMetrics(accountIds, config, env);
+
+  const report = buildMonthlyReport(m, buildSkuMetricsFromMetrics(m, config), month, { now, trigger });
+  await env.CONFIG_KV.put(`${MONTHLY_REPORT_PREFIX}:${month}`, JSON.stringify(report));
+  console.log(`📄 Monthly report for ${month} stored (${report.skus.length} SKUs)`);
+  return report;
+}
+
+/**
+ * Cron: generate last month's report once the month has closed (idempotent, runs every 6 hours)
+ */
+async function runScheduledMonthlyReport(env) {
+  try {
+    const month = getPreviousMonthKey(new Date());
+    const existing = await env.CONFIG_KV.get(`${MONTHLY_REPORT_PREFIX}:${month}`);
+    if (existing) return;
+    await createMonthlyReport(env, month, 'scheduled');
+  } catch (error) {
+    console.error('Monthly report error:', error);
+  }
+}
+
+/**
+ * Send the recurring usage digest (config.digest) to its channels when one is due today.
+ * Runs on every 6-hourly cron; a digest is marked sent once a channel accepts it, so a
+ * failed delivery is retried on the next run of the same day.
+ */
+async function runScheduledDigest(env) {
+  try {
+    const config = await getStoredConfig(env);
+    if (!config) return;
+    const digest = config.digest;
+    if (!digest?.enabled) return;
+
+    const now = new Date();
+    const periodKey = getDigestPeriodKey(digest, now);
+    if (!periodKey) return;
+    const sentKey = `${DIGEST_SENT_PREFIX}:${digest.frequency}:${periodKey}`;
+    if (await env.CONFIG_KV.get(sentKey)) return;
+
+    const channels = getNotificationChannels(config).filter(c => (digest.channelIds || []).includes(c.id));
+    if (channels.length === 0) {
+      console.log('Digest: No channels selected, skipping');
+      return;
+    }
+
+    const accountIds = parseAccountIds(config);
+    const cachedData = await env.CONFIG_KV.get(`${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`, 'json');
+    if (!cachedData?.data) {
+      console.log('Digest: No pre-warmed cache available, skipping');
+      return;
+    }
+
+    const { skuMetrics, digest: summary } = buildDigest(cachedData.data, buildSkuMetricsFromMetrics(cachedData.data, config), digest.frequency, now);
+    const accountsDisplay = formatAccountsDisplay(env, accountIds);
+    const deliveries = await dispatchNotification(
+      channels,
+      { type: 'report', skuMetrics, digest: summary, dashboardUrl: getWorkspaceDashboardUrl(env, SCHEDULED_DASHBOARD_URL), accountsDisplay },
+      getNotificationTransports(env)
+    );
+    await recordNotificationDeliveries(env, 'digest', 'scheduled', skuMetrics, deliveries);
+    if (deliveries.some(d => d.ok)) {
+      await env.CONFIG_KV.put(sentKey, 'true', { expirationTtl: 40 * 24 * 60 * 60 });
+    }
+    console.log(`Digest: ${digest.frequency} digest sent to ${deliveries.filter(d => d.ok).length}/${deliveries.length} channel(s)`);
+  } catch (error) {
+    console.error('Digest error:', error);
+  }
+}
+
+/**
+ * GraphQL query of each registry product with the 'accountQuery' backfill step, by product id.
+ * Each entry runs for the product's own account IDs and maps one month's query result
+ * to the same snapshot shape the product fetcher writes for the previous month.
+ * Point-in-time values only available from REST (Stream/Images storage) are not backfilled.
+ */
+const BACKFILL_ACCOUNT_QUERIES = {
+  workersPages: {
+    query: `query BackfillWorkersPages($accountTag: string!, $filter: AccountWorkersInvocationsAdaptiveFilter_InputObject, $overviewFilter: AccountWorkersOverviewRequestsAdaptiveGroupsFilter_InputObject) {
+      viewer {
+        accounts(filter: {accountTag: $accountTag}) {
+          pages: pagesFunctionsInvocationsAdaptiveGroups(limit: 1000, filter: $filter) { sum { requests } }
+          workers: workersInvocationsAdaptive(limit: 10000, filter: $filter) { sum { requests } }
+          overview: workersOverviewRequestsAdaptiveGroups(limit: 1000, filter: $overviewFilter) { sum { cpuTimeUs } }
+        }
+      }
+    }`,
+    variables: range => ({
+      filter: { date_geq: range.dateStart, date_leq: range.dateEnd },
+      overviewFilter: { datetime_geq: range.datetimeStart, datetime_leq: range.datetimeEnd },
+    }),
+    toSnapshot: account => ({
+      requests: sumBy(account.pages, e => e.sum?.requests) + sumBy(account.workers, e => e.sum?.requests),
+      cpuTimeMs: sumBy(account.overview, e => e.sum?.cpuTimeUs) / 1000,
+    }),
+  },
+  r2Storage: {
+    query: `query BackfillR2($accountTag: string!, $storageFilter: AccountR2StorageAdaptiveGroupsFilter_InputObject, $classAOpsFilter: AccountR2OperationsAdaptiveGroupsFilter_InputObject, $classBOpsFilter: AccountR2OperationsAdaptiveGroupsFilter_InputObject) {
+      viewer {
+        accounts(filter: {accountTag: $accountTag}) {
+          storage: r2StorageAdaptiveGroups(limit: 10000, orderBy: [date_DESC], filter: $storageFilter) { max { payloadSize metadataSize } dimensions { date } }
+          classAOps: r2OperationsAdaptiveGroups(limit: 10000, filter: $classAOpsFilter) { sum { requests } }
+          classBOps: r2OperationsAdaptiveGroups(limit: 10000, filter: $classBOpsFilter) { sum { requests } }
+        }
+      }
+    }`,
+    variables: range => ({
+      storageFilter: { date_geq: range.dateStart, date_leq: range.dateEnd },
+      classAOpsFilter: { date_geq: range.dateStart, date_leq: range.dateEnd, actionType_in: R2_CLASS_A_ACTIONS },
+      classBOpsFilter: { date_geq: range.dateStart, date_leq: range.dateEnd, actionType_in: R2_CLASS_B_ACTIONS },
+    }),
+    toSnapshot: account => {
+      const latest = account.storage?.[0];
+      return {
+        classAOps: sumBy(account.classAOps, e => e.sum?.requests),
+        classBOps: sumBy(account.classBOps, e => e.sum?.requests),
+        storageGB: latest ? ((latest.max?.payloadSize || 0) + (latest.max?.metadataSize || 0)) / (1024 * 1024 * 1024) : 0,
+      };
+    },
+  },
+  d1: {
+    query: `query BackfillD1($accountTag: string!, $filter: AccountD1AnalyticsAdaptiveGroupsFilter_InputObject, $storageFilter: AccountD1StorageAdaptiveGroupsFilter_InputObject) {
+      viewer {
+        accounts(filter: {accountTag: $accountTag}) {
+          analytics: d1AnalyticsAdaptiveGroups(limit: 10000, filter: $filter) { sum { rowsRead rowsWritten } }
+          storage: d1StorageAdaptiveGroups(limit: 10000, filter: $storageFilter) { max { databaseSizeBytes } dimensions { databaseId } }
+        }
+      }
+    }`,
+    variables: range => ({
+      filter: { date_geq: range.dateStart, date_leq: range.dateEnd },
+      storageFilter: { date: range.dateEnd },
+    }),
+    toSnapshot: account => ({
+      rowsRead: sumBy(account.analytics, e => e.sum?.rowsRead),
+      rowsWritten: sumBy(account.analytics, e => e.sum?.rowsWritten),
+      storageMB: sumBy(account.storage, e => e.max?.databaseSizeBytes) / 1000000,
+    }),
+  },
+  kv: {
+    query: `query BackfillKV($accountTag: string!, $start: Date, $end: Date) {
+      viewer {
+        accounts(filter: { accountTag: $accountTag }) {
+          operations: kvOperationsAdaptiveGroups(filter: { date_geq: $start, date_leq: $end }, limit: 10000) { sum { requests } dimensions { actionType } }
+          storage: kvStorageAdaptiveGroups(filter: { date_geq: $end, date_leq: $end }, limit: 10000) { max { byteCount } dimensions { namespaceId } }
+        }
+      }
+    }`,
+    variables: range => ({ start: range.dateStart, end: range.dateEnd }),
+    toSnapshot: account => {
+      const ops = action => sumBy((account.operations || []).filter(e => e.dimensions?.actionType === action), e => e.sum?.requests);
+      return {
+        reads: ops('read'),
+        writes: ops('write'),
+        deletes: ops('delete'),
+        lists: ops('list'),
+        storageMB: sumBy(account.storage, e => e.max?.byteCount) / 1000000,
+      };
+    },
+  },
+  stream: {
+    query: `query BackfillStream($accountTag: string!, $start: Date, $end: Date) {
+      viewer {
+        accounts(filter: { accountTag: $accountTag }) {
+          streamMinutesViewedAdaptiveGroups(filter: { date_geq: $start, date_leq: $end }, limit: 10000) { sum { minutesViewed } }
+        }
+      }
+    }`,
+    variables: range => ({ start: range.dateStart, end: range.dateEnd }),
+    toSnapshot: account => ({ minutesDelivered: sumBy(account.streamMinutesViewedAdaptiveGroups, e => e.sum?.minutesViewed) }),
+  },
+  images: {
+    query: `query BackfillImages($accountTag: string!, $start: Date, $end: Date) {
+      viewer {
+        accounts(filter: { accountTag: $accountTag }) {
+          imagesRequestsAdaptiveGroups(filter: { date_geq: $start, date_leq: $end }, limit: 10000) { sum { requests } }
+        }
+      }
+    }`,
+    variables: range => ({ start: range.dateStart, end: range.dateEnd }),
+    toSnapshot: account => ({ imagesDelivered: sumBy(account.imagesRequestsAdaptiveGroups, e => e.sum?.requests) }),
+  },
+  workersAI: {
+    query: `query BackfillWorkersAI($accountTag: string!, $start: Date, $end: Date) {
+      viewer {
+        accounts(filter: { accountTag: $accountTag }) {
+          aiInferenceAdaptiveGroups(filter: { date_geq: $start, date_leq: $end }, limit: 1) { sum { neurons: totalNeurons } }
+        }
+      }
+    }`,
+    variables: range => ({ start: range.dateStart, end: range.dateEnd }),
+    toSnapshot: account => ({ neurons: account.aiInferenceAdaptiveGroups?.[0]?.sum?.neurons || 0 }),
+  },
+  queues: {
+    query: `query BackfillQueues($accountTag: string!, $start: Date!, $end: Date!) {
+      viewer {
+        accounts(filter: { accountTag: $accountTag }) {
+          queueMessageOperationsAdaptiveGroups(filter: { date_geq: $start, date_leq: $end }, limit: 1) { sum { billableOperations } }
+        }
+      }
+    }`,
+    variables: range => ({ start: range.dateStart, end: range.dateEnd }),
+    toSnapshot: account => ({ operations: account.queueMessageOperationsAdaptiveGroups?.[0]?.sum?.billableOperations || 0 }),
+  },
+  durableObjects: {
+    query: `query BackfillDurableObjects($accountTag: string!, $filter: AccountDurableObjectsInvocationsAdaptiveGroupsFilter_InputObject, $periodicFilter: AccountDurableObjectsPeriodicGroupsFilter_InputObject, $storageFilter: AccountDurableObjectsStorageGroupsFilter_InputObject) {
+      viewer {
+        accounts(filter: { accountTag: $accountTag }) {
+          invocations: durableObjectsInvocationsAdaptiveGroups(filter: $filter, limit: 10000) { sum { requests } }
+          periodic: durableObjectsPeriodicGroups(filter: $periodicFilter, limit: 10000) { sum { activeTime rowsRead rowsWritten storageReadUnits storageWriteUnits storageDeletes } }
+          storage: durableObjectsStorageGroups(filter: $storageFilter, limit: 10000, orderBy: [date_DESC]) { max { storedBytes } dimensions { date } }
+        }
+      }
+    }`,
+    variables: range => ({
+      filter: { date_geq: range.dateStart, date_leq: range.dateEnd },
+      periodicFilter: { date_geq: range.dateStart, date_leq: range.dateEnd },
+      storageFilter: { date: range.dateEnd },
+    }),
+    toSnapshot: account => ({
+      requests: sumBy(account.invocations, e => e.sum?.requests),
+      durationGBs: sumBy(account.periodic, e => e.sum?.activeTime) / 7812500,
+      sqliteRowsRead: sumBy(account.periodic, e => e.sum?.rowsRead),
+      sqliteRowsWritten: sumBy(account.periodic, e => e.sum?.rowsWritten),
+      kvReadUnits: sumBy(account.periodic, e => e.sum?.storageReadUnits),
+      kvWriteUnits: sumBy(account.periodic, e => e.sum?.storageWriteUnits),
+      kvDeletes: sumBy(account.periodic, e => e.sum?.storageDeletes),
+      storageMB: (account.storage?.[0]?.max?.storedBytes || 0) / 1000000,
+    }),
+  },
+  logExplorer: {
+    query: `query BackfillLogExplorer($accountTag: string!, $dateFrom: Time!, $dateTo: Time!) {
+      viewer {
+        accounts(filter: { accountTag: $accountTag }) {
+          logExplorerIngestionAdaptiveGroups(limit: 100, filter: { datetimeMinute_geq: $dateFrom, datetimeMinute_lt: $dateTo }) { sum { billableBytes } }
+        }
+      }
+    }`,
+    variables: range => ({ dateFrom: range.datetimeStart, dateTo: range.nextMonthStart }),
+    toSnapshot: account => ({ billableGB: sumBy(account.logExplorerIngestionAdaptiveGroups, e => e.sum?.billableBytes) / (1000 ** 3) }),
+  },
+};
+
+function sumBy(entries, getValue) {
+  return (entries || []).reduce((sum, entry) => sum + (getValue(entry) || 0), 0);
+}
+
+/**
+ * Enabled products the backfill leaves out entirely or in part (the registry's `backfillGap`)
+ * → [{ product, label, partial, reason }]
+ */
+function getBackfillUnsupported(config) {
+  return PRODUCTS
+    .filter(product => product.backfillGap && isProductEnabled(config, product))
+    .map(product => ({
+      product: product.id,
+      label: product.label,
+      partial: !!product.backfill,
+      reason: product.backfillGap,
+    }));
+}
+
+/**
+ * Start a historical backfill job (admin-triggered)
+ * Body: { months?: number (1-24, default 12), overwrite?: boolean }
+ * Months are processed one per step, newest first: the first step runs immediately and
+ * the per-minute cron advances the rest, so each step stays within Worker limits.
+ */
+async function startBackfill(request, env, ctx, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const existing = await env.CONFIG_KV.get(BACKFILL_JOB_KEY, 'json');
+
+  if (existing?.status === 'running') {
+    return new Response(JSON.stringify({ error: 'A backfill is already running', job: existing }), {
+      status: 409,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const config = (await getStoredConfig(env)) || {};
+  const accountIds = parseAccountIds(config);
+  if (accountIds.length > 0 && getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) {
+    return new Response(JSON.stringify({ error: 'No API token configured for these accounts. Set it using: npx wrangler secret put CLOUDFLARE_API_TOKEN, or bind each account to a CLOUDFLARE_API_TOKEN_<NAME> secret in Settings.' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const monthCount = Math.min(BACKFILL_MAX_MONTHS, Math.max(1, parseInt(body.months, 10) || 12));
+  const now = new Date();
+  const months = Array.from({ length: monthCount }, (_, i) => {
+    const d = new Date(now.getFullYear(), now.getMonth() - 1 - i, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  });
+
+  const job = {
+    id: Date.now().toString(36),
+    status: 'running',
+    overwrite: !!body.overwrite,
+    months,
+    unsupported: getBackfillUnsupported(config),
+    nextIndex: 0,
+    results: [],
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  await env.CONFIG_KV.put(BACKFILL_JOB_KEY, JSON.stringify(job));
+  console.log(`📚 Backfill started for ${months.length} months (${months[months.length - 1]} → ${months[0]})`);
+
+  ctx.waitUntil(runBackfillStep(env));
+
+  return new Response(JSON.stringify(job), {
+    status: 202,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Current backfill job state (progress and per-month results)
+ */
+async function getBackfillStatus(request, env, corsHeaders) {
+  const job = await env.CONFIG_KV.get(BACKFILL_JOB_KEY, 'json');
+  return new Response(JSON.stringify(job || { status: 'idle' }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Stop a running backfill after the month in progress
+ */
+async function cancelBackfill(request, env, corsHeaders) {
+  const job = await env.CONFIG_KV.get(BACKFILL_JOB_KEY, 'json');
+  if (job?.status === 'running') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    await env.CONFIG_KV.put(BACKFILL_JOB_KEY, JSON.stringify(job));
+  }
+  return new Response(JSON.stringify(job || { status: 'idle' }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Process the next month of a running backfill job (called on start and by the per-minute cron)
+ */
+async function runBackfillStep(env) {
+  const job = await env.CONFIG_KV.get(BACKFILL_JOB_KEY, 'json');
+  if (job?.status !== 'running') return;
+  if (job.lockedUntil && job.lockedUntil > Date.now()) return;
+
+  job.lockedUntil = Date.now() + 55 * 1000;
+  await env.CONFIG_KV.put(BACKFILL_JOB_KEY, JSON.stringify(job));
+
+  const month = job.months[job.nextIndex];
+  const config = (await getStoredConfig(env)) || {};
+  let products = [];
+
+  try {
+    products = await backfillMonth(config, month, job.overwrite, env);
+  } catch (error) {
+    console.error(`Backfill failed for ${month}:`, error);
+    products = [{ product: 'all', scope: null, status: 'failed', error: error.message }];
+  }
+
+  const failed = products.filter(p => p.status === 'failed').length;
+  const monthStatus = failed === 0 ? 'completed' : failed === products.length ? 'failed' : 'partial';
+  console.log(`📚 Backfill ${month}: ${monthStatus} (${products.length - failed}/${products.length} ok)`);
+
+  // Re-read so a cancel issued while this month was running is kept
+  const latest = (await env.CONFIG_KV.get(BACKFILL_JOB_KEY, 'json')) || job;
+  latest.results.push({ month, status: monthStatus, products, finishedAt: new Date().toISOString() });
+  latest.nextIndex = job.nextIndex + 1;
+  latest.lockedUntil = null;
+
+  if (latest.status === 'running' && latest.nextIndex >= latest.months.length) {
+    latest.status = 'completed';
+    latest.finishedAt = new Date().toISOString();
+  }
+  if (latest.status !== 'running') {
+    await invalidatePrewarmedCache(env, config);
+  }
+
+  await env.CONFIG_KV.put(BACKFILL_JOB_KEY, JSON.stringify(latest));
+}
+
+/**
+ * Backfill every enabled registry product with a `backfill` step for one month.
+ * Returns one result per product and account/zone: written, skipped (snapshot exists),
+ * empty (dataset returned no usage) or failed (query error, usually beyond retention).
+ */
+async function backfillMonth(config, month, overwrite, env) {
+  const [year, monthNum] = month.split('-').map(n => parseInt(n, 10));
+  const start = new Date(year, monthNum - 1, 1);
+  const end = new Date(year, monthNum, 0, 23, 59, 59, 999);
+  const range = {
+    dateStart: start.toISOString().split('T')[0],
+    dateEnd: end.toISOString().split('T')[0],
+    datetimeStart: start.toISOString(),
+    datetimeEnd: end.toISOString(),
+    nextMonthStart: new Date(year, monthNum, 1).toISOString(),
+  };
+  const results = [];
+
+  const history = getHistory(env);
+  const writeSnapshot = async (product, scope, series, snapshot, zones = []) => {
+    if (!overwrite && (await history.get(series, month))) {
+      results.push({ product, scope, status: 'skipped' });
+      return;
+    }
+    if (Object.values(snapshot).every(v => !v)) {
+      results.push({ product, scope, status: 'empty' });
+      return;
+    }
+    await history.put(series, month, snapshot, zones);
+    results.push({ product, scope, status: 'written' });
+  };
+
+  const recordFailure = (product, scope, error) => {
+    console.error(`Backfill ${product} ${month} failed for ${scope}:`, error);
+    results.push({ product, scope, status: 'failed', error: error.message });
+  };
+  let zoneAccountsPromise = null;
+  const context = {
+    config, env, range, writeSnapshot, recordFailure,
+    getZoneAccounts: () => (zoneAccountsPromise ||= getZoneAccounts(env, config).catch(() => ({}))),
+  };
+
+  // Enabled products grouped by their registry backfill step, so shared fetches run once
+  const steps = new Map();
+  PRODUCTS.filter(product => product.backfill && isProductEnabled(config, product)).forEach(product => {
+    steps.set(product.backfill, [...(steps.get(product.backfill) || []), product]);
+  });
+  for (const [step, products] of steps) {
+    await BACKFILL_STEPS[step](products, context);
+  }
+
+  return results;
+}
+
+/**
+ * Backfill steps named by the registry's `backfill`: each rebuilds one month of its enabled
+ * products → writeSnapshot per account or zone, recordFailure when a query fails
+ */
+const BACKFILL_STEPS = {
+  // Core HTTP/DNS and the zone add-ons, from one zone breakdown per account
+  async zoneTraffic(products, { config, env, range, writeSnapshot, recordFailure }) {
+    // The core series keeps every core traffic field whenever any core product is backfilled
+    const coreFields = products.some(product => product.coreToggle)
+      ? PRODUCTS.filter(product => product.coreToggle && product.backfill === 'zoneTraffic').flatMap(product => product.skus.map(sku => sku.field))
+      : [];
+    for (const accountId of parseAccountIds(config)) {
+      try {
+        const zoneMetrics = await fetchBackfillZoneMetrics(getAccountToken(env, config, accountId), accountId, range, env);
+        if (coreFields.length > 0) {
+          await writeSnapshot('core', accountId, { sku: 'core', accountId },
+            Object.fromEntries(coreFields.map(field => [field, sumBy(zoneMetrics, z => z[field])])), toZoneRows(zoneMetrics));
+        }
+
+        for (const product of products.filter(p => !p.coreToggle)) {
+          const configuredZones = new Set(getProductConfig(config, product).zones || []);
+          const { field } = product.skus[0];
+          const zones = zoneMetrics
+            .filter(z => configuredZones.has(z.zoneTag))
+            .map(z => ({ zoneId: z.zoneTag, zoneName: z.zoneName, [field]: z[field] }));
+          if (zones.length === 0) continue;
+          await writeSnapshot(product.id, accountId, { sku: product.id, accountId }, { [field]: sumBy(zones, z => z[field]) }, zones);
+        }
+      } catch (error) {
+        products.forEach(product => recordFailure(product.id, accountId, error));
+      }
+    }
+  },
+
+  // Bot Management per account, over the configured zones that belong to it
+  async botManagement([product], { config, env, range, writeSnapshot, recordFailure }) {
+    const configuredZones = getProductConfig(config, product).zones || [];
+    for (const accountId of configuredZones.length > 0 ? parseAccountIds(config) : []) {
+      try {
+        const apiKey = getAccountToken(env, config, accountId);
+        const zoneNames = Object.fromEntries((await fetchEnterpriseZones(apiKey, accountId, env)).map(z => [z.id, z.name]));
+        const zoneIds = configuredZones.filter(zoneId => zoneNames[zoneId]);
+        if (zoneIds.length === 0) continue;
+        const zones = (await Promise.all(zoneIds.map(zoneId => fetchBotManagementMetrics(apiKey, zoneId, range.datetimeStart, range.datetimeEnd))))
+          .filter(Boolean)
+          .map(zone => ({
+            zoneId: zone.zoneId,
+            zoneName: zoneNames[zone.zoneId],
+            likelyHuman: zone.likelyHuman,
+            automated: zone.automated,
+            likelyAutomated: zone.likelyAutomated,
+            verifiedBot: zone.verifiedBot,
+          }));
+        await writeSnapshot(product.id, accountId, { sku: 'botManagement', accountId }, { likelyHuman: sumBy(zones, z => z.likelyHuman) }, zones);
+      } catch (error) {
+        recordFailure(product.id, accountId, error);
+      }
+    }
+  },
+
+  // Cache Reserve per zone, with the zone's account token
+  async cacheReserve([product], { config, env, range, writeSnapshot, recordFailure, getZoneAccounts }) {
+    const zoneAccounts = await getZoneAccounts();
+    for (const zoneId of getProductConfig(config, product).zones || []) {
+      try {
+        const snapshot = await fetchBackfillCacheReserve(getAccountToken(env, config, zoneAccounts[zoneId]), zoneId, range);
+        await writeSnapshot(product.id, zoneId, { sku: 'cacheReserve', zoneId }, snapshot);
+      } catch (error) {
+        recordFailure(product.id, zoneId, error);
+      }
+    }
+  },
+
+  // Spectrum data transfer per zone (connection P95 comes from the Worker's own samples)
+  async spectrum([product], { config, env, range, writeSnapshot, recordFailure, getZoneAccounts }) {
+    const zoneAccounts = await getZoneAccounts();
+    for (const zoneId of getProductConfig(config, product).zones || []) {
+      try {
+        const data = await cloudflareApi.rest(
+          getAccountToken(env, config, zoneAccounts[zoneId]),
+          `/zones/${zoneId}/spectrum/analytics/events/summary?since=${range.datetimeStart}&until=${range.datetimeEnd}&metrics=bytesIngress,bytesEgress`
+        );
+        const totals = data.result?.totals || {};
+        await writeSnapshot(product.id, zoneId, { sku: 'spectrum', zoneId }, { dataTransfer: (totals.bytesIngress || 0) + (totals.bytesEgress || 0) });
+      } catch (error) {
+        recordFailure(product.id, zoneId, error);
+      }
+    }
+  },
+
+  // Account-level products from their BACKFILL_ACCOUNT_QUERIES entry
+  async accountQuery(products, { config, env, range, writeSnapshot, recordFailure }) {
+    for (const product of products) {
+      const { query, variables, toSnapshot } = BACKFILL_ACCOUNT_QUERIES[product.id];
+      for (const accountId of getProductConfig(config, product).accountIds || []) {
+        try {
+          const data = await cloudflareApi.graphql(getAccountToken(env, config, accountId), query, { accountTag: accountId, ...variables(range) });
+          const account = data?.viewer?.accounts?.[0] || {};
+          await writeSnapshot(product.id, accountId, { sku: product.metricsKey, accountId }, toSnapshot(account));
+        } catch (error) {
+          recordFailure(product.id, accountId, error);
+        }
+      }
+    }
+  },
+
+  // Magic Transit and WAN P95 bandwidth from the tunnel traffic dataset
+  async magicBandwidth(products, { config, env, range, writeSnapshot, recordFailure }) {
+    for (const product of products) {
+      const serviceType = product.metricsKey;
+      for (const accountId of getProductConfig(config, product).accountIds || []) {
+        try {
+          const apiKey = getAccountToken(env, config, accountId);
+          const tunnelClassification = await classifyTunnelsByIP(apiKey, accountId, env);
+          const { p95Mbps, ingressP95Mbps, egressP95Mbps, tunnelCount } = await fetchMagicBandwidthP95(
+            apiKey, accountId, serviceType, tunnelClassification, new Date(range.datetimeStart), new Date(range.nextMonthStart)
+          );
+          await writeSnapshot(product.id, accountId, { sku: serviceType, accountId }, { p95Mbps, ingressP95Mbps, egressP95Mbps, tunnelCount });
+        } catch (error) {
+          recordFailure(product.id, accountId, error);
+        }
+      }
+    }
+  },
+};
+
+/**
+ * One month of Cache Reserve storage (GB-days) and Class A/B operations for a zone,
+ * read from the zone's Cache Reserve bucket as the live fetcher does
+ */
+async function fetchBackfillCacheReserve(apiKey, zoneId, range) {
+  const dateFilter = { date_geq: range.dateStart, date_leq: range.dateEnd };
+  const bucketPrefix = await fetchCacheReserveBucketPrefix(apiKey, zoneId, range.dateStart, range.dateEnd);
+  if (!bucketPrefix) return { storageGBDays: 0, classAOps: 0, classBOps: 0 };
+
+  const data = await cloudflareApi.graphql(apiKey, `
+    query BackfillCacheReserve($zoneTag: string, $storageFilter: ZoneCacheReserveStorageAdaptiveGroupsFilter_InputObject, $opsFilter: ZoneCacheReserveOperationsAdaptiveGroupsFilter_InputObject) {
+      viewer {
+        zones(filter: {zoneTag: $zoneTag}) {
+          storage: cacheReserveStorageAdaptiveGroups(limit: 10000, filter: $storageFilter) {
+            max { storedBytes }
+            dimensions { date bucketHash }
+          }
+          ops: cacheReserveOperationsAdaptiveGroups(limit: 10000, filter: $opsFilter) {
+            sum { requests }
+            dimensions { operationClass }
+          }
+        }
+      }
+    }
+  `, {
+    zoneTag: zoneId,
+    storageFilter: { ...dateFilter, bucketName_like: bucketPrefix },
+    opsFilter: { ...dateFilter, actionStatus_in: ['success', 'userError'], bucketName_like: bucketPrefix },
+  });
+
+  const zone = data?.viewer?.zones?.[0] || {};
+  const ops = classifyCacheReserveOps(zone.ops);
+  return { storageGBDays: sumCacheReserveGBDays(zone.storage), classAOps: ops.classA, classBOps: ops.classB };
+}
+
+/**
+ * Per-zone billable requests, bytes and DNS queries for an account's Enterprise zones over a date range
+ */
+async function fetchBackfillZoneMetrics(apiKey, accountId, range, env) {
+  const enterpriseZones = await fetchEnterpriseZones(apiKey, accountId, env);
+  if (enterpriseZones.length === 0) return [];
+
+  const zoneNameMap = Object.fromEntries(enterpriseZones.map(z => [z.id, z.name]));
+  const data = await cloudflareApi.graphql(apiKey, `
+    query BackfillZoneTraffic($zoneIds: [String!]!, $filter: ZoneHttpRequestsAdaptiveGroupsFilter_InputObject, $dnsFilter: ZoneDnsAnalyticsAdaptiveGroupsFilter_InputObject) {
+      viewer {
+        zones(filter: {zoneTag_in: $zoneIds}) {
+          zoneTag
+          totals: httpRequestsAdaptiveGroups(filter: $filter, limit: 1) {
+            count
+            sum { edgeResponseBytes }
+          }
+          dns: dnsAnalyticsAdaptiveGroups(filter: $dnsFilter, limit: 1) {
+            count
+          }
+        }
+      }
+    }
+  `, {
+    zoneIds: enterpriseZones.map(z => z.id),
+    filter: {
+      AND: [
+        { datetime_geq: range.datetimeStart },
+        { datetime_leq: range.datetimeEnd },
+        ...BILLABLE_HTTP_FILTERS
+      ]
+    },
+    dnsFilter: { AND: [{ datetime_geq: range.datetimeStart, datetime_leq: range.datetimeEnd }] },
+  });
+
+  return (data?.viewer?.zones || []).map(zone => {
+    const bytes = zone.totals?.[0]?.sum?.edgeResponseBytes || 0;
+    return {
+      zoneTag: zone.zoneTag,
+      zoneName: zoneNameMap[zone.zoneTag] || zone.zoneTag,
+      requests: zone.totals?.[0]?.count || 0,
+      bytes,
+      dnsQueries: zone.dns?.[0]?.count || 0,
+      isPrimary: bytes >= SECONDARY_ZONE_THRESHOLD,
+    };
+  });
+}
+
+/**
+ * Drop the pre-warmed dashboard cache so backfilled months show up
+ */
+async function invalidatePrewarmedCache(env, config) {
+  await env.CONFIG_KV.delete(`${PREWARMED_CACHE_PREFIX}:${parseAccountIds(config).join(',')}`).catch(() => {});
+}
+
 /**
  * Run scheduled threshold check (triggered by Cron)
  * Checks thresholds automatically every 6 hours without dashboard being open
@@ -6902,34 +7834,32 @@ async function preWarmCache(env) {
 async function runScheduledThresholdCheck(env) {
   try {
     // Get configuration for default user
-    const configData = await env.CONFIG_KV.get('config:default');
-    if (!configData) {
+    const config = await getStoredConfig(env);
+    if (!config) {
       console.log('Scheduled check: No configuration found');
       return;
     }
 
-    const config = JSON.parse(configData);
     
-    // Only run if alerts are enabled and Slack webhook is configured
-    if (!config.alertsEnabled || !config.slackWebhook) {
-      console.log('Scheduled check: Alerts not enabled or no Slack webhook configured');
+    // Only run if alerts are enabled and at least one notification channel is configured
+    const channels = getNotificationChannels(config);
+    if (!config.alertsEnabled || channels.length === 0) {
+      console.log('Scheduled check: Alerts not enabled or no notification channels configured');
       return;
     }
 
-    // API Token: Read from wrangler secret (secure storage)
-    const apiKey = env.CLOUDFLARE_API_TOKEN;
-    const accountIds = config.accountIds || (config.accountId ? [config.accountId] : []);
-    
-    if (!apiKey) {
-      console.log('Scheduled check: API token not configured');
-      return;
-    }
+    const accountIds = parseAccountIds(config);
 
     if (accountIds.length === 0) {
       console.log('Scheduled check: No account IDs configured');
       return;
     }
 
+    if (getAccountsWithoutToken(env, config, accountIds).length === accountIds.length) {
+      console.log('Scheduled check: No API token configured for any account');
+      return;
+    }
+
     console.log(`Scheduled check: Running for ${accountIds.length} account(s)`);
 
     const cacheKey = `${PREWARMED_CACHE_PREFIX}:${accountIds.join(',')}`;
@@ -6941,172 +7871,75 @@ async function runScheduledThresholdCheck(env) {
     }
 
     const m = cachedData.data;
-    const skuMetrics = [];
-    const fN = (v) => { if (v >= 1e9) return `${(v/1e9).toFixed(2)}B`; if (v >= 1e6) return `${(v/1e6).toFixed(2)}M`; if (v >= 1e3) return `${(v/1e3).toFixed(1)}K`; return String(Math.round(v)); };
-    const fB = (b) => { if (b >= 1e12) return `${(b/1e12).toFixed(2)} TB`; if (b >= 1e9) return `${(b/1e9).toFixed(2)} GB`; if (b >= 1e6) return `${(b/1e6).toFixed(2)} MB`; return `${b} B`; };
-    const fG = (gb) => gb >= 1000 ? `${(gb/1000).toFixed(2)} TB` : `${gb.toFixed(2)} GB`;
-    const fMB = (mb) => mb >= 1000 ? fG(mb/1000) : `${mb.toFixed(2)} MB`;
-    const fMn = (v) => v >= 1e6 ? `${(v/1e6).toFixed(2)}M min` : v >= 1e3 ? `${(v/1e3).toFixed(1)}K min` : `${Math.round(v)} min`;
-    const fBw = (v) => v >= 1000 ? `${(v/1000).toFixed(2)} Gbps` : `${v.toFixed(2)} Mbps`;
-    const a = (key, name, cat, cur, thr, fmt, thrFmt) => {
-      if (cur !== undefined && cur !== null) {
-        skuMetrics.push({ key, name, category: cat, current: cur, threshold: thr || null, formatted: fmt, thresholdFormatted: thrFmt || '', percentage: thr ? (cur / thr) * 100 : 0 });
-      }
-    };
+    const skuMetrics = buildSkuMetricsFromMetrics(m, config);
+    const contractPeriod = getContractPeriod(config.contract);
+
+    const alerts = evaluateAlertTiers(skuMetrics, config);
+    console.log(`Scheduled check: ${skuMetrics.length} SKUs evaluated, ${alerts.length} at or above an alert tier`);
+
+    const dashboardUrl = getWorkspaceDashboardUrl(env, SCHEDULED_DASHBOARD_URL);
+    const accountsDisplay = formatAccountsDisplay(env, accountIds);
+
+    if (config.forecastAlertsEnabled) {
+      const forecasts = forecastSkus(skuMetrics, key => (key === 'core' ? m.timeSeries : m[key]?.timeSeries), contractPeriod);
+      const projected = evaluateAlertTiers(buildForecastAlerts(forecasts, skuMetrics), config);
+      alerts.push(...projected);
+      console.log(`Scheduled check: ${projected.length} SKU(s) projected to exceed threshold`);
+    }
+
+    if (config.anomalyAlertsEnabled) {
+      const dailyUsage = (await env.CONFIG_KV.get(`${DAILY_USAGE_PREFIX}:${accountIds.join(',')}`, 'json')) || {};
+      const unusual = evaluateAlertTiers(buildAnomalyAlerts(detectAnomalies(dailyUsage), skuMetrics), config);
+      alerts.push(...unusual);
+      console.log(`Scheduled check: ${unusual.length} SKU(s) with unusual daily usage`);
+    }
 
-    const appCfg = config.applicationServices || {};
-    const zc = m.zonesCount || 0; const zt = appCfg.core?.thresholdZones || config.thresholdZones;
-    a('zones', 'Enterprise Zones', 'Zones & Traffic', zc, zt, `${zc} zones`, zt ? `${zt} zones` : '');
-    const rq = m.current?.requests || 0; const rqt = appCfg.core?.thresholdRequests || config.thresholdRequests;
-    a('requests', 'HTTP Requests', 'Zones & Traffic', rq, rqt, fN(rq), rqt ? fN(rqt) : '');
-    const bw = m.current?.bytes || 0; const bwt = appCfg.core?.thresholdBandwidth || config.thresholdBandwidth;
-    a('bandwidth', 'Data Transfer', 'Zones & Traffic', bw, bwt, fB(bw), bwt ? fB(bwt) : '');
-    const dns = m.current?.dnsQueries || 0; const dnst = appCfg.core?.thresholdDnsQueries || config.thresholdDnsQueries;
-    a('dnsQueries', 'DNS Queries', 'Zones & Traffic', dns, dnst, fN(dns), dnst ? fN(dnst) : '');
-
-    if (m.botManagement?.enabled) { const c = m.botManagement.current?.likelyHuman||0, t = appCfg.botManagement?.threshold; a('botManagement', 'Bot Management', 'Application Security', c, t, fN(c), t?fN(t):''); }
-    if (m.apiShield?.enabled) { const c = m.apiShield.current?.requests||0, t = appCfg.apiShield?.threshold; a('apiShield', 'API Shield', 'Application Security', c, t, fN(c), t?fN(t):''); }
-    if (m.pageShield?.enabled) { const c = m.pageShield.current?.requests||0, t = appCfg.pageShield?.threshold; a('pageShield', 'Page Shield', 'Application Security', c, t, fN(c), t?fN(t):''); }
-    if (m.advancedRateLimiting?.enabled) { const c = m.advancedRateLimiting.current?.requests||0, t = appCfg.advancedRateLimiting?.threshold; a('advancedRateLimiting', 'Adv. Rate Limiting', 'Application Security', c, t, fN(c), t?fN(t):''); }
-    if (m.argo?.enabled) { const c = m.argo.current?.bytes||0, t = appCfg.argo?.threshold; a('argo', 'Argo Smart Routing', 'Delivery & Performance', c, t, fB(c), t?fB(t):''); }
-    if (m.cacheReserve?.enabled) {
-      const cr = m.cacheReserve, cfg = appCfg.cacheReserve||{};
-      const crGB = cr.current?.storageGBDays||0; const crThr = cfg.storageThreshold?cfg.storageThreshold*1000:null;
-      a('cacheReserve-storage', 'Cache Reserve — Storage', 'Delivery & Performance', crGB, crThr, crGB>=1000?`${(crGB/1000).toFixed(2)} TB`:`${crGB.toFixed(2)} GB`, crThr?(crThr>=1000?`${(crThr/1000).toFixed(2)} TB`:`${crThr.toFixed(2)} GB`):'');
-      a('cacheReserve-classA', 'Cache Reserve — Class A Ops', 'Delivery & Performance', cr.current?.classAOps||0, cfg.classAOpsThreshold, fN(cr.current?.classAOps||0), cfg.classAOpsThreshold?fN(cfg.classAOpsThreshold):'');
-      a('cacheReserve-classB', 'Cache Reserve — Class B Ops', 'Delivery & Performance', cr.current?.classBOps||0, cfg.classBOpsThreshold, fN(cr.current?.classBOps||0), cfg.classBOpsThreshold?fN(cfg.classBOpsThreshold):'');
-    }
-    if (m.loadBalancing?.enabled) { const c = m.loadBalancing.current?.endpoints||0, t = appCfg.loadBalancing?.threshold; a('loadBalancing', 'Load Balancing', 'Delivery & Performance', c, t, `${c} endpoints`, t?`${t} endpoints`:''); }
-    if (m.customHostnames?.enabled) { const c = m.customHostnames.current?.hostnames||0, t = appCfg.customHostnames?.threshold; a('customHostnames', 'Custom Hostnames', 'Delivery & Performance', c, t, `${c} hostnames`, t?`${t} hostnames`:''); }
-    if (m.logExplorer?.enabled) { const c = m.logExplorer.current?.billableGB||0, t = appCfg.logExplorer?.threshold; a('logExplorer', 'Log Explorer', 'Logs & Analytics', c, t, fG(c), t?fG(t):''); }
-
-    const ztCfg = config.zeroTrust || {};
-    if (m.zeroTrustSeats?.enabled) { const c = m.zeroTrustSeats.current?.seats||0, t = ztCfg.seats?.threshold; a('zeroTrustSeats', 'Zero Trust Seats', 'Cloudflare One', c, t, `${c} seats`, t?`${t} seats`:''); }
-
-    const netCfg = config.networkServices || {};
-    if (m.magicTransit?.enabled) {
-      const c = m.magicTransit.current?.ingressP95Mbps||0, t = netCfg.magicTransit?.threshold;
-      a('magicTransit', 'Magic Transit — Ingress', 'Network Services', c, t, fBw(c), t?fBw(t):'');
-      if (netCfg.magicTransit?.egressEnabled) { const ec = m.magicTransit.current?.egressP95Mbps||0, et = netCfg.magicTransit?.egressThreshold; a('magicTransit-egress', 'Magic Transit — Egress', 'Network Services', ec, et, fBw(ec), et?fBw(et):''); }
-    }
-    if (m.magicWan?.enabled) { const c = m.magicWan.current?.p95Mbps||0, t = netCfg.magicWan?.threshold; a('magicWan', 'Magic WAN', 'Cloudflare One', c, t, fBw(c), t?fBw(t):''); }
-    if (m.spectrum?.enabled) {
-      const sp = m.spectrum, cfg = netCfg.spectrum||{};
-      const spdt = cfg.dataTransferThreshold ? cfg.dataTransferThreshold*1e12 : null;
-      a('spectrum-transfer', 'Spectrum — Data Transfer', 'Network Services', sp.current?.dataTransfer||0, spdt, fB(sp.current?.dataTransfer||0), spdt?fB(spdt):'');
-      a('spectrum-conns', 'Spectrum — Connections', 'Network Services', sp.current?.p95Concurrent||0, cfg.connectionsThreshold, fN(sp.current?.p95Concurrent||0), cfg.connectionsThreshold?fN(cfg.connectionsThreshold):'');
-    }
-
-    const devCfg = config.developerServices || {};
-    if (m.workersPages?.enabled) {
-      const wp = m.workersPages, cfg = devCfg.workersPages||{};
-      const wpt = cfg.requestsThreshold?cfg.requestsThreshold*1e6:null;
-      const wpct = cfg.cpuTimeThreshold?cfg.cpuTimeThreshold*1e6:null;
-      a('workersPages-req', 'Workers & Pages — Requests', 'Developer Platform', wp.current?.requests||0, wpt, fN(wp.current?.requests||0), wpt?fN(wpt):'');
-      a('workersPages-cpu', 'Workers & Pages — CPU Time', 'Developer Platform', wp.current?.cpuTimeMs||0, wpct, fN(wp.current?.cpuTimeMs||0)+' ms', wpct?fN(wpct)+' ms':'');
-    }
-    if (m.r2Storage?.enabled) {
-      const r2 = m.r2Storage, cfg = devCfg.r2Storage||{};
-      const r2at = cfg.classAOpsThreshold?cfg.classAOpsThreshold*1e6:null;
-      const r2bt = cfg.classBOpsThreshold?cfg.classBOpsThreshold*1e6:null;
-      const r2st = cfg.storageThreshold?cfg.storageThreshold*1000:null;
-      a('r2-storage', 'R2 — Storage', 'Developer Platform', r2.current?.storageGB||0, r2st, fG(r2.current?.storageGB||0), r2st?fG(r2st):'');
-      a('r2-classA', 'R2 — Class A Ops', 'Developer Platform', r2.current?.classAOps||0, r2at, fN(r2.current?.classAOps||0), r2at?fN(r2at):'');
-      a('r2-classB', 'R2 — Class B Ops', 'Developer Platform', r2.current?.classBOps||0, r2bt, fN(r2.current?.classBOps||0), r2bt?fN(r2bt):'');
-    }
-    if (m.d1?.enabled) {
-      const d = m.d1, cfg = devCfg.d1||{};
-      const d1rr = cfg.rowsReadThreshold?cfg.rowsReadThreshold*1e6:null;
-      const d1rw = cfg.rowsWrittenThreshold?cfg.rowsWrittenThreshold*1e6:null;
-      const d1mb = d.current?.storageMB||0; const d1st = cfg.storageThreshold?cfg.storageThreshold*1000:null;
-      a('d1-storage', 'D1 — Storage', 'Developer Platform', d1mb, d1st, fMB(d1mb), d1st?fMB(d1st):'');
-      a('d1-rowsRead', 'D1 — Rows Read', 'Developer Platform', d.current?.rowsRead||0, d1rr, fN(d.current?.rowsRead||0), d1rr?fN(d1rr):'');
-      a('d1-rowsWritten', 'D1 — Rows Written', 'Developer Platform', d.current?.rowsWritten||0, d1rw, fN(d.current?.rowsWritten||0), d1rw?fN(d1rw):'');
-    }
-    if (m.kv?.enabled) {
-      const k = m.kv, cfg = devCfg.kv||{};
-      const kvr = cfg.readsThreshold?cfg.readsThreshold*1e6:null;
-      const kvw = cfg.writesThreshold?cfg.writesThreshold*1e6:null;
-      const kvd = cfg.deletesThreshold?cfg.deletesThreshold*1e6:null;
-      const kvl = cfg.listsThreshold?cfg.listsThreshold*1e6:null;
-      a('kv-reads', 'KV — Reads', 'Developer Platform', k.current?.reads||0, kvr, fN(k.current?.reads||0), kvr?fN(kvr):'');
-      a('kv-writes', 'KV — Writes', 'Developer Platform', k.current?.writes||0, kvw, fN(k.current?.writes||0), kvw?fN(kvw):'');
-      a('kv-deletes', 'KV — Deletes', 'Developer Platform', k.current?.deletes||0, kvd, fN(k.current?.deletes||0), kvd?fN(kvd):'');
-      a('kv-lists', 'KV — Lists', 'Developer Platform', k.current?.lists||0, kvl, fN(k.current?.lists||0), kvl?fN(kvl):'');
-      const kvst = cfg.storageThreshold?cfg.storageThreshold*1000:null;
-      a('kv-storage', 'KV — Storage', 'Developer Platform', k.current?.storageMB||0, kvst, fMB(k.current?.storageMB||0), kvst?fMB(kvst):'');
-    }
-    if (m.stream?.enabled) {
-      const s = m.stream, cfg = devCfg.stream||{};
-      const sst = cfg.minutesStoredThreshold?cfg.minutesStoredThreshold*1e3:null;
-      const sdt = cfg.minutesDeliveredThreshold?cfg.minutesDeliveredThreshold*1e3:null;
-      a('stream-stored', 'Stream — Min Stored', 'Developer Platform', s.current?.minutesStored||0, sst, fMn(s.current?.minutesStored||0), sst?fMn(sst):'');
-      a('stream-delivered', 'Stream — Min Delivered', 'Developer Platform', s.current?.minutesDelivered||0, sdt, fMn(s.current?.minutesDelivered||0), sdt?fMn(sdt):'');
-    }
-    if (m.images?.enabled) {
-      const im = m.images, cfg = devCfg.images||{};
-      const ist = cfg.imagesStoredThreshold?cfg.imagesStoredThreshold*1e3:null;
-      const idt = cfg.imagesDeliveredThreshold?cfg.imagesDeliveredThreshold*1e3:null;
-      a('images-stored', 'Images — Stored', 'Developer Platform', im.current?.imagesStored||0, ist, fN(im.current?.imagesStored||0), ist?fN(ist):'');
-      a('images-delivered', 'Images — Delivered', 'Developer Platform', im.current?.imagesDelivered||0, idt, fN(im.current?.imagesDelivered||0), idt?fN(idt):'');
-    }
-    if (m.workersAI?.enabled) { const c = m.workersAI.current?.neurons||0, t = devCfg.workersAI?.neuronsThreshold?devCfg.workersAI.neuronsThreshold*1e6:null; a('workersAI', 'Workers AI', 'Developer Platform', c, t, fN(c)+' neurons', t?fN(t)+' neurons':''); }
-    if (m.queues?.enabled) { const c = m.queues.current?.operations||0, t = devCfg.queues?.operationsThreshold?devCfg.queues.operationsThreshold*1e6:null; a('queues', 'Queues', 'Developer Platform', c, t, fN(c)+' ops', t?fN(t)+' ops':''); }
-    if (m.workersLogsTraces?.enabled) { const c = m.workersLogsTraces.current?.events||0, t = devCfg.workersLogsTraces?.eventsThreshold?devCfg.workersLogsTraces.eventsThreshold*1e6:null; a('workersLogsTraces', 'Workers Observability', 'Developer Platform', c, t, fN(c)+' events', t?fN(t)+' events':''); }
-    if (m.durableObjects?.enabled) {
-      const d = m.durableObjects, cfg = devCfg.durableObjects||{};
-      const dort = cfg.requestsThreshold?cfg.requestsThreshold*1e6:null;
-      const dodt = cfg.durationThreshold?cfg.durationThreshold*1e3:null;
-      const fGBs = (v) => v>=1e6?`${(v/1e6).toFixed(2)}M GB-s`:v>=1e3?`${(v/1e3).toFixed(2)}K GB-s`:`${v.toFixed(2)} GB-s`;
-      a('do-requests', 'Durable Objects — Requests', 'Developer Platform', d.current?.requests||0, dort, fN(d.current?.requests||0), dort?fN(dort):'');
-      a('do-duration', 'Durable Objects — Duration', 'Developer Platform', d.current?.durationGBs||0, cfg.durationThreshold, fGBs(d.current?.durationGBs||0), cfg.durationThreshold?fGBs(cfg.durationThreshold):'');
-      const domb = d.current?.storageMB||0; const dost = cfg.storageThreshold?cfg.storageThreshold*1000:null;
-      a('do-storage', 'Durable Objects — Storage', 'Developer Platform', domb, dost, fMB(domb), dost?fMB(dost):'');
-    }
-
-    const alerts = skuMetrics.filter(s => s.threshold && s.percentage >= 90);
-    console.log(`Scheduled check: ${skuMetrics.length} SKUs evaluated, ${alerts.length} at ≥90%`);
+    const { active, suppressed } = await filterSuppressedAlerts(env, accountIds, alerts);
+
+    // PagerDuty runs on every check (not only when new alerts fire) so incidents can auto-resolve.
+    // It pages for the same SKUs as the other channels: a SKU with alerts turned off, or whose
+    // alert is acknowledged, snoozed or muted, is left out and its open incident resolved.
+    const suppressedKeys = new Set(suppressed.map(alert => alert.key));
+    const pageableSkus = skuMetrics.filter(sku => getSkuAlertSettings(config, sku.key).enabled && !suppressedKeys.has(sku.key));
+    for (const channel of channels.filter(c => c.type === 'pagerduty')) {
+      const result = await syncPagerDutyIncidents(env, channel, pageableSkus, accountIds, { dashboardUrl, accountsDisplay });
+      console.log(`Scheduled check: PagerDuty ${channel.name}: ${result.triggered} triggered, ${result.resolved} resolved, ${result.open} open`);
+    }
 
     if (alerts.length === 0) {
       console.log('Scheduled check: All metrics within thresholds');
       return;
     }
 
-    const now = new Date();
-    const freq = config.alertFrequency || 'monthly';
-    let periodKey;
-    if (freq === 'weekly') {
-      const startOfYear = new Date(now.getFullYear(), 0, 1);
-      const weekNum = Math.ceil(((now - startOfYear) / 86400000 + startOfYear.getDay() + 1) / 7);
-      periodKey = `${now.getFullYear()}-W${String(weekNum).padStart(2, '0')}`;
-    } else {
-      periodKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    if (suppressed.length > 0) {
+      console.log(`Scheduled check: ${suppressed.length} alert(s) acknowledged, snoozed or muted`);
     }
 
-    const accountsKey = accountIds.sort().join('-');
-    const newAlerts = [];
-    for (const alert of alerts) {
-      const alertKey = `alert-sent:${accountsKey}:${alert.key}:${periodKey}`;
-      const alreadySent = await env.CONFIG_KV.get(alertKey);
-      if (!alreadySent) {
-        newAlerts.push(alert);
-        await env.CONFIG_KV.put(alertKey, 'true', { expirationTtl: 3888000 });
-      }
-    }
+    const freq = config.alertFrequency || 'monthly';
+    const periodKey = getAlertFrequencyPeriodKey(freq, new Date());
+    const newAlerts = await filterUnsentAlerts(env, accountIds, active, periodKey);
 
     if (newAlerts.length === 0) {
-      console.log(`Scheduled check: All ${alerts.length} alert(s) already sent ${freq === 'weekly' ? 'this week' : 'this month'}`);
+      console.log(`Scheduled check: All ${active.length} active alert(s) already sent ${freq === 'weekly' ? 'this week' : 'this month'}`);
+      await recordAlertHistory(env, 'scheduled', accountIds, { active, suppressed, sent: [], deliveries: [] });
       return;
     }
 
-    const dashboardUrl = 'https://enterprise-usage-dashboard.felipe-cloudflare.workers.dev';
-    try {
-      await sendSlackAlert(newAlerts, config.slackWebhook, dashboardUrl);
-      console.log(`Scheduled check: Sent ${newAlerts.length} alert(s) to Slack`);
-    } catch (slackErr) {
-      console.error('Scheduled check: Failed to send Slack alert:', slackErr.message);
-    }
+    const deliveries = await dispatchNotification(channels, { type: 'alert', alerts: newAlerts, dashboardUrl, accountsDisplay }, getNotificationTransports(env));
+    await markAlertsSent(env, accountIds, newAlerts, periodKey, deliveries);
+    await recordNotificationDeliveries(env, 'alert', 'scheduled', newAlerts, deliveries);
+    await recordAlertHistory(env, 'scheduled', accountIds, { active, suppressed, sent: newAlerts, deliveries });
+    console.log(`Scheduled check: Sent ${newAlerts.length} alert(s) to ${deliveries.filter(d => d.ok).length}/${deliveries.length} channel(s)`);
   } catch (error) {
     console.error('Scheduled check error:', error);
   }
 }
+
+/**
+ * Build the flat SKU list used for alerts, reports and forecasts from aggregated metrics
+ */
+function buildSkuMetricsFromMetrics(m, config) {
+  const skuMetrics = buildSkuMetrics(m, config);
+  skuMetrics.push(...buildContractSkus(skuMetrics, key => getProductMetrics(m, key)?.timeSeries, getContractPeriod(config.contract)));
+  return skuMetrics;
+}